@@ -0,0 +1,518 @@
+// Threshold alerting.
+//
+// Rules are evaluated in the background against getTunerStatus() samples:
+//   { metric: 'seq', operator: '<', threshold: 100, duration: 30 }  symbol quality below 100% for 30s
+//   { metric: 'lock' }                                              tuned but not locked
+//   { metric: 'offline' }                                           device not answering
+// A rule has to be breached for `duration` seconds before it fires, and has to
+// be clear for the same time before it resolves. Numeric rules also only
+// resolve once the value is `hysteresis` past the threshold, so a signal
+// hovering around the limit doesn't flap. Firing/resolved events are kept in a
+// capped history and POSTed to the configured webhooks.
+//
+// Rules and webhooks are stored in <dataDir>/alerts.json, the event history in
+// <dataDir>/alert-history.json.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { writeJsonFile } = require('./json-file');
+const { validationError, notFound } = require('./util');
+
+const DEFAULT_INTERVAL_MS = 10000;
+const DISCOVERY_REFRESH_MS = 5 * 60 * 1000;
+const MAX_HISTORY = 500;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const METRICS = {
+  lock: 'Lock',
+  offline: 'Device offline',
+  ss: 'Signal strength',
+  snq: 'SNR quality',
+  seq: 'Symbol quality',
+  ssDb: 'Signal level (dBm)',
+  snrDb: 'SNR (dB)',
+  bps: 'Bitrate'
+};
+const OPERATORS = ['<', '>'];
+const WEBHOOK_FORMATS = ['json', 'discord', 'slack', 'ntfy'];
+
+function normalizeRule(input, existing = {}) {
+  const rule = { ...existing, ...input };
+
+  if (!METRICS[rule.metric]) {
+    throw validationError(`metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+  }
+
+  const numeric = rule.metric !== 'lock' && rule.metric !== 'offline';
+  if (numeric) {
+    if (!OPERATORS.includes(rule.operator)) {
+      throw validationError(`operator must be one of: ${OPERATORS.join(', ')}`);
+    }
+    rule.threshold = Number(rule.threshold);
+    if (!Number.isFinite(rule.threshold)) {
+      throw validationError('threshold must be a number');
+    }
+    rule.hysteresis = Math.max(0, Number(rule.hysteresis) || 0);
+  } else {
+    delete rule.operator;
+    delete rule.threshold;
+    delete rule.hysteresis;
+  }
+
+  rule.duration = Math.max(0, Number(rule.duration) || 0);
+  rule.device = rule.device ? String(rule.device) : '*';
+  rule.tuner = rule.tuner === undefined || rule.tuner === null || rule.tuner === '*' || rule.tuner === ''
+    ? '*'
+    : parseInt(rule.tuner);
+  if (rule.tuner !== '*' && !Number.isInteger(rule.tuner)) {
+    throw validationError('tuner must be a tuner number or "*"');
+  }
+  rule.enabled = rule.enabled !== false;
+  rule.webhooks = Array.isArray(rule.webhooks) ? rule.webhooks.map(String) : [];
+  rule.name = rule.name ? String(rule.name) : describeRule(rule);
+
+  return rule;
+}
+
+function normalizeWebhook(input, existing = {}) {
+  const webhook = { ...existing, ...input };
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    throw validationError('url must be a valid http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw validationError('url must be a valid http(s) URL');
+  }
+
+  webhook.format = webhook.format || 'json';
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+    throw validationError(`format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  webhook.name = webhook.name ? String(webhook.name) : url.host;
+  webhook.enabled = webhook.enabled !== false;
+
+  return webhook;
+}
+
+function describeRule(rule) {
+  const where = `${rule.device === '*' ? 'any device' : rule.device}${rule.metric === 'offline' ? '' : `, ${rule.tuner === '*' ? 'any tuner' : `tuner ${rule.tuner}`}`}`;
+  const duration = rule.duration ? ` for ${rule.duration}s` : '';
+  if (rule.metric === 'lock') return `Lock lost (${where})${duration}`;
+  if (rule.metric === 'offline') return `Device offline (${where})${duration}`;
+  return `${METRICS[rule.metric]} ${rule.operator} ${rule.threshold}${duration} (${where})`;
+}
+
+// Build the request for one webhook format
+function webhookRequest(webhook, event) {
+  const title = `${event.state === 'firing' ? 'ALERT' : 'RESOLVED'}: ${event.ruleName}`;
+  const text = `${title}\n${event.message}`;
+
+  switch (webhook.format) {
+    case 'discord':
+      return { body: JSON.stringify({ username: 'HDHomeRun Signal', content: text }), contentType: 'application/json' };
+    case 'slack':
+      return { body: JSON.stringify({ text }), contentType: 'application/json' };
+    case 'ntfy':
+      // ntfy takes the message as the body and metadata as headers
+      return {
+        body: event.message,
+        contentType: 'text/plain',
+        headers: {
+          Title: title,
+          Priority: event.state === 'firing' ? 'high' : 'default',
+          Tags: event.state === 'firing' ? 'warning,tv' : 'white_check_mark,tv'
+        }
+      };
+    default:
+      return { body: JSON.stringify(event), contentType: 'application/json' };
+  }
+}
+
+function postWebhook(webhook, event) {
+  const { body, contentType, headers = {} } = webhookRequest(webhook, event);
+  const url = new URL(webhook.url);
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body), ...headers }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () => req.destroy(new Error('Request timed out')));
+    req.end(body);
+  });
+}
+
+class AlertManager extends EventEmitter {
+  constructor(controller, options = {}) {
+    super();
+    this.controller = controller;
+    // DevicePresence tracker: its device list keeps devices that stopped
+    // answering, which controller.devices (rebuilt by every discovery) drops
+    this.presence = options.presence || null;
+    this.configFile = path.join(options.dataDir, 'alerts.json');
+    this.historyFile = path.join(options.dataDir, 'alert-history.json');
+    this.interval = options.interval || DEFAULT_INTERVAL_MS;
+    this.rules = [];
+    this.webhooks = [];
+    this.history = [];
+    this.states = new Map(); // "<rule>|<device>|<tuner>" -> evaluation state
+    this.tunerCounts = new Map(); // device id -> tuner count
+    this.lastDiscovery = 0;
+    this.evaluating = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.load();
+    this.timer = setInterval(() => this.evaluate(), this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  load() {
+    try {
+      const config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+      this.rules = config.rules || [];
+      this.webhooks = config.webhooks || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load alert rules:', error.message);
+    }
+    try {
+      this.history = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load alert history:', error.message);
+    }
+  }
+
+  saveConfig() {
+    return writeJsonFile(this.configFile, { rules: this.rules, webhooks: this.webhooks });
+  }
+
+  saveHistory() {
+    return writeJsonFile(this.historyFile, this.history).catch(error => {
+      console.error('Failed to save alert history:', error.message);
+    });
+  }
+
+  // Rules
+
+  getRules() {
+    return this.rules;
+  }
+
+  async addRule(input) {
+    const rule = normalizeRule({ ...input, id: crypto.randomUUID() });
+    this.rules.push(rule);
+    await this.saveConfig();
+    return rule;
+  }
+
+  async updateRule(id, input) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) throw notFound('Rule not found');
+
+    // Regenerate the default name unless one was given explicitly
+    const existing = { ...this.rules[index] };
+    if (!input.name && existing.name === describeRule(existing)) delete existing.name;
+
+    const rule = normalizeRule({ ...input, id }, existing);
+    this.rules[index] = rule;
+    this.clearStates(id);
+    await this.saveConfig();
+    return rule;
+  }
+
+  async deleteRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) throw notFound('Rule not found');
+    this.rules.splice(index, 1);
+    this.clearStates(id);
+    await this.saveConfig();
+  }
+
+  clearStates(ruleId) {
+    Array.from(this.states.keys())
+      .filter(key => key.startsWith(`${ruleId}|`))
+      .forEach(key => this.states.delete(key));
+    this.emit('changed');
+  }
+
+  // Webhooks
+
+  getWebhooks() {
+    return this.webhooks;
+  }
+
+  async addWebhook(input) {
+    const webhook = normalizeWebhook({ ...input, id: crypto.randomUUID() });
+    this.webhooks.push(webhook);
+    await this.saveConfig();
+    return webhook;
+  }
+
+  async updateWebhook(id, input) {
+    const index = this.webhooks.findIndex(webhook => webhook.id === id);
+    if (index === -1) throw notFound('Webhook not found');
+    const webhook = normalizeWebhook({ ...input, id }, this.webhooks[index]);
+    this.webhooks[index] = webhook;
+    await this.saveConfig();
+    return webhook;
+  }
+
+  async deleteWebhook(id) {
+    const index = this.webhooks.findIndex(webhook => webhook.id === id);
+    if (index === -1) throw notFound('Webhook not found');
+    this.webhooks.splice(index, 1);
+    this.rules.forEach(rule => {
+      rule.webhooks = rule.webhooks.filter(webhookId => webhookId !== id);
+    });
+    await this.saveConfig();
+  }
+
+  async testWebhook(id) {
+    const webhook = this.webhooks.find(w => w.id === id);
+    if (!webhook) throw notFound('Webhook not found');
+    await postWebhook(webhook, {
+      state: 'firing',
+      ruleId: null,
+      ruleName: 'Test alert',
+      device: null,
+      tuner: null,
+      value: null,
+      message: 'This is a test notification from HDHomeRun Signal.',
+      timestamp: Date.now()
+    });
+  }
+
+  // State
+
+  getActive() {
+    return Array.from(this.states.values())
+      .filter(state => state.firing)
+      .map(({ ruleId, device, tuner, value, firedAt }) => {
+        const rule = this.rules.find(r => r.id === ruleId);
+        return { ruleId, ruleName: rule ? rule.name : ruleId, device, tuner, value, since: firedAt };
+      });
+  }
+
+  getHistory(limit = 100) {
+    return this.history.slice(-limit).reverse();
+  }
+
+  // Evaluation
+
+  evaluate() {
+    if (!this.evaluating) {
+      this.evaluating = this.runEvaluation().catch(error => {
+        console.error('Alert evaluation failed:', error.message);
+      }).finally(() => {
+        this.evaluating = null;
+      });
+    }
+    return this.evaluating;
+  }
+
+  async runEvaluation() {
+    const rules = this.rules.filter(rule => rule.enabled);
+    if (rules.length === 0) return;
+
+    const now = Date.now();
+    if (this.presence) {
+      if (!this.presence.checkedAt) await this.presence.check();
+    } else if (this.controller.devices.length === 0 || now - this.lastDiscovery > DISCOVERY_REFRESH_MS) {
+      this.lastDiscovery = now;
+      await this.controller.discoverDevices().catch(error => {
+        console.error('Alert device discovery failed:', error.message);
+      });
+    }
+
+    // Only poll the devices/tuners some rule is interested in, each once per round
+    const deviceIds = new Set();
+    const knownDevices = this.presence ? this.presence.list() : this.controller.devices;
+    rules.forEach(rule => {
+      if (rule.device === '*') {
+        knownDevices.forEach(device => deviceIds.add(device.id));
+      } else {
+        deviceIds.add(rule.device);
+      }
+    });
+
+    const samples = await Promise.all(Array.from(deviceIds).map(deviceId => this.sampleDevice(deviceId, rules)));
+    const byDevice = new Map(samples.map(sample => [sample.deviceId, sample]));
+
+    rules.forEach(rule => {
+      const devices = rule.device === '*' ? Array.from(byDevice.values()) : [byDevice.get(rule.device)];
+      devices.filter(Boolean).forEach(sample => {
+        if (rule.metric === 'offline') {
+          this.update(rule, sample.deviceId, null, sample.online, sample.online ? 1 : 0, now);
+          return;
+        }
+        if (!sample.online) return; // covered by offline rules
+
+        sample.tuners.forEach(({ tuner, status }) => {
+          if (rule.tuner !== '*' && rule.tuner !== tuner) return;
+          this.evaluateTuner(rule, sample.deviceId, tuner, status, now);
+        });
+      });
+    });
+  }
+
+  async sampleDevice(deviceId, rules) {
+    const online = await this.controller.getVar(deviceId, '/sys/model').then(() => true, () => false);
+    if (!online) return { deviceId, online, tuners: [] };
+
+    const tuners = new Set();
+    const needsAll = rules.some(rule => rule.metric !== 'offline' &&
+      (rule.device === '*' || rule.device === deviceId) && rule.tuner === '*');
+    if (needsAll) {
+      if (!this.tunerCounts.has(deviceId)) {
+        const info = await this.controller.getDeviceInfo(deviceId);
+        this.tunerCounts.set(deviceId, info.tuners);
+      }
+      for (let tuner = 0; tuner < this.tunerCounts.get(deviceId); tuner++) tuners.add(tuner);
+    }
+    rules.forEach(rule => {
+      if (rule.metric !== 'offline' && (rule.device === '*' || rule.device === deviceId) && rule.tuner !== '*') {
+        tuners.add(rule.tuner);
+      }
+    });
+
+    const results = await Promise.all(Array.from(tuners).map(tuner =>
+      this.controller.getTunerStatus(deviceId, tuner)
+        .then(status => ({ tuner, status }), () => ({ tuner, status: null }))
+    ));
+    return { deviceId, online, tuners: results.filter(result => result.status) };
+  }
+
+  evaluateTuner(rule, deviceId, tuner, status, now) {
+    // Idle tuners have nothing to alert about
+    const tuned = status.channel && status.channel !== 'none';
+
+    if (rule.metric === 'lock') {
+      const locked = this.controller.isTunerLocked(status);
+      this.update(rule, deviceId, tuner, !tuned || locked, locked ? 1 : 0, now);
+      return;
+    }
+
+    const value = status[rule.metric];
+    if (!tuned || typeof value !== 'number') {
+      this.update(rule, deviceId, tuner, true, null, now);
+      return;
+    }
+
+    const breached = rule.operator === '<' ? value < rule.threshold : value > rule.threshold;
+    const recovered = rule.operator === '<'
+      ? value >= rule.threshold + rule.hysteresis
+      : value <= rule.threshold - rule.hysteresis;
+    // Inside the hysteresis band: keep whatever state we're in
+    const healthy = breached ? false : recovered ? true : null;
+    this.update(rule, deviceId, tuner, healthy, value, now);
+  }
+
+  // Advance the state machine for one rule/device/tuner. `healthy` is true,
+  // false, or null when the value is inside the hysteresis band. A rule fires
+  // after `duration` of breached values in a row and resolves after `duration`
+  // of recovered values in a row; a value in the band interrupts either.
+  update(rule, deviceId, tuner, healthy, value, now) {
+    const key = `${rule.id}|${deviceId}|${tuner === null ? '-' : tuner}`;
+    let state = this.states.get(key);
+    if (!state) {
+      state = { ruleId: rule.id, device: deviceId, tuner, firing: false, since: null, firedAt: null, value };
+      this.states.set(key, state);
+    }
+    state.value = value;
+
+    const durationMs = rule.duration * 1000;
+    if (!state.firing) {
+      if (healthy === false) {
+        state.since = state.since || now;
+        if (now - state.since >= durationMs) {
+          state.firing = true;
+          state.firedAt = now;
+          state.since = null;
+          this.notify(rule, state, 'firing');
+        }
+      } else {
+        state.since = null;
+      }
+    } else {
+      if (healthy === true) {
+        state.since = state.since || now;
+        if (now - state.since >= durationMs) {
+          state.firing = false;
+          state.firedAt = null;
+          state.since = null;
+          this.notify(rule, state, 'resolved');
+        }
+      } else {
+        state.since = null;
+      }
+    }
+  }
+
+  notify(rule, state, eventState) {
+    const where = state.tuner === null ? state.device : `${state.device} tuner ${state.tuner}`;
+    let message;
+    if (rule.metric === 'offline') {
+      message = eventState === 'firing' ? `Device ${where} is not responding` : `Device ${where} is back online`;
+    } else if (rule.metric === 'lock') {
+      message = eventState === 'firing' ? `${where} lost signal lock` : `${where} is locked again`;
+    } else {
+      message = `${where}: ${METRICS[rule.metric]} is ${state.value} (threshold ${rule.operator} ${rule.threshold})`;
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      state: eventState,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      device: state.device,
+      tuner: state.tuner,
+      value: state.value,
+      message,
+      timestamp: Date.now()
+    };
+    console.log(`Alert ${eventState}: ${rule.name} - ${message}`);
+
+    this.history.push(event);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.splice(0, this.history.length - MAX_HISTORY);
+    }
+    this.saveHistory();
+    this.emit('alert', event);
+    this.emit('changed');
+
+    const targets = this.webhooks.filter(webhook => webhook.enabled &&
+      (rule.webhooks.length === 0 || rule.webhooks.includes(webhook.id)));
+    targets.forEach(webhook => {
+      postWebhook(webhook, event).catch(error => {
+        console.error(`Webhook ${webhook.name} failed:`, error.message);
+      });
+    });
+  }
+}
+
+module.exports = { AlertManager, METRICS, OPERATORS, WEBHOOK_FORMATS };
@@ -0,0 +1,246 @@
+// Versioned REST API, mounted at /api/v2.
+//
+// Unlike the original /api routes, every response has the same shape:
+//   success: { data: ... }
+//   failure: { error: { code, message, details? } } with one of ERROR_CODES
+// Path parameters and bodies are validated before anything is sent to a device,
+// and device failures are reported by cause (unreachable, timed out, tuner in
+// use) instead of a bare 500. The OpenAPI document describing these routes is
+// served at /api/v2/openapi.json with an explorer page at /api/v2/docs.
+
+const express = require('express');
+const { HDHomeRunDeviceError } = require('./hdhomerun-protocol');
+const { CHANNEL_PLANS, channelToFrequency, getChannelPlans } = require('./channel-plans');
+const { buildOpenApi, explorerPage } = require('./openapi');
+
+// code -> HTTP status
+const ERROR_CODES = {
+  'invalid-request': 400,
+  'invalid-tuner': 400,
+  'invalid-channel': 400,
+  'unauthorized': 401,
+  'forbidden': 403,
+  'not-found': 404,
+  'conflict': 409,
+  'tuner-in-use': 409,
+  'device-error': 502,
+  'device-unreachable': 502,
+  'timeout': 504,
+  'internal': 500
+};
+
+const MAX_TUNERS = 8;
+const MIN_FREQUENCY = 40000000;
+const MAX_FREQUENCY = 1000000000;
+// Modulations hdhomerun_config accepts in front of a frequency ("auto:557000000")
+const MODULATIONS = ['auto', 'auto6t', 'auto7t', 'auto8t', 'auto6c', 'auto7c', 'auto8c', '8vsb', 'qam64', 'qam256'];
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+function apiError(code, message, details) {
+  const error = new Error(message);
+  error.errorCode = code;
+  if (details) error.details = details;
+  return error;
+}
+
+// Maps errors from the controller and the lib modules onto an error code
+function toApiError(error) {
+  if (error.errorCode) return error;
+  if (error instanceof HDHomeRunDeviceError) {
+    if (/lock|in use/i.test(error.message)) return apiError('tuner-in-use', `Tuner is in use: ${error.message}`);
+    if (/channel/i.test(error.message)) return apiError('invalid-channel', `The device rejected the channel: ${error.message}`);
+    return apiError('device-error', `The device reported an error: ${error.message}`);
+  }
+  if (/timed out/i.test(error.message) || error.code === 'ETIMEDOUT' || error.killed) {
+    return apiError('timeout', error.message);
+  }
+  if (UNREACHABLE_CODES.includes(error.code) || /connection closed/i.test(error.message)) {
+    return apiError('device-unreachable', error.message);
+  }
+  // Errors with a .status from the lib modules (e.g. settings validation)
+  const byStatus = { 400: 'invalid-request', 404: 'not-found', 409: 'conflict' };
+  if (byStatus[error.status]) return apiError(byStatus[error.status], error.message);
+  return apiError('internal', error.message);
+}
+
+function sendError(res, error) {
+  const { errorCode, message, details } = toApiError(error);
+  if (errorCode === 'internal') console.error('API error:', message);
+  res.status(ERROR_CODES[errorCode]).json({ error: { code: errorCode, message, ...(details ? { details } : {}) } });
+}
+
+// Route handler wrapper: resolves to { data } or the error envelope
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      const data = await fn(req, res);
+      res.json({ data });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+// Resolves a channel request body to the value sent to /tunerN/channel:
+//   { channel: '27', channelMap: 'us-bcast' }  RF channel in a channel map (default: the defaultChannelMap setting)
+//   { channel: 'auto:557000000' }            modulation and frequency in Hz, as hdhomerun_config takes it
+//   { frequency: 557000000 }                 frequency in Hz, tuned as auto:<frequency>
+function parseChannel(body, defaultChannelMap) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw apiError('invalid-request', 'Expected a JSON object with channel or frequency');
+  }
+  const { channel, channelMap, frequency } = body;
+  const checkFrequency = (value) => {
+    const hz = Number(value);
+    if (!Number.isInteger(hz) || hz < MIN_FREQUENCY || hz > MAX_FREQUENCY) {
+      throw apiError('invalid-channel', `Frequency must be a whole number of Hz from ${MIN_FREQUENCY} to ${MAX_FREQUENCY}`, { frequency: value });
+    }
+    return hz;
+  };
+
+  if (frequency !== undefined) {
+    if (channel !== undefined) throw apiError('invalid-request', 'Send either channel or frequency, not both');
+    return `auto:${checkFrequency(frequency)}`;
+  }
+  if (channel === undefined || channel === null || channel === '') {
+    throw apiError('invalid-request', 'Missing channel or frequency');
+  }
+
+  const value = String(channel).trim();
+  const direct = value.match(/^([a-z0-9]+):(\d+)$/i);
+  if (direct) {
+    const modulation = direct[1].toLowerCase();
+    if (!MODULATIONS.includes(modulation)) {
+      throw apiError('invalid-channel', `Unknown modulation ${direct[1]}`, { modulations: MODULATIONS });
+    }
+    return `${modulation}:${checkFrequency(direct[2])}`;
+  }
+
+  const map = channelMap || defaultChannelMap;
+  if (!CHANNEL_PLANS[map]) {
+    throw apiError('invalid-request', `Unknown channel map ${map}`, { channelMaps: Object.keys(CHANNEL_PLANS) });
+  }
+  const hz = /^\d{1,3}[a-z]?$/i.test(value) ? channelToFrequency(value, map) : null;
+  if (!hz) throw apiError('invalid-channel', `Channel ${value} is not in channel map ${map}`, { channel: value, channelMap: map });
+  return `auto:${hz}`;
+}
+
+// Builds the /api/v2 router; `presence` is the DevicePresence tracker
+function createApiV2({ controller, presence, settings, auth }) {
+  const router = express.Router();
+  const rejectRequest = (res, status, message) => sendError(res, apiError(status === 401 ? 'unauthorized' : 'forbidden', message));
+  const requireRole = role => auth.require(role, rejectRequest);
+
+  router.use(express.json());
+  router.use(auth.middleware(['/openapi.json', '/docs'], rejectRequest));
+
+  // The device must have been seen by discovery; gives not-found instead of a connection attempt to any host
+  async function findDevice(deviceId) {
+    if (!/^[\w.:[\]-]{1,64}$/.test(deviceId)) throw apiError('invalid-request', 'Invalid device id');
+    const devices = presence.checkedAt ? presence.list() : await presence.check();
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) throw apiError('not-found', `Device ${deviceId} not found`);
+    return device;
+  }
+
+  async function findTuner(req) {
+    const device = await findDevice(req.params.deviceId);
+    const { tuner } = req.params;
+    const tunerCount = device.tunerCount || MAX_TUNERS;
+    if (!/^\d$/.test(tuner) || Number(tuner) >= tunerCount) {
+      throw apiError('invalid-tuner', `Tuner must be a number from 0 to ${tunerCount - 1}`, { tuner, tunerCount });
+    }
+    // Manually added devices don't report their tuner count; the device rejects tuners it doesn't have
+    if (!device.tunerCount) {
+      await controller.getVar(device.id, `/tuner${tuner}/channel`).catch(error => {
+        if (!(error instanceof HDHomeRunDeviceError)) throw error;
+        throw apiError('invalid-tuner', `Device ${device.id} has no tuner ${tuner}`, { tuner });
+      });
+    }
+    return { device, tuner: Number(tuner) };
+  }
+
+  // getTunerStatus() answers null on any failure; ask again directly for the cause
+  async function tunerStatus(deviceId, tuner) {
+    const status = await controller.getTunerStatus(deviceId, tuner);
+    if (status) return status;
+    await controller.getVar(deviceId, `/tuner${tuner}/status`);
+    throw apiError('device-unreachable', `Device ${deviceId} did not answer`);
+  }
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApi({ errorCodes: ERROR_CODES, modulations: MODULATIONS, channelMaps: Object.keys(CHANNEL_PLANS) }));
+  });
+
+  router.get('/docs', (req, res) => {
+    res.type('html').send(explorerPage('openapi.json'));
+  });
+
+  router.get('/devices', handle(async (req) => {
+    if (req.query.refresh !== undefined && !['true', 'false'].includes(req.query.refresh)) {
+      throw apiError('invalid-request', 'refresh must be true or false');
+    }
+    const refresh = req.query.refresh === 'true';
+    return refresh || !presence.checkedAt ? presence.check(refresh) : presence.list();
+  }));
+
+  router.get('/devices/:deviceId', handle(async (req) => {
+    const device = await findDevice(req.params.deviceId);
+    return presence.getDevice(device.id);
+  }));
+
+  router.get('/devices/:deviceId/info', handle(async (req) => {
+    const device = await findDevice(req.params.deviceId);
+    // getDeviceInfo() falls back to placeholder values when the device doesn't answer
+    await controller.getVar(device.id, '/sys/model');
+    return controller.getDeviceInfo(device.id, true);
+  }));
+
+  router.get('/devices/:deviceId/tuners/:tuner', handle(async (req) => {
+    const { device, tuner } = await findTuner(req);
+    return tunerStatus(device.id, tuner);
+  }));
+
+  router.get('/devices/:deviceId/tuners/:tuner/programs', handle(async (req) => {
+    const { device, tuner } = await findTuner(req);
+    const status = await tunerStatus(device.id, tuner);
+    return controller.isTunerLocked(status) ? controller.getCurrentChannelPrograms(device.id, tuner) : [];
+  }));
+
+  router.put('/devices/:deviceId/tuners/:tuner/channel', requireRole('operator'), handle(async (req) => {
+    const { device, tuner } = await findTuner(req);
+    const channel = parseChannel(req.body, settings.get('defaultChannelMap'));
+    // A tuner locked by another client (a DVR recording, another app) refuses changes
+    const lockkey = await controller.getVar(device.id, `/tuner${tuner}/lockkey`);
+    if (lockkey && lockkey !== 'none') {
+      throw apiError('tuner-in-use', `Tuner ${tuner} is in use by ${lockkey}`, { lockedBy: lockkey });
+    }
+    await controller.setChannel(device.id, tuner, channel);
+    return { deviceId: device.id, tuner, channel };
+  }));
+
+  router.delete('/devices/:deviceId/tuners/:tuner/channel', requireRole('operator'), handle(async (req) => {
+    const { device, tuner } = await findTuner(req);
+    await controller.clearTuner(device.id, tuner);
+    return { deviceId: device.id, tuner, channel: 'none' };
+  }));
+
+  router.get('/channel-plans', handle(async () => getChannelPlans()));
+
+  router.get('/settings', handle(async () => settings.describe()));
+
+  router.put('/settings', requireRole('admin'), handle(async (req) => settings.update(req.body)));
+
+  router.use((req, res) => {
+    sendError(res, apiError('not-found', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+  });
+
+  // Body parser failures (malformed JSON, oversized bodies); express needs all four arguments
+  router.use((error, req, res, next) => {
+    sendError(res, error.type ? apiError('invalid-request', error.type === 'entity.parse.failed' ? 'Malformed JSON body' : error.message) : error);
+  });
+
+  return router;
+}
+
+module.exports = { createApiV2, ERROR_CODES };
@@ -0,0 +1,338 @@
+// Optional local user accounts with roles, and the allowed-origins check.
+//
+// Roles are ordered; each includes the ones before it:
+//   viewer   - read-only monitoring
+//   operator - tune, clear, scan, playback and stream analysis
+//   admin    - settings (calibration, surveys, alerts), firmware and users
+//
+// Users are stored in <dataDir>/users.json with scrypt password hashes. Logging
+// in creates a session token, sent back as an HttpOnly cookie for the web UI
+// and in the response for scripts (as "Authorization: Bearer <token>"). Sessions
+// are kept in memory, so a restart logs everyone out.
+//
+// Failed logins are throttled per client address and per username: after
+// LOGIN_FREE_FAILURES, each further attempt has to wait twice as long as the
+// last (up to LOGIN_MAX_DELAY_MS), until an hour passes without a failure.
+//
+// The origin check applies whether or not accounts are enabled: a request or
+// Socket.IO connection that carries an Origin header must come from the page's
+// own host or an allowed origin, so other web pages can't drive the tuners
+// through the user's browser.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonFile } = require('./json-file');
+const { statusError } = require('./util');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'hdhr_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_FREE_FAILURES = 5;
+const LOGIN_BASE_DELAY_MS = 1000;
+const LOGIN_MAX_DELAY_MS = 15 * 60 * 1000;
+const LOGIN_FAILURE_RESET_MS = 60 * 60 * 1000;
+
+let dummyHash = null;
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked for unknown usernames, so they take the same scrypt work as wrong passwords
+function getDummyHash() {
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  });
+  return cookies;
+}
+
+function sendRefusal(res, status, message) {
+  res.status(status).json({ error: message });
+}
+
+function publicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+class UserStore {
+  constructor(options = {}) {
+    this.file = path.join(options.dataDir, 'users.json');
+    this.users = []; // [{ username, role, passwordHash, createdAt }]
+    this.load();
+  }
+
+  load() {
+    try {
+      this.users = JSON.parse(fs.readFileSync(this.file, 'utf8')).users || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load users:', error.message);
+    }
+  }
+
+  save() {
+    return writeJsonFile(this.file, { users: this.users }, { mode: 0o600 });
+  }
+
+  list() {
+    return this.users.map(publicUser);
+  }
+
+  find(username) {
+    return this.users.find(user => user.username === username) || null;
+  }
+
+  // The user, or null if the name or password is wrong. Unknown names are checked
+  // against a dummy hash, so response times don't tell which usernames exist.
+  authenticate(username, password) {
+    const user = this.find(String(username || ''));
+    const valid = verifyPassword(password, user ? user.passwordHash : getDummyHash());
+    return user && valid ? publicUser(user) : null;
+  }
+
+  async create({ username, password, role }) {
+    username = String(username || '').trim();
+    if (!/^[\w.@-]{1,64}$/.test(username)) {
+      throw statusError(400, 'Usernames may only use letters, digits and . _ @ -');
+    }
+    if (this.find(username)) throw statusError(409, `User ${username} already exists`);
+    const user = {
+      username,
+      role: this.checkRole(role),
+      passwordHash: hashPassword(this.checkPassword(password)),
+      createdAt: Date.now()
+    };
+    this.users.push(user);
+    await this.save();
+    return publicUser(user);
+  }
+
+  async update(username, { password, role }) {
+    const user = this.find(username);
+    if (!user) throw statusError(404, 'User not found');
+    if (role !== undefined) {
+      role = this.checkRole(role);
+      if (user.role === 'admin' && role !== 'admin') this.checkNotLastAdmin(user);
+      user.role = role;
+    }
+    if (password !== undefined) user.passwordHash = hashPassword(this.checkPassword(password));
+    await this.save();
+    return publicUser(user);
+  }
+
+  async remove(username) {
+    const user = this.find(username);
+    if (!user) throw statusError(404, 'User not found');
+    if (user.role === 'admin') this.checkNotLastAdmin(user);
+    this.users = this.users.filter(other => other !== user);
+    await this.save();
+  }
+
+  checkRole(role) {
+    if (!ROLES.includes(role)) throw statusError(400, `Role must be one of ${ROLES.join(', ')}`);
+    return role;
+  }
+
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw statusError(400, `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+  }
+
+  // Nobody could manage users any more
+  checkNotLastAdmin(user) {
+    if (!this.users.some(other => other !== user && other.role === 'admin')) {
+      throw statusError(409, 'At least one admin is needed');
+    }
+  }
+}
+
+class Auth {
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.users = new UserStore({ dataDir: options.dataDir });
+    this.sessions = new Map(); // token -> { username, expires }
+    this.loginFailures = new Map(); // "ip:<address>" or "user:<name>" -> { count, last, retryAt }
+  }
+
+  // With accounts enabled and none set up yet, create "admin" with the given
+  // password, or a random one that is printed once
+  async bootstrap(adminPassword) {
+    if (!this.enabled || this.users.users.length > 0) return;
+    const password = adminPassword || crypto.randomBytes(9).toString('base64url');
+    await this.users.create({ username: 'admin', password, role: 'admin' });
+    if (!adminPassword) console.log(`Created user "admin" with password: ${password}`);
+  }
+
+  // Origin header values allowed besides the server's own host ('*' allows any)
+  isOriginAllowed(origin, host) {
+    if (!origin) return true;
+    if (this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === host;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  requestHost(req) {
+    return req.headers['x-forwarded-host'] || req.headers.host;
+  }
+
+  // `address` is the client's IP address, for throttling failed attempts
+  login(username, password, address = 'unknown') {
+    const keys = [`ip:${address}`, `user:${String(username || '')}`];
+    const now = Date.now();
+    const retryAt = Math.max(0, ...keys.map(key => this.failureFor(key, now).retryAt));
+    if (retryAt > now) {
+      const error = statusError(429, 'Too many failed logins, try again later');
+      error.retryAfter = Math.ceil((retryAt - now) / 1000);
+      throw error;
+    }
+
+    const user = this.users.authenticate(username, password);
+    if (!user) {
+      keys.forEach(key => this.recordFailure(key, now));
+      throw statusError(401, 'Wrong username or password');
+    }
+    keys.forEach(key => this.loginFailures.delete(key));
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(token, { username: user.username, expires: Date.now() + SESSION_TTL_MS });
+    return { token, user, expires: Date.now() + SESSION_TTL_MS };
+  }
+
+  failureFor(key, now) {
+    const failure = this.loginFailures.get(key);
+    if (failure && now - failure.last < LOGIN_FAILURE_RESET_MS) return failure;
+    this.loginFailures.delete(key);
+    return { count: 0, last: now, retryAt: 0 };
+  }
+
+  recordFailure(key, now) {
+    const failure = this.failureFor(key, now);
+    failure.count++;
+    failure.last = now;
+    if (failure.count >= LOGIN_FREE_FAILURES) {
+      const delay = LOGIN_BASE_DELAY_MS * 2 ** (failure.count - LOGIN_FREE_FAILURES);
+      failure.retryAt = now + Math.min(delay, LOGIN_MAX_DELAY_MS);
+    }
+    this.loginFailures.set(key, failure);
+
+    // Forget quiet addresses and names, so guessing many of them doesn't grow the map for good
+    this.loginFailures.forEach((other, otherKey) => {
+      if (now - other.last >= LOGIN_FAILURE_RESET_MS) this.loginFailures.delete(otherKey);
+    });
+  }
+
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  // Token from an Authorization header or the session cookie
+  tokenFrom(headers, handshakeToken) {
+    const match = String(headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+    return handshakeToken || parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  // The logged-in user for a token; role changes and deleted accounts apply at once
+  userFor(token) {
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+    const user = this.users.find(session.username);
+    if (!user || session.expires < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return publicUser(user);
+  }
+
+  // Sets req.user and req.sessionToken; rejects requests from other origins, and
+  // unauthenticated ones unless the path is in `publicPaths`. `reject(res, status,
+  // message)` sends the refusal, for APIs with their own error format.
+  middleware(publicPaths = [], reject = sendRefusal) {
+    return (req, res, next) => {
+      if (!this.isOriginAllowed(req.headers.origin, this.requestHost(req))) {
+        reject(res, 403, `Origin ${req.headers.origin} is not allowed`);
+        return;
+      }
+      if (!this.enabled) {
+        req.user = null;
+        next();
+        return;
+      }
+      req.sessionToken = this.tokenFrom(req.headers);
+      req.user = this.userFor(req.sessionToken);
+      if (!req.user && !publicPaths.includes(req.path)) {
+        reject(res, 401, 'Login required');
+        return;
+      }
+      next();
+    };
+  }
+
+  // Route guard; everything is allowed when accounts are disabled
+  require(role, reject = sendRefusal) {
+    return (req, res, next) => {
+      if (!this.enabled || hasRole(req.user, role)) {
+        next();
+        return;
+      }
+      reject(res, req.user ? 403 : 401, req.user ? `Requires the ${role} role` : 'Login required');
+    };
+  }
+
+  // Socket.IO middleware: the handshake must carry a session cookie or an
+  // auth.token; sets socket.data.user
+  socketMiddleware() {
+    return (socket, next) => {
+      const { headers, auth } = socket.handshake;
+      if (!this.isOriginAllowed(headers.origin, headers['x-forwarded-host'] || headers.host)) {
+        next(new Error(`Origin ${headers.origin} is not allowed`));
+        return;
+      }
+      if (!this.enabled) {
+        socket.data.user = null;
+        next();
+        return;
+      }
+      socket.data.user = this.userFor(this.tokenFrom(headers, auth && auth.token));
+      next(socket.data.user ? undefined : new Error('Login required'));
+    };
+  }
+
+  can(user, role) {
+    return !this.enabled || hasRole(user, role);
+  }
+
+  cookie(token, expires, secure) {
+    const maxAge = Math.max(0, Math.round((expires - Date.now()) / 1000));
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+  }
+}
+
+module.exports = { Auth, UserStore, ROLES, hasRole };
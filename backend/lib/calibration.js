@@ -0,0 +1,342 @@
+// dB calibration for the raw levels in /tunerN/debug ("dbg=65-19/-1817").
+//
+// HDHomeRun devices only report signal strength and SNR as percentages plus
+// the unitless debug values; converting those to dBm/dB needs a curve that
+// depends on the tuner hardware. A profile maps raw values to dB with
+// piecewise-linear curves ([raw, dB] points, extrapolated past the ends) and
+// carries the uncertainty of the result in dB.
+//
+// There is no bench data for individual HDHomeRun models yet, so the built-in
+// profiles are one generic curve per tuner type and apply to every hwmodel.
+// Per-model curves come from user profiles: they are fitted from reference
+// meter readings (see addReference), take precedence for the hwmodel/tuner
+// type they were measured on, and are stored in <dataDir>/calibration.json.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonFile } = require('./json-file');
+const { validationError, notFound } = require('./util');
+
+const TUNER_TYPES = {
+  atsc: 'ATSC 1.0',
+  atsc3: 'ATSC 3.0',
+  dvbt: 'DVB-T/T2',
+  qam: 'QAM (cable)'
+};
+
+// Assumed accuracy of the user's reference meter
+const METER_TOLERANCE_DB = 1;
+
+// The same rough mapping for every tuner type: raw 0..100 over -90..-40 dBm
+// and 0..31 dB. It comes from observed readings, not bench measurements.
+const GENERIC_SIGNAL_CURVE = [[0, -90], [100, -40]];
+const GENERIC_SNR_CURVE = [[0, 0], [100, 31]];
+
+// Checked in order; the first entry whose models and tunerTypes match is used.
+// '*' matches anything, including an unknown model or tuner type. None of these
+// has been measured on a particular hwmodel (`measured: false`), so readings
+// made with them are reported as generic estimates, not as a model profile.
+// Measured curves for specific hwmodels (e.g. models: ['HDHR5-4K']) belong
+// above the generic entries, with `measured: true` and the source of the data.
+const BUILTIN_PROFILES = [
+  {
+    id: 'generic-atsc',
+    label: 'Generic ATSC 1.0 estimate',
+    models: ['*'],
+    tunerTypes: ['atsc'],
+    measured: false,
+    signal: GENERIC_SIGNAL_CURVE,
+    snr: GENERIC_SNR_CURVE,
+    uncertainty: { ssDb: 6, snrDb: 3 }
+  },
+  {
+    id: 'generic-atsc3',
+    label: 'Generic ATSC 3.0 estimate',
+    models: ['*'],
+    tunerTypes: ['atsc3'],
+    measured: false,
+    signal: GENERIC_SIGNAL_CURVE,
+    snr: GENERIC_SNR_CURVE,
+    uncertainty: { ssDb: 8, snrDb: 4 }
+  },
+  {
+    id: 'generic-dvbt',
+    label: 'Generic DVB-T/T2 estimate',
+    models: ['*'],
+    tunerTypes: ['dvbt'],
+    measured: false,
+    signal: GENERIC_SIGNAL_CURVE,
+    snr: GENERIC_SNR_CURVE,
+    uncertainty: { ssDb: 8, snrDb: 4 }
+  },
+  {
+    id: 'generic-qam',
+    label: 'Generic QAM estimate',
+    models: ['*'],
+    tunerTypes: ['qam'],
+    measured: false,
+    signal: GENERIC_SIGNAL_CURVE,
+    snr: GENERIC_SNR_CURVE,
+    uncertainty: { ssDb: 8, snrDb: 4 }
+  },
+  {
+    id: 'generic',
+    label: 'Generic estimate',
+    models: ['*'],
+    tunerTypes: ['*'],
+    measured: false,
+    signal: GENERIC_SIGNAL_CURVE,
+    snr: GENERIC_SNR_CURVE,
+    uncertainty: { ssDb: 8, snrDb: 4 }
+  }
+];
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Tuner type from the modulation in a status line (lock=8vsb, lock=qam256, ...)
+function tunerTypeForModulation(modulation) {
+  if (!modulation) return null;
+  const value = modulation.toLowerCase();
+  if (value.startsWith('atsc3')) return 'atsc3';
+  if (value.includes('vsb')) return 'atsc';
+  if (/^(t\d|t2|dvbt)/.test(value)) return 'dvbt';
+  if (value.startsWith('qam')) return 'qam';
+  return null;
+}
+
+// { signalRaw, snrRaw, extra, modulation } from a /tunerN/debug reply, or null
+function parseDebugLevels(debug) {
+  const match = debug && debug.match(/dbg=(\d+)-(\d+)\/(-?\d+)/);
+  if (!match) return null;
+  const lock = debug.match(/lock=(\S+)/);
+  return {
+    signalRaw: parseInt(match[1]),
+    snrRaw: parseInt(match[2]),
+    extra: parseInt(match[3]),
+    modulation: lock ? lock[1] : null
+  };
+}
+
+// Piecewise-linear interpolation, extrapolating the first/last segment
+function evaluateCurve(points, raw) {
+  if (points.length === 1) return points[0][1];
+  let index = points.findIndex(point => raw < point[0]);
+  if (index <= 0) index = index === 0 ? 1 : points.length - 1;
+  const [x0, y0] = points[index - 1];
+  const [x1, y1] = points[index];
+  return y0 + (raw - x0) * (y1 - y0) / (x1 - x0);
+}
+
+function matchesBuiltin(profile, hwmodel, tunerType) {
+  const modelMatch = profile.models.includes('*') || (hwmodel && profile.models.includes(hwmodel));
+  const typeMatch = profile.tunerTypes.includes('*') || (tunerType && profile.tunerTypes.includes(tunerType));
+  return modelMatch && typeMatch;
+}
+
+function findBuiltin(hwmodel, tunerType) {
+  return BUILTIN_PROFILES.find(profile => matchesBuiltin(profile, hwmodel, tunerType));
+}
+
+// Fit a curve to [raw, measured] pairs. One distinct raw value only fixes an
+// offset, so the base curve is shifted; two or more give a least-squares line.
+// The uncertainty is twice the residual standard error (about 95%) combined
+// with the meter tolerance. Two points always fit exactly, so there is no
+// residual to judge by and a conservative floor is used instead.
+function fitCurve(pairs, baseCurve, baseUncertainty) {
+  if (pairs.length === 0) return null;
+
+  const shiftBase = () => {
+    const offset = pairs.reduce((sum, [raw, measured]) => sum + measured - evaluateCurve(baseCurve, raw), 0) / pairs.length;
+    return {
+      points: baseCurve.map(([raw, value]) => [raw, round1(value + offset)]),
+      uncertainty: round1(Math.max(METER_TOLERANCE_DB * 2, baseUncertainty / 2))
+    };
+  };
+
+  const n = pairs.length;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  const sxx = pairs.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+  if (sxx === 0) return shiftBase();
+
+  const slope = pairs.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0) / sxx;
+  // A falling curve means the references contradict each other (e.g. taken on
+  // different antennas); don't let that invert the scale
+  if (slope <= 0) return shiftBase();
+
+  const intercept = meanY - slope * meanX;
+  let uncertainty = METER_TOLERANCE_DB * 2;
+  if (n > 2) {
+    const ssr = pairs.reduce((sum, [x, y]) => sum + (y - (intercept + slope * x)) ** 2, 0);
+    const standardError = Math.sqrt(ssr / (n - 2));
+    uncertainty = Math.max(METER_TOLERANCE_DB, Math.sqrt((2 * standardError) ** 2 + METER_TOLERANCE_DB ** 2));
+  }
+
+  return {
+    points: [[0, round1(intercept)], [100, round1(intercept + slope * 100)]],
+    uncertainty: round1(uncertainty)
+  };
+}
+
+function parseLevel(value, name, required) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw validationError(`${name} is required`);
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw validationError(`${name} must be a number`);
+  return number;
+}
+
+class CalibrationProfiles {
+  constructor({ dataDir }) {
+    this.file = path.join(dataDir, 'calibration.json');
+    this.profiles = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      this.profiles = JSON.parse(fs.readFileSync(this.file, 'utf8')).profiles || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load calibration profiles:', error.message);
+    }
+  }
+
+  save() {
+    return writeJsonFile(this.file, { profiles: this.profiles });
+  }
+
+  getBuiltinProfiles() {
+    return BUILTIN_PROFILES;
+  }
+
+  getProfiles() {
+    return this.profiles;
+  }
+
+  // The profile used for a hwmodel/tuner type: an enabled user profile measured
+  // on the same hardware, otherwise the first matching built-in one
+  resolve(hwmodel, tunerType) {
+    const user = this.profiles.find(profile =>
+      profile.enabled && profile.hwmodel === hwmodel && profile.tunerType === tunerType && profile.signal);
+    return { user: user || null, builtin: findBuiltin(hwmodel, tunerType) };
+  }
+
+  // Convert parsed debug levels to dB. Returns { ssDb, snrDb, calibration }
+  // where calibration names the profile and the uncertainty (+/- dB) of each value.
+  convert(levels, hwmodel, tunerType) {
+    const { user, builtin } = this.resolve(hwmodel, tunerType);
+    const signal = user ? user.signal : { points: builtin.signal, uncertainty: builtin.uncertainty.ssDb };
+    const snr = user && user.snr ? user.snr : { points: builtin.snr, uncertainty: builtin.uncertainty.snrDb };
+
+    return {
+      ssDb: round1(evaluateCurve(signal.points, levels.signalRaw)),
+      snrDb: levels.snrRaw > 0 ? round1(Math.max(0, evaluateCurve(snr.points, levels.snrRaw))) : 0,
+      calibration: {
+        profile: user ? user.id : builtin.id,
+        label: user ? user.name : builtin.label,
+        source: user ? 'user' : 'builtin',
+        // Whether the curve was measured on this hwmodel; false for the generic estimates
+        measured: user ? true : builtin.measured,
+        hwmodel: hwmodel || null,
+        tunerType: tunerType || null,
+        uncertainty: { ssDb: signal.uncertainty, snrDb: snr.uncertainty }
+      }
+    };
+  }
+
+  // Record a reference meter reading taken while the tuner showed the given
+  // raw levels, and refit the user profile for that hwmodel/tuner type
+  async addReference({ hwmodel, tunerType, deviceId, tuner, channel, signalRaw, snrRaw, ssDb, snrDb }) {
+    if (!hwmodel) throw validationError('The device did not report a hardware model');
+    if (!TUNER_TYPES[tunerType]) throw validationError('The tuner must be locked to a recognised modulation');
+
+    const reference = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      deviceId,
+      tuner,
+      channel,
+      signalRaw,
+      snrRaw,
+      ssDb: parseLevel(ssDb, 'ssDb', true),
+      snrDb: parseLevel(snrDb, 'snrDb', false)
+    };
+
+    let profile = this.profiles.find(p => p.hwmodel === hwmodel && p.tunerType === tunerType);
+    if (!profile) {
+      profile = {
+        id: crypto.randomUUID(),
+        name: `${hwmodel} ${TUNER_TYPES[tunerType]} (measured)`,
+        hwmodel,
+        tunerType,
+        enabled: true,
+        references: []
+      };
+      this.profiles.push(profile);
+    }
+    profile.references.push(reference);
+    this.fit(profile);
+    await this.save();
+    return profile;
+  }
+
+  async deleteReference(profileId, referenceId) {
+    const profile = this.getProfile(profileId);
+    const index = profile.references.findIndex(reference => reference.id === referenceId);
+    if (index === -1) throw notFound('Reference not found');
+    profile.references.splice(index, 1);
+    this.fit(profile);
+    await this.save();
+    return profile;
+  }
+
+  async updateProfile(id, { name, enabled }) {
+    const profile = this.getProfile(id);
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) throw validationError('name must be a non-empty string');
+      profile.name = name.trim();
+    }
+    if (enabled !== undefined) profile.enabled = !!enabled;
+    await this.save();
+    return profile;
+  }
+
+  async deleteProfile(id) {
+    this.getProfile(id);
+    this.profiles = this.profiles.filter(profile => profile.id !== id);
+    await this.save();
+  }
+
+  getProfile(id) {
+    const profile = this.profiles.find(p => p.id === id);
+    if (!profile) throw notFound('Calibration profile not found');
+    return profile;
+  }
+
+  // Refit the curves from the references and record each reference's residual
+  fit(profile) {
+    const base = findBuiltin(profile.hwmodel, profile.tunerType);
+    const signalPairs = profile.references.map(r => [r.signalRaw, r.ssDb]);
+    const snrPairs = profile.references.filter(r => r.snrDb !== null && r.snrRaw > 0).map(r => [r.snrRaw, r.snrDb]);
+
+    profile.base = base.id;
+    profile.signal = fitCurve(signalPairs, base.signal, base.uncertainty.ssDb);
+    profile.snr = fitCurve(snrPairs, base.snr, base.uncertainty.snrDb);
+
+    profile.references.forEach(reference => {
+      reference.ssDbResidual = profile.signal
+        ? round1(reference.ssDb - evaluateCurve(profile.signal.points, reference.signalRaw))
+        : null;
+      reference.snrDbResidual = profile.snr && reference.snrDb !== null && reference.snrRaw > 0
+        ? round1(reference.snrDb - evaluateCurve(profile.snr.points, reference.snrRaw))
+        : null;
+    });
+  }
+}
+
+module.exports = { CalibrationProfiles, TUNER_TYPES, parseDebugLevels, tunerTypeForModulation };
@@ -0,0 +1,193 @@
+// Channel plans: how RF channel numbers map to centre frequencies.
+//
+// Plans are plain data so new regions are a table entry rather than code. The
+// backend uses them for scans and surveys, and serves them to the frontend at
+// /api/channel-plans so the UI labels frequencies with the same tables.
+//
+// Each range is [first channel, last channel, first centre frequency (Hz), spacing (Hz)].
+// `extra` lists channels that don't fit a numbered range (e.g. Australia's 9A).
+// Plans whose id matches a device channel map (us-bcast, eu-cable, ...) use the
+// same frequencies as libhdhomerun; everything is tuned as auto:<frequency>, so
+// plans the device doesn't know about work too.
+
+const REGIONS = [
+  { id: 'us', label: 'United States', defaultPlan: 'us-bcast' },
+  { id: 'eu', label: 'United Kingdom / EU', defaultPlan: 'eu-bcast' },
+  { id: 'au', label: 'Australia', defaultPlan: 'au-bcast' },
+  { id: 'jp', label: 'Japan', defaultPlan: 'jp-bcast' },
+  { id: 'kr', label: 'South Korea', defaultPlan: 'kr-bcast' }
+];
+
+const CHANNEL_PLANS = {
+  'us-bcast': {
+    label: 'US Broadcast',
+    region: 'us',
+    ranges: [
+      [2, 4, 57000000, 6000000],
+      [5, 6, 79000000, 6000000],
+      [7, 13, 177000000, 6000000],
+      [14, 36, 473000000, 6000000]
+    ]
+  },
+  // UHF before the 2016-2020 repack (channels 37-51) and before 2009 (52-69)
+  'us-bcast-51': {
+    label: 'US Broadcast (pre-repack, to 51)',
+    region: 'us',
+    ranges: [
+      [2, 4, 57000000, 6000000],
+      [5, 6, 79000000, 6000000],
+      [7, 13, 177000000, 6000000],
+      [14, 51, 473000000, 6000000]
+    ]
+  },
+  'us-bcast-69': {
+    label: 'US Broadcast (pre-2009, to 69)',
+    region: 'us',
+    ranges: [
+      [2, 4, 57000000, 6000000],
+      [5, 6, 79000000, 6000000],
+      [7, 13, 177000000, 6000000],
+      [14, 69, 473000000, 6000000]
+    ]
+  },
+  'us-cable': {
+    label: 'US Cable',
+    region: 'us',
+    ranges: [
+      [2, 4, 57000000, 6000000],
+      [5, 6, 79000000, 6000000],
+      [7, 13, 177000000, 6000000],
+      [14, 22, 123000000, 6000000],
+      [23, 94, 219000000, 6000000],
+      [95, 99, 93000000, 6000000],
+      [100, 158, 651000000, 6000000]
+    ]
+  },
+  'us-hrc': {
+    label: 'US HRC',
+    region: 'us',
+    ranges: [
+      [2, 4, 55752700, 6000300],
+      [5, 6, 79753900, 6000300],
+      [7, 13, 175758700, 6000300],
+      [14, 22, 121756000, 6000300],
+      [23, 94, 217760800, 6000300],
+      [95, 99, 91754500, 6000300],
+      [100, 158, 649782400, 6000300]
+    ]
+  },
+  'us-irc': {
+    label: 'US IRC',
+    region: 'us',
+    ranges: [
+      [2, 4, 57012500, 6000000],
+      [5, 6, 81012500, 6000000],
+      [7, 13, 177012500, 6000000],
+      [14, 22, 123012500, 6000000],
+      [23, 41, 219012500, 6000000],
+      [42, 42, 333025000, 6000000],
+      [43, 94, 339012500, 6000000],
+      [95, 97, 93012500, 6000000],
+      [98, 99, 111025000, 6000000],
+      [100, 158, 651012500, 6000000]
+    ]
+  },
+  'eu-bcast': {
+    label: 'UK/EU Broadcast',
+    region: 'eu',
+    ranges: [
+      [5, 12, 177500000, 7000000],
+      [21, 60, 474000000, 8000000]
+    ]
+  },
+  'eu-cable': {
+    label: 'UK/EU Cable',
+    region: 'eu',
+    ranges: [
+      [6, 7, 113000000, 8000000],
+      [9, 100, 138000000, 8000000]
+    ]
+  },
+  // VHF has the extra 9A between 9 and 10; UHF ends at 51 since the 2015 restack
+  'au-bcast': {
+    label: 'Australia Broadcast',
+    region: 'au',
+    ranges: [
+      [6, 9, 177500000, 7000000],
+      [10, 12, 212500000, 7000000],
+      [21, 51, 480500000, 7000000]
+    ],
+    extra: [['9A', 205500000]]
+  },
+  // ISDB-T, UHF only; centres sit 1/7 MHz above the 6 MHz channel raster
+  'jp-bcast': {
+    label: 'Japan Broadcast (ISDB-T)',
+    region: 'jp',
+    ranges: [
+      [13, 62, 473142857, 6000000]
+    ]
+  },
+  'kr-bcast': {
+    label: 'Korea Broadcast',
+    region: 'kr',
+    ranges: [
+      [2, 4, 57000000, 6000000],
+      [5, 6, 79000000, 6000000],
+      [7, 13, 177000000, 6000000],
+      [14, 69, 473000000, 6000000]
+    ]
+  }
+};
+
+// Expand a plan into [{ channel, frequency }] in scan (range) order
+function getChannelList(planId) {
+  const plan = CHANNEL_PLANS[planId];
+  if (!plan) return null;
+
+  const channels = [];
+  plan.ranges.forEach(([first, last, frequency, spacing]) => {
+    for (let channel = first; channel <= last; channel++) {
+      channels.push({ channel, frequency: frequency + (channel - first) * spacing });
+    }
+  });
+  (plan.extra || []).forEach(([channel, frequency]) => {
+    const index = channels.findIndex(entry => entry.frequency > frequency);
+    channels.splice(index === -1 ? channels.length : index, 0, { channel, frequency });
+  });
+  return channels;
+}
+
+function channelToFrequency(channel, planId) {
+  const entry = (getChannelList(planId) || []).find(c => String(c.channel) === String(channel).toUpperCase());
+  return entry ? entry.frequency : null;
+}
+
+// Nearest channel whose centre is within 3 MHz (half the narrowest channel) of the frequency
+function frequencyToChannel(frequency, planId) {
+  let best = null;
+  (getChannelList(planId) || []).forEach(entry => {
+    const distance = Math.abs(entry.frequency - frequency);
+    if (distance <= 3000000 && (!best || distance < best.distance)) {
+      best = { channel: entry.channel, distance };
+    }
+  });
+  return best ? best.channel : null;
+}
+
+// Plans expanded to channel lists, as served to the frontend
+function getChannelPlans() {
+  const plans = {};
+  Object.entries(CHANNEL_PLANS).forEach(([id, plan]) => {
+    plans[id] = { id, label: plan.label, region: plan.region, channels: getChannelList(id) };
+  });
+  return { regions: REGIONS, plans };
+}
+
+module.exports = {
+  REGIONS,
+  CHANNEL_PLANS,
+  getChannelList,
+  channelToFrequency,
+  frequencyToChannel,
+  getChannelPlans
+};
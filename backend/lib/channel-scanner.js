@@ -0,0 +1,150 @@
+// Cancellable channel scan that reports progress as it goes.
+//
+// Steps a tuner through every frequency of a channel map, the same way
+// `hdhomerun_config scan` does, emitting:
+//   'scanning' { index, total, frequency, channel, channelMap }
+//   'lock'     { ...scanning fields, modulation, signalStrength, snr, symbolQuality }
+//   'program'  { frequency, channel, program: { programNum, virtualChannel, name, encrypted } }
+//   'channel'  the completed channel result (only for channels that locked)
+//   'complete' { channels, cancelled }
+// The tuner is returned to its previous channel afterwards.
+
+const { EventEmitter } = require('events');
+const { getChannelList } = require('./channel-plans');
+const { delay } = require('./util');
+
+const LOCK_TIMEOUT_MS = 2500;
+const SIGNAL_DETECT_MS = 1000;
+const PROGRAM_TIMEOUT_MS = 6000;
+const POLL_INTERVAL_MS = 250;
+
+class ChannelScanner extends EventEmitter {
+  constructor(controller, deviceId, tuner, channelMap = 'us-bcast') {
+    super();
+    this.controller = controller;
+    this.deviceId = deviceId;
+    this.tuner = parseInt(tuner);
+    this.channelMap = channelMap;
+    this.cancelled = false;
+    this.running = false;
+    this.channels = [];
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async start() {
+    const channelList = getChannelList(this.channelMap);
+    if (!channelList) {
+      throw new Error(`Unknown channel map: ${this.channelMap}`);
+    }
+
+    this.running = true;
+    const channelPath = `/tuner${this.tuner}/channel`;
+    const previousChannel = await this.controller.getVar(this.deviceId, channelPath).catch(() => 'none');
+
+    try {
+      for (let index = 0; index < channelList.length && !this.cancelled; index++) {
+        const result = await this.scanChannel(channelList[index], index, channelList.length);
+        if (result) {
+          this.channels.push(result);
+          this.emit('channel', result);
+        }
+      }
+    } finally {
+      await this.controller.setVar(this.deviceId, channelPath, previousChannel || 'none').catch(error => {
+        console.error(`Failed to restore tuner ${this.tuner} after scan:`, error.message);
+      });
+      this.running = false;
+    }
+
+    this.emit('complete', { channels: this.channels, cancelled: this.cancelled });
+    return this.channels;
+  }
+
+  async scanChannel({ channel, frequency }, index, total) {
+    const progress = {
+      index,
+      total,
+      frequency,
+      channel: `${this.channelMap}:${channel}`,
+      channelMap: this.channelMap
+    };
+    this.emit('scanning', progress);
+
+    try {
+      await this.controller.setVar(this.deviceId, `/tuner${this.tuner}/channel`, `auto:${frequency}`);
+    } catch (error) {
+      console.error(`Scan: failed to tune ${frequency}:`, error.message);
+      return null;
+    }
+
+    const status = await this.waitForLock();
+    if (!status || this.cancelled) return null;
+
+    const result = {
+      frequency: String(frequency),
+      channel: progress.channel,
+      modulation: status.modulation,
+      signalStrength: status.ss || 0,
+      snr: status.snq || 0,
+      symbolQuality: status.seq || 0,
+      programs: []
+    };
+    this.emit('lock', { ...progress, ...result });
+
+    const programs = await this.waitForPrograms();
+    programs.forEach(program => {
+      const entry = {
+        programNum: program.programNum,
+        virtualChannel: program.virtualChannel,
+        name: program.name,
+        encrypted: program.encrypted
+      };
+      result.programs.push(entry);
+      this.emit('program', { frequency: result.frequency, channel: result.channel, program: entry });
+    });
+
+    return result;
+  }
+
+  // Wait for the demodulator to lock. Gives up early when no signal is present.
+  async waitForLock() {
+    const start = Date.now();
+    while (!this.cancelled && Date.now() - start < LOCK_TIMEOUT_MS) {
+      await delay(POLL_INTERVAL_MS);
+      const status = await this.controller.getTunerStatus(this.deviceId, this.tuner);
+      if (!status) continue;
+
+      if (this.controller.isTunerLocked(status)) {
+        return status;
+      }
+      if (Date.now() - start >= SIGNAL_DETECT_MS && (status.ss || 0) < 45) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  // Wait until streaminfo lists programs and stops changing
+  async waitForPrograms() {
+    const start = Date.now();
+    let previous = null;
+    let programs = [];
+
+    while (!this.cancelled && Date.now() - start < PROGRAM_TIMEOUT_MS) {
+      await delay(POLL_INTERVAL_MS * 2);
+      const streaminfo = await this.controller.getVar(this.deviceId, `/tuner${this.tuner}/streaminfo`).catch(() => null);
+      if (!streaminfo) continue;
+
+      programs = this.controller.parseStreamInfo(streaminfo);
+      if (programs.length > 0 && streaminfo === previous) break;
+      previous = streaminfo;
+    }
+
+    return programs;
+  }
+}
+
+module.exports = { ChannelScanner };
@@ -0,0 +1,170 @@
+// Constellation samples from /tunerN/plotsample and a MER estimate.
+//
+// The device returns space-separated hex words, each holding one equalised
+// symbol as two signed 12-bit values: I in bits 12-23 and Q in bits 0-11.
+//
+// The analysis is decision-directed: samples are scaled onto the ideal grid for
+// the modulation, each is assigned its nearest ideal point, and MER is the ratio
+// of ideal power to error power. The shape of the error then hints at the cause:
+//   - outer points pulled in more than inner ones: compression, i.e. overload
+//   - errors mostly along the circle rather than radial: phase noise
+//   - errors bunched into sub-clusters (low kurtosis): echoes the equaliser
+//     couldn't remove, i.e. multipath
+//   - otherwise round, gaussian clusters: plain noise
+
+const SAMPLE_LIMIT = 2047; // 12-bit signed full scale
+
+// Approximate MER needed for error-free reception, for judging the margin
+const REQUIRED_MER = {
+  vsb8: 15.2,
+  qpsk: 9,
+  qam16: 16,
+  qam64: 22,
+  qam256: 28
+};
+
+function toSigned12(value) {
+  return value & 0x800 ? value - 0x1000 : value;
+}
+
+// [[i, q], ...] from a plotsample reply
+function parsePlotsample(text) {
+  if (!text) return [];
+  return text.trim().split(/\s+/)
+    .filter(word => /^[0-9a-f]+$/i.test(word))
+    .map(word => {
+      const raw = parseInt(word, 16);
+      return [toSigned12((raw >> 12) & 0xfff), toSigned12(raw & 0xfff)];
+    });
+}
+
+// Ideal constellation for a tuner modulation (lock=8vsb, qam256, t8qam64, ...)
+function schemeForModulation(modulation) {
+  if (!modulation) return null;
+  const value = modulation.toLowerCase();
+  if (value.includes('8vsb')) return { id: 'vsb8', levels: [-7, -5, -3, -1, 1, 3, 5, 7], oneDimensional: true };
+  if (value.includes('qpsk')) return { id: 'qpsk', levels: [-1, 1] };
+  const qam = value.match(/qam(16|64|256)/);
+  if (qam) {
+    const side = Math.sqrt(parseInt(qam[1]));
+    return { id: `qam${qam[1]}`, levels: Array.from({ length: side }, (_, k) => 2 * k - side + 1) };
+  }
+  return null;
+}
+
+function nearestLevel(levels, value) {
+  let best = levels[0];
+  levels.forEach(level => {
+    if (Math.abs(level - value) < Math.abs(best - value)) best = level;
+  });
+  return best;
+}
+
+function decide(scheme, i, q) {
+  return [nearestLevel(scheme.levels, i), scheme.oneDimensional ? 0 : nearestLevel(scheme.levels, q)];
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function analyzeConstellation(samples, modulation) {
+  const clipped = samples.filter(([i, q]) => Math.abs(i) >= SAMPLE_LIMIT || Math.abs(q) >= SAMPLE_LIMIT).length;
+  const result = {
+    scheme: null,
+    count: samples.length,
+    clipped: samples.length ? round1(clipped / samples.length * 100) : 0, // percent of samples at full scale
+    mer: null,
+    margin: null,
+    compression: null,
+    phaseRatio: null,
+    kurtosis: null,
+    diagnosis: null
+  };
+
+  const scheme = schemeForModulation(modulation);
+  if (!scheme || samples.length < 16) return result;
+  result.scheme = scheme.id;
+
+  const points = scheme.oneDimensional ? samples.map(([i]) => [i, 0]) : samples;
+
+  // Start from equal average power, then refine the scale by least squares
+  // against the decisions a few times
+  const idealPower = scheme.levels.reduce((sum, level) => sum + level * level, 0) / scheme.levels.length *
+    (scheme.oneDimensional ? 1 : 2);
+  const samplePower = points.reduce((sum, [i, q]) => sum + i * i + q * q, 0) / points.length;
+  if (samplePower === 0) return result;
+  let scale = Math.sqrt(idealPower / samplePower);
+  let decisions = [];
+  for (let pass = 0; pass < 3; pass++) {
+    decisions = points.map(([i, q]) => decide(scheme, i * scale, q * scale));
+    const dot = points.reduce((sum, [i, q], n) => sum + i * decisions[n][0] + q * decisions[n][1], 0);
+    const power = points.reduce((sum, [i, q]) => sum + i * i + q * q, 0);
+    if (dot <= 0) break;
+    scale = dot / power;
+  }
+
+  let signal = 0;
+  let error = 0;
+  let radial = 0;
+  let tangential = 0;
+  const errors = [];
+  points.forEach(([i, q], n) => {
+    const [di, dq] = decisions[n];
+    const ei = i * scale - di;
+    const eq = q * scale - dq;
+    signal += di * di + dq * dq;
+    error += ei * ei + eq * eq;
+    errors.push(ei, ...(scheme.oneDimensional ? [] : [eq]));
+
+    // Split the error into components along and across the ideal point's radius
+    const magnitude = Math.sqrt(di * di + dq * dq);
+    const r = (ei * di + eq * dq) / magnitude;
+    const t = (eq * di - ei * dq) / magnitude;
+    radial += r * r;
+    tangential += t * t;
+  });
+
+  const mer = error > 0 ? 10 * Math.log10(signal / error) : 60;
+  result.mer = round1(Math.min(mer, 60));
+  result.margin = round1(result.mer - REQUIRED_MER[scheme.id]);
+
+  // Gain of the outermost ring relative to the inner points; below 1 means compression
+  const maxLevel = scheme.levels[scheme.levels.length - 1];
+  const isOuter = ([di, dq]) => Math.abs(di) === maxLevel || Math.abs(dq) === maxLevel;
+  const gain = outer => {
+    const pairs = points.map((point, n) => [point, decisions[n]]).filter(([, d]) => isOuter(d) === outer);
+    if (pairs.length === 0) return null;
+    const dot = pairs.reduce((sum, [[i, q], [di, dq]]) => sum + (i * di + q * dq) * scale, 0);
+    const power = pairs.reduce((sum, [, [di, dq]]) => sum + di * di + dq * dq, 0);
+    return dot / power;
+  };
+  const outerGain = gain(true);
+  const innerGain = gain(false);
+  if (outerGain && innerGain) result.compression = Math.round(outerGain / innerGain * 1000) / 1000;
+
+  if (!scheme.oneDimensional && radial > 0) result.phaseRatio = round1(Math.sqrt(tangential / radial));
+
+  const variance = errors.reduce((sum, e) => sum + e * e, 0) / errors.length;
+  if (variance > 0) {
+    result.kurtosis = round1(errors.reduce((sum, e) => sum + e ** 4, 0) / errors.length / (variance * variance));
+  }
+
+  if (result.clipped > 1 || (result.compression !== null && result.compression < 0.92)) {
+    result.diagnosis = 'overload';
+  } else if (result.margin > 6) {
+    result.diagnosis = 'good';
+  } else if (result.phaseRatio !== null && result.phaseRatio > 1.5) {
+    result.diagnosis = 'phase';
+  } else if (result.kurtosis !== null && result.kurtosis < 2.4 && result.margin > -3) {
+    // Far below threshold the errors wrap into neighbouring decision regions and
+    // look flat-topped regardless of the cause, so this is only judged near or above it
+    result.diagnosis = 'multipath';
+  } else {
+    result.diagnosis = 'noise';
+  }
+
+  return result;
+}
+
+module.exports = { parsePlotsample, analyzeConstellation, schemeForModulation };
@@ -0,0 +1,126 @@
+// Device details from the HDHomeRun HTTP API (discover.json, lineup_status.json)
+// and the /sys/features variable, plus a record of the firmware versions each
+// device has been seen running.
+//
+// /sys/features lists what the tuners support, one "key: values" line each:
+//   channelmap: us-bcast us-cable us-hrc us-irc
+//   modulation: 8vsb qam256 qam64
+// The broadcast standards shown for a device are worked out from the modulations.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { writeJsonFile } = require('./json-file');
+
+const HTTP_TIMEOUT_MS = 3000;
+const MAX_FIRMWARE_HISTORY = 50;
+const LAST_SEEN_SAVE_MS = 60 * 60 * 1000;
+
+const STANDARDS = [
+  { id: 'atsc', label: 'ATSC 1.0', test: modulations => modulations.includes('8vsb') },
+  { id: 'atsc3', label: 'ATSC 3.0', test: modulations => modulations.some(m => m.startsWith('atsc3')) },
+  { id: 'qam', label: 'Clear QAM', test: modulations => modulations.some(m => /^qam\d/.test(m)) },
+  { id: 'dvbt', label: 'DVB-T', test: modulations => modulations.some(m => /^t\d/.test(m)) },
+  { id: 'dvbt2', label: 'DVB-T2', test: modulations => modulations.some(m => /^(tt|t2|dvbt2)/.test(m)) },
+  { id: 'dvbc', label: 'DVB-C', test: modulations => modulations.some(m => /^a\d/.test(m)) },
+  { id: 'isdbt', label: 'ISDB-T', test: modulations => modulations.some(m => m.startsWith('isdb')) }
+];
+
+// { key: [values] } from /sys/features
+function parseFeatures(text) {
+  const features = {};
+  (text || '').split('\n').forEach(line => {
+    const match = line.match(/^\s*([\w-]+):\s*(.*)$/);
+    if (match) features[match[1]] = match[2].trim().split(/\s+/).filter(Boolean);
+  });
+  return features;
+}
+
+// [{ id, label }] of the standards a device supports. ATSC 3.0 models don't
+// always list it as a modulation, so a "4K" model name counts too.
+function detectStandards(features, model) {
+  const modulations = [...(features.modulation || []), ...(features['auto-modulation'] || [])]
+    .map(m => m.toLowerCase());
+  return STANDARDS
+    .filter(standard => standard.test(modulations) || (standard.id === 'atsc3' && /4K/i.test(model || '')))
+    .map(({ id, label }) => ({ id, label }));
+}
+
+// GET a JSON document; null on any failure so a missing HTTP API only leaves fields empty
+function fetchJson(url) {
+  return new Promise(resolve => {
+    const request = http.get(url, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        resolve(null);
+        return;
+      }
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          resolve(null);
+        }
+      });
+      response.on('error', () => resolve(null));
+    });
+    request.on('error', () => resolve(null));
+    request.setTimeout(HTTP_TIMEOUT_MS, () => {
+      request.destroy();
+      resolve(null);
+    });
+  });
+}
+
+class FirmwareHistory {
+  constructor(options = {}) {
+    this.file = path.join(options.dataDir, 'firmware-history.json');
+    this.devices = {}; // deviceId -> [{ version, name, firstSeen, lastSeen }], oldest first
+    this.savedLastSeen = new Map(); // deviceId -> lastSeen as last written to the file
+    this.load();
+  }
+
+  load() {
+    try {
+      this.devices = JSON.parse(fs.readFileSync(this.file, 'utf8')).devices || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load firmware history:', error.message);
+    }
+  }
+
+  save() {
+    return writeJsonFile(this.file, { devices: this.devices });
+  }
+
+  // Note that a device is running `version`; returns its history. The file is
+  // only rewritten when the version or name changes, or to refresh lastSeen
+  // once per LAST_SEEN_SAVE_MS, since this runs every time device info is read
+  async record(deviceId, version, name = null, timestamp = Date.now()) {
+    const history = this.devices[deviceId] || [];
+    const current = history[history.length - 1];
+    let changed = true;
+    if (current && current.version === version) {
+      changed = (name && current.name !== name) || timestamp - (this.savedLastSeen.get(deviceId) || 0) >= LAST_SEEN_SAVE_MS;
+      if (name) current.name = name;
+      current.lastSeen = timestamp;
+    } else {
+      history.push({ version, name, firstSeen: timestamp, lastSeen: timestamp });
+      if (history.length > MAX_FIRMWARE_HISTORY) history.shift();
+    }
+    this.devices[deviceId] = history;
+    if (changed) {
+      this.savedLastSeen.set(deviceId, timestamp);
+      await this.save();
+    }
+    return history;
+  }
+
+  get(deviceId) {
+    return this.devices[deviceId] || [];
+  }
+}
+
+module.exports = { FirmwareHistory, parseFeatures, detectStandards, fetchJson };
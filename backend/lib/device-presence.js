@@ -0,0 +1,258 @@
+// Background device presence tracking.
+//
+// Every check runs discovery and asks each discovered device for /sys/model, so
+// a device that stops answering is noticed even while discovery still lists it
+// (manual devices are cached for minutes). Devices that were seen once are
+// remembered after they disappear, so the device list can show offline devices
+// with when they were last seen.
+//
+// State and a timeline of transitions are stored in <dataDir>/device-presence.json:
+//   { type: 'online' | 'offline', deviceId, timestamp, ip }
+//   { type: 'ip-changed', deviceId, timestamp, ip, previousIp }
+// Emits 'changed' with list() whenever a device appears, goes on- or offline,
+// changes address or name.
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonFile } = require('./json-file');
+const { statusError } = require('./util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PROBE_TIMEOUT_MS = 5000;
+const SAVE_DELAY_MS = 5000; // lastSeen changes on every check; batch those writes
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out')), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+class DevicePresence extends EventEmitter {
+  constructor(controller, options = {}) {
+    super();
+    this.controller = controller;
+    this.file = path.join(options.dataDir, 'device-presence.json');
+    this.interval = options.interval || 30000;
+    this.retentionDays = options.retentionDays || 30;
+    this.devices = {}; // deviceId -> { id, ip, name, tunerCount, baseUrl, online, firstSeen, lastSeen, onlineSince }
+    this.timeline = []; // Transitions, oldest first
+    this.checking = null;
+    this.checkedAt = null; // Time of the last completed check
+    this.timer = null;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.devices = data.devices || {};
+      this.timeline = data.timeline || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load device presence:', error.message);
+    }
+  }
+
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await writeJsonFile(this.file, { devices: this.devices, timeline: this.timeline });
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.error('Failed to save device presence:', error.message));
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  start() {
+    this.check();
+    this.timer = setInterval(() => this.check(), this.interval);
+    this.timer.unref();
+  }
+
+  setCheckInterval(interval) {
+    this.interval = interval;
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.check(), this.interval);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.saveTimer) await this.save().catch(() => {});
+  }
+
+  // One check at a time; callers during a check share its result. A forced
+  // check (the refresh button) clears the discovery caches, so it runs after
+  // the current one instead of sharing it.
+  check(forceRefresh = false) {
+    if (!this.checking || forceRefresh) {
+      const checking = (this.checking || Promise.resolve())
+        .then(() => this.runCheck(forceRefresh))
+        .catch(error => {
+          console.error('Device presence check failed:', error.message);
+        })
+        .finally(() => {
+          if (this.checking === checking) this.checking = null;
+        });
+      this.checking = checking;
+    }
+    return this.checking.then(() => this.list());
+  }
+
+  async runCheck(forceRefresh) {
+    const discovered = await this.controller.discoverDevices(forceRefresh, !forceRefresh);
+    const answering = await Promise.all(discovered.map(device => device.online === false
+      ? false
+      : withTimeout(this.controller.getVar(device.id, '/sys/model'), PROBE_TIMEOUT_MS).then(() => true, () => false)
+    ));
+
+    const now = Date.now();
+    let changed = false;
+    const seen = new Set();
+
+    discovered.forEach((device, index) => {
+      seen.add(device.id);
+      const online = answering[index];
+      const known = this.devices[device.id];
+
+      if (!known) {
+        this.devices[device.id] = {
+          id: device.id,
+          ip: device.ip,
+          name: device.name,
+          tunerCount: device.tunerCount || null,
+          baseUrl: device.baseUrl || null,
+          online,
+          firstSeen: online ? now : null,
+          lastSeen: online ? now : null,
+          onlineSince: online ? now : null
+        };
+        if (online) this.record({ type: 'online', deviceId: device.id, timestamp: now, ip: device.ip });
+        changed = true;
+        return;
+      }
+
+      if (online && known.ip !== device.ip) {
+        this.record({ type: 'ip-changed', deviceId: device.id, timestamp: now, ip: device.ip, previousIp: known.ip });
+        known.ip = device.ip;
+        changed = true;
+      }
+      // An offline manual device is named after its host; keep the name it had while online
+      if (online && known.name !== device.name) {
+        known.name = device.name;
+        changed = true;
+      }
+      if (device.tunerCount) known.tunerCount = device.tunerCount;
+      if (device.baseUrl) known.baseUrl = device.baseUrl;
+      changed = this.setOnline(known, online, now) || changed;
+    });
+
+    // Remembered devices discovery no longer finds
+    Object.values(this.devices).forEach(known => {
+      if (!seen.has(known.id)) changed = this.setOnline(known, false, now) || changed;
+    });
+
+    this.prune(now);
+    this.checkedAt = now;
+    if (changed) {
+      await this.save();
+      this.emit('changed', this.list());
+    } else {
+      this.scheduleSave();
+    }
+  }
+
+  // Returns whether the device went on- or offline
+  setOnline(known, online, now) {
+    if (online) {
+      known.lastSeen = now;
+      if (!known.firstSeen) known.firstSeen = now;
+    }
+    if (known.online === online) return false;
+
+    known.online = online;
+    known.onlineSince = online ? now : null;
+    this.record({ type: online ? 'online' : 'offline', deviceId: known.id, timestamp: now, ip: known.ip });
+    console.log(`Device ${known.id} is ${online ? 'online' : 'offline'}`);
+    return true;
+  }
+
+  record(event) {
+    this.timeline.push(event);
+  }
+
+  prune(now) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    if (this.timeline.length > 0 && this.timeline[0].timestamp < cutoff) {
+      this.timeline = this.timeline.filter(event => event.timestamp >= cutoff);
+    }
+  }
+
+  // Every device seen so far, online ones first, in the shape of the device list
+  list() {
+    return Object.values(this.devices)
+      .map(device => ({ ...device }))
+      .sort((a, b) => Number(b.online) - Number(a.online));
+  }
+
+  // Fraction of the time since `from` the device was online, or null if nothing is known about it
+  availability(deviceId, from, now = Date.now()) {
+    let online = null;
+    let since = from;
+    let onlineMs = 0;
+    let knownMs = 0;
+    const count = until => {
+      if (online === null) return;
+      knownMs += until - since;
+      if (online) onlineMs += until - since;
+    };
+
+    this.timeline
+      .filter(event => event.deviceId === deviceId && event.type !== 'ip-changed')
+      .forEach(event => {
+        if (event.timestamp > from) {
+          count(event.timestamp);
+          since = event.timestamp;
+        }
+        online = event.type === 'online';
+      });
+    count(now);
+    return knownMs > 0 ? onlineMs / knownMs : null;
+  }
+
+  // The device's presence and transitions, newest first
+  getDevice(deviceId) {
+    const device = this.devices[deviceId];
+    if (!device) return null;
+    const now = Date.now();
+    return {
+      ...device,
+      availability24h: this.availability(deviceId, now - DAY_MS, now),
+      timeline: this.timeline.filter(event => event.deviceId === deviceId).reverse()
+    };
+  }
+
+  // Drops an offline device, e.g. one that was replaced or removed from HDHOMERUN_DEVICES
+  async forget(deviceId) {
+    const device = this.devices[deviceId];
+    if (!device) throw statusError(404, 'Device not found');
+    if (device.online) throw statusError(409, 'Only offline devices can be forgotten');
+    delete this.devices[deviceId];
+    this.timeline = this.timeline.filter(event => event.deviceId !== deviceId);
+    await this.save();
+    this.emit('changed', this.list());
+  }
+}
+
+module.exports = { DevicePresence };
@@ -0,0 +1,411 @@
+// Virtual HDHomeRun devices for demos and tests without hardware.
+//
+// With HDHOMERUN_SIMULATOR=true the controller sends every get/set to this
+// module instead of the network, and discovery lists its devices. Each device
+// answers the control variables the app uses (/sys/*, /tunerN/channel, status,
+// debug, streaminfo, program, plpinfo, l1info, plotsample, lockkey, target) in
+// the same text formats as real firmware, so the parsers, pollers and routes
+// all run unchanged. HTTP API and stream requests (discover.json, port 5004)
+// are not simulated; devices get loopback addresses so those fail straight away.
+//
+// Devices come from HDHOMERUN_SIMULATOR_CONFIG (a JSON file) or DEFAULT_DEVICES:
+//   { "devices": [{ "id": "105A4B01", "model": "HDFX-4K", "tuners": 4, "lineup": "us" }] }
+// `model` is one of MODELS; `tuners` defaults to the model's count; `lineup` is
+// the name of one of LINEUPS or an array of channels in the same format:
+//   { channel: 35, modulation: '8vsb', programs: [[3, '35.1', 'KAAA']],
+//     signal: { dbm: -55, snr: 28, fade: { depth: 6, period: 120 }, dropout: { every: 300, duration: 10 } } }
+// Signal levels follow the channel's curve over time: a slow fade of `depth` dB
+// over `period` seconds and a loss of signal for the last `duration` seconds of
+// every `every` seconds, plus a little jitter. Tuners lock when the SNR clears the
+// modulation's threshold, and lose lock in fades and dropouts.
+
+const fs = require('fs');
+const { HDHomeRunDeviceError } = require('./hdhomerun-protocol');
+const { CHANNEL_PLANS, channelToFrequency, getChannelList } = require('./channel-plans');
+const { schemeForModulation } = require('./constellation');
+
+const NOISE_FLOOR_DBM = -95;
+const PLOTSAMPLE_COUNT = 512;
+
+const US_FEATURES = 'channelmap: us-bcast us-cable us-hrc us-irc\nmodulation: 8vsb qam256 qam64\nauto-modulation: auto auto6t auto6c qam';
+const MODELS = {
+  'HDFX-4K': {
+    model: 'hdhomerun5_atsc3',
+    tuners: 4,
+    channelMap: 'us-bcast',
+    features: 'channelmap: us-bcast us-cable us-hrc us-irc\nmodulation: 8vsb qam256 qam64 atsc3\nauto-modulation: auto auto6t auto6c qam'
+  },
+  'HDHR5-4US': { model: 'hdhomerun5_atsc', tuners: 4, channelMap: 'us-bcast', features: US_FEATURES },
+  'HDHR5-2US': { model: 'hdhomerun5_atsc', tuners: 2, channelMap: 'us-bcast', features: US_FEATURES },
+  'HDHR5-4DT': {
+    model: 'hdhomerun5_dvbt',
+    tuners: 4,
+    channelMap: 'eu-bcast',
+    features: 'channelmap: eu-bcast eu-cable au-bcast au-cable\nmodulation: t8qam64 t8qam16 t7qam64 t2qam256 a8qam256 a8qam64\nauto-modulation: auto auto6t auto7t auto8t auto6c auto7c auto8c'
+  }
+};
+
+// SNR in dB needed to decode each modulation without errors
+const REQUIRED_SNR = {
+  '8vsb': 15.2,
+  qpsk: 1,
+  qam16: 8,
+  qam64: 19,
+  qam256: 21
+};
+
+// Transport stream rates when locked
+const BITRATES = { '8vsb': 19392712, atsc3: 25165824, t8qam64: 24128342, t8qam16: 16085561, t2qam256: 40215040 };
+
+const LINEUPS = {
+  us: [
+    {
+      channel: 7, modulation: '8vsb', tsid: '0x0231',
+      programs: [[3, '7.1', 'KAAA'], [4, '7.2', 'KAAA-SD']],
+      signal: { dbm: -71, snr: 18, fade: { depth: 6, period: 90 } } // VHF-high fringe station, in and out of lock
+    },
+    {
+      channel: 22, modulation: '8vsb', tsid: '0x0457',
+      programs: [[1, '22.1', 'KBBB'], [2, '22.2', 'Movies'], [3, '22.3', 'Retro']],
+      signal: { dbm: -52, snr: 29 }
+    },
+    {
+      channel: 27, modulation: '8vsb', tsid: '0x06a1',
+      programs: [[1, '27.1', 'KCCC'], [2, '27.2', 'Weather'], [5, '27.5', 'PPV', true]],
+      signal: { dbm: -60, snr: 25, dropout: { every: 180, duration: 8 } } // Drops out briefly every 3 minutes
+    },
+    {
+      channel: 34, modulation: 'atsc3',
+      programs: [[101, '34.1', 'KDDD'], [102, '34.2', 'KEEE'], [103, '34.3', 'KFFF']],
+      plps: [
+        { id: 0, modulation: 'qpsk', coderate: '5/15', layer: 'core', lls: true },
+        { id: 1, modulation: 'qam256', coderate: '10/15', layer: 'core' }
+      ],
+      signal: { dbm: -58, snr: 22, fade: { depth: 3, period: 60 } }
+    },
+    {
+      channel: 35, modulation: '8vsb', tsid: '0x0823',
+      programs: [[3, '35.1', 'KGGG'], [4, '35.2', 'KGGG-2']],
+      signal: { dbm: -64, snr: 21 }
+    }
+  ],
+  eu: [
+    {
+      channel: 22, modulation: 't8qam64', tsid: '0x1004',
+      programs: [[4164, '1', 'BBC ONE'], [4287, '2', 'BBC TWO'], [4671, '9', 'BBC NEWS']],
+      signal: { dbm: -58, snr: 26 }
+    },
+    {
+      channel: 25, modulation: 't8qam64', tsid: '0x2005',
+      programs: [[8261, '3', 'ITV1'], [8325, '4', 'Channel 4'], [8384, '5', 'Channel 5']],
+      signal: { dbm: -66, snr: 21, fade: { depth: 4, period: 120 } }
+    },
+    {
+      channel: 30, modulation: 't2qam256', tsid: '0x3006',
+      programs: [[17540, '101', 'BBC ONE HD'], [17472, '102', 'BBC TWO HD'], [17604, '103', 'ITV1 HD']],
+      signal: { dbm: -62, snr: 24, dropout: { every: 240, duration: 6 } }
+    }
+  ]
+};
+
+const DEFAULT_DEVICES = [
+  { id: '105A4B01', model: 'HDFX-4K', lineup: 'us' },
+  { id: '104C2D02', model: 'HDHR5-2US', lineup: 'us' }, // Sees the ATSC 3.0 channel but can't decode it
+  { id: '1230E503', model: 'HDHR5-4DT', lineup: 'eu' }
+];
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Repeatable noise in [-0.5, 0.5) for a channel and time step
+function jitter(seed, step) {
+  const x = Math.sin(seed * 12.9898 + step * 78.233) * 43758.5453;
+  return x - Math.floor(x) - 0.5;
+}
+
+function gaussian() {
+  return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function requiredSnr(modulation) {
+  const qam = modulation.match(/qam\d+|qpsk/);
+  return REQUIRED_SNR[modulation] || (qam && REQUIRED_SNR[qam[0]]) || REQUIRED_SNR.qam64;
+}
+
+function unknownVariable() {
+  return new HDHomeRunDeviceError('ERROR: unknown getset variable');
+}
+
+class DeviceSimulator {
+  constructor(options = {}) {
+    this.now = options.now || Date.now; // Injectable clock for tests
+    this.startedAt = this.now();
+    const config = options.configFile ? JSON.parse(fs.readFileSync(options.configFile, 'utf8')) : options.config || {};
+    this.devices = (config.devices || DEFAULT_DEVICES).map((spec, index) => this.createDevice(spec, index));
+  }
+
+  createDevice(spec, index) {
+    const model = MODELS[spec.model];
+    if (!/^[0-9A-F]{8}$/i.test(spec.id || '')) throw new Error(`Simulated device ${index + 1}: id must be 8 hex digits`);
+    if (!model) throw new Error(`Simulated device ${spec.id}: model must be one of ${Object.keys(MODELS).join(', ')}`);
+    const channelMap = spec.channelMap || model.channelMap;
+    if (!CHANNEL_PLANS[channelMap]) throw new Error(`Simulated device ${spec.id}: unknown channel map ${channelMap}`);
+
+    const lineup = Array.isArray(spec.lineup) ? spec.lineup : LINEUPS[spec.lineup || (channelMap.startsWith('us') ? 'us' : 'eu')];
+    if (!lineup) throw new Error(`Simulated device ${spec.id}: lineup must be one of ${Object.keys(LINEUPS).join(', ')} or a list of channels`);
+    const channels = lineup.map(entry => {
+      const frequency = entry.frequency || channelToFrequency(entry.channel, entry.channelMap || channelMap);
+      if (!frequency) throw new Error(`Simulated device ${spec.id}: channel ${entry.channel} is not in ${channelMap}`);
+      return { ...entry, frequency, programs: entry.programs || [], signal: { dbm: -60, snr: 25, ...entry.signal } };
+    });
+
+    const id = spec.id.toUpperCase();
+    const tuners = spec.tuners || model.tuners;
+    return {
+      id,
+      // Loopback, so the HTTP requests the simulator doesn't answer are refused at once
+      ip: `127.0.2.${index + 1}`,
+      hwmodel: spec.model,
+      ...model,
+      channelMap,
+      channels,
+      modulations: model.features.match(/^modulation: (.*)$/m)[1].split(' '),
+      tuners: Array.from({ length: tuners }, () => ({ channel: 'none', program: 'none', frequency: null, requested: null }))
+    };
+  }
+
+  // Devices in the shape discovery returns
+  list() {
+    return this.devices.map(device => ({
+      id: device.id,
+      ip: device.ip,
+      name: `HDHomeRun ${device.id} (${device.hwmodel})`,
+      tunerCount: device.tuners.length,
+      baseUrl: null,
+      online: true
+    }));
+  }
+
+  // The controller's get (value undefined) or set; `target` is a device id or address
+  async request(target, name, value) {
+    const device = this.devices.find(d => d.id === String(target).toUpperCase() || d.ip === target);
+    if (!device) {
+      const error = new Error(`connect EHOSTUNREACH ${target}`);
+      error.code = 'EHOSTUNREACH';
+      throw error;
+    }
+
+    const sys = name.match(/^\/sys\/(\w+)$/);
+    if (sys) {
+      if (value !== undefined) throw new HDHomeRunDeviceError('ERROR: permission denied');
+      const values = {
+        model: device.model,
+        hwmodel: device.hwmodel,
+        version: '20250623',
+        features: device.features,
+        copyright: 'Copyright © 2005-2025 Silicondust USA Inc. <www.silicondust.com>. All rights reserved.'
+      };
+      if (!(sys[1] in values)) throw unknownVariable();
+      return values[sys[1]];
+    }
+
+    const tunerVar = name.match(/^\/tuner(\d+)\/(\w+)$/);
+    const tuner = tunerVar && device.tuners[parseInt(tunerVar[1])];
+    if (!tuner) throw unknownVariable();
+    return value === undefined ? this.getTunerVar(device, tuner, tunerVar[2]) : this.setTunerVar(device, tuner, tunerVar[2], value);
+  }
+
+  setTunerVar(device, tuner, name, value) {
+    if (name === 'program') {
+      tuner.program = value;
+      return value;
+    }
+    if (name === 'channelmap') {
+      if (!device.features.split('\n')[0].split(' ').includes(value)) throw new HDHomeRunDeviceError('ERROR: invalid channelmap');
+      device.channelMap = value;
+      return value;
+    }
+    if (name !== 'channel') throw new HDHomeRunDeviceError('ERROR: permission denied');
+
+    const tuned = this.parseChannel(device, tuner, value);
+    Object.assign(tuner, tuned, { program: 'none' });
+    return tuner.channel;
+  }
+
+  // { channel, frequency, requested } for a channel value, as the device understands them:
+  // none, auto:<Hz>, <modulation>:<Hz>, <channelmap>:<channel>, atsc3:<channel or Hz>[:plps],
+  // a channel of the tuner's channel map, or + / - for the next/previous one
+  parseChannel(device, tuner, value) {
+    if (value === 'none') return { channel: 'none', frequency: null, requested: null };
+
+    if (value === '+' || value === '-') {
+      const list = getChannelList(device.channelMap);
+      const current = list.findIndex(entry => entry.frequency === tuner.frequency);
+      const next = list[(current + (value === '+' ? 1 : list.length - 1) + (current === -1 ? 1 : 0)) % list.length];
+      return { channel: `${device.channelMap}:${next.channel}`, frequency: next.frequency, requested: 'auto' };
+    }
+
+    const [prefix, rest] = value.includes(':') ? [value.slice(0, value.indexOf(':')), value.slice(value.indexOf(':') + 1)] : [null, value];
+    let frequency = null;
+    let requested = 'auto';
+    if (prefix && CHANNEL_PLANS[prefix]) {
+      frequency = channelToFrequency(rest, prefix);
+    } else {
+      if (prefix) requested = prefix.toLowerCase();
+      const target = rest.split(':')[0]; // atsc3:<channel>:<plps>
+      frequency = /^\d{7,}$/.test(target) ? parseInt(target) : channelToFrequency(target, device.channelMap);
+    }
+    const known = requested.startsWith('auto') || requested === 'atsc3' || device.modulations.includes(requested);
+    if (!frequency || !known) throw new HDHomeRunDeviceError('ERROR: invalid channel');
+    return { channel: value.toLowerCase(), frequency, requested };
+  }
+
+  getTunerVar(device, tuner, name) {
+    const reception = this.receive(device, tuner);
+    switch (name) {
+      case 'channel':
+        return tuner.channel;
+      case 'channelmap':
+        return device.channelMap;
+      case 'program':
+        return tuner.program;
+      case 'lockkey':
+      case 'target':
+        return 'none';
+      case 'status':
+        return this.formatStatus(tuner, reception);
+      case 'debug':
+        return this.formatDebug(tuner, reception);
+      case 'streaminfo':
+        return this.formatStreamInfo(reception);
+      case 'plotsample':
+        return this.formatPlotsample(reception);
+      case 'plpinfo':
+        if (!device.modulations.includes('atsc3')) throw unknownVariable();
+        return this.formatPlpInfo(reception);
+      case 'l1info':
+        if (!device.modulations.includes('atsc3')) throw unknownVariable();
+        return this.formatL1Info(reception);
+      default:
+        throw unknownVariable();
+    }
+  }
+
+  // What the tuner receives right now: levels, and the lock when it can decode the channel
+  receive(device, tuner) {
+    if (tuner.channel === 'none') return null;
+    const entry = device.channels.find(channel => Math.abs(channel.frequency - tuner.frequency) <= 1000000);
+    const t = (this.now() - this.startedAt) / 1000;
+    const step = Math.floor(t * 2);
+
+    if (!entry) {
+      return { entry: null, dbm: NOISE_FLOOR_DBM + jitter(tuner.frequency, step) * 4, snr: 0, modulation: null, margin: -Infinity };
+    }
+
+    const { dbm, snr, fade, dropout } = entry.signal;
+    let loss = fade ? fade.depth * (1 - Math.cos((2 * Math.PI * t) / fade.period)) / 2 : 0;
+    if (dropout && t % dropout.every >= dropout.every - dropout.duration) loss = 60; // At the end of each cycle, not at startup
+    const noise = jitter(entry.frequency, step);
+    const level = {
+      entry,
+      dbm: Math.max(NOISE_FLOOR_DBM, dbm - loss + noise),
+      snr: Math.max(0, snr - loss + noise * 0.6)
+    };
+
+    // The demodulator needs the right standard (and hardware for it)
+    const decodable = device.modulations.includes(entry.modulation) &&
+      (tuner.requested.startsWith('auto') || tuner.requested === entry.modulation);
+    if (entry.modulation === 'atsc3') {
+      const plps = (entry.plps || []).map(plp => ({ ...plp, lock: decodable && level.snr >= requiredSnr(plp.modulation) }));
+      const margin = plps.length ? Math.max(...plps.map(plp => level.snr - requiredSnr(plp.modulation))) : -Infinity;
+      return { ...level, plps, modulation: plps.some(plp => plp.lock) ? 'atsc3' : null, margin };
+    }
+    const margin = level.snr - requiredSnr(entry.modulation);
+    return { ...level, modulation: decodable && margin > -2 ? entry.modulation : null, margin };
+  }
+
+  levels(reception) {
+    return {
+      ss: Math.round(clamp((reception.dbm + 90) * 2, 0, 100)),
+      snq: Math.round(clamp((reception.snr / 31) * 100, 0, 100)),
+      seq: reception.modulation ? Math.round(clamp(50 + reception.margin * 25, 0, 100)) : 0,
+      bps: reception.modulation ? reception.entry.bitrate || BITRATES[reception.modulation] || 19392712 : 0
+    };
+  }
+
+  formatStatus(tuner, reception) {
+    if (!reception) return 'ch=none lock=none ss=0 snq=0 seq=0 bps=0 pps=0';
+    const { ss, snq, seq, bps } = this.levels(reception);
+    const lock = reception.modulation || 'none';
+    const pps = tuner.program !== 'none' && reception.modulation ? Math.round(bps / 8 / 188 / 7) : 0;
+    return `ch=${tuner.channel} lock=${lock} ss=${ss} snq=${snq} seq=${seq} bps=${bps} pps=${pps}`;
+  }
+
+  // The dbg= raw levels follow the generic calibration curves, so the dB estimates match the simulated levels
+  formatDebug(tuner, reception) {
+    if (!reception) return 'tun: ch=none lock=none ss=0 snq=0 seq=0 dbg=0-0/0\ndev: bps=0 resync=0 overflow=0\nts:  bps=0 te=0 miss=0 crc=0\nnet: pps=0 err=0 stop=0';
+    const { ss, snq, seq, bps } = this.levels(reception);
+    const signalRaw = Math.round(clamp((reception.dbm + 90) * 2, 0, 100));
+    const snrRaw = Math.round(clamp((reception.snr / 31) * 100, 0, 100));
+    const extra = -1800 - Math.round(Math.abs(jitter(reception.snr, signalRaw)) * 40);
+    const errors = reception.modulation && seq < 100 ? Math.round((100 - seq) / 10) : 0;
+    return [
+      `tun: ch=${tuner.channel} lock=${reception.modulation || 'none'} ss=${ss} snq=${snq} seq=${seq} dbg=${signalRaw}-${snrRaw}/${extra}`,
+      `dev: bps=${bps} resync=0 overflow=0`,
+      `ts:  bps=${bps} te=${errors} miss=0 crc=0`,
+      'net: pps=0 err=0 stop=0'
+    ].join('\n');
+  }
+
+  formatStreamInfo(reception) {
+    if (!reception || !reception.modulation) return 'none';
+    const { entry } = reception;
+    const atsc3 = entry.modulation === 'atsc3';
+    const lines = entry.programs.map(([number, virtual, name, encrypted]) => {
+      const flags = [encrypted && 'encrypted', atsc3 && 'atsc3'].filter(Boolean).join(', ');
+      return `program=${number}: ${virtual} ${name}${flags ? ` (${flags})` : ''}`;
+    });
+    if (entry.tsid) lines.push(`tsid=${entry.tsid}`);
+    return lines.join('\n') + '\n';
+  }
+
+  formatPlpInfo(reception) {
+    if (!reception || !reception.plps) return '';
+    return reception.plps.map(plp =>
+      `${plp.id}: sfi=0 mod=${plp.modulation} cod=${plp.coderate} layer=${plp.layer || 'core'} ti=cti lls=${plp.lls ? 1 : 0} lock=${plp.lock ? 1 : 0}`
+    ).join('\n');
+  }
+
+  formatL1Info(reception) {
+    if (!reception || !reception.plps || !reception.modulation) return '';
+    return [
+      'l1b_version=0 l1b_mimo_scattered_pilot_encoding=0 l1b_lls_flag=1 l1b_time_info_flag=1 l1b_return_channel_flag=0',
+      'l1b_papr_reduction=0 l1b_frame_length_mode=0 l1b_frame_length=20 l1b_num_subframes=1',
+      'l1b_preamble_num_symbols=1 l1b_preamble_reduced_carriers=0 l1b_l1_detail_total_cells=1786',
+      `l1d_num_plp=${reception.plps.length} sf0_fft_size=16K sf0_guard_interval=GI5_1024 sf0_scattered_pilot=SP8_2 sf0_num_ofdm_symbols=70`
+    ].join('\n');
+  }
+
+  // Equalised symbols scattered around the ideal points by the current SNR, as 12-bit I/Q words
+  formatPlotsample(reception) {
+    if (!reception || !reception.modulation) return '';
+    // ATSC 3.0 shows the data PLP's constellation
+    const plp = reception.plps && reception.plps.filter(entry => entry.lock).pop();
+    const scheme = schemeForModulation(plp ? plp.modulation : reception.modulation) || schemeForModulation('qam64');
+    const levels = scheme.levels;
+    const scale = 1400 / levels[levels.length - 1];
+    const power = levels.reduce((sum, level) => sum + level * level, 0) / levels.length;
+    const sigma = Math.sqrt(power / Math.pow(10, reception.snr / 10));
+    const pick = () => levels[Math.floor(Math.random() * levels.length)];
+    const words = [];
+    for (let n = 0; n < PLOTSAMPLE_COUNT; n++) {
+      const i = Math.round((pick() + gaussian() * sigma) * scale);
+      const q = scheme.oneDimensional ? Math.round((Math.random() - 0.5) * 1600) : Math.round((pick() + gaussian() * sigma) * scale);
+      words.push((((clamp(i, -2047, 2047) & 0xfff) << 12) | (clamp(q, -2047, 2047) & 0xfff)).toString(16).padStart(6, '0'));
+    }
+    return words.join(' ');
+  }
+}
+
+module.exports = { DeviceSimulator, MODELS, LINEUPS };
@@ -0,0 +1,170 @@
+// Firmware upgrade of a device from an uploaded SiliconDust firmware file, the
+// same as `hdhomerun_config <id> upgrade <file>`, emitting 'progress' with
+// info() whenever the state changes:
+//   uploading  -> installing -> rebooting -> complete
+//                                         -> failed (at any step)
+//
+// Before anything is sent the file is checked against the device (firmware
+// files are named <model>_firmware_<version>.bin after the device's /sys/model,
+// e.g. hdhomerun5_atsc_firmware_20250623.bin) and every tuner must be idle.
+// Afterwards the device has to come back with the new /sys/version.
+
+const { EventEmitter } = require('events');
+const { ControlConnection } = require('./hdhomerun-protocol');
+const { statusError, delay } = require('./util');
+
+const REBOOT_POLL_MS = 5000;
+const REBOOT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// { model, version } from a firmware file name; null fields when it isn't named the usual way
+function parseFirmwareName(fileName) {
+  const match = String(fileName || '').match(/^(?:.*[\\/])?(.+?)_firmware_(\d{8})/i);
+  return match ? { model: match[1].toLowerCase(), version: match[2] } : { model: null, version: null };
+}
+
+class FirmwareUpgrade extends EventEmitter {
+  constructor(controller, deviceId, fileName, firmware) {
+    super();
+    this.controller = controller;
+    this.deviceId = deviceId;
+    this.fileName = fileName;
+    this.firmware = firmware;
+    this.status = 'checking';
+    this.progress = 0; // Percent of the file uploaded
+    this.error = null;
+    this.device = null; // { model, hwmodel, version } before the upgrade
+    this.newVersion = null;
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+    const parsed = parseFirmwareName(fileName);
+    this.fileModel = parsed.model;
+    this.expectedVersion = parsed.version;
+  }
+
+  // Rejects with .status 400 if the file isn't firmware for this device and
+  // 409 if it is already installed or a tuner is in use
+  async check() {
+    if (!this.firmware || this.firmware.length === 0) {
+      throw statusError(400, 'The firmware file is empty');
+    }
+
+    const info = await this.controller.getDeviceInfo(this.deviceId, true);
+    if (info.model === 'Unknown') {
+      throw statusError(502, 'The device is not responding');
+    }
+    this.device = { model: info.model, hwmodel: info.hwmodel, version: info.firmwareVersion };
+
+    const models = [info.model, info.firmwareName].filter(Boolean).map(model => model.toLowerCase());
+    const describe = `${info.hwmodel || info.model} (${info.model})`;
+    if (this.fileModel) {
+      if (!models.includes(this.fileModel)) {
+        throw statusError(400, `${this.fileName} is firmware for ${this.fileModel}, not for ${describe}`);
+      }
+    } else if (!models.some(model => this.firmware.includes(model))) {
+      // Renamed file: the model name is still in the image
+      throw statusError(400, `${this.fileName} doesn't look like firmware for ${describe}`);
+    }
+
+    if (this.expectedVersion && this.expectedVersion === info.firmwareVersion) {
+      throw statusError(409, `The device is already running firmware ${info.firmwareVersion}`);
+    }
+
+    const busy = [];
+    for (let tuner = 0; tuner < info.tuners; tuner++) {
+      const [channel, target, lockkey] = await Promise.all(['channel', 'target', 'lockkey'].map(name =>
+        this.controller.getVar(this.deviceId, `/tuner${tuner}/${name}`).catch(() => 'none')
+      ));
+      if (channel !== 'none' || target !== 'none' || lockkey !== 'none') busy.push(tuner);
+    }
+    if (busy.length) {
+      const tuners = busy.length > 1 ? `Tuners ${busy.join(', ')} are` : `Tuner ${busy[0]} is`;
+      throw statusError(409, `${tuners} in use; stop ${busy.length > 1 ? 'them' : 'it'} before upgrading`);
+    }
+  }
+
+  async start() {
+    const connection = new ControlConnection(this.controller.resolveHost(this.deviceId), { timeout: 10000 });
+    try {
+      this.setStatus('uploading');
+      await connection.upgrade(this.firmware, (sent, total) => {
+        const progress = Math.floor(sent / total * 100);
+        if (progress !== this.progress) {
+          this.progress = progress;
+          // All sent; the device now checks and flashes the image before it replies
+          if (sent === total) this.setStatus('installing');
+          else this.emit('progress', this.info());
+        }
+      });
+    } catch (error) {
+      this.fail(`${this.status === 'installing' ? 'The device refused the firmware' : 'Upload failed'}: ${error.message}`);
+      return;
+    } finally {
+      connection.close();
+    }
+    this.firmware = null;
+
+    this.setStatus('rebooting');
+    await this.waitForVersion();
+  }
+
+  // The device drops off the network while it reboots; it's done once it
+  // answers with a different (or the file's) version
+  async waitForVersion() {
+    const deadline = Date.now() + REBOOT_TIMEOUT_MS;
+    let lastVersion = null;
+    while (Date.now() < deadline) {
+      await delay(REBOOT_POLL_MS);
+      lastVersion = await this.controller.getVar(this.deviceId, '/sys/version').catch(() => lastVersion);
+      const upgraded = this.expectedVersion
+        ? lastVersion === this.expectedVersion
+        : lastVersion && lastVersion !== this.device.version;
+      if (upgraded) {
+        this.newVersion = lastVersion;
+        this.controller.firmwareHistory.record(this.deviceId, lastVersion).catch(error => {
+          console.error('Failed to save firmware history:', error.message);
+        });
+        this.setStatus('complete');
+        return;
+      }
+    }
+    this.fail(lastVersion
+      ? `The device came back still running ${lastVersion}; it may have rejected the firmware`
+      : 'The device did not come back online after the upgrade');
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (status === 'complete') this.finishedAt = Date.now();
+    this.emit('progress', this.info());
+  }
+
+  fail(message) {
+    this.error = message;
+    this.firmware = null;
+    this.finishedAt = Date.now();
+    this.setStatus('failed');
+  }
+
+  get running() {
+    return !['complete', 'failed'].includes(this.status);
+  }
+
+  info() {
+    return {
+      deviceId: this.deviceId,
+      fileName: this.fileName,
+      status: this.status,
+      progress: this.progress,
+      error: this.error,
+      model: this.device && this.device.model,
+      hwmodel: this.device && this.device.hwmodel,
+      fromVersion: this.device && this.device.version,
+      expectedVersion: this.expectedVersion,
+      newVersion: this.newVersion,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt
+    };
+  }
+}
+
+module.exports = { FirmwareUpgrade, parseFirmwareName };
@@ -0,0 +1,495 @@
+// Now/Next program guide decoded from the tables broadcast in the transport stream.
+//
+// ATSC (A/65 PSIP) on PID 0x1FFB: the MGT says which PIDs carry EIT-k (event
+// titles, 3 hours each) and ETT-k (event descriptions); the TVCT/CVCT maps
+// source_id to virtual channel and program number, and the STT gives the
+// GPS-UTC offset for converting event times.
+// DVB (EN 300 468): EIT present/following for the actual TS on PID 0x12 with
+// short/extended event descriptors, and service names from the SDT on PID 0x11.
+//
+// Sections may span packets, so each PID is reassembled before parsing.
+// Titles sent with the ATSC Huffman compression (types 1 and 2) are not decoded.
+
+const http = require('http');
+const { crc32Mpeg } = require('./ts-analyzer');
+const { statusError } = require('./util');
+
+const PACKET_SIZE = 188;
+const SYNC_BYTE = 0x47;
+const PSIP_PID = 0x1ffb;
+const SDT_PID = 0x11;
+const EIT_PID = 0x12;
+const GPS_EPOCH_S = 315964800; // 1980-01-06T00:00:00Z
+const DEFAULT_GPS_UTC_OFFSET = 18; // Leap seconds, until an STT says otherwise
+const MAX_SECTION_BUFFER = 4096 + 3;
+const CONNECT_TIMEOUT_MS = 10000;
+
+// MGT table types for EIT-0/1 and their ETTs; these cover the next 6 hours
+const MGT_EIT = [0x0100, 0x0101];
+const MGT_ETT = [0x0200, 0x0201];
+
+// Code pages selected by the mode byte of an uncompressed ATSC string segment
+function isAtscCodePage(mode) {
+  return mode <= 0x06 || (mode >= 0x09 && mode <= 0x10) || (mode >= 0x20 && mode <= 0x27) ||
+    (mode >= 0x30 && mode <= 0x33);
+}
+
+// A/65 multiple string structure; returns the first language's text, or null
+// if it only has segments we can't decode
+function decodeMultipleString(buffer) {
+  if (!buffer.length) return null;
+  const numberStrings = buffer[0];
+  let offset = 1;
+  const strings = [];
+  for (let s = 0; s < numberStrings && offset + 4 <= buffer.length; s++) {
+    const segments = buffer[offset + 3];
+    offset += 4;
+    let text = '';
+    let decodable = true;
+    for (let g = 0; g < segments && offset + 3 <= buffer.length; g++) {
+      const compression = buffer[offset];
+      const mode = buffer[offset + 1];
+      const length = buffer[offset + 2];
+      const bytes = buffer.subarray(offset + 3, offset + 3 + length);
+      offset += 3 + length;
+      if (compression !== 0) {
+        decodable = false;
+      } else if (mode === 0x3f) {
+        text += new TextDecoder('utf-16be').decode(bytes);
+      } else if (isAtscCodePage(mode)) {
+        text += String.fromCharCode(...Array.from(bytes, byte => (mode << 8) | byte));
+      } else {
+        decodable = false;
+      }
+    }
+    if (decodable) strings.push(text);
+  }
+  return strings.length ? strings[0].trim() : null;
+}
+
+// EN 300 468 Annex A text: an optional leading byte selects the character table
+function decodeDvbText(buffer) {
+  if (!buffer.length) return '';
+  let encoding = 'latin1'; // Strictly ISO 6937, which matches Latin-1 for plain text
+  let start = 0;
+  const first = buffer[0];
+  if (first >= 0x01 && first <= 0x0b) {
+    encoding = `iso-8859-${first + 4}`;
+    start = 1;
+  } else if (first === 0x10 && buffer.length >= 3) {
+    encoding = `iso-8859-${buffer[2]}`;
+    start = 3;
+  } else if (first === 0x11) {
+    encoding = 'utf-16be';
+    start = 1;
+  } else if (first === 0x15) {
+    encoding = 'utf-8';
+    start = 1;
+  } else if (first < 0x20) {
+    start = 1; // Tables we don't have; keep the text readable as far as possible
+  }
+
+  const bytes = buffer.subarray(start);
+  let text;
+  try {
+    text = new TextDecoder(encoding).decode(bytes);
+  } catch (error) {
+    text = Buffer.from(bytes).toString('latin1');
+  }
+  // 0x8A is a line break; the other C1 codes switch emphasis on and off
+  return text.replace(/\u008a/g, '\n').replace(/[\u0080-\u009f]/g, '').trim();
+}
+
+function bcd(byte) {
+  return (byte >> 4) * 10 + (byte & 0x0f);
+}
+
+// 40-bit MJD + BCD UTC time to epoch ms
+function dvbTime(buffer) {
+  if (buffer.subarray(0, 5).every(byte => byte === 0xff)) return null;
+  const mjd = (buffer[0] << 8) | buffer[1];
+  return (mjd - 40587) * 86400000 + (bcd(buffer[2]) * 3600 + bcd(buffer[3]) * 60 + bcd(buffer[4])) * 1000;
+}
+
+function dvbDuration(buffer) {
+  return bcd(buffer[0]) * 3600 + bcd(buffer[1]) * 60 + bcd(buffer[2]);
+}
+
+function forEachDescriptor(buffer, callback) {
+  for (let i = 0; i + 2 <= buffer.length;) {
+    const length = buffer[i + 1];
+    callback(buffer[i], buffer.subarray(i + 2, i + 2 + length));
+    i += 2 + length;
+  }
+}
+
+class GuideCollector {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.sections = new Map(); // pid -> { data, lastCc } while a section is being reassembled
+    this.programs = null; // program numbers from the PAT
+    this.gpsUtcOffset = DEFAULT_GPS_UTC_OFFSET;
+    this.mgtSeen = false;
+    this.eitPids = new Map(); // pid -> EIT index
+    this.ettPids = new Set();
+    this.channels = new Map(); // ATSC source_id -> { programNum, virtualChannel, name }
+    this.services = new Map(); // DVB service_id -> name
+    this.events = new Map(); // source_id (ATSC) / service_id (DVB) -> Map(event key -> event)
+    this.texts = new Map(); // ATSC ETM_id -> description
+    this.tables = new Map(); // "pid:table:extension" -> { last, seen: Set } for completeness checks
+    this.changed = false; // Set whenever a section is parsed
+  }
+
+  get standard() {
+    if (this.mgtSeen || this.channels.size) return 'atsc';
+    if (this.services.size || this.events.size) return 'dvb';
+    return null;
+  }
+
+  feed(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    while (this.buffer.length - offset >= PACKET_SIZE) {
+      if (this.buffer[offset] !== SYNC_BYTE) {
+        offset++;
+        continue;
+      }
+      this.handlePacket(this.buffer.subarray(offset, offset + PACKET_SIZE));
+      offset += PACKET_SIZE;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  wanted(pid) {
+    return pid === 0 || pid === PSIP_PID || pid === SDT_PID || pid === EIT_PID ||
+      this.eitPids.has(pid) || this.ettPids.has(pid);
+  }
+
+  handlePacket(packet) {
+    const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+    if (packet[1] & 0x80 || !this.wanted(pid)) return;
+
+    const adaptation = (packet[3] >> 4) & 0x3;
+    if (!(adaptation & 0x1)) return;
+    const payloadStart = adaptation & 0x2 ? 5 + packet[4] : 4;
+    if (payloadStart >= PACKET_SIZE) return;
+    const payload = packet.subarray(payloadStart);
+    const cc = packet[3] & 0x0f;
+    const unitStart = (packet[1] & 0x40) !== 0;
+
+    let state = this.sections.get(pid);
+    // A gap in the counter means part of the section is gone
+    if (state && state.lastCc !== null && cc !== ((state.lastCc + 1) & 0x0f)) {
+      state.data = null;
+    }
+    if (!state) {
+      state = { data: null, lastCc: null };
+      this.sections.set(pid, state);
+    }
+    state.lastCc = cc;
+
+    if (unitStart) {
+      const pointer = payload[0];
+      if (state.data) this.appendSection(pid, state, payload.subarray(1, 1 + pointer));
+      state.data = Buffer.alloc(0);
+      this.appendSection(pid, state, payload.subarray(1 + pointer));
+    } else if (state.data) {
+      this.appendSection(pid, state, payload);
+    }
+  }
+
+  // Adds payload to the section being assembled and parses every section it completes
+  appendSection(pid, state, bytes) {
+    state.data = Buffer.concat([state.data, bytes]);
+    while (state.data && state.data.length >= 3) {
+      if (state.data[0] === 0xff) {
+        state.data = null; // Stuffing to the end of the packet
+        return;
+      }
+      const length = 3 + (((state.data[1] & 0x0f) << 8) | state.data[2]);
+      if (length > MAX_SECTION_BUFFER) {
+        state.data = null;
+        return;
+      }
+      if (state.data.length < length) return;
+      const section = state.data.subarray(0, length);
+      state.data = state.data.subarray(length);
+      if (section.length >= 12 && crc32Mpeg(section) === 0) this.handleSection(pid, section);
+    }
+  }
+
+  // Records that a section arrived, so completeness can be judged per table
+  markSection(pid, section) {
+    const key = `${pid}:${section[0]}:${(section[3] << 8) | section[4]}`;
+    let table = this.tables.get(key);
+    if (!table) {
+      table = { last: section[7], seen: new Set() };
+      this.tables.set(key, table);
+    }
+    table.last = section[7];
+    table.seen.add(section[6]);
+  }
+
+  tableComplete(pid, tableId, extension) {
+    const table = this.tables.get(`${pid}:${tableId}:${extension}`);
+    return !!table && table.seen.size > table.last;
+  }
+
+  handleSection(pid, section) {
+    this.changed = true;
+    const tableId = section[0];
+    const body = section.subarray(8, section.length - 4);
+
+    if (pid === 0 && tableId === 0x00) {
+      this.programs = new Set();
+      for (let i = 0; i + 4 <= body.length; i += 4) {
+        const program = (body[i] << 8) | body[i + 1];
+        if (program !== 0) this.programs.add(program);
+      }
+    } else if (pid === PSIP_PID && tableId === 0xc7) {
+      this.parseMgt(body);
+    } else if (pid === PSIP_PID && (tableId === 0xc8 || tableId === 0xc9)) {
+      this.parseVct(body);
+    } else if (pid === PSIP_PID && tableId === 0xcd) {
+      this.gpsUtcOffset = body[5];
+    } else if (this.eitPids.has(pid) && tableId === 0xcb) {
+      this.markSection(pid, section);
+      this.parseAtscEit((section[3] << 8) | section[4], body);
+    } else if (this.ettPids.has(pid) && tableId === 0xcc) {
+      const etmId = body.readUInt32BE(1);
+      const text = decodeMultipleString(body.subarray(5));
+      if (text !== null) this.texts.set(etmId, text);
+    } else if (pid === SDT_PID && tableId === 0x42) {
+      this.parseSdt(body);
+    } else if (pid === EIT_PID && tableId === 0x4e) {
+      this.markSection(pid, section);
+      this.parseDvbEit((section[3] << 8) | section[4], section[6], body);
+    }
+  }
+
+  parseMgt(body) {
+    this.mgtSeen = true;
+    const count = (body[1] << 8) | body[2];
+    let offset = 3;
+    for (let t = 0; t < count && offset + 11 <= body.length; t++) {
+      const type = (body[offset] << 8) | body[offset + 1];
+      const pid = ((body[offset + 2] & 0x1f) << 8) | body[offset + 3];
+      const descriptorsLength = ((body[offset + 9] & 0x0f) << 8) | body[offset + 10];
+      if (MGT_EIT.includes(type)) this.eitPids.set(pid, MGT_EIT.indexOf(type));
+      if (MGT_ETT.includes(type)) this.ettPids.add(pid);
+      offset += 11 + descriptorsLength;
+    }
+  }
+
+  parseVct(body) {
+    const count = body[1];
+    let offset = 2;
+    for (let c = 0; c < count && offset + 32 <= body.length; c++) {
+      const entry = body.subarray(offset, offset + 32);
+      const name = new TextDecoder('utf-16be').decode(entry.subarray(0, 14)).replace(/\0+$/, '').trim();
+      const major = ((entry[14] & 0x0f) << 6) | (entry[15] >> 2);
+      const minor = ((entry[15] & 0x03) << 8) | entry[16];
+      const programNum = (entry[24] << 8) | entry[25];
+      const sourceId = (entry[28] << 8) | entry[29];
+      const descriptorsLength = ((entry[30] & 0x03) << 8) | entry[31];
+      this.channels.set(sourceId, { programNum, virtualChannel: `${major}.${minor}`, name });
+      offset += 32 + descriptorsLength;
+    }
+  }
+
+  parseAtscEit(sourceId, body) {
+    const count = body[1];
+    let offset = 2;
+    for (let e = 0; e < count && offset + 10 <= body.length; e++) {
+      const eventId = ((body[offset] & 0x3f) << 8) | body[offset + 1];
+      const gpsStart = body.readUInt32BE(offset + 2);
+      const etmLocation = (body[offset + 6] >> 4) & 0x03;
+      const duration = ((body[offset + 6] & 0x0f) << 16) | (body[offset + 7] << 8) | body[offset + 8];
+      const titleLength = body[offset + 9];
+      const title = decodeMultipleString(body.subarray(offset + 10, offset + 10 + titleLength));
+      offset += 10 + titleLength;
+      const descriptorsLength = ((body[offset] & 0x0f) << 8) | body[offset + 1];
+      offset += 2 + descriptorsLength;
+
+      this.addEvent(sourceId, eventId, {
+        title,
+        start: (gpsStart + GPS_EPOCH_S - this.gpsUtcOffset) * 1000,
+        duration,
+        etmId: etmLocation ? ((sourceId << 16) | (eventId << 2) | 0x2) >>> 0 : null
+      });
+    }
+  }
+
+  parseSdt(body) {
+    for (let offset = 3; offset + 5 <= body.length;) {
+      const serviceId = (body[offset] << 8) | body[offset + 1];
+      const descriptorsLength = ((body[offset + 3] & 0x0f) << 8) | body[offset + 4];
+      forEachDescriptor(body.subarray(offset + 5, offset + 5 + descriptorsLength), (tag, data) => {
+        if (tag !== 0x48 || data.length < 3) return;
+        const providerLength = data[1];
+        const nameLength = data[2 + providerLength];
+        this.services.set(serviceId, decodeDvbText(data.subarray(3 + providerLength, 3 + providerLength + nameLength)));
+      });
+      offset += 5 + descriptorsLength;
+    }
+  }
+
+  parseDvbEit(serviceId, sectionNumber, body) {
+    for (let offset = 6; offset + 12 <= body.length;) {
+      const eventId = (body[offset] << 8) | body[offset + 1];
+      const start = dvbTime(body.subarray(offset + 2, offset + 7));
+      const duration = dvbDuration(body.subarray(offset + 7, offset + 10));
+      const descriptorsLength = ((body[offset + 10] & 0x0f) << 8) | body[offset + 11];
+      let title = null;
+      let description = '';
+      let extended = '';
+      forEachDescriptor(body.subarray(offset + 12, offset + 12 + descriptorsLength), (tag, data) => {
+        if (tag === 0x4d && data.length >= 5) {
+          const nameLength = data[3];
+          const textLength = data[4 + nameLength];
+          title = decodeDvbText(data.subarray(4, 4 + nameLength));
+          description = decodeDvbText(data.subarray(5 + nameLength, 5 + nameLength + textLength));
+        } else if (tag === 0x4e && data.length >= 5) {
+          // Extended event descriptors are numbered; the free text follows the item list
+          const itemsLength = data[4];
+          const textLength = data[5 + itemsLength];
+          extended += decodeDvbText(data.subarray(6 + itemsLength, 6 + itemsLength + textLength));
+        }
+      });
+      offset += 12 + descriptorsLength;
+
+      this.addEvent(serviceId, `${sectionNumber}:${eventId}`, {
+        title,
+        start,
+        duration,
+        description: extended || description || null,
+        following: sectionNumber === 1
+      });
+    }
+  }
+
+  addEvent(key, eventKey, event) {
+    if (!this.events.has(key)) this.events.set(key, new Map());
+    this.events.get(key).set(eventKey, event);
+  }
+
+  // The raw current and next events among a program's events
+  pickEvents(events, now) {
+    if (this.standard === 'dvb') {
+      // Present/following is decided by the broadcaster
+      return [events.find(event => !event.following), events.find(event => event.following)];
+    }
+    const sorted = events.slice().sort((a, b) => a.start - b.start);
+    const current = sorted.find(event => event.start <= now && now < event.start + event.duration * 1000);
+    const next = sorted.find(event => event.start >= (current ? current.start + current.duration * 1000 : now));
+    return [current, next];
+  }
+
+  toGuide(event) {
+    if (!event) return null;
+    return {
+      title: event.title,
+      description: event.etmId !== undefined ? this.texts.get(event.etmId) || null : event.description,
+      start: event.start,
+      duration: event.duration,
+      end: event.start === null ? null : event.start + event.duration * 1000
+    };
+  }
+
+  // [key, programNum, virtualChannel, name] for every program on this TS
+  programList() {
+    if (this.standard === 'atsc') {
+      return Array.from(this.channels.entries())
+        .filter(([, channel]) => !this.programs || this.programs.has(channel.programNum)) // Others are for another TS
+        .map(([sourceId, channel]) => [sourceId, channel.programNum, channel.virtualChannel, channel.name]);
+    }
+    const serviceIds = new Set([...(this.programs || []), ...this.services.keys(), ...this.events.keys()]);
+    return Array.from(serviceIds).map(serviceId => [serviceId, serviceId, null, this.services.get(serviceId) || null]);
+  }
+
+  eventsFor(key) {
+    return Array.from((this.events.get(key) || new Map()).values());
+  }
+
+  // Per program: { programNum, virtualChannel, name, now, next }
+  guide(now = Date.now()) {
+    return this.programList()
+      .sort((a, b) => a[1] - b[1])
+      .map(([key, programNum, virtualChannel, name]) => {
+        const [current, next] = this.pickEvents(this.eventsFor(key), now);
+        return {
+          programNum: String(programNum),
+          virtualChannel,
+          name,
+          now: this.toGuide(current),
+          next: this.toGuide(next)
+        };
+      });
+  }
+
+  // Whether every program has its current/next events (and their ATSC descriptions)
+  isComplete(now = Date.now()) {
+    if (!this.programs) return false;
+    if (this.standard === 'atsc') {
+      if (!this.channels.size || !this.eitPids.size) return false;
+      return this.programList().every(([sourceId]) => {
+        const eitsDone = Array.from(this.eitPids.keys()).every(pid => this.tableComplete(pid, 0xcb, sourceId));
+        if (!eitsDone) return false;
+        return this.pickEvents(this.eventsFor(sourceId), now)
+          .every(event => !event || event.etmId === null || !this.ettPids.size || this.texts.has(event.etmId));
+      });
+    }
+    if (this.standard === 'dvb') {
+      return Array.from(this.programs).every(program => this.tableComplete(EIT_PID, 0x4e, program));
+    }
+    return false;
+  }
+}
+// Read `url` until every program's now/next is known or `timeout` ms pass.
+// Rejects with .status 502/504 if the stream can't be opened.
+function captureGuide(url, { timeout }) {
+  return new Promise((resolve, reject) => {
+    const collector = new GuideCollector();
+    let timer = null;
+    let done = false;
+
+    const fail = (status, message) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      request.destroy();
+      reject(statusError(status, message));
+    };
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      request.destroy();
+      resolve(collector);
+    };
+
+    const request = http.get(url, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        fail(502, `Stream request failed with HTTP ${response.statusCode}`);
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(finish, timeout);
+      response.on('data', chunk => {
+        collector.feed(chunk);
+        if (!collector.changed) return;
+        collector.changed = false;
+        if (collector.isComplete()) finish();
+      });
+      response.on('end', finish);
+      response.on('error', finish);
+    });
+
+    timer = setTimeout(() => fail(504, 'Timed out waiting for the stream'), CONNECT_TIMEOUT_MS);
+    request.on('error', error => fail(502, `Stream request failed: ${error.message}`));
+  });
+}
+
+module.exports = { GuideCollector, captureGuide, decodeMultipleString, decodeDvbText };
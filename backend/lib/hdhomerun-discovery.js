@@ -0,0 +1,231 @@
+// In-process HDHomeRun device discovery over UDP (port 65001).
+//
+// A DISCOVER_REQ packet is broadcast to every local IPv4 subnet, plus any
+// extra targets the user configures (directed broadcasts for VLANs/other
+// subnets, or unicast addresses). Devices answer with a DISCOVER_RPY carrying
+// their type, ID, tuner count and base URL.
+
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const {
+  HDHOMERUN_DISCOVER_PORT,
+  PACKET_TYPE,
+  TAG,
+  DEVICE_TYPE,
+  DEVICE_ID_WILDCARD,
+  encodePacket,
+  decodePacket,
+  tlvString,
+  tlvUInt,
+  parseHostPort
+} = require('./hdhomerun-protocol');
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, octet) => ((acc << 8) + parseInt(octet)) >>> 0, 0);
+}
+
+function intToIpv4(value) {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xFF).join('.');
+}
+
+// Directed broadcast address for an IPv4 address and netmask
+function broadcastAddress(address, netmask) {
+  const addr = ipv4ToInt(address);
+  const mask = ipv4ToInt(netmask);
+  return intToIpv4((addr | (~mask >>> 0)) >>> 0);
+}
+
+// Turn a configured target into an address to send to.
+// "192.168.2.0/24" becomes its directed broadcast 192.168.2.255; anything
+// else (broadcast address, unicast IP, hostname, [ipv6]:port) is used as-is.
+function parseTarget(target) {
+  const cidr = target.match(/^(\d+\.\d+\.\d+\.\d+)\/(\d{1,2})$/);
+  if (cidr) {
+    const prefix = parseInt(cidr[2]);
+    if (prefix > 32) return null;
+    const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+    return { host: broadcastAddress(cidr[1], intToIpv4(mask)), port: HDHOMERUN_DISCOVER_PORT };
+  }
+  return parseHostPort(target, HDHOMERUN_DISCOVER_PORT);
+}
+
+// Broadcast addresses of all non-internal IPv4 interfaces
+function getLocalBroadcastTargets() {
+  const targets = [];
+  Object.values(os.networkInterfaces()).forEach(addresses => {
+    (addresses || []).forEach(info => {
+      if (info.internal) return;
+      if (info.family !== 'IPv4' && info.family !== 4) return;
+      targets.push(broadcastAddress(info.address, info.netmask));
+    });
+  });
+  return targets;
+}
+
+function formatDeviceId(deviceId) {
+  return deviceId.toString(16).toUpperCase().padStart(8, '0');
+}
+
+function parseDiscoverReply(packet, rinfo) {
+  if (packet.type !== PACKET_TYPE.DISCOVER_RPY) return null;
+
+  const device = {
+    ip: rinfo.address,
+    deviceType: null,
+    deviceId: null,
+    tunerCount: null,
+    baseUrl: null,
+    lineupUrl: null,
+    storageId: null
+  };
+
+  packet.tlvs.forEach(({ tag, value }) => {
+    switch (tag) {
+      case TAG.DEVICE_TYPE:
+        device.deviceType = tlvUInt(value);
+        break;
+      case TAG.DEVICE_ID:
+        device.deviceId = formatDeviceId(tlvUInt(value));
+        break;
+      case TAG.TUNER_COUNT:
+        device.tunerCount = tlvUInt(value);
+        break;
+      case TAG.BASE_URL:
+        device.baseUrl = tlvString(value);
+        break;
+      case TAG.LINEUP_URL:
+        device.lineupUrl = tlvString(value);
+        break;
+      case TAG.STORAGE_ID:
+        device.storageId = tlvString(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Older firmware omits the base URL; it is always the device's HTTP root
+  if (!device.baseUrl && device.deviceType === DEVICE_TYPE.TUNER) {
+    device.baseUrl = net.isIPv6(rinfo.address) ? `http://[${rinfo.address}]:80` : `http://${rinfo.address}:80`;
+  }
+
+  return device;
+}
+
+// Send discovery requests to the given targets and collect replies.
+//
+// Options:
+//   targets       extra addresses/subnets to query (see parseTarget)
+//   includeLocal  also broadcast on every local interface (default true)
+//   deviceType    DEVICE_TYPE to look for (default TUNER)
+//   deviceId      restrict to a single device ID (number), default wildcard
+//   timeout       how long to wait for replies in ms (default 1500)
+//
+// Resolves to an array of unique devices; never rejects.
+function discover(options = {}) {
+  const {
+    targets = [],
+    includeLocal = true,
+    deviceType = DEVICE_TYPE.TUNER,
+    deviceId = DEVICE_ID_WILDCARD,
+    timeout = 1500
+  } = options;
+
+  const destinations = [];
+  if (includeLocal) {
+    destinations.push({ host: '255.255.255.255', port: HDHOMERUN_DISCOVER_PORT });
+    getLocalBroadcastTargets().forEach(host => destinations.push({ host, port: HDHOMERUN_DISCOVER_PORT }));
+  }
+  targets.forEach(target => {
+    const parsed = parseTarget(target);
+    if (parsed) destinations.push(parsed);
+  });
+
+  const request = encodePacket(PACKET_TYPE.DISCOVER_REQ, [
+    [TAG.DEVICE_TYPE, deviceType],
+    [TAG.DEVICE_ID, deviceId]
+  ]);
+
+  return new Promise((resolve) => {
+    const found = new Map();
+    const sockets = [];
+
+    const onMessage = (message, rinfo) => {
+      let decoded;
+      try {
+        decoded = decodePacket(message);
+      } catch (error) {
+        return; // Corrupt reply - ignore
+      }
+      if (!decoded) return;
+
+      const device = parseDiscoverReply(decoded.packet, rinfo);
+      if (!device || !device.deviceId) return;
+      if (deviceType !== DEVICE_TYPE.WILDCARD && device.deviceType !== deviceType) return;
+      if (!found.has(device.deviceId)) {
+        found.set(device.deviceId, device);
+      }
+    };
+
+    const openSocket = (family) => {
+      let entry = sockets.find(s => s.family === family);
+      if (entry) return entry;
+
+      const socket = dgram.createSocket({ type: family === 6 ? 'udp6' : 'udp4', reuseAddr: true });
+      entry = { family, socket, ready: null };
+      entry.ready = new Promise((resolveBind) => {
+        socket.on('error', (error) => {
+          console.error(`UDP discovery socket error: ${error.message}`);
+          resolveBind(false);
+        });
+        socket.on('message', onMessage);
+        socket.bind(0, () => {
+          if (family === 4) socket.setBroadcast(true);
+          resolveBind(true);
+        });
+      });
+      sockets.push(entry);
+      return entry;
+    };
+
+    const seen = new Set();
+    destinations.forEach(({ host, port }) => {
+      const key = `${host}:${port}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const { socket, ready } = openSocket(net.isIPv6(host) ? 6 : 4);
+      ready.then(ok => {
+        if (!ok) return;
+        socket.send(request, port, host, (error) => {
+          if (error) console.error(`UDP discovery send to ${host} failed: ${error.message}`);
+        });
+      });
+    });
+
+    setTimeout(() => {
+      sockets.forEach(({ socket }) => {
+        try {
+          socket.close();
+        } catch (error) {
+          // Already closed after an error
+        }
+      });
+      resolve(Array.from(found.values()));
+    }, timeout);
+  });
+}
+
+// Discover a single device by unicast, e.g. a manually configured host
+async function discoverHost(host, timeout = 1500) {
+  const devices = await discover({ targets: [host], includeLocal: false, timeout });
+  return devices.length > 0 ? devices[0] : null;
+}
+
+module.exports = {
+  discover,
+  discoverHost,
+  parseTarget,
+  getLocalBroadcastTargets
+};
@@ -0,0 +1,418 @@
+// Pure-JavaScript implementation of the HDHomeRun control protocol.
+//
+// Every packet on the wire (TCP control or UDP discovery, port 65001) is:
+//   u16 type | u16 payload length | payload (TLV records) | u32 CRC32
+// Header fields are big-endian; the CRC is the standard IEEE CRC-32 of
+// header+payload, transmitted little-endian. TLV lengths use a variable-length
+// encoding: one byte when <= 127, otherwise two bytes (low 7 bits first).
+
+const net = require('net');
+
+const HDHOMERUN_CONTROL_PORT = 65001;
+const HDHOMERUN_DISCOVER_PORT = 65001;
+
+const PACKET_TYPE = {
+  DISCOVER_REQ: 0x0002,
+  DISCOVER_RPY: 0x0003,
+  GETSET_REQ: 0x0004,
+  GETSET_RPY: 0x0005,
+  UPGRADE_REQ: 0x0006,
+  UPGRADE_RPY: 0x0007
+};
+
+const TAG = {
+  DEVICE_TYPE: 0x01,
+  DEVICE_ID: 0x02,
+  GETSET_NAME: 0x03,
+  GETSET_VALUE: 0x04,
+  ERROR_MESSAGE: 0x05,
+  TUNER_COUNT: 0x10,
+  GETSET_LOCKKEY: 0x15,
+  LINEUP_URL: 0x27,
+  STORAGE_URL: 0x28,
+  BASE_URL: 0x2A,
+  DEVICE_AUTH_STR: 0x2B,
+  STORAGE_ID: 0x2C
+};
+
+const DEVICE_TYPE = {
+  WILDCARD: 0xFFFFFFFF,
+  TUNER: 0x00000001,
+  STORAGE: 0x00000005
+};
+
+const DEVICE_ID_WILDCARD = 0xFFFFFFFF;
+
+const UPGRADE_CHUNK_SIZE = 1024;
+const UPGRADE_TIMEOUT = 20000; // The device checks the whole image before it replies
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function encodeVarLength(length) {
+  if (length <= 127) return Buffer.from([length]);
+  return Buffer.from([(length & 0x7F) | 0x80, length >> 7]);
+}
+
+// Build a single TLV record. Strings are sent NUL-terminated, as libhdhomerun does.
+function encodeTlv(tag, value) {
+  let data;
+  if (Buffer.isBuffer(value)) {
+    data = value;
+  } else if (typeof value === 'string') {
+    data = Buffer.concat([Buffer.from(value, 'utf8'), Buffer.from([0])]);
+  } else {
+    data = Buffer.alloc(4);
+    data.writeUInt32BE(value >>> 0, 0);
+  }
+  return Buffer.concat([Buffer.from([tag]), encodeVarLength(data.length), data]);
+}
+
+// `payload` is a list of [tag, value] TLVs, or a Buffer sent as it is
+function encodePacket(type, payload = []) {
+  if (!Buffer.isBuffer(payload)) payload = Buffer.concat(payload.map(([tag, value]) => encodeTlv(tag, value)));
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(payload.length, 2);
+  const body = Buffer.concat([header, payload]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32LE(crc32(body), 0);
+  return Buffer.concat([body, crc]);
+}
+
+// Parse the TLV payload of a packet into an array of { tag, value } records.
+function decodeTlvs(payload) {
+  const records = [];
+  let pos = 0;
+  while (pos < payload.length) {
+    const tag = payload[pos++];
+    if (pos >= payload.length) break;
+    let length = payload[pos++];
+    if (length & 0x80) {
+      if (pos >= payload.length) break;
+      length = (length & 0x7F) | (payload[pos++] << 7);
+    }
+    if (pos + length > payload.length) break;
+    records.push({ tag, value: payload.subarray(pos, pos + length) });
+    pos += length;
+  }
+  return records;
+}
+
+// Try to decode one packet from the start of `buffer`.
+// Returns { packet, bytesUsed } or null if more data is needed.
+// Throws if the CRC does not match.
+function decodePacket(buffer) {
+  if (buffer.length < 4) return null;
+  const type = buffer.readUInt16BE(0);
+  const length = buffer.readUInt16BE(2);
+  const total = 4 + length + 4;
+  if (buffer.length < total) return null;
+
+  const expected = buffer.readUInt32LE(4 + length);
+  const actual = crc32(buffer.subarray(0, 4 + length));
+  if (expected !== actual) {
+    throw new Error('HDHomeRun packet CRC mismatch');
+  }
+
+  return {
+    packet: { type, tlvs: decodeTlvs(buffer.subarray(4, 4 + length)) },
+    bytesUsed: total
+  };
+}
+
+function tlvString(value) {
+  const end = value.indexOf(0);
+  return value.subarray(0, end === -1 ? value.length : end).toString('utf8');
+}
+
+function tlvUInt(value) {
+  if (value.length >= 4) return value.readUInt32BE(0);
+  if (value.length === 2) return value.readUInt16BE(0);
+  if (value.length === 1) return value[0];
+  return null;
+}
+
+// Split "host", "host:port" or "[ipv6]:port" into its parts
+function parseHostPort(host, defaultPort = HDHOMERUN_CONTROL_PORT) {
+  const bracketed = host.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2]) : defaultPort };
+  }
+  const hostPort = host.match(/^([^:]+):(\d+)$/);
+  if (hostPort) {
+    return { host: hostPort[1], port: parseInt(hostPort[2]) };
+  }
+  return { host, port: defaultPort };
+}
+
+// Persistent TCP control connection to a single device.
+// Requests are serialized: the device answers getset requests strictly in order,
+// so only one request is outstanding on the socket at any time.
+class ControlConnection {
+  constructor(host, options = {}) {
+    const target = parseHostPort(host);
+    this.host = target.host;
+    this.port = target.port;
+    this.timeout = options.timeout || 5000;
+    this.idleTimeout = options.idleTimeout || 30000;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];
+    this.current = null;
+    this.idleTimer = null;
+  }
+
+  get(name) {
+    return this.request(name);
+  }
+
+  set(name, value, lockkey) {
+    return this.request(name, value, lockkey);
+  }
+
+  request(name, value, lockkey) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ name, value, lockkey, resolve, reject });
+      this.processQueue();
+    });
+  }
+
+  // Send an arbitrary packet and wait for a reply of the given type, or only
+  // until it has been written when `replyType` is null.
+  // Used for non-getset exchanges such as firmware upgrade chunks.
+  exchange(type, payload, replyType, timeout) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ raw: { type, payload, replyType, timeout }, resolve, reject });
+      this.processQueue();
+    });
+  }
+
+  // Upload a firmware image and tell the device to install it, as
+  // hdhomerun_config's "upgrade" does: the image goes out in unacknowledged
+  // chunks, each led by its byte offset, then offset 0xFFFFFFFF starts the
+  // install. The device reboots once it has replied.
+  // `onProgress(bytesSent, total)` is called after each chunk.
+  async upgrade(firmware, onProgress) {
+    for (let offset = 0; offset < firmware.length; offset += UPGRADE_CHUNK_SIZE) {
+      const header = Buffer.alloc(4);
+      header.writeUInt32BE(offset, 0);
+      const chunk = firmware.subarray(offset, offset + UPGRADE_CHUNK_SIZE);
+      await this.exchange(PACKET_TYPE.UPGRADE_REQ, Buffer.concat([header, chunk]), null);
+      if (onProgress) onProgress(offset + chunk.length, firmware.length);
+    }
+
+    const execute = Buffer.alloc(4);
+    execute.writeUInt32BE(0xFFFFFFFF, 0);
+    await this.exchange(PACKET_TYPE.UPGRADE_REQ, execute, PACKET_TYPE.UPGRADE_RPY, UPGRADE_TIMEOUT);
+  }
+
+  async processQueue() {
+    if (this.current || this.queue.length === 0) return;
+
+    this.current = this.queue.shift();
+    clearTimeout(this.idleTimer);
+
+    try {
+      await this.connect();
+    } catch (error) {
+      this.failCurrent(error);
+      return;
+    }
+
+    const request = this.current;
+    let packet;
+    if (request.raw) {
+      packet = encodePacket(request.raw.type, request.raw.payload);
+    } else {
+      const tlvs = [[TAG.GETSET_NAME, request.name]];
+      if (request.value !== undefined) {
+        tlvs.push([TAG.GETSET_VALUE, String(request.value)]);
+        if (request.lockkey !== undefined) tlvs.push([TAG.GETSET_LOCKKEY, request.lockkey]);
+      }
+      packet = encodePacket(PACKET_TYPE.GETSET_REQ, tlvs);
+    }
+
+    request.timer = setTimeout(() => {
+      this.destroy(new Error(`HDHomeRun request timed out: ${this.host}`));
+    }, (request.raw && request.raw.timeout) || this.timeout);
+
+    if (request.raw && request.raw.replyType === null) {
+      // Nothing comes back; done once the socket has taken it
+      this.socket.write(packet, () => {
+        if (this.current !== request) return;
+        clearTimeout(request.timer);
+        this.current = null;
+        request.resolve();
+        this.processQueue();
+      });
+      return;
+    }
+
+    request.sent = true;
+    this.socket.write(packet);
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+
+      const connectTimer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`HDHomeRun connection timed out: ${this.host}`));
+      }, this.timeout);
+
+      socket.once('connect', () => {
+        clearTimeout(connectTimer);
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        resolve();
+      });
+
+      socket.on('data', chunk => this.handleData(chunk));
+
+      socket.on('error', (error) => {
+        clearTimeout(connectTimer);
+        if (this.socket === socket) {
+          this.destroy(error);
+        } else {
+          reject(error);
+        }
+      });
+
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.destroy(new Error(`HDHomeRun connection closed: ${this.host}`));
+        }
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  // A chunk can hold several packets, or end part way through one
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    for (;;) {
+      let decoded;
+      try {
+        decoded = decodePacket(this.buffer);
+      } catch (error) {
+        this.destroy(error);
+        return;
+      }
+      if (!decoded) return;
+
+      this.buffer = this.buffer.subarray(decoded.bytesUsed);
+      // Nothing is waiting for a reply (the next request may be queued but not
+      // sent yet): the packet can't be an answer to it, so drop it
+      const request = this.current;
+      if (!request || !request.sent) continue;
+
+      const { packet } = decoded;
+      const expectedType = request.raw ? request.raw.replyType : PACKET_TYPE.GETSET_RPY;
+      if (packet.type !== expectedType) {
+        this.destroy(new Error(`Unexpected HDHomeRun packet type 0x${packet.type.toString(16)}`));
+        return;
+      }
+
+      clearTimeout(request.timer);
+      this.current = null;
+
+      const errorTlv = packet.tlvs.find(t => t.tag === TAG.ERROR_MESSAGE);
+      if (errorTlv) {
+        request.reject(new HDHomeRunDeviceError(tlvString(errorTlv.value)));
+      } else if (request.raw) {
+        request.resolve(packet);
+      } else {
+        const valueTlv = packet.tlvs.find(t => t.tag === TAG.GETSET_VALUE);
+        request.resolve(valueTlv ? tlvString(valueTlv.value) : '');
+      }
+
+      this.scheduleIdleClose();
+      this.processQueue();
+    }
+  }
+
+  failCurrent(error) {
+    const request = this.current;
+    this.current = null;
+    if (request) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.processQueue();
+  }
+
+  scheduleIdleClose() {
+    clearTimeout(this.idleTimer);
+    if (this.queue.length > 0) return;
+    this.idleTimer = setTimeout(() => this.close(), this.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  destroy(error) {
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.destroy();
+    this.failCurrent(error);
+  }
+
+  close() {
+    clearTimeout(this.idleTimer);
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.end();
+  }
+}
+
+// Error reported by the device itself (ERROR_MESSAGE tag), as opposed to a
+// transport failure. Callers use this to decide whether a CLI fallback makes sense.
+class HDHomeRunDeviceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HDHomeRunDeviceError';
+  }
+}
+
+module.exports = {
+  HDHOMERUN_CONTROL_PORT,
+  HDHOMERUN_DISCOVER_PORT,
+  PACKET_TYPE,
+  TAG,
+  DEVICE_TYPE,
+  DEVICE_ID_WILDCARD,
+  crc32,
+  encodePacket,
+  decodePacket,
+  tlvString,
+  tlvUInt,
+  parseHostPort,
+  ControlConnection,
+  HDHomeRunDeviceError
+};
@@ -0,0 +1,174 @@
+// On-disk signal history.
+//
+// Samples are appended as newline-delimited JSON, one file per device, tuner
+// and UTC day:  <dataDir>/history/<device>/tuner<N>/<YYYY-MM-DD>.ndjson
+// Day files make retention a matter of deleting old files, and queries only
+// read the days (and the single device/tuner) they cover.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { statusError, dayKey } = require('./util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_QUERY_POINTS = 2000;
+const NUMERIC_FIELDS = ['ss', 'snq', 'seq', 'ssDb', 'snrDb', 'bps'];
+
+function safeName(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+class HistoryStore {
+  constructor(options = {}) {
+    this.dir = path.join(options.dataDir, 'history');
+    this.retentionDays = options.retentionDays || 30;
+    this.pending = new Map(); // file path -> array of lines waiting to be written
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+    this.pruneTimer = setInterval(() => this.prune(), 6 * 60 * 60 * 1000);
+    this.pruneTimer.unref();
+    this.prune();
+  }
+
+  filePath(device, tuner, timestamp) {
+    return path.join(this.dir, safeName(device), `tuner${parseInt(tuner)}`, `${dayKey(timestamp)}.ndjson`);
+  }
+
+  // Record one tuner-status sample. `locked` is the controller's isTunerLocked():
+  // status.lock only says the status line had a lock= field, even lock=none.
+  record(device, tuner, status, locked, timestamp = Date.now()) {
+    if (!status) return;
+
+    const sample = {
+      t: timestamp,
+      channel: status.channel || 'none',
+      lock: !!locked
+    };
+    NUMERIC_FIELDS.forEach(field => {
+      if (typeof status[field] === 'number') sample[field] = status[field];
+    });
+
+    const file = this.filePath(device, tuner, timestamp);
+    if (!this.pending.has(file)) this.pending.set(file, []);
+    this.pending.get(file).push(JSON.stringify(sample));
+  }
+
+  flush() {
+    const batches = Array.from(this.pending.entries());
+    this.pending.clear();
+
+    return Promise.all(batches.map(async ([file, lines]) => {
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, lines.join('\n') + '\n');
+      } catch (error) {
+        console.error(`History write error (${file}):`, error.message);
+      }
+    }));
+  }
+
+  // Delete day files older than the retention period
+  async prune() {
+    const cutoff = dayKey(Date.now() - this.retentionDays * DAY_MS);
+    let devices;
+    try {
+      devices = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      return; // Nothing recorded yet
+    }
+
+    for (const device of devices) {
+      const deviceDir = path.join(this.dir, device);
+      const tuners = await fs.promises.readdir(deviceDir).catch(() => []);
+      for (const tuner of tuners) {
+        const tunerDir = path.join(deviceDir, tuner);
+        const files = await fs.promises.readdir(tunerDir).catch(() => []);
+        for (const file of files) {
+          if (file.endsWith('.ndjson') && file.slice(0, 10) < cutoff) {
+            await fs.promises.unlink(path.join(tunerDir, file)).catch(() => {});
+          }
+        }
+      }
+    }
+  }
+
+  // Return a downsampled series for one device/tuner.
+  // `resolution` is the bucket size in seconds; when omitted it is chosen so the
+  // range yields at most ~500 points. Each point averages the numeric fields,
+  // reports the fraction of samples that were locked and the most common channel.
+  async query({ device, tuner, channel, from, to, resolution }) {
+    if (!resolution) {
+      resolution = Math.max(1, Math.ceil((to - from) / 1000 / 500));
+    }
+    const bucketMs = resolution * 1000;
+    if ((to - from) / bucketMs > MAX_QUERY_POINTS) {
+      throw statusError(400, `Resolution too fine for this range (max ${MAX_QUERY_POINTS} points)`);
+    }
+
+    // Make sure samples still waiting in memory are included
+    await this.flush();
+
+    const buckets = new Map();
+    for (let day = from - (from % DAY_MS); day <= to; day += DAY_MS) {
+      const file = this.filePath(device, tuner, day);
+      if (!fs.existsSync(file)) continue;
+
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let sample;
+        try {
+          sample = JSON.parse(line);
+        } catch (error) {
+          continue; // Partially written line
+        }
+        if (sample.t < from || sample.t > to) continue;
+        if (channel && sample.channel !== channel) continue;
+
+        const bucketStart = sample.t - ((sample.t - from) % bucketMs);
+        let bucket = buckets.get(bucketStart);
+        if (!bucket) {
+          bucket = { samples: 0, locked: 0, sums: {}, counts: {}, channels: {} };
+          buckets.set(bucketStart, bucket);
+        }
+        bucket.samples++;
+        if (sample.lock) bucket.locked++;
+        bucket.channels[sample.channel] = (bucket.channels[sample.channel] || 0) + 1;
+        NUMERIC_FIELDS.forEach(field => {
+          if (typeof sample[field] === 'number') {
+            bucket.sums[field] = (bucket.sums[field] || 0) + sample[field];
+            bucket.counts[field] = (bucket.counts[field] || 0) + 1;
+          }
+        });
+      }
+    }
+
+    const points = Array.from(buckets.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([t, bucket]) => {
+        const point = {
+          t,
+          samples: bucket.samples,
+          lock: Math.round((bucket.locked / bucket.samples) * 1000) / 1000,
+          channel: Object.entries(bucket.channels).sort((a, b) => b[1] - a[1])[0][0]
+        };
+        NUMERIC_FIELDS.forEach(field => {
+          if (bucket.counts[field]) {
+            point[field] = Math.round((bucket.sums[field] / bucket.counts[field]) * 10) / 10;
+          }
+        });
+        return point;
+      });
+
+    return { device, tuner: parseInt(tuner), channel: channel || null, from, to, resolution, points };
+  }
+
+  close() {
+    clearInterval(this.flushTimer);
+    clearInterval(this.pruneTimer);
+    return this.flush();
+  }
+}
+
+module.exports = { HistoryStore };
@@ -0,0 +1,299 @@
+// Live HLS relay of a device stream, so programs can be played in a browser
+// and from outside the LAN.
+//
+// HLS carries MPEG-TS segments as they are, so the device's stream is only cut
+// up, never remuxed or transcoded. A cut is made at a video random access point
+// once the segment holds TARGET_DURATION_S of PTS time (or at any PES start
+// after MAX_SEGMENT_S), and every segment starts with the latest PAT and PMT so
+// it decodes on its own. Only the last few segments are kept in memory.
+//
+// Browsers can only play what the broadcaster sends: H.264 and AAC play almost
+// everywhere, HEVC and AC-3 in some browsers, and MPEG-2 video (ATSC 1.0) in
+// none, so the stream types are reported for the player to warn about.
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { STREAM_TYPES } = require('./ts-analyzer');
+const { statusError } = require('./util');
+
+const PACKET_SIZE = 188;
+const SYNC_BYTE = 0x47;
+const TARGET_DURATION_S = 2;
+const MAX_SEGMENT_S = 6;
+const MAX_SEGMENT_BYTES = 16 * 1024 * 1024;
+const PLAYLIST_SEGMENTS = 6;
+const IDLE_TIMEOUT_MS = 30000; // Stop, and free the tuner, when no player has asked for this long
+const START_TIMEOUT_MS = 15000;
+const PTS_WRAP = 2 ** 33;
+
+// Codec ids the player checks against what the browser can decode
+const CODECS = {
+  0x01: 'mpeg1',
+  0x02: 'mpeg2',
+  0x1b: 'avc',
+  0x24: 'hevc',
+  0x03: 'mp3',
+  0x04: 'mp3',
+  0x0f: 'aac',
+  0x11: 'aac',
+  0x81: 'ac3',
+  0x87: 'ec3'
+};
+const VIDEO_CODECS = ['mpeg1', 'mpeg2', 'avc', 'hevc'];
+
+function ptsSeconds(pts, since) {
+  return ((pts - since + PTS_WRAP) % PTS_WRAP) / 90000;
+}
+
+// PTS of a PES packet starting at `offset`, or null if it has none
+function parsePts(packet, offset) {
+  if (offset + 14 > packet.length) return null;
+  if (packet[offset] !== 0 || packet[offset + 1] !== 0 || packet[offset + 2] !== 1) return null;
+  if (!(packet[offset + 7] & 0x80)) return null;
+  const b = packet.subarray(offset + 9, offset + 14);
+  return ((b[0] >> 1) & 0x07) * 2 ** 30 + ((b[1] << 7) | (b[2] >> 1)) * 2 ** 15 + ((b[3] << 7) | (b[4] >> 1));
+}
+
+class HlsSession extends EventEmitter {
+  constructor(url) {
+    super();
+    this.id = crypto.randomUUID();
+    this.url = url;
+    this.status = 'starting'; // starting, running, ended
+    this.viewers = 0;
+    this.lastAccess = Date.now();
+    this.buffer = Buffer.alloc(0);
+    this.pat = null; // Latest PAT and PMT packets, repeated at the start of each segment
+    this.pmt = null;
+    this.pmtPid = null;
+    this.streams = []; // [{ pid, streamType, type, codec }] from the PMT
+    this.timingPid = null; // Video PID, or the first audio PID for radio programs
+    this.firstPts = null;
+    this.segmentStartPts = null;
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.sequence = 0;
+    this.segments = []; // [{ sequence, duration, data, discontinuity }]
+    this.discontinuity = false; // The next segment starts a new timeline
+    this.request = null;
+    this.idleTimer = null;
+  }
+
+  // Resolves once the first segment is ready. Rejects with .status 502/504 if
+  // the device stream can't be opened or carries nothing that can be segmented.
+  start() {
+    this.idleTimer = setInterval(() => {
+      if (Date.now() - this.lastAccess > IDLE_TIMEOUT_MS) this.stop();
+    }, 5000);
+
+    this.ready = new Promise((resolve, reject) => {
+      const fail = (status, message) => {
+        if (this.status !== 'starting') return;
+        reject(statusError(status, message));
+        this.stop();
+      };
+      const timer = setTimeout(() => fail(504, 'Timed out waiting for a playable stream'), START_TIMEOUT_MS);
+      this.once('segment', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.once('close', () => clearTimeout(timer));
+
+      this.request = http.get(this.url, response => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          fail(502, `Stream request failed with HTTP ${response.statusCode}`);
+          return;
+        }
+        const end = () => {
+          if (this.status === 'starting') fail(502, 'The stream ended before any audio or video arrived');
+          else this.end();
+        };
+        response.on('data', chunk => this.feed(chunk));
+        response.on('end', end);
+        response.on('error', end);
+      });
+      this.request.on('error', error => fail(502, `Stream request failed: ${error.message}`));
+    });
+    return this.ready;
+  }
+
+  touch() {
+    this.lastAccess = Date.now();
+  }
+
+  feed(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    while (this.buffer.length - offset >= PACKET_SIZE) {
+      if (this.buffer[offset] !== SYNC_BYTE) {
+        offset++;
+        continue;
+      }
+      this.handlePacket(Buffer.from(this.buffer.subarray(offset, offset + PACKET_SIZE)));
+      offset += PACKET_SIZE;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  handlePacket(packet) {
+    const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+    const unitStart = (packet[1] & 0x40) !== 0;
+    const adaptation = (packet[3] >> 4) & 0x3;
+    const adaptationLength = adaptation & 0x2 ? packet[4] : 0;
+    const payloadStart = adaptation & 0x2 ? 5 + adaptationLength : 4;
+
+    if (unitStart && (adaptation & 0x1) && payloadStart < PACKET_SIZE) {
+      if (pid === 0) {
+        this.pat = packet;
+        this.parsePat(packet, payloadStart);
+      } else if (pid === this.pmtPid) {
+        this.pmt = packet;
+        this.parsePmt(packet, payloadStart);
+      } else if (pid === this.timingPid) {
+        const randomAccess = adaptationLength > 0 && (packet[5] & 0x40) !== 0;
+        const pts = parsePts(packet, payloadStart);
+        if (pts !== null) this.handleTiming(pts, randomAccess);
+      }
+    }
+
+    this.pending.push(packet);
+    this.pendingBytes += PACKET_SIZE;
+    if (this.pendingBytes > MAX_SEGMENT_BYTES) {
+      // No usable timing; don't let memory grow without bound
+      if (this.segmentStartPts !== null) this.finishSegment(MAX_SEGMENT_S);
+      this.pending = [];
+      this.pendingBytes = 0;
+    }
+  }
+
+  // Single-packet PAT; the stream is one program, so the first PMT PID is it
+  parsePat(packet, payloadStart) {
+    const section = payloadStart + 1 + packet[payloadStart];
+    if (section + 16 > PACKET_SIZE || packet[section] !== 0x00) return;
+    const sectionLength = ((packet[section + 1] & 0x0f) << 8) | packet[section + 2];
+    for (let i = section + 8; i + 4 <= section + 3 + sectionLength - 4; i += 4) {
+      const program = (packet[i] << 8) | packet[i + 1];
+      if (program !== 0) {
+        this.pmtPid = ((packet[i + 2] & 0x1f) << 8) | packet[i + 3];
+        return;
+      }
+    }
+  }
+
+  parsePmt(packet, payloadStart) {
+    const section = payloadStart + 1 + packet[payloadStart];
+    if (section + 16 > PACKET_SIZE || packet[section] !== 0x02) return;
+    const sectionLength = ((packet[section + 1] & 0x0f) << 8) | packet[section + 2];
+    const end = Math.min(PACKET_SIZE, section + 3 + sectionLength - 4);
+    const programInfoLength = ((packet[section + 10] & 0x0f) << 8) | packet[section + 11];
+    const streams = [];
+    for (let i = section + 12 + programInfoLength; i + 5 <= end;) {
+      const streamType = packet[i];
+      const pid = ((packet[i + 1] & 0x1f) << 8) | packet[i + 2];
+      const infoLength = ((packet[i + 3] & 0x0f) << 8) | packet[i + 4];
+      streams.push({
+        pid,
+        streamType,
+        type: STREAM_TYPES[streamType] || `Stream type 0x${streamType.toString(16)}`,
+        codec: CODECS[streamType] || null
+      });
+      i += 5 + infoLength;
+    }
+    this.streams = streams;
+
+    const video = streams.find(stream => VIDEO_CODECS.includes(stream.codec));
+    const audio = streams.find(stream => stream.codec && !VIDEO_CODECS.includes(stream.codec));
+    const timing = video || audio;
+    if (timing && timing.pid !== this.timingPid) {
+      this.timingPid = timing.pid;
+      this.firstPts = null;
+      this.segmentStartPts = null;
+    }
+  }
+
+  handleTiming(pts, randomAccess) {
+    if (this.segmentStartPts === null) {
+      // The first segment starts at a random access point, so the player can
+      // decode it from the first packet; give up waiting after MAX_SEGMENT_S
+      if (this.firstPts === null) this.firstPts = pts;
+      if (randomAccess || ptsSeconds(pts, this.firstPts) >= MAX_SEGMENT_S) {
+        this.pending = [];
+        this.pendingBytes = 0;
+        this.segmentStartPts = pts;
+      }
+      return;
+    }
+
+    const elapsed = ptsSeconds(pts, this.segmentStartPts);
+    if (elapsed > MAX_SEGMENT_S * 2) {
+      // The timestamps jumped (e.g. a splice at the broadcaster); the player has
+      // to be told, or it waits for the old timeline to continue
+      this.finishSegment(TARGET_DURATION_S);
+      this.discontinuity = true;
+      this.segmentStartPts = pts;
+    } else if ((randomAccess && elapsed >= TARGET_DURATION_S) || elapsed >= MAX_SEGMENT_S) {
+      this.finishSegment(elapsed);
+      this.segmentStartPts = pts;
+    }
+  }
+
+  finishSegment(duration) {
+    const data = Buffer.concat([...[this.pat, this.pmt].filter(Boolean), ...this.pending]);
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.segments.push({ sequence: this.sequence++, duration, data, discontinuity: this.discontinuity });
+    this.discontinuity = false;
+    if (this.segments.length > PLAYLIST_SEGMENTS) this.segments.shift();
+    if (this.status === 'starting') this.status = 'running';
+    this.emit('segment');
+  }
+
+  // The device closed the stream; players get an ENDLIST and stop
+  end() {
+    if (this.status === 'ended') return;
+    if (this.segmentStartPts !== null && this.pending.length) this.finishSegment(MAX_SEGMENT_S);
+    this.status = 'ended';
+  }
+
+  stop() {
+    clearInterval(this.idleTimer);
+    if (this.request) this.request.destroy();
+    this.status = 'ended';
+    this.emit('close');
+  }
+
+  playlist() {
+    const target = Math.ceil(Math.max(TARGET_DURATION_S, ...this.segments.map(segment => segment.duration)));
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${target}`,
+      `#EXT-X-MEDIA-SEQUENCE:${this.segments.length ? this.segments[0].sequence : 0}`
+    ];
+    this.segments.forEach(segment => {
+      if (segment.discontinuity) lines.push('#EXT-X-DISCONTINUITY');
+      lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, `segment${segment.sequence}.ts`);
+    });
+    if (this.status === 'ended') lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+  }
+
+  segment(sequence) {
+    const segment = this.segments.find(s => s.sequence === sequence);
+    return segment ? segment.data : null;
+  }
+
+  info() {
+    return {
+      id: this.id,
+      url: this.url,
+      playlist: `/api/hls/${this.id}/index.m3u8`,
+      status: this.status,
+      streams: this.streams
+    };
+  }
+}
+
+module.exports = { HlsSession };
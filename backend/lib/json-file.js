@@ -0,0 +1,39 @@
+// Atomic JSON writes for the files in the data directory.
+//
+// Each write goes to its own temporary file that is then renamed over the
+// target, so readers never see a half-written file. Writes to the same file are
+// queued: overlapping saves (e.g. from parallel background loops) would
+// otherwise rename over each other and end in ENOENT.
+
+const fs = require('fs');
+const path = require('path');
+
+const queues = new Map(); // file -> Promise of its last write
+let sequence = 0;
+
+async function write(file, text, options) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.${++sequence}.tmp`;
+  try {
+    await fs.promises.writeFile(temp, text, options);
+    await fs.promises.rename(temp, file);
+  } catch (error) {
+    await fs.promises.unlink(temp).catch(() => {});
+    throw error;
+  }
+}
+
+// `data` is serialised straight away, so later changes to it don't leak into a queued write;
+// `options` go to fs.writeFile (e.g. { mode: 0o600 })
+function writeJsonFile(file, data, options = {}) {
+  const text = JSON.stringify(data, null, 2);
+  const previous = queues.get(file) || Promise.resolve();
+  const current = previous.catch(() => {}).then(() => write(file, text, options));
+  queues.set(file, current);
+  current.catch(() => {}).then(() => {
+    if (queues.get(file) === current) queues.delete(file);
+  });
+  return current;
+}
+
+module.exports = { writeJsonFile };
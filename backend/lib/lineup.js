@@ -0,0 +1,136 @@
+// Channel lineup from the last completed scan of every device, exported as an
+// M3U playlist and an XMLTV channel list for Jellyfin, Kodi, VLC and the like.
+//
+// Stream URLs tune by RF frequency and program number, like the per-program
+// play.m3u, so two stations that both claim e.g. 2.1 on different transmitters
+// each get their own entry. A program seen by several devices is listed once,
+// from the device that received it best. tvg-id is built from the frequency and
+// program number, so it stays the same across rescans and matches the XMLTV ids.
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonFile } = require('./json-file');
+
+class ScanResults {
+  constructor(options = {}) {
+    this.file = path.join(options.dataDir, 'scans.json');
+    this.scans = {}; // deviceId -> { deviceId, ip, tuner, channelMap, timestamp, channels }
+    this.load();
+  }
+
+  load() {
+    try {
+      this.scans = JSON.parse(fs.readFileSync(this.file, 'utf8')).scans || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load scan results:', error.message);
+    }
+  }
+
+  save() {
+    return writeJsonFile(this.file, { scans: this.scans });
+  }
+
+  // Replace a device's lineup with the channels of a scan that ran to the end
+  async record(deviceId, ip, tuner, channelMap, channels) {
+    this.scans[deviceId] = { deviceId, ip, tuner: parseInt(tuner), channelMap, timestamp: Date.now(), channels };
+    await this.save();
+  }
+
+  getAll() {
+    return Object.values(this.scans);
+  }
+}
+
+// "12.1" -> [12, 1] for sorting; channels without one go last
+function channelSortKey(virtualChannel) {
+  const parts = String(virtualChannel || '').split('.').map(part => parseInt(part));
+  return parts.every(part => !isNaN(part)) ? parts : [Infinity];
+}
+
+function compareChannels(a, b) {
+  const keyA = channelSortKey(a.virtualChannel);
+  const keyB = channelSortKey(b.virtualChannel);
+  for (let i = 0; i < Math.max(keyA.length, keyB.length); i++) {
+    const diff = (keyA[i] || 0) - (keyB[i] || 0);
+    if (diff) return diff;
+  }
+  return parseInt(a.frequency) - parseInt(b.frequency);
+}
+
+// One entry per RF frequency + program across all scans:
+// { id, deviceId, ip, frequency, rfChannel, programNum, virtualChannel, name, group, quality }
+function buildLineup(scans) {
+  const entries = new Map();
+  scans.forEach(scan => {
+    (scan.channels || []).forEach(channel => {
+      const rfChannel = String(channel.channel || '').split(':').pop();
+      const quality = (channel.symbolQuality || 0) * 1000 + (channel.signalStrength || 0);
+      (channel.programs || []).forEach(program => {
+        if (program.encrypted) return;
+        const id = `${channel.frequency}-${program.programNum}`;
+        const existing = entries.get(id);
+        if (existing && existing.quality >= quality) return;
+        entries.set(id, {
+          id,
+          deviceId: scan.deviceId,
+          ip: scan.ip,
+          frequency: channel.frequency,
+          rfChannel,
+          programNum: program.programNum,
+          virtualChannel: program.virtualChannel,
+          name: program.name,
+          group: `RF ${rfChannel} (${(parseInt(channel.frequency) / 1000000).toFixed(0)} MHz)`,
+          quality
+        });
+      });
+    });
+  });
+  return Array.from(entries.values()).sort(compareChannels);
+}
+
+function m3uAttribute(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/["\r\n]/g, '');
+}
+
+// `entries` need a `url`; `guideUrl` is advertised as url-tvg
+function toM3u(entries, guideUrl) {
+  const lines = [guideUrl ? `#EXTM3U url-tvg="${m3uAttribute(guideUrl)}"` : '#EXTM3U'];
+  entries.forEach(entry => {
+    const title = [entry.virtualChannel, entry.name].filter(Boolean).join(' ');
+    lines.push(
+      `#EXTINF:-1 tvg-id="${m3uAttribute(entry.id)}" tvg-chno="${m3uAttribute(entry.virtualChannel)}" ` +
+      `tvg-name="${m3uAttribute(entry.name)}" group-title="${m3uAttribute(entry.group)}",${title.replace(/[\r\n]/g, '')}`,
+      entry.url
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toXmltv(entries) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+    '<tv generator-info-name="HDHomeRun Signal Monitor">'
+  ];
+  entries.forEach(entry => {
+    lines.push(`  <channel id="${xmlEscape(entry.id)}">`);
+    // Most specific first; clients match on any of these
+    [[entry.virtualChannel, entry.name].filter(Boolean).join(' '), entry.name, entry.virtualChannel]
+      .filter((name, index, names) => name && names.indexOf(name) === index)
+      .forEach(name => lines.push(`    <display-name>${xmlEscape(name)}</display-name>`));
+    lines.push('  </channel>');
+  });
+  lines.push('</tv>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { ScanResults, buildLineup, toM3u, toXmltv };
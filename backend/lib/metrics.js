@@ -0,0 +1,157 @@
+// Prometheus exporter for tuner signal and device health.
+//
+// A background collector polls every tuner of every discovered device with the
+// same getTunerStatus() parsing the UI uses. It starts on the first scrape of
+// /metrics and stops again once nobody has scraped for a while, so installs
+// without Prometheus don't pay for the extra device traffic.
+
+const DEFAULT_INTERVAL_MS = 15000;
+const IDLE_STOP_MS = 10 * 60 * 1000;
+const DISCOVERY_REFRESH_MS = 5 * 60 * 1000;
+
+const TUNER_GAUGES = [
+  ['hdhomerun_tuner_signal_strength', 'Signal strength in percent', s => s.ss],
+  ['hdhomerun_tuner_snr_quality', 'Signal-to-noise quality in percent', s => s.snq],
+  ['hdhomerun_tuner_symbol_quality', 'Symbol error quality in percent', s => s.seq],
+  ['hdhomerun_tuner_signal_dbm', 'Estimated signal level in dBm', s => s.ssDb],
+  ['hdhomerun_tuner_snr_db', 'Estimated signal-to-noise ratio in dB', s => s.snrDb],
+  ['hdhomerun_tuner_bitrate_bps', 'Transport stream bitrate in bits per second', s => s.bps]
+];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+class MetricsCollector {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.interval = options.interval || DEFAULT_INTERVAL_MS;
+    this.timer = null;
+    this.lastScrape = 0;
+    this.lastDiscovery = 0;
+    this.collecting = null;
+    this.tunerCounts = new Map(); // device id -> tuner count (probing tuners is expensive)
+    this.snapshot = null; // { devices: [...], timestamp, duration }
+  }
+
+  // Called on every scrape: make sure the collector runs and wait for the
+  // first collection so the very first scrape already has data.
+  async scrape() {
+    this.lastScrape = Date.now();
+    if (!this.timer) {
+      console.log('Metrics scrape received, starting background tuner collection');
+      this.timer = setInterval(() => this.tick(), this.interval);
+      this.timer.unref();
+    }
+    if (!this.snapshot) {
+      await this.collect();
+    }
+    return this.render();
+  }
+
+  tick() {
+    if (Date.now() - this.lastScrape > IDLE_STOP_MS) {
+      console.log('No metrics scrapes recently, stopping background tuner collection');
+      clearInterval(this.timer);
+      this.timer = null;
+      this.snapshot = null;
+      return;
+    }
+    this.collect();
+  }
+
+  collect() {
+    // Never run two collections at once if the devices are slow to answer
+    if (!this.collecting) {
+      this.collecting = this.runCollection().finally(() => {
+        this.collecting = null;
+      });
+    }
+    return this.collecting;
+  }
+
+  async runCollection() {
+    const started = Date.now();
+
+    if (this.controller.devices.length === 0 || started - this.lastDiscovery > DISCOVERY_REFRESH_MS) {
+      this.lastDiscovery = started;
+      await this.controller.discoverDevices().catch(error => {
+        console.error('Metrics device discovery failed:', error.message);
+      });
+    }
+
+    const devices = await Promise.all(this.controller.devices.map(device => this.collectDevice(device)));
+    this.snapshot = { devices, timestamp: Date.now(), duration: (Date.now() - started) / 1000 };
+  }
+
+  async collectDevice(device) {
+    let model = null;
+    try {
+      model = await this.controller.getVar(device.id, '/sys/model');
+    } catch (error) {
+      return { id: device.id, model: null, up: false, tuners: [] };
+    }
+
+    if (!this.tunerCounts.has(device.id)) {
+      const info = await this.controller.getDeviceInfo(device.id);
+      this.tunerCounts.set(device.id, info.tuners);
+    }
+
+    const tuners = await Promise.all(
+      Array.from({ length: this.tunerCounts.get(device.id) }, (_, tuner) =>
+        this.controller.getTunerStatus(device.id, tuner)
+          .then(status => ({ tuner, status }))
+          .catch(() => ({ tuner, status: null }))
+      )
+    );
+
+    return { id: device.id, model, up: true, tuners };
+  }
+
+  render() {
+    const lines = [];
+    const gauge = (name, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} gauge`);
+      samples.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+    };
+
+    const devices = this.snapshot ? this.snapshot.devices : [];
+
+    gauge('hdhomerun_device_up', 'Whether the device answered the last poll (1) or not (0)',
+      devices.map(d => [{ device: d.id, model: d.model || '' }, d.up ? 1 : 0]));
+    gauge('hdhomerun_device_tuners', 'Number of tuners on the device',
+      devices.filter(d => d.up).map(d => [{ device: d.id }, d.tuners.length]));
+
+    const tunerRows = [];
+    devices.forEach(d => d.tuners.forEach(({ tuner, status }) => {
+      if (!status) return;
+      tunerRows.push({ labels: { device: d.id, tuner, channel: status.channel || 'none' }, status });
+    }));
+
+    gauge('hdhomerun_tuner_lock', 'Whether the tuner is locked to a signal (1) or not (0)',
+      tunerRows.map(({ labels, status }) => [labels, this.controller.isTunerLocked(status) ? 1 : 0]));
+
+    TUNER_GAUGES.forEach(([name, help, getValue]) => {
+      gauge(name, help, tunerRows
+        .filter(({ status }) => typeof getValue(status) === 'number')
+        .map(({ labels, status }) => [labels, getValue(status)]));
+    });
+
+    if (this.snapshot) {
+      gauge('hdhomerun_collection_duration_seconds', 'Time taken by the last background collection',
+        [[{}, this.snapshot.duration]]);
+      gauge('hdhomerun_collection_timestamp_seconds', 'Unix time of the last background collection',
+        [[{}, Math.floor(this.snapshot.timestamp / 1000)]]);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = { MetricsCollector };
@@ -0,0 +1,260 @@
+// MQTT publisher with Home Assistant MQTT discovery.
+//
+// Every tuner of every discovered device is polled in the background and its
+// status is published as a retained JSON message:
+//   <prefix>/<device>/tuner<N>/state
+// Home Assistant discovery configs are published once per tuner so each one
+// shows up as a device with lock/signal sensors, a "tune" text entity and a
+// "clear" button. Commands are accepted on:
+//   <prefix>/<device>/tuner<N>/tune/set   payload: channel (e.g. "auto:599000000", "35")
+//   <prefix>/<device>/tuner<N>/clear/set  payload: anything
+// <prefix>/status carries "online"/"offline" (the offline message is the last will).
+
+const mqtt = require('mqtt');
+
+const DEFAULT_INTERVAL_MS = 30000;
+const DISCOVERY_REFRESH_MS = 5 * 60 * 1000;
+
+// [key, name, unit, device class, icon]
+const SENSORS = [
+  ['channel', 'Channel', null, null, 'mdi:television-classic'],
+  ['program', 'Program', null, null, 'mdi:television-guide'],
+  ['ss', 'Signal Strength', '%', null, 'mdi:signal'],
+  ['snq', 'SNR Quality', '%', null, 'mdi:signal-variant'],
+  ['seq', 'Symbol Quality', '%', null, 'mdi:check-network'],
+  ['ssDb', 'Signal Level', 'dBm', 'signal_strength', null],
+  ['snrDb', 'SNR', 'dB', null, 'mdi:waveform'],
+  ['bps', 'Bitrate', 'bit/s', 'data_rate', null]
+];
+
+// MQTT topics and Home Assistant object ids only allow a limited character set,
+// and manually added devices use "host:port" as their id
+function topicId(deviceId) {
+  return String(deviceId).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+class MqttPublisher {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.url = options.url;
+    this.username = options.username;
+    this.password = options.password;
+    this.prefix = options.prefix || 'hdhomerun';
+    this.discoveryPrefix = options.discoveryPrefix || 'homeassistant';
+    this.interval = options.interval || DEFAULT_INTERVAL_MS;
+    this.client = null;
+    this.timer = null;
+    this.lastDiscovery = 0;
+    this.publishing = null;
+    this.tunerCounts = new Map(); // device id -> tuner count
+    this.announced = new Set(); // "<device>/tuner<N>" with discovery config sent
+    this.topicDevices = new Map(); // topic id -> device id, for command topics
+  }
+
+  start() {
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      will: { topic: `${this.prefix}/status`, payload: 'offline', retain: true }
+    });
+
+    this.client.on('connect', () => {
+      console.log(`Connected to MQTT broker ${this.url}`);
+      // Home Assistant may have restarted or the broker lost its retained messages
+      this.announced.clear();
+      this.client.publish(`${this.prefix}/status`, 'online', { retain: true });
+      this.client.subscribe([`${this.prefix}/+/+/tune/set`, `${this.prefix}/+/+/clear/set`]);
+      this.client.subscribe(`${this.discoveryPrefix}/status`);
+      this.publish();
+    });
+
+    this.client.on('message', (topic, payload) => this.handleMessage(topic, payload.toString()));
+    this.client.on('error', error => console.error('MQTT error:', error.message));
+
+    this.timer = setInterval(() => this.publish(), this.interval);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.client) {
+      await this.client.publishAsync(`${this.prefix}/status`, 'offline', { retain: true }).catch(() => {});
+      await this.client.endAsync();
+      this.client = null;
+    }
+  }
+
+  publish() {
+    if (!this.client || !this.client.connected) return Promise.resolve();
+    // Skip a round if the previous one is still waiting on slow devices
+    if (!this.publishing) {
+      this.publishing = this.publishAll().catch(error => {
+        console.error('MQTT publish failed:', error.message);
+      }).finally(() => {
+        this.publishing = null;
+      });
+    }
+    return this.publishing;
+  }
+
+  async publishAll() {
+    const now = Date.now();
+    if (this.controller.devices.length === 0 || now - this.lastDiscovery > DISCOVERY_REFRESH_MS) {
+      this.lastDiscovery = now;
+      await this.controller.discoverDevices().catch(error => {
+        console.error('MQTT device discovery failed:', error.message);
+      });
+    }
+
+    await Promise.all(this.controller.devices.map(device => this.publishDevice(device)));
+  }
+
+  async publishDevice(device) {
+    const id = topicId(device.id);
+    this.topicDevices.set(id, device.id);
+
+    if (!this.tunerCounts.has(device.id)) {
+      const info = await this.controller.getDeviceInfo(device.id);
+      this.tunerCounts.set(device.id, info.tuners);
+    }
+
+    let model;
+    for (let tuner = 0; tuner < this.tunerCounts.get(device.id); tuner++) {
+      const base = `${this.prefix}/${id}/tuner${tuner}`;
+      if (!this.announced.has(base)) {
+        if (model === undefined) {
+          model = await this.controller.getVar(device.id, '/sys/model').catch(() => null);
+        }
+        this.publishDiscovery(device, tuner, model);
+        this.announced.add(base);
+      }
+
+      const state = await this.getTunerState(device.id, tuner);
+      if (state) {
+        this.client.publish(`${base}/state`, JSON.stringify(state), { retain: true });
+      }
+    }
+  }
+
+  async getTunerState(deviceId, tuner) {
+    const status = await this.controller.getTunerStatus(deviceId, tuner).catch(() => null);
+    if (!status) return null;
+
+    const locked = this.controller.isTunerLocked(status);
+    const program = locked ? await this.controller.describeCurrentProgram(deviceId, tuner) : null;
+
+    return {
+      lock: locked ? 'ON' : 'OFF',
+      modulation: status.modulation,
+      channel: status.channel || 'none',
+      program,
+      ss: status.ss,
+      snq: status.snq,
+      seq: status.seq,
+      ssDb: status.ssDb,
+      snrDb: status.snrDb,
+      // Calibration profile behind ssDb/snrDb and their +/- dB uncertainty
+      dbProfile: status.calibration ? status.calibration.profile : null,
+      ssDbUncertainty: status.calibration ? status.calibration.uncertainty.ssDb : null,
+      snrDbUncertainty: status.calibration ? status.calibration.uncertainty.snrDb : null,
+      bps: status.bps
+    };
+  }
+
+  publishDiscovery(device, tuner, model) {
+    const id = topicId(device.id);
+    const base = `${this.prefix}/${id}/tuner${tuner}`;
+    const objectPrefix = `hdhomerun_${id}_tuner${tuner}`;
+    const common = {
+      availability_topic: `${this.prefix}/status`,
+      device: {
+        identifiers: [objectPrefix],
+        name: `HDHomeRun ${device.id} Tuner ${tuner}`,
+        manufacturer: 'SiliconDust',
+        model: model || 'HDHomeRun'
+      }
+    };
+    const config = (component, key, payload) => {
+      this.client.publish(
+        `${this.discoveryPrefix}/${component}/${objectPrefix}_${key}/config`,
+        JSON.stringify({ ...common, unique_id: `${objectPrefix}_${key}`, ...payload }),
+        { retain: true }
+      );
+    };
+
+    config('binary_sensor', 'lock', {
+      name: 'Lock',
+      state_topic: `${base}/state`,
+      value_template: '{{ value_json.lock }}',
+      icon: 'mdi:lock'
+    });
+
+    SENSORS.forEach(([key, name, unit, deviceClass, icon]) => {
+      config('sensor', key, {
+        name,
+        state_topic: `${base}/state`,
+        value_template: `{{ value_json.${key} }}`,
+        ...(unit && { unit_of_measurement: unit, state_class: 'measurement' }),
+        ...(deviceClass && { device_class: deviceClass }),
+        ...(icon && { icon })
+      });
+    });
+
+    config('text', 'tune', {
+      name: 'Tune',
+      command_topic: `${base}/tune/set`,
+      state_topic: `${base}/state`,
+      value_template: '{{ value_json.channel }}',
+      icon: 'mdi:radio-tower'
+    });
+
+    config('button', 'clear', {
+      name: 'Clear',
+      command_topic: `${base}/clear/set`,
+      icon: 'mdi:stop'
+    });
+  }
+
+  async handleMessage(topic, payload) {
+    // Home Assistant came back up: send the discovery configs again
+    if (topic === `${this.discoveryPrefix}/status`) {
+      if (payload === 'online') {
+        this.announced.clear();
+        this.publish();
+      }
+      return;
+    }
+
+    const match = topic.slice(this.prefix.length + 1).match(/^([^/]+)\/tuner(\d+)\/(tune|clear)\/set$/);
+    if (!match) return;
+
+    const [, id, tuner, command] = match;
+    const deviceId = this.topicDevices.get(id);
+    if (!deviceId) {
+      console.error(`MQTT command for unknown device ${id}`);
+      return;
+    }
+
+    try {
+      if (command === 'tune') {
+        const channel = payload.trim();
+        if (!channel) return;
+        console.log(`MQTT: tuning device ${deviceId} tuner ${tuner} to ${channel}`);
+        await this.controller.setChannel(deviceId, tuner, channel);
+      } else {
+        console.log(`MQTT: clearing device ${deviceId} tuner ${tuner}`);
+        await this.controller.clearTuner(deviceId, tuner);
+      }
+
+      // Publish the new state straight away instead of waiting for the next round
+      const state = await this.getTunerState(deviceId, tuner);
+      if (state && this.client) {
+        this.client.publish(`${this.prefix}/${id}/tuner${tuner}/state`, JSON.stringify(state), { retain: true });
+      }
+    } catch (error) {
+      console.error(`MQTT ${command} command failed for ${deviceId} tuner ${tuner}:`, error.message);
+    }
+  }
+}
+
+module.exports = { MqttPublisher };
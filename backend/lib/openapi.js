@@ -0,0 +1,337 @@
+// OpenAPI 3 description of /api/v2 and a small explorer page for trying it out.
+//
+// The document is built from the same tables the router validates against
+// (error codes, modulations, channel maps), so the two can't drift apart on
+// those. The explorer is a single page without dependencies: it reads the
+// document, lists each operation with inputs for its parameters and body, and
+// sends requests with the browser's session cookie or a pasted bearer token.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function dataResponse(description, schema) {
+  return {
+    description,
+    content: { 'application/json': { schema: { type: 'object', required: ['data'], properties: { data: schema } } } }
+  };
+}
+
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: ref('Error') } } };
+}
+
+const deviceId = { name: 'deviceId', in: 'path', required: true, description: 'Device ID as listed by GET /devices', schema: { type: 'string', example: '1050A1B2' } };
+const tuner = { name: 'tuner', in: 'path', required: true, description: 'Tuner number, from 0', schema: { type: 'integer', minimum: 0, maximum: 7 } };
+
+const deviceErrors = {
+  404: errorResponse('not-found: the device has never been discovered'),
+  502: errorResponse('device-unreachable or device-error'),
+  504: errorResponse('timeout: the device did not answer in time')
+};
+const tunerErrors = { 400: errorResponse('invalid-tuner'), ...deviceErrors };
+const authErrors = {
+  401: errorResponse('unauthorized: log in first (only when user accounts are enabled)'),
+  403: errorResponse('forbidden: the user lacks the required role')
+};
+
+function buildOpenApi({ errorCodes, modulations, channelMaps }) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'HDHomeRun Signal API',
+      version: '2',
+      description: 'Every success is { data }, every failure { error: { code, message, details? } }. ' +
+        'When user accounts are enabled, send the session cookie or "Authorization: Bearer <token>" from POST /api/auth/login.'
+    },
+    servers: [{ url: '/api/v2' }],
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer' },
+        cookie: { type: 'apiKey', in: 'cookie', name: 'hdhr_session' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', enum: Object.keys(errorCodes) },
+                message: { type: 'string' },
+                details: { type: 'object', additionalProperties: true }
+              }
+            }
+          }
+        },
+        Device: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            ip: { type: 'string' },
+            name: { type: 'string' },
+            tunerCount: { type: 'integer', nullable: true },
+            baseUrl: { type: 'string', nullable: true },
+            online: { type: 'boolean' },
+            firstSeen: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+            lastSeen: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+            onlineSince: { type: 'integer', nullable: true, description: 'Epoch milliseconds' }
+          }
+        },
+        DevicePresence: {
+          allOf: [ref('Device'), {
+            type: 'object',
+            properties: {
+              availability24h: { type: 'number', nullable: true, description: 'Fraction of the last 24 hours the device was online' },
+              timeline: { type: 'array', items: { type: 'object', additionalProperties: true } }
+            }
+          }]
+        },
+        TunerStatus: {
+          type: 'object',
+          properties: {
+            channel: { type: 'string', example: 'auto:557000000' },
+            lock: { type: 'boolean' },
+            modulation: { type: 'string', nullable: true, example: '8vsb' },
+            ss: { type: 'integer', description: 'Signal strength, %' },
+            snq: { type: 'integer', description: 'Signal to noise quality, %' },
+            seq: { type: 'integer', description: 'Symbol error quality, %' },
+            bps: { type: 'integer' },
+            pps: { type: 'integer' }
+          },
+          additionalProperties: true
+        },
+        Program: {
+          type: 'object',
+          properties: {
+            programNum: { type: 'string' },
+            virtualChannel: { type: 'string' },
+            name: { type: 'string' },
+            callsign: { type: 'string' },
+            status: { type: 'string' },
+            encrypted: { type: 'boolean' },
+            atsc3: { type: 'boolean' }
+          }
+        },
+        ChannelRequest: {
+          type: 'object',
+          description: 'Either channel (an RF channel in channelMap, or "<modulation>:<Hz>") or frequency',
+          properties: {
+            channel: { type: 'string', example: '27' },
+            channelMap: { type: 'string', enum: channelMaps, description: 'Defaults to the defaultChannelMap setting' },
+            frequency: { type: 'integer', example: 557000000 }
+          },
+          example: { channel: '27', channelMap: 'us-bcast' }
+        },
+        ChannelResult: {
+          type: 'object',
+          properties: {
+            deviceId: { type: 'string' },
+            tuner: { type: 'integer' },
+            channel: { type: 'string', description: 'The value sent to the device', example: 'auto:557000000' }
+          }
+        },
+        Settings: {
+          type: 'object',
+          properties: {
+            settings: { type: 'object', additionalProperties: true },
+            defaults: { type: 'object', additionalProperties: true },
+            overridden: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    },
+    security: [{}, { bearer: [] }, { cookie: [] }],
+    paths: {
+      '/devices': {
+        get: {
+          tags: ['Devices'],
+          summary: 'Every device seen so far, online ones first',
+          parameters: [{ name: 'refresh', in: 'query', description: 'Run discovery now instead of using the background check', schema: { type: 'boolean' } }],
+          responses: { 200: dataResponse('Devices', { type: 'array', items: ref('Device') }), 400: errorResponse('invalid-request'), ...authErrors }
+        }
+      },
+      '/devices/{deviceId}': {
+        get: {
+          tags: ['Devices'],
+          summary: 'A device with its availability and on/offline timeline',
+          parameters: [deviceId],
+          responses: { 200: dataResponse('Device presence', ref('DevicePresence')), 404: errorResponse('not-found'), ...authErrors }
+        }
+      },
+      '/devices/{deviceId}/info': {
+        get: {
+          tags: ['Devices'],
+          summary: 'Model, firmware, features and supported standards',
+          parameters: [deviceId],
+          responses: { 200: dataResponse('Device details', { type: 'object', additionalProperties: true }), ...deviceErrors, ...authErrors }
+        }
+      },
+      '/devices/{deviceId}/tuners/{tuner}': {
+        get: {
+          tags: ['Tuners'],
+          summary: 'Tuner status with signal levels',
+          parameters: [deviceId, tuner],
+          responses: { 200: dataResponse('Tuner status', ref('TunerStatus')), ...tunerErrors, ...authErrors }
+        }
+      },
+      '/devices/{deviceId}/tuners/{tuner}/programs': {
+        get: {
+          tags: ['Tuners'],
+          summary: 'Programs on the tuned channel; empty when the tuner is not locked',
+          parameters: [deviceId, tuner],
+          responses: { 200: dataResponse('Programs', { type: 'array', items: ref('Program') }), ...tunerErrors, ...authErrors }
+        }
+      },
+      '/devices/{deviceId}/tuners/{tuner}/channel': {
+        put: {
+          tags: ['Tuners'],
+          summary: 'Tune to a channel (operator)',
+          description: `Modulations accepted before a frequency: ${modulations.join(', ')}.`,
+          parameters: [deviceId, tuner],
+          requestBody: { required: true, content: { 'application/json': { schema: ref('ChannelRequest') } } },
+          responses: {
+            200: dataResponse('Tuned', ref('ChannelResult')),
+            ...tunerErrors,
+            400: errorResponse('invalid-request, invalid-tuner or invalid-channel'),
+            409: errorResponse('tuner-in-use: another client holds the tuner lock'),
+            ...authErrors
+          }
+        },
+        delete: {
+          tags: ['Tuners'],
+          summary: 'Stop tuning (operator)',
+          parameters: [deviceId, tuner],
+          responses: { 200: dataResponse('Cleared', ref('ChannelResult')), ...tunerErrors, ...authErrors }
+        }
+      },
+      '/channel-plans': {
+        get: {
+          tags: ['Configuration'],
+          summary: 'Regions and channel maps with their channel frequencies',
+          responses: { 200: dataResponse('Channel plans', { type: 'object', additionalProperties: true }), ...authErrors }
+        }
+      },
+      '/settings': {
+        get: {
+          tags: ['Configuration'],
+          summary: 'Server settings, their defaults and which ones were changed',
+          responses: { 200: dataResponse('Settings', ref('Settings')), ...authErrors }
+        },
+        put: {
+          tags: ['Configuration'],
+          summary: 'Change settings (admin); null restores a setting to its default',
+          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', additionalProperties: true } } } },
+          responses: { 200: dataResponse('Settings', ref('Settings')), 400: errorResponse('invalid-request'), ...authErrors }
+        }
+      }
+    }
+  };
+}
+
+// The explorer renders with textContent only, so nothing from the document is parsed as HTML
+function explorerPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>HDHomeRun Signal API</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 16px; color: #222; }
+  h1 { font-size: 1.4rem; margin-bottom: 4px; }
+  h2 { font-size: 1.1rem; margin-top: 24px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  details { border: 1px solid #ddd; border-radius: 4px; margin: 6px 0; }
+  summary { cursor: pointer; padding: 6px 8px; font-family: monospace; }
+  .method { display: inline-block; width: 60px; font-weight: bold; color: #fff; text-align: center; border-radius: 3px; margin-right: 8px; }
+  .get { background: #1976d2; } .put { background: #ef6c00; } .delete { background: #c62828; } .post { background: #2e7d32; }
+  .body { padding: 8px; border-top: 1px solid #eee; }
+  label { display: block; margin: 4px 0; font-size: 0.9rem; }
+  input, textarea { font-family: monospace; width: 100%; box-sizing: border-box; }
+  pre { background: #f5f5f5; padding: 8px; overflow: auto; max-height: 400px; }
+  .muted { color: #666; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+<h1>HDHomeRun Signal API</h1>
+<p class="muted" id="description"></p>
+<label>Bearer token (leave empty to use this browser's login) <input id="token" type="text"></label>
+<div id="operations">Loading ${specUrl}...</div>
+<script>
+const el = (tag, props, children) => {
+  const node = Object.assign(document.createElement(tag), props || {});
+  (children || []).forEach(child => node.append(child));
+  return node;
+};
+
+function operation(spec, path, method, op) {
+  const inputs = {};
+  const params = (op.parameters || []).map(p => {
+    inputs[p.name] = el('input', { placeholder: p.schema && p.schema.example !== undefined ? String(p.schema.example) : '' });
+    return el('label', { textContent: p.name + ' (' + p.in + (p.required ? ', required' : '') + ') ' + (p.description || '') }, [inputs[p.name]]);
+  });
+
+  let body = null;
+  if (op.requestBody) {
+    const schema = op.requestBody.content['application/json'].schema;
+    const resolved = schema.$ref ? spec.components.schemas[schema.$ref.split('/').pop()] : schema;
+    body = el('textarea', { rows: 4, value: JSON.stringify(resolved.example || {}, null, 2) });
+  }
+
+  const output = el('pre', { textContent: '' });
+  const send = el('button', { textContent: 'Send' });
+  send.onclick = async () => {
+    let url = spec.servers[0].url + path.replace(/{(\\w+)}/g, (_, name) => encodeURIComponent(inputs[name].value));
+    const query = (op.parameters || []).filter(p => p.in === 'query' && inputs[p.name].value);
+    if (query.length) url += '?' + query.map(p => p.name + '=' + encodeURIComponent(inputs[p.name].value)).join('&');
+    const headers = { 'Content-Type': 'application/json' };
+    const token = document.getElementById('token').value.trim();
+    if (token) headers.Authorization = 'Bearer ' + token;
+    output.textContent = method.toUpperCase() + ' ' + url + ' ...';
+    try {
+      const response = await fetch(url, { method: method.toUpperCase(), headers, body: body ? body.value : undefined });
+      const text = await response.text();
+      let pretty = text;
+      try { pretty = JSON.stringify(JSON.parse(text), null, 2); } catch (e) { /* not JSON */ }
+      output.textContent = response.status + ' ' + response.statusText + '\\n' + pretty;
+    } catch (error) {
+      output.textContent = error.message;
+    }
+  };
+
+  const responses = Object.entries(op.responses).map(([status, r]) => status + ': ' + r.description).join('\\n');
+  return el('details', {}, [
+    el('summary', {}, [el('span', { className: 'method ' + method, textContent: method.toUpperCase() }), path + '  ', el('span', { className: 'muted', textContent: op.summary || '' })]),
+    el('div', { className: 'body' }, [
+      el('p', { className: 'muted', textContent: op.description || '' }),
+      ...params,
+      ...(body ? [el('label', { textContent: 'Request body (JSON)' }, [body])] : []),
+      send,
+      el('pre', { className: 'muted', textContent: responses }),
+      output
+    ])
+  ]);
+}
+
+fetch(${JSON.stringify(specUrl)}).then(response => response.json()).then(spec => {
+  document.getElementById('description').textContent = spec.info.description;
+  const container = document.getElementById('operations');
+  container.textContent = '';
+  const groups = {};
+  Object.entries(spec.paths).forEach(([path, methods]) => {
+    Object.entries(methods).forEach(([method, op]) => {
+      const tag = (op.tags || ['Other'])[0];
+      (groups[tag] = groups[tag] || []).push(operation(spec, path, method, op));
+    });
+  });
+  Object.entries(groups).forEach(([tag, operations]) => container.append(el('h2', { textContent: tag }), ...operations));
+}).catch(error => {
+  document.getElementById('operations').textContent = 'Failed to load the API description: ' + error.message;
+});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildOpenApi, explorerPage };
@@ -0,0 +1,110 @@
+// Reference-counted polling shared between Socket.IO clients.
+//
+// Each subscription key (e.g. "tuner:1053C0DE:0") owns exactly one poller while
+// at least one socket is subscribed. Results are broadcast to a Socket.IO room
+// named after the key, and the poller stops when the last subscriber leaves.
+
+class PollingSubscriptions {
+  constructor(io, options = {}) {
+    this.io = io;
+    this.interval = options.interval || 1000;
+    this.pollers = new Map(); // key -> { event, poll, subscribers, timer, inFlight, lastResult }
+    this.socketKeys = new Map(); // socket.id -> Set of keys
+  }
+
+  // Subscribe a socket to `key`. `poll` is only used when this is the first
+  // subscriber; later subscribers share the running poller.
+  subscribe(socket, key, event, poll) {
+    let poller = this.pollers.get(key);
+    if (!poller) {
+      poller = {
+        event,
+        poll,
+        subscribers: new Set(),
+        timer: null,
+        inFlight: false,
+        lastResult: null
+      };
+      this.pollers.set(key, poller);
+      poller.timer = setInterval(() => this.runPoll(key), this.interval);
+      console.log(`Started poller ${key}`);
+      this.runPoll(key);
+    }
+
+    poller.subscribers.add(socket.id);
+    socket.join(key);
+
+    if (!this.socketKeys.has(socket.id)) {
+      this.socketKeys.set(socket.id, new Set());
+    }
+    this.socketKeys.get(socket.id).add(key);
+
+    // Send the latest known result straight away instead of waiting for the next tick
+    if (poller.lastResult !== null) {
+      socket.emit(poller.event, poller.lastResult);
+    }
+  }
+
+  unsubscribe(socket, key) {
+    socket.leave(key);
+
+    const keys = this.socketKeys.get(socket.id);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) this.socketKeys.delete(socket.id);
+    }
+
+    const poller = this.pollers.get(key);
+    if (!poller) return;
+
+    poller.subscribers.delete(socket.id);
+    if (poller.subscribers.size === 0) {
+      clearInterval(poller.timer);
+      this.pollers.delete(key);
+      console.log(`Stopped poller ${key} (no subscribers left)`);
+    }
+  }
+
+  // Unsubscribe a socket from every key, or only from the keys matching `filter`
+  unsubscribeAll(socket, filter = () => true) {
+    const keys = this.socketKeys.get(socket.id);
+    if (!keys) return;
+    Array.from(keys).filter(filter).forEach(key => this.unsubscribe(socket, key));
+  }
+
+  // Applies to running pollers straight away
+  setPollInterval(interval) {
+    this.interval = interval;
+    this.pollers.forEach((poller, key) => {
+      clearInterval(poller.timer);
+      poller.timer = setInterval(() => this.runPoll(key), this.interval);
+    });
+  }
+
+  subscriberCount(key) {
+    const poller = this.pollers.get(key);
+    return poller ? poller.subscribers.size : 0;
+  }
+
+  async runPoll(key) {
+    const poller = this.pollers.get(key);
+    // Skip this tick if the previous poll is still waiting on the device
+    if (!poller || poller.inFlight) return;
+
+    poller.inFlight = true;
+    try {
+      const result = await poller.poll();
+      // The poller may have been stopped while we were waiting
+      if (this.pollers.get(key) !== poller) return;
+
+      poller.lastResult = result;
+      this.io.to(key).emit(poller.event, result);
+    } catch (error) {
+      console.error(`Poller ${key} error:`, error);
+    } finally {
+      poller.inFlight = false;
+    }
+  }
+}
+
+module.exports = { PollingSubscriptions };
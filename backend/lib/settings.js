@@ -0,0 +1,241 @@
+// Server settings that can be changed at runtime from the UI or by editing the file.
+//
+// Each setting comes from <dataDir>/settings.json if it is set there, else from
+// its environment variable, else its default. The file only holds what was
+// changed from the UI (or by hand); setting a value to null in an update drops
+// it from the file so the environment variable applies again.
+//
+// Emits 'changed' ({ settings, changed: [names] }) after an update or when the
+// file is edited by hand, so every part of the server can pick up new values
+// without a restart.
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { REGIONS, CHANNEL_PLANS } = require('./channel-plans');
+const { writeJsonFile } = require('./json-file');
+const { statusError } = require('./util');
+
+const WATCH_INTERVAL_MS = 2000;
+
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+// name -> { env, fallback, parse(value) -> value or undefined if invalid, describe }
+const FIELDS = {
+  manualDevices: {
+    env: 'HDHOMERUN_DEVICES',
+    fallback: [],
+    parse: value => {
+      const hosts = parseList(value);
+      return hosts.every(host => /^[\w.:[\]-]+$/.test(host)) ? hosts : undefined;
+    },
+    describe: 'a list of hosts or IP addresses, optionally with a :port'
+  },
+  disableDiscovery: {
+    env: 'HDHOMERUN_DISABLE_DISCOVERY',
+    fallback: false,
+    parse: parseBoolean,
+    describe: 'true or false'
+  },
+  discoverySubnets: {
+    env: 'HDHOMERUN_DISCOVERY_SUBNETS',
+    fallback: [],
+    parse: value => {
+      const targets = parseList(value);
+      return targets.every(target => /^\d{1,3}(\.\d{1,3}){3}(\/\d{1,2})?$/.test(target)) ? targets : undefined;
+    },
+    describe: 'a list of IPv4 addresses or subnets such as 192.168.20.0/24'
+  },
+  disableCloudDiscovery: {
+    env: 'HDHOMERUN_DISABLE_CLOUD_DISCOVERY',
+    fallback: false,
+    parse: parseBoolean,
+    describe: 'true or false'
+  },
+  pollInterval: {
+    env: 'HDHOMERUN_POLL_INTERVAL',
+    fallback: 1,
+    parse: value => {
+      const seconds = Number(value);
+      return seconds >= 0.5 && seconds <= 60 ? seconds : undefined;
+    },
+    describe: 'a number of seconds from 0.5 to 60'
+  },
+  presenceInterval: {
+    env: 'HDHOMERUN_PRESENCE_INTERVAL',
+    fallback: 30,
+    parse: value => {
+      const seconds = Number(value);
+      return Number.isInteger(seconds) && seconds >= 5 && seconds <= 3600 ? seconds : undefined;
+    },
+    describe: 'a whole number of seconds from 5 to 3600'
+  },
+  defaultRegion: {
+    env: 'HDHOMERUN_DEFAULT_REGION',
+    fallback: 'us',
+    parse: value => (REGIONS.some(region => region.id === value) ? value : undefined),
+    describe: `one of ${REGIONS.map(region => region.id).join(', ')}`
+  },
+  defaultChannelMap: {
+    env: 'HDHOMERUN_DEFAULT_CHANNEL_MAP',
+    fallback: null, // The default region's broadcast plan
+    parse: value => (typeof value === 'string' && Object.hasOwn(CHANNEL_PLANS, value) ? value : undefined),
+    describe: `one of ${Object.keys(CHANNEL_PLANS).join(', ')}`
+  }
+};
+
+// Only the setting names themselves, not what objects inherit ("toString", "constructor")
+function fieldFor(name) {
+  return Object.hasOwn(FIELDS, name) ? FIELDS[name] : undefined;
+}
+
+// The channel map if it belongs to the region, else the region's broadcast plan
+function regionalChannelMap(channelMap, regionId) {
+  if (channelMap && CHANNEL_PLANS[channelMap].region === regionId) return channelMap;
+  return REGIONS.find(region => region.id === regionId).defaultPlan;
+}
+
+class Settings extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.file = path.join(options.dataDir, 'settings.json');
+    this.env = options.env || process.env;
+    this.overrides = {}; // Values from the file
+    this.values = {};
+    this.watching = false;
+    Object.values(FIELDS).forEach(field => {
+      const env = this.env[field.env];
+      if (env !== undefined && env !== '' && field.parse(env) === undefined) {
+        console.error(`Ignoring ${field.env}: must be ${field.describe}`);
+      }
+    });
+    this.load();
+  }
+
+  load() {
+    let overrides = {};
+    try {
+      overrides = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load settings:', error.message);
+        return []; // Keep the current values while the file is broken
+      }
+    }
+
+    // A bad value in a hand-edited file falls back to the environment rather than stopping the server
+    this.overrides = {};
+    Object.entries(overrides).forEach(([name, value]) => {
+      const field = fieldFor(name);
+      if (!field || value === null) return;
+      const parsed = field.parse(value);
+      if (parsed === undefined) {
+        console.error(`Ignoring setting ${name} from ${this.file}: must be ${field.describe}`);
+        return;
+      }
+      this.overrides[name] = parsed;
+    });
+    return this.resolve();
+  }
+
+  // Recomputes the effective values; returns the names that changed
+  resolve() {
+    const previous = this.values;
+    this.values = {};
+    Object.entries(FIELDS).forEach(([name, field]) => {
+      this.values[name] = this.defaultFor(name, field);
+      if (name in this.overrides) this.values[name] = this.overrides[name];
+    });
+    this.values.defaultChannelMap = regionalChannelMap(this.values.defaultChannelMap, this.values.defaultRegion);
+    return Object.keys(FIELDS).filter(name => JSON.stringify(previous[name]) !== JSON.stringify(this.values[name]));
+  }
+
+  // Value without the file: the environment variable, else the built-in default
+  defaultFor(name, field = FIELDS[name]) {
+    const env = this.env[field.env];
+    if (env !== undefined && env !== '') {
+      const parsed = field.parse(env);
+      if (parsed !== undefined) return parsed;
+    }
+    return field.fallback;
+  }
+
+  get(name) {
+    return this.values[name];
+  }
+
+  // { settings, defaults, overridden: [names set in the file] } as served by the API
+  describe() {
+    const defaults = {};
+    Object.keys(FIELDS).forEach(name => { defaults[name] = this.defaultFor(name); });
+    // What the channel map is without an override: it follows the effective region
+    defaults.defaultChannelMap = regionalChannelMap(defaults.defaultChannelMap, this.values.defaultRegion);
+    return {
+      settings: { ...this.values },
+      defaults,
+      overridden: Object.keys(this.overrides)
+    };
+  }
+
+  // Applies a partial update; rejects with .status 400 naming every invalid setting
+  async update(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw statusError(400, 'Expected an object of settings');
+    }
+    const errors = [];
+    const overrides = { ...this.overrides };
+    Object.entries(changes).forEach(([name, value]) => {
+      const field = fieldFor(name);
+      if (!field) {
+        errors.push(`Unknown setting ${name}`);
+      } else if (value === null) {
+        delete overrides[name];
+      } else {
+        const parsed = field.parse(value);
+        if (parsed === undefined) errors.push(`${name} must be ${field.describe}`);
+        else overrides[name] = parsed;
+      }
+    });
+    const region = overrides.defaultRegion || this.defaultFor('defaultRegion');
+    if (overrides.defaultChannelMap && CHANNEL_PLANS[overrides.defaultChannelMap].region !== region) {
+      errors.push(`defaultChannelMap ${overrides.defaultChannelMap} is not a channel map of region ${region}`);
+    }
+    if (errors.length) throw statusError(400, errors.join('; '));
+
+    this.overrides = overrides;
+    await this.save();
+    const changed = this.resolve();
+    if (changed.length) this.emit('changed', { settings: { ...this.values }, changed });
+    return this.describe();
+  }
+
+  save() {
+    return writeJsonFile(this.file, this.overrides);
+  }
+
+  // Picks up hand edits of the file
+  watch() {
+    this.watching = true;
+    fs.watchFile(this.file, { interval: WATCH_INTERVAL_MS, persistent: false }, () => {
+      const changed = this.load();
+      if (changed.length) this.emit('changed', { settings: { ...this.values }, changed });
+    });
+  }
+
+  unwatch() {
+    if (this.watching) fs.unwatchFile(this.file);
+    this.watching = false;
+  }
+}
+
+module.exports = { Settings, SETTINGS: Object.keys(FIELDS) };
@@ -0,0 +1,368 @@
+// Scheduled, unattended channel surveys.
+//
+// A survey job lists RF channels (or a whole channel map), a dwell time, how
+// often to run and which tuners it may use. Each run spreads the channels over
+// the tuners that are idle at the time (not tuned, not locked by a DVR, not
+// being scanned), measures signal and programs on each channel and returns
+// every tuner to its previous channel afterwards. Over days the results build
+// up a reception matrix of channel x run.
+//
+// Jobs are stored in <dataDir>/surveys.json. Results are newline-delimited JSON,
+// one file per job and UTC day: <dataDir>/surveys/<job>/<YYYY-MM-DD>.ndjson,
+// holding a { type: 'run' } summary line per run and a { type: 'measurement' }
+// line per channel measured.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getChannelList } = require('./channel-plans');
+const { writeJsonFile } = require('./json-file');
+const { statusError, validationError, notFound, delay, dayKey } = require('./util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 30000;
+const SETTLE_MS = 1500; // ignore lock state right after tuning
+const MAX_TUNERS = 8;
+
+function normalizeJob(input, existing = {}) {
+  const job = { ...existing, ...input };
+
+  if (!job.device) throw validationError('device is required');
+  job.device = String(job.device);
+
+  job.channelMap = job.channelMap || 'us-bcast';
+  const channelList = getChannelList(job.channelMap);
+  if (!channelList) throw validationError(`Unknown channel map: ${job.channelMap}`);
+
+  // An empty channel list means every channel in the map
+  job.channels = (Array.isArray(job.channels) ? job.channels : String(job.channels || '').split(/[\s,]+/))
+    .map(channel => String(channel).trim().toUpperCase())
+    .filter(channel => channel !== '')
+    .map(channel => (/^\d+$/.test(channel) ? parseInt(channel) : channel));
+  const unknown = job.channels.filter(channel => !channelList.some(entry => entry.channel === channel));
+  if (unknown.length > 0) {
+    throw validationError(`Channels not in ${job.channelMap}: ${unknown.join(', ')}`);
+  }
+
+  // An empty tuner list means any idle tuner
+  job.tuners = (Array.isArray(job.tuners) ? job.tuners : [])
+    .map(tuner => parseInt(tuner))
+    .filter(tuner => Number.isInteger(tuner) && tuner >= 0 && tuner < MAX_TUNERS);
+
+  job.dwell = Math.min(60, Math.max(2, Number(job.dwell) || 5));
+  job.interval = Math.max(5, Number(job.interval) || 60);
+  job.enabled = job.enabled !== false;
+  job.name = job.name ? String(job.name) : `${job.device} ${job.channelMap}`;
+
+  return job;
+}
+
+class SurveyScheduler extends EventEmitter {
+  constructor(controller, options = {}) {
+    super();
+    this.controller = controller;
+    this.jobsFile = path.join(options.dataDir, 'surveys.json');
+    this.resultsDir = path.join(options.dataDir, 'surveys');
+    this.retentionDays = options.retentionDays || 30;
+    this.jobs = [];
+    this.runs = new Map(); // job id -> running survey state
+    this.timer = null;
+  }
+
+  start() {
+    try {
+      this.jobs = JSON.parse(fs.readFileSync(this.jobsFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load survey jobs:', error.message);
+    }
+    this.timer = setInterval(() => this.runDueJobs(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+    this.prune();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.runs.forEach(run => { run.cancelled = true; });
+  }
+
+  saveJobs() {
+    return writeJsonFile(this.jobsFile, this.jobs);
+  }
+
+  // Jobs
+
+  getJobs() {
+    return this.jobs.map(job => ({ ...job, running: this.getRunStatus(job.id) }));
+  }
+
+  getJob(id) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) throw notFound('Survey not found');
+    return job;
+  }
+
+  getRunStatus(id) {
+    const run = this.runs.get(id);
+    if (!run) return null;
+    return { id: run.id, started: run.started, done: run.done, total: run.total, tuners: run.tuners };
+  }
+
+  async addJob(input) {
+    const job = normalizeJob({ ...input, id: crypto.randomUUID() });
+    job.lastRun = null;
+    job.nextRun = Date.now() + job.interval * 60000;
+    this.jobs.push(job);
+    await this.saveJobs();
+    this.emit('changed');
+    return job;
+  }
+
+  async updateJob(id, input) {
+    const index = this.jobs.findIndex(job => job.id === id);
+    if (index === -1) throw notFound('Survey not found');
+    const job = normalizeJob({ ...input, id }, this.jobs[index]);
+    if (input.interval !== undefined) {
+      job.nextRun = (job.lastRun || Date.now()) + job.interval * 60000;
+    }
+    this.jobs[index] = job;
+    await this.saveJobs();
+    this.emit('changed');
+    return job;
+  }
+
+  async deleteJob(id) {
+    const index = this.jobs.findIndex(job => job.id === id);
+    if (index === -1) throw notFound('Survey not found');
+    this.cancelJob(id);
+    this.jobs.splice(index, 1);
+    await this.saveJobs();
+    await fs.promises.rm(path.join(this.resultsDir, id), { recursive: true, force: true });
+    this.emit('changed');
+  }
+
+  cancelJob(id) {
+    const run = this.runs.get(id);
+    if (run) run.cancelled = true;
+    return !!run;
+  }
+
+  // Scheduling
+
+  runDueJobs() {
+    const now = Date.now();
+    this.jobs
+      .filter(job => job.enabled && !this.runs.has(job.id) && job.nextRun <= now)
+      .forEach(job => {
+        this.runJob(job.id).catch(error => {
+          console.error(`Survey ${job.name} failed:`, error.message);
+        });
+      });
+  }
+
+  // Start a run now. Throws straight away if it can't start; the returned
+  // promise resolves when the run finishes.
+  runJob(id) {
+    const job = this.getJob(id);
+    if (this.runs.has(id)) {
+      throw statusError(409, 'This survey is already running');
+    }
+
+    const run = { id: crypto.randomUUID(), started: Date.now(), done: 0, total: 0, tuners: [], cancelled: false };
+    this.runs.set(id, run);
+    return this.completeRun(job, run);
+  }
+
+  async completeRun(job, run) {
+    try {
+      await this.executeRun(job, run);
+    } finally {
+      this.runs.delete(job.id);
+      job.lastRun = run.started;
+      job.nextRun = Date.now() + job.interval * 60000;
+      await this.saveJobs().catch(error => console.error('Failed to save survey jobs:', error.message));
+      this.emit('changed');
+      this.prune();
+    }
+    console.log(`Survey ${job.name} finished (${run.done}/${run.total} channels)`);
+  }
+
+  async executeRun(job, run) {
+    const channelList = getChannelList(job.channelMap)
+      .filter(entry => job.channels.length === 0 || job.channels.includes(entry.channel));
+    run.total = channelList.length;
+
+    const tuners = await this.findIdleTuners(job);
+    run.tuners = tuners.map(t => t.tuner);
+    this.emit('changed');
+
+    const summary = { type: 'run', run: run.id, started: run.started, tuners: run.tuners };
+    if (tuners.length === 0) {
+      console.log(`Survey ${job.name}: no idle tuners, skipping this run`);
+      await this.append(job.id, [{ ...summary, finished: Date.now(), skipped: 'No idle tuners' }]);
+      return;
+    }
+
+    console.log(`Survey ${job.name}: ${channelList.length} channels on tuner(s) ${run.tuners.join(', ')}`);
+
+    // Each tuner takes the next channel from a shared queue
+    const queue = [...channelList];
+    const measurements = [];
+    await Promise.all(tuners.map(async ({ tuner, previousChannel }) => {
+      try {
+        while (queue.length > 0 && !run.cancelled) {
+          const entry = queue.shift();
+          const measurement = await this.measure(job, run, tuner, entry);
+          if (!measurement) {
+            // Someone else took the tuner; leave it (and its channel) to them
+            console.log(`Survey ${job.name}: tuner ${tuner} is in use elsewhere, stopping on it`);
+            queue.unshift(entry);
+            return;
+          }
+          measurements.push(measurement);
+          run.done++;
+          this.emit('progress', { jobId: job.id, run: run.id, done: run.done, total: run.total });
+        }
+        await this.controller.setChannel(job.device, tuner, previousChannel);
+      } catch (error) {
+        console.error(`Survey ${job.name}: tuner ${tuner} failed:`, error.message);
+        await this.controller.setChannel(job.device, tuner, previousChannel).catch(() => {});
+      }
+    }));
+
+    await this.append(job.id, [
+      ...measurements,
+      { ...summary, finished: Date.now(), cancelled: run.cancelled, measured: measurements.length, total: run.total }
+    ]);
+  }
+
+  async findIdleTuners(job) {
+    let tuners = job.tuners;
+    if (tuners.length === 0) {
+      const info = await this.controller.getDeviceInfo(job.device);
+      tuners = Array.from({ length: info.tuners }, (_, tuner) => tuner);
+    }
+
+    const idle = await Promise.all(tuners.map(async tuner => {
+      if (this.controller.getScan(job.device, tuner)) return null;
+      try {
+        const channel = await this.controller.getVar(job.device, `/tuner${tuner}/channel`);
+        const lockkey = await this.controller.getVar(job.device, `/tuner${tuner}/lockkey`).catch(() => 'none');
+        if (channel !== 'none' || (lockkey && lockkey !== 'none')) return null;
+        return { tuner, previousChannel: channel };
+      } catch (error) {
+        return null;
+      }
+    }));
+    return idle.filter(Boolean);
+  }
+
+  // Tune one channel, dwell, and record what the tuner saw. Returns null if
+  // the tuner was retuned by someone else while we were using it.
+  async measure(job, run, tuner, { channel, frequency }) {
+    await this.controller.setChannel(job.device, tuner, `auto:${frequency}`);
+    await delay(Math.min(SETTLE_MS, job.dwell * 1000));
+
+    // Keep the best reading seen during the dwell time
+    let best = null;
+    const deadline = Date.now() + job.dwell * 1000 - SETTLE_MS;
+    do {
+      const status = await this.controller.getTunerStatus(job.device, tuner);
+      if (status && parseInt(String(status.channel).split(':').pop()) !== frequency) return null;
+      if (status && (!best || (status.seq || 0) > (best.seq || 0) || (status.snq || 0) > (best.snq || 0))) {
+        best = status;
+      }
+      if (Date.now() < deadline) await delay(1000);
+    } while (Date.now() < deadline && !run.cancelled);
+
+    const locked = !!best && this.controller.isTunerLocked(best);
+    const programs = locked ? await this.controller.getCurrentChannelPrograms(job.device, tuner, 1) : [];
+
+    return {
+      type: 'measurement',
+      run: run.id,
+      t: Date.now(),
+      tuner,
+      channel,
+      frequency,
+      lock: locked,
+      modulation: best ? best.modulation : null,
+      ss: best ? best.ss : 0,
+      snq: best ? best.snq : 0,
+      seq: best ? best.seq : 0,
+      ssDb: best ? best.ssDb : null,
+      snrDb: best ? best.snrDb : null,
+      dbProfile: best && best.calibration ? best.calibration.profile : null,
+      ssDbUncertainty: best && best.calibration ? best.calibration.uncertainty.ssDb : null,
+      programs: programs.map(({ programNum, virtualChannel, name }) => ({ programNum, virtualChannel, name }))
+    };
+  }
+
+  // Results
+
+  async append(jobId, records) {
+    const file = path.join(this.resultsDir, jobId, `${dayKey(Date.now())}.ndjson`);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+  }
+
+  // Runs between from and to, each with its measurements, oldest first
+  async getResults(id, { from, to }) {
+    const job = this.getJob(id);
+    const runs = new Map();
+    const measurements = [];
+
+    for (let day = from - (from % DAY_MS); day <= to; day += DAY_MS) {
+      const file = path.join(this.resultsDir, id, `${dayKey(day)}.ndjson`);
+      if (!fs.existsSync(file)) continue;
+
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          continue; // Skip a partially written line
+        }
+        if (record.type === 'run' && record.started >= from && record.started <= to) {
+          const { type, run, ...summary } = record;
+          runs.set(run, { id: run, ...summary, measurements: [] });
+        } else if (record.type === 'measurement') {
+          measurements.push(record);
+        }
+      }
+    }
+
+    measurements.forEach(({ type, run, ...measurement }) => {
+      if (runs.has(run)) runs.get(run).measurements.push(measurement);
+    });
+
+    const channels = getChannelList(job.channelMap)
+      .filter(entry => job.channels.length === 0 || job.channels.includes(entry.channel));
+
+    return {
+      job,
+      channels,
+      runs: Array.from(runs.values()).sort((a, b) => a.started - b.started)
+    };
+  }
+
+  async prune() {
+    const cutoff = dayKey(Date.now() - this.retentionDays * DAY_MS);
+    const jobs = await fs.promises.readdir(this.resultsDir).catch(() => []);
+    for (const job of jobs) {
+      const jobDir = path.join(this.resultsDir, job);
+      const files = await fs.promises.readdir(jobDir).catch(() => []);
+      for (const file of files) {
+        if (file.endsWith('.ndjson') && file.slice(0, 10) < cutoff) {
+          await fs.promises.unlink(path.join(jobDir, file)).catch(() => {});
+        }
+      }
+    }
+  }
+}
+
+module.exports = { SurveyScheduler };
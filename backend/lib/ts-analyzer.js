@@ -0,0 +1,439 @@
+// MPEG transport stream health analysis along the lines of ETSI TR 101 290.
+//
+// TsAnalyzer is fed raw stream bytes as they arrive and keeps per-PID counters;
+// finish() turns them into a report. analyzeStream() captures an HTTP stream
+// (e.g. http://<device>:5004/auto/ch<freq>-<program>) for a fixed time.
+//
+// Checked:
+//   priority 1  sync loss, sync byte errors, PAT repetition (>0.5s) and table id,
+//               continuity counter errors, PMT repetition (>0.5s), referenced PIDs
+//               missing for >5s
+//   priority 2  transport error indicator, PAT/PMT CRC errors, PCR repetition
+//               (>40ms) and discontinuities (>100ms jumps without the flag)
+// PCR jitter is measured against arrival time, so it includes network delivery
+// jitter and is an upper bound for what the device produced.
+
+const http = require('http');
+const { statusError } = require('./util');
+
+const PACKET_SIZE = 188;
+const SYNC_BYTE = 0x47;
+const SYNC_ACQUIRE_PACKETS = 5;
+const NULL_PID = 0x1fff;
+const PCR_HZ = 27000000;
+const TABLE_INTERVAL_MS = 500;
+const PID_TIMEOUT_MS = 5000;
+const PCR_REPETITION_MS = 40;
+const PCR_DISCONTINUITY_MS = 100;
+const MAX_PCR_SAMPLES = 10000;
+const CONNECT_TIMEOUT_MS = 10000;
+
+const STREAM_TYPES = {
+  0x01: 'MPEG-1 video',
+  0x02: 'MPEG-2 video',
+  0x03: 'MPEG-1 audio',
+  0x04: 'MPEG-2 audio',
+  0x05: 'Private sections',
+  0x06: 'Private data',
+  0x0f: 'AAC audio',
+  0x11: 'AAC LATM audio',
+  0x1b: 'H.264 video',
+  0x24: 'HEVC video',
+  0x81: 'AC-3 audio',
+  0x86: 'SCTE-35',
+  0x87: 'E-AC-3 audio'
+};
+
+// CRC-32/MPEG-2, as used by PSI sections
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let crc = n << 24;
+  for (let k = 0; k < 8; k++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32Mpeg(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+function pidLabel(pid) {
+  if (pid === 0) return 'PAT';
+  if (pid === 1) return 'CAT';
+  if (pid >= 0x10 && pid <= 0x14) return 'DVB SI';
+  if (pid === 0x1ffb) return 'ATSC PSIP';
+  if (pid === NULL_PID) return 'Null';
+  return null;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+class TsAnalyzer {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.synced = false;
+    this.badSyncRun = 0;
+    this.firstTime = null;
+    this.lastTime = null;
+    this.packets = 0;
+    this.pids = new Map(); // pid -> counters, see pidState()
+    this.pmtPids = new Map(); // pmt pid -> program number
+    this.esPids = new Map(); // elementary pid -> { program, streamType }
+    this.errors = {
+      syncLoss: 0,
+      syncByte: 0,
+      pat: 0,
+      continuity: 0,
+      pmt: 0,
+      pid: 0,
+      transport: 0,
+      crc: 0,
+      pcrRepetition: 0,
+      pcrDiscontinuity: 0
+    };
+  }
+
+  pidState(pid) {
+    let state = this.pids.get(pid);
+    if (!state) {
+      state = {
+        packets: 0,
+        continuityErrors: 0,
+        transportErrors: 0,
+        scrambled: 0,
+        lastCc: null,
+        duplicate: false,
+        firstSeen: null,
+        lastSeen: null,
+        maxGap: 0,
+        table: null, // { count, lastTime, maxInterval } for PAT/PMT PIDs
+        pcr: null // { count, last, maxInterval, samples: [[arrivalMs, pcrMs]] }
+      };
+      this.pids.set(pid, state);
+    }
+    return state;
+  }
+
+  feed(chunk, now = Date.now()) {
+    if (this.firstTime === null) this.firstTime = now;
+    this.lastTime = now;
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    while (this.buffer.length - offset >= PACKET_SIZE) {
+      if (!this.synced) {
+        // Sync is (re)acquired after five consecutive packets start with 0x47
+        const needed = PACKET_SIZE * SYNC_ACQUIRE_PACKETS;
+        if (this.buffer.length - offset < needed) break;
+        let found = false;
+        for (; offset + needed <= this.buffer.length; offset++) {
+          let ok = true;
+          for (let k = 0; k < SYNC_ACQUIRE_PACKETS && ok; k++) {
+            ok = this.buffer[offset + k * PACKET_SIZE] === SYNC_BYTE;
+          }
+          if (ok) {
+            found = true;
+            break;
+          }
+        }
+        if (!found) break;
+        this.synced = true;
+        this.badSyncRun = 0;
+      }
+
+      const packet = this.buffer.subarray(offset, offset + PACKET_SIZE);
+      if (packet[0] !== SYNC_BYTE) {
+        this.errors.syncByte++;
+        this.badSyncRun++;
+        // Two corrupted sync bytes in a row count as loss of sync
+        if (this.badSyncRun >= 2) {
+          this.errors.syncLoss++;
+          this.synced = false;
+          offset++;
+          continue;
+        }
+      } else {
+        this.badSyncRun = 0;
+      }
+
+      offset += PACKET_SIZE;
+      this.handlePacket(packet, now);
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  handlePacket(packet, now) {
+    this.packets++;
+    const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+    const state = this.pidState(pid);
+    state.packets++;
+    if (state.lastSeen !== null) state.maxGap = Math.max(state.maxGap, now - state.lastSeen);
+    if (state.firstSeen === null) state.firstSeen = now;
+    state.lastSeen = now;
+
+    if (packet[1] & 0x80) {
+      state.transportErrors++;
+      this.errors.transport++;
+      // The rest of the packet can't be trusted; restart continuity checking
+      // rather than reporting the corrupted counter as a second error
+      state.lastCc = null;
+      return;
+    }
+    if (pid === NULL_PID) return;
+
+    const scrambling = packet[3] >> 6;
+    const adaptation = (packet[3] >> 4) & 0x3;
+    const cc = packet[3] & 0xf;
+    const hasPayload = (adaptation & 0x1) !== 0;
+    const adaptationLength = adaptation & 0x2 ? packet[4] : 0;
+    const discontinuity = adaptationLength > 0 && (packet[5] & 0x80) !== 0;
+    if (scrambling) state.scrambled++;
+
+    this.checkContinuity(state, cc, hasPayload, discontinuity);
+
+    if (adaptationLength >= 7 && (packet[5] & 0x10)) {
+      this.handlePcr(state, packet, now, discontinuity);
+    }
+
+    if (!hasPayload) return;
+    const payloadStart = adaptation & 0x2 ? 5 + adaptationLength : 4;
+    if (payloadStart >= PACKET_SIZE) return;
+
+    if (pid === 0 || this.pmtPids.has(pid)) {
+      this.handleTablePacket(pid, state, packet, payloadStart, now);
+    }
+  }
+
+  // The counter increments on every packet with a payload; one duplicate
+  // packet is allowed, and packets without a payload repeat the last value
+  checkContinuity(state, cc, hasPayload, discontinuity) {
+    if (state.lastCc !== null && !discontinuity) {
+      let ok;
+      if (!hasPayload) {
+        ok = cc === state.lastCc;
+      } else if (cc === state.lastCc) {
+        ok = !state.duplicate;
+        state.duplicate = true;
+      } else {
+        ok = cc === ((state.lastCc + 1) & 0xf);
+        state.duplicate = false;
+      }
+      if (!ok) {
+        state.continuityErrors++;
+        this.errors.continuity++;
+      }
+    }
+    state.lastCc = cc;
+  }
+
+  handlePcr(state, packet, now, discontinuity) {
+    const base = packet[6] * 2 ** 25 + packet[7] * 2 ** 17 + packet[8] * 2 ** 9 + packet[9] * 2 + (packet[10] >> 7);
+    const extension = ((packet[10] & 0x1) << 8) | packet[11];
+    const pcrMs = (base * 300 + extension) / PCR_HZ * 1000;
+
+    if (!state.pcr) state.pcr = { count: 0, last: null, maxInterval: 0, samples: [] };
+    const pcr = state.pcr;
+    pcr.count++;
+
+    if (pcr.last !== null && !discontinuity) {
+      const interval = pcrMs - pcr.last;
+      if (interval < 0 || interval > PCR_DISCONTINUITY_MS) {
+        this.errors.pcrDiscontinuity++;
+        pcr.samples = []; // The timebase changed; start the jitter fit again
+      } else {
+        pcr.maxInterval = Math.max(pcr.maxInterval, interval);
+        if (interval > PCR_REPETITION_MS) this.errors.pcrRepetition++;
+      }
+    } else if (discontinuity) {
+      pcr.samples = [];
+    }
+    pcr.last = pcrMs;
+    if (pcr.samples.length < MAX_PCR_SAMPLES) pcr.samples.push([now, pcrMs]);
+  }
+
+  // PAT/PMT sections; only sections that fit in one packet are parsed, which
+  // is practically always the case for these tables
+  handleTablePacket(pid, state, packet, payloadStart, now) {
+    if (!(packet[1] & 0x40)) return; // Not the start of a section
+    const sectionStart = payloadStart + 1 + packet[payloadStart];
+    if (sectionStart + 3 > PACKET_SIZE) return;
+    const sectionLength = ((packet[sectionStart + 1] & 0x0f) << 8) | packet[sectionStart + 2];
+    const section = packet.subarray(sectionStart, sectionStart + 3 + sectionLength);
+    if (section.length < 3 + sectionLength || sectionLength < 9) return;
+
+    const tableId = section[0];
+    const expected = pid === 0 ? 0x00 : 0x02;
+    if (tableId !== expected) {
+      if (pid === 0) this.errors.pat++;
+      return;
+    }
+    if (crc32Mpeg(section) !== 0) {
+      this.errors.crc++;
+      return;
+    }
+
+    if (!state.table) state.table = { count: 0, lastTime: null, maxInterval: 0 };
+    const table = state.table;
+    if (table.lastTime !== null) {
+      const interval = now - table.lastTime;
+      table.maxInterval = Math.max(table.maxInterval, interval);
+      if (interval > TABLE_INTERVAL_MS) {
+        if (pid === 0) this.errors.pat++;
+        else this.errors.pmt++;
+      }
+    }
+    table.count++;
+    table.lastTime = now;
+
+    const body = section.subarray(8, section.length - 4);
+    if (pid === 0) {
+      for (let i = 0; i + 4 <= body.length; i += 4) {
+        const program = (body[i] << 8) | body[i + 1];
+        const pmtPid = ((body[i + 2] & 0x1f) << 8) | body[i + 3];
+        if (program !== 0) this.pmtPids.set(pmtPid, program);
+      }
+    } else {
+      const program = this.pmtPids.get(pid);
+      const programInfoLength = ((body[2] & 0x0f) << 8) | body[3];
+      for (let i = 4 + programInfoLength; i + 5 <= body.length;) {
+        const streamType = body[i];
+        const esPid = ((body[i + 1] & 0x1f) << 8) | body[i + 2];
+        const esInfoLength = ((body[i + 3] & 0x0f) << 8) | body[i + 4];
+        this.esPids.set(esPid, { program, streamType });
+        i += 5 + esInfoLength;
+      }
+    }
+  }
+
+  // RMS and peak deviation (ms) of PCR from a straight-line fit against arrival time
+  static pcrJitter(samples) {
+    if (samples.length < 3) return null;
+    const n = samples.length;
+    const meanX = samples.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = samples.reduce((sum, [, y]) => sum + y, 0) / n;
+    const sxx = samples.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    if (sxx === 0) return null;
+    const slope = samples.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0) / sxx;
+    const residuals = samples.map(([x, y]) => y - (meanY + slope * (x - meanX)));
+    return {
+      rms: round(Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n), 2),
+      peak: round(Math.max(...residuals.map(Math.abs)), 2)
+    };
+  }
+
+  finish() {
+    const durationMs = this.firstTime === null ? 0 : Math.max(1, this.lastTime - this.firstTime);
+    const seconds = durationMs / 1000;
+
+    // Referenced PIDs that never showed up, or went quiet for too long
+    const missing = [];
+    if (durationMs >= PID_TIMEOUT_MS) {
+      Array.from(this.pmtPids.keys()).concat(Array.from(this.esPids.keys())).forEach(pid => {
+        const state = this.pids.get(pid);
+        if (!state || state.maxGap > PID_TIMEOUT_MS || this.lastTime - state.lastSeen > PID_TIMEOUT_MS) {
+          missing.push(pid);
+        }
+      });
+    }
+    this.errors.pid = missing.length;
+
+    const pids = Array.from(this.pids.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([pid, state]) => {
+        const es = this.esPids.get(pid);
+        const type = pidLabel(pid) ||
+          (this.pmtPids.has(pid) ? 'PMT' : null) ||
+          (es ? STREAM_TYPES[es.streamType] || `Stream type 0x${es.streamType.toString(16)}` : 'Unreferenced');
+        return {
+          pid,
+          type,
+          program: es ? es.program : this.pmtPids.get(pid) || null,
+          packets: state.packets,
+          bitrate: seconds > 0 ? Math.round(state.packets * PACKET_SIZE * 8 / seconds) : 0,
+          continuityErrors: state.continuityErrors,
+          transportErrors: state.transportErrors,
+          scrambled: state.scrambled > 0,
+          pcr: state.pcr ? {
+            count: state.pcr.count,
+            maxInterval: round(state.pcr.maxInterval),
+            jitter: TsAnalyzer.pcrJitter(state.pcr.samples)
+          } : null,
+          table: state.table ? { count: state.table.count, maxInterval: state.table.maxInterval } : null
+        };
+      });
+
+    return {
+      duration: round(seconds),
+      packets: this.packets,
+      bitrate: seconds > 0 ? Math.round(this.packets * PACKET_SIZE * 8 / seconds) : 0,
+      priority1: {
+        syncLoss: this.errors.syncLoss,
+        syncByte: this.errors.syncByte,
+        pat: this.errors.pat + (durationMs >= TABLE_INTERVAL_MS && !(this.pids.get(0) || {}).table ? 1 : 0),
+        continuity: this.errors.continuity,
+        pmt: this.errors.pmt,
+        pid: this.errors.pid
+      },
+      priority2: {
+        transport: this.errors.transport,
+        crc: this.errors.crc,
+        pcrRepetition: this.errors.pcrRepetition,
+        pcrDiscontinuity: this.errors.pcrDiscontinuity
+      },
+      missingPids: missing,
+      pids
+    };
+  }
+}
+
+// Capture `url` for `duration` ms and analyze it. Rejects with .status 502/504
+// if the stream can't be opened (e.g. 503 when the device has no free tuner).
+function analyzeStream(url, { duration }) {
+  return new Promise((resolve, reject) => {
+    const analyzer = new TsAnalyzer();
+    let timer = null;
+    let done = false;
+
+    const fail = (status, message) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      request.destroy();
+      reject(statusError(status, message));
+    };
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      request.destroy();
+      resolve(analyzer.finish());
+    };
+
+    const request = http.get(url, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        fail(502, `Stream request failed with HTTP ${response.statusCode}`);
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(finish, duration);
+      response.on('data', chunk => analyzer.feed(chunk));
+      response.on('end', finish);
+      response.on('error', finish);
+    });
+
+    timer = setTimeout(() => fail(504, 'Timed out waiting for the stream'), CONNECT_TIMEOUT_MS);
+    request.on('error', error => fail(502, `Stream request failed: ${error.message}`));
+  });
+}
+
+module.exports = { TsAnalyzer, analyzeStream, crc32Mpeg, STREAM_TYPES };
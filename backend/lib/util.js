@@ -0,0 +1,30 @@
+// Small helpers shared by the lib modules.
+//
+// Errors that carry an HTTP `status` are passed straight through by the routes
+// (`res.status(error.status || 500)`), so the modules throw them for bad input,
+// missing records and conflicts.
+
+function statusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function validationError(message) {
+  return statusError(400, message);
+}
+
+function notFound(message) {
+  return statusError(404, message);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// UTC day of a timestamp, as YYYY-MM-DD
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+module.exports = { statusError, validationError, notFound, delay, dayKey };
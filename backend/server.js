@@ -1,47 +1,209 @@
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const https = require('https');
 const path = require('path');
+const { EventEmitter } = require('events');
 const cors = require('cors');
+const { ControlConnection, HDHomeRunDeviceError, parseHostPort } = require('./lib/hdhomerun-protocol');
+const { discover, discoverHost } = require('./lib/hdhomerun-discovery');
+const { PollingSubscriptions } = require('./lib/polling-subscriptions');
+const { HistoryStore } = require('./lib/history-store');
+const { ChannelScanner } = require('./lib/channel-scanner');
+const { getChannelList, getChannelPlans, channelToFrequency } = require('./lib/channel-plans');
+const { CalibrationProfiles, TUNER_TYPES, parseDebugLevels, tunerTypeForModulation } = require('./lib/calibration');
+const { parsePlotsample, analyzeConstellation } = require('./lib/constellation');
+const { analyzeStream } = require('./lib/ts-analyzer');
+const { captureGuide } = require('./lib/guide');
+const { HlsSession } = require('./lib/hls-relay');
+const { ScanResults, buildLineup, toM3u, toXmltv } = require('./lib/lineup');
+const { FirmwareHistory, parseFeatures, detectStandards, fetchJson } = require('./lib/device-details');
+const { FirmwareUpgrade } = require('./lib/firmware-upgrade');
+const { MetricsCollector } = require('./lib/metrics');
+const { MqttPublisher } = require('./lib/mqtt-publisher');
+const { SurveyScheduler } = require('./lib/survey');
+const { AlertManager, METRICS: ALERT_METRICS, OPERATORS: ALERT_OPERATORS, WEBHOOK_FORMATS } = require('./lib/alerts');
+const { Auth } = require('./lib/auth');
+const { DevicePresence } = require('./lib/device-presence');
+const { Settings } = require('./lib/settings');
+const { createApiV2 } = require('./lib/api-v2');
+const { DeviceSimulator } = require('./lib/device-simulator');
+
+const DATA_DIR = process.env.HDHOMERUN_DATA_DIR || path.join(__dirname, 'data');
+
+// Discovery, polling and default channel map settings, editable from the UI;
+// the environment variables are their defaults
+const settings = new Settings({ dataDir: DATA_DIR });
+settings.watch();
+
+// Optional user accounts; other web pages may only use the API when their
+// origin is listed in HDHOMERUN_ALLOWED_ORIGINS
+const auth = new Auth({
+  enabled: process.env.HDHOMERUN_AUTH === 'true',
+  dataDir: DATA_DIR,
+  allowedOrigins: (process.env.HDHOMERUN_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+});
+const corsOptions = {
+  origin: (origin, callback) => callback(null, !!origin && auth.isOriginAllowed(origin, null)),
+  credentials: true
+};
 
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    ...corsOptions,
     methods: ["GET", "POST"]
   }
 });
+io.use(auth.socketMiddleware());
 
-app.use(cors());
+app.use(cors(corsOptions));
+// /api/v2 parses bodies and checks sessions itself so that it can answer every
+// error in its own format; its routes are added once the controller exists
+const apiV2 = express.Router();
+app.use('/api/v2', apiV2);
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+// Lineup exports stay open for media servers that can't log in
+app.use('/api', auth.middleware(['/auth/login', '/auth/session', '/version', '/lineup.m3u', '/lineup.xml']));
+
+const GUIDE_CACHE_MS = 5 * 60 * 1000; // Event lists are reused this long; now/next is picked per request
+const GUIDE_CAPTURE_MS = 15000; // Longest time spent reading the stream for guide tables
+const HTTP_DISCOVERY_TTL_MS = 15 * 60 * 1000; // How long cloud discovery results are reused
+const MAX_OVERVIEW_DEVICES = 64; // Most device pollers one overview subscription starts
+
+// Device host for use in a URL, without the control port and with IPv6 bracketed
+function urlHost(ip) {
+  const { host } = parseHostPort(ip);
+  return host.includes(':') ? `[${host}]` : host;
+}
+
+function streamUrl(ip, ch, program) {
+  return `http://${urlHost(ip)}:5004/auto/ch${ch}${program ? `-${program}` : ''}`;
+}
 
-class HDHomeRunController {
-  constructor() {
+// Emits 'tuner-sample' ({ deviceId, tuner, status, locked, timestamp }) for every
+// status sample taken by the monitoring pollers, once per tuner and poll interval
+class HDHomeRunController extends EventEmitter {
+  constructor(io, settings, simulator = null) {
+    super();
+    this.settings = settings;
+    this.simulator = simulator; // Virtual devices in place of the network (HDHOMERUN_SIMULATOR)
     this.devices = [];
     this.activeDevice = null;
     this.activeTuner = 0;
-    this.monitoringIntervals = new Map(); // Per-socket monitoring intervals
+    this.subscriptions = new PollingSubscriptions(io, { interval: settings.get('pollInterval') * 1000 }); // Shared pollers, one per device/tuner
+    this.samples = new Map(); // "deviceId:tuner" -> { status: Promise, startedAt }, see sampleTunerStatus()
     this.deviceNameCache = new Map(); // Cache for device name lookups
+    this.deviceInfo = new Map(); // deviceId -> { info: Promise, timestamp, pending }, see getDeviceInfo()
     this.cacheTTL = 5 * 60 * 1000; // 5 minute TTL
-    this.httpDiscoveryCache = null; // Cached HTTP API results; only refreshed on explicit user request
+    this.httpDiscoveryCache = null; // Cached HTTP API results; refreshed on explicit user request or after HTTP_DISCOVERY_TTL_MS
+    this.httpDiscoveryCachedAt = 0;
+    this.controlConnections = new Map(); // Persistent native control connections, keyed by host
+    this.scans = new Map(); // Running channel scans, keyed by device:tuner
+    this.hwModels = new Map(); // /sys/hwmodel per device, for picking calibration profiles
+    this.tunerCounts = new Map(); // Tuners per device for the overview, when discovery didn't say
+    this.streamAnalyses = new Set(); // Devices with a stream analysis running
+    this.guides = new Map(); // "deviceId:frequency" -> { timestamp, collector: Promise<GuideCollector> }
+    this.hlsSessions = new Map(); // Browser playback relays, keyed by session id
+    this.calibration = new CalibrationProfiles({ dataDir: DATA_DIR });
+    this.scanResults = new ScanResults({ dataDir: DATA_DIR }); // Last completed scan per device, for the lineup export
+    this.firmwareHistory = new FirmwareHistory({ dataDir: DATA_DIR });
+    this.upgrades = new Map(); // Latest firmware upgrade per device, kept after it finishes for its result
+    // 'native' (default) speaks the control protocol directly, 'cli' shells out to
+    // hdhomerun_config, 'auto' uses native and falls back to the CLI on transport errors
+    this.controlMode = process.env.HDHOMERUN_CONTROL || 'native';
+  }
+
+  // Resolve a device ID to the host used for control connections
+  resolveHost(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    return device ? device.ip : deviceId;
+  }
+
+  getControlConnection(deviceId) {
+    const host = this.resolveHost(deviceId);
+    let connection = this.controlConnections.get(host);
+    if (!connection) {
+      connection = new ControlConnection(host);
+      this.controlConnections.set(host, connection);
+    }
+    return connection;
+  }
+
+  // Get a device variable (e.g. /tuner0/status). Rejects on failure.
+  async getVar(deviceId, name) {
+    return this.controlRequest(deviceId, name);
+  }
+
+  // Set a device variable (e.g. /tuner0/channel). Rejects on failure.
+  async setVar(deviceId, name, value) {
+    return this.controlRequest(deviceId, name, String(value));
+  }
+
+  async controlRequest(deviceId, name, value) {
+    if (this.simulator) {
+      return this.simulator.request(deviceId, name, value);
+    }
+    if (this.controlMode === 'cli') {
+      return this.cliRequest(deviceId, name, value);
+    }
+
+    try {
+      const connection = this.getControlConnection(deviceId);
+      const result = value === undefined ? await connection.get(name) : await connection.set(name, value);
+      return result.trim();
+    } catch (error) {
+      // Errors reported by the device would be reported by the CLI too, so only
+      // fall back when the native transport itself failed
+      if (this.controlMode === 'auto' && !(error instanceof HDHomeRunDeviceError)) {
+        return this.cliRequest(deviceId, name, value);
+      }
+      throw error;
+    }
+  }
+
+  async cliRequest(deviceId, name, value) {
+    return new Promise((resolve, reject) => {
+      // Arguments go to hdhomerun_config as they are, without a shell
+      const args = value === undefined ? [deviceId, 'get', name] : [deviceId, 'set', name, value];
+
+      execFile('hdhomerun_config', args, { timeout: 10000 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        const output = stdout.trim();
+        if (output.startsWith('ERROR:')) {
+          reject(new HDHomeRunDeviceError(output.replace(/^ERROR:\s*/, '')));
+          return;
+        }
+        resolve(output);
+      });
+    });
   }
 
-  async discoverDevices(forceRefresh = false) {
+  // `quiet` leaves out the routine log lines, for background checks
+  async discoverDevices(forceRefresh = false, quiet = false) {
     // Clear device name cache on explicit user refresh to ensure fresh data
     if (forceRefresh) this.deviceNameCache.clear();
+    const log = quiet ? () => {} : console.log;
+
+    if (this.simulator) {
+      this.devices = this.simulator.list();
+      return this.devices;
+    }
 
     const devices = [];
     const deviceSet = new Set(); // Track seen device IDs
-    const disableDiscovery = process.env.HDHOMERUN_DISABLE_DISCOVERY === 'true';
-    const manualDevices = process.env.HDHOMERUN_DEVICES || '';
+    const disableDiscovery = this.settings.get('disableDiscovery');
+    const manualHosts = this.settings.get('manualDevices');
 
     // Auto-discover devices unless disabled
     if (!disableDiscovery) {
-      const autoDiscovered = await this.autoDiscoverDevices(forceRefresh);
+      const autoDiscovered = await this.autoDiscoverDevices(forceRefresh, log);
       autoDiscovered.forEach(device => {
         if (!deviceSet.has(device.id)) {
           deviceSet.add(device.id);
@@ -49,23 +211,22 @@ class HDHomeRunController {
         }
       });
     } else {
-      console.log('Auto-discovery disabled via HDHOMERUN_DISABLE_DISCOVERY');
+      log('Auto-discovery disabled by the disableDiscovery setting');
     }
 
     // Add manually specified devices
-    if (manualDevices) {
-      const manualHosts = manualDevices.split(',').map(h => h.trim()).filter(h => h);
-      console.log(`Adding ${manualHosts.length} manual device(s):`, manualHosts);
+    if (manualHosts.length > 0) {
+      log(`Adding ${manualHosts.length} manual device(s):`, manualHosts);
 
       const manualResults = await Promise.all(
-        manualHosts.map(host => this.getDeviceByHost(host))
+        manualHosts.map(host => this.getDeviceByHost(host, log))
       );
 
       manualResults.forEach(device => {
         if (device && !deviceSet.has(device.id)) {
           deviceSet.add(device.id);
           devices.push(device);
-          console.log(`Added manual device: ${device.id} at ${device.ip} (${device.online ? 'online' : 'offline'})`);
+          log(`Added manual device: ${device.id} at ${device.ip} (${device.online ? 'online' : 'offline'})`);
         }
       });
     }
@@ -74,69 +235,65 @@ class HDHomeRunController {
     return devices;
   }
 
-  async autoDiscoverDevices(forceRefresh = false) {
+  async autoDiscoverDevices(forceRefresh = false, log = console.log) {
     // Try UDP broadcast discovery first
     const udpDevices = await this.udpDiscoverDevices();
     if (udpDevices.length > 0) {
-      console.log(`UDP discovery found ${udpDevices.length} device(s)`);
+      log(`UDP discovery found ${udpDevices.length} device(s)`);
       return udpDevices;
     }
 
     // Fallback to HTTP discovery API - only hit the remote API on explicit user refresh
-    // to avoid hammering the HDHomeRun cloud service on every automatic call.
-    if (!forceRefresh && this.httpDiscoveryCache !== null) {
-      console.log(`UDP discovery found no devices, using cached HTTP discovery results (${this.httpDiscoveryCache.length} device(s))`);
+    // or once the cache is stale, to avoid hammering the HDHomeRun cloud service on
+    // every automatic call.
+    if (!forceRefresh && this.httpDiscoveryCache !== null && Date.now() - this.httpDiscoveryCachedAt < HTTP_DISCOVERY_TTL_MS) {
+      log(`UDP discovery found no devices, using cached HTTP discovery results (${this.httpDiscoveryCache.length} device(s))`);
       return this.httpDiscoveryCache;
     }
 
-    console.log('UDP discovery found no devices, trying HTTP discovery fallback...');
+    if (this.settings.get('disableCloudDiscovery')) {
+      log('UDP discovery found no devices, HTTP discovery fallback disabled');
+      return [];
+    }
+
+    log('UDP discovery found no devices, trying HTTP discovery fallback...');
     const httpDevices = await this.httpDiscoverDevices();
     if (httpDevices.length > 0) {
-      console.log(`HTTP discovery found ${httpDevices.length} device(s)`);
+      log(`HTTP discovery found ${httpDevices.length} device(s)`);
     } else {
-      console.log('HTTP discovery also found no devices');
+      log('HTTP discovery also found no devices');
     }
     this.httpDiscoveryCache = httpDevices;
+    this.httpDiscoveryCachedAt = Date.now();
     return httpDevices;
   }
 
-  async udpDiscoverDevices() {
-    return new Promise((resolve) => {
-      exec('hdhomerun_config discover', { timeout: 5000 }, (error, stdout, stderr) => {
-        if (error) {
-          console.error('UDP discovery error:', error.message);
-          resolve([]);
-          return;
-        }
-
-        const deviceSet = new Set();
-        const discoveredDevices = [];
-        const lines = stdout.split('\n').filter(line => line.trim());
-
-        lines.forEach(line => {
-          const match = line.match(/hdhomerun device ([A-F0-9-]+) found at ([0-9.]+)/);
-          if (match) {
-            const deviceId = match[1];
-            const deviceIp = match[2];
+  // Extra discovery targets for devices outside the local subnets, e.g.
+  // HDHOMERUN_DISCOVERY_SUBNETS=192.168.20.0/24,10.0.5.255
+  getDiscoveryTargets() {
+    return this.settings.get('discoverySubnets');
+  }
 
-            if (!deviceSet.has(deviceId)) {
-              deviceSet.add(deviceId);
-              discoveredDevices.push({ deviceId, deviceIp });
-            }
-          }
-        });
+  async udpDiscoverDevices() {
+    let discovered;
+    try {
+      discovered = await discover({ targets: this.getDiscoveryTargets() });
+    } catch (error) {
+      console.error('UDP discovery error:', error.message);
+      return [];
+    }
 
-        // Fetch model info for each discovered device
-        Promise.all(
-          discoveredDevices.map(({ deviceId, deviceIp }) => this.getDeviceModel(deviceIp).then(model => ({
-            id: deviceId,
-            ip: deviceIp,
-            name: model ? `HDHomeRun ${deviceId} (${model})` : `HDHomeRun ${deviceId}`,
-            online: true
-          })))
-        ).then(devices => resolve(devices));
-      });
-    });
+    // Fetch model info for each discovered device
+    return Promise.all(
+      discovered.map(({ deviceId, ip, tunerCount, baseUrl }) => this.getDeviceModel(ip).then(model => ({
+        id: deviceId,
+        ip,
+        name: model ? `HDHomeRun ${deviceId} (${model})` : `HDHomeRun ${deviceId}`,
+        tunerCount,
+        baseUrl,
+        online: true
+      })))
+    );
   }
 
   async httpDiscoverDevices() {
@@ -185,111 +342,173 @@ class HDHomeRunController {
   }
 
   async getDeviceModel(host) {
-    return new Promise((resolve) => {
-      exec(`hdhomerun_config ${host} get /sys/hwmodel`, { timeout: 5000 }, (error, stdout) => {
-        if (error) {
-          resolve(null);
-          return;
-        }
-        resolve(stdout.trim() || null);
-      });
-    });
+    try {
+      const model = await this.getVar(host, '/sys/hwmodel');
+      return model || null;
+    } catch (error) {
+      return null;
+    }
   }
 
-  async getDeviceByHost(host) {
+  // Cached /sys/hwmodel for a device; failures aren't cached so they're retried
+  async getHwModel(deviceId) {
+    if (this.hwModels.has(deviceId)) return this.hwModels.get(deviceId);
+    const model = await this.getDeviceModel(this.resolveHost(deviceId));
+    if (model) this.hwModels.set(deviceId, model);
+    return model;
+  }
+
+  async getDeviceByHost(host, log = console.log) {
     // Check cache first
     const cached = this.deviceNameCache.get(host);
     if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
-      console.log(`Using cached device info for ${host}`);
+      log(`Using cached device info for ${host}`);
       return cached.device;
     }
 
-    return new Promise((resolve) => {
-      // Query the device to verify it's reachable and get model info for the name
-      exec(`hdhomerun_config ${host} get /sys/hwmodel`, { timeout: 5000 }, (error, stdout) => {
-        if (error) {
-          console.error(`Failed to query device at ${host}:`, error.message);
-          // Return offline device instead of null so UI can show it grayed out
-          const offlineDevice = {
-            id: host,
-            ip: host,
-            name: `HDHomeRun (${host})`,
-            online: false
-          };
-          this.deviceNameCache.set(host, { device: offlineDevice, timestamp: Date.now() });
-          resolve(offlineDevice);
-          return;
-        }
+    // Query the device to verify it's reachable and get model info for the name
+    let model;
+    try {
+      model = (await this.getVar(host, '/sys/hwmodel')) || 'Unknown';
+    } catch (error) {
+      console.error(`Failed to query device at ${host}:`, error.message);
+      // Return offline device instead of null so UI can show it grayed out
+      const offlineDevice = {
+        id: host,
+        ip: host,
+        name: `HDHomeRun (${host})`,
+        online: false
+      };
+      this.deviceNameCache.set(host, { device: offlineDevice, timestamp: Date.now() });
+      return offlineDevice;
+    }
 
-        const model = stdout.trim() || 'Unknown';
+    // Try to get the device ID for display purposes
+    const discovered = await discoverHost(host).catch(() => null);
+    const deviceId = discovered ? discovered.deviceId : null;
+
+    // Always use the user-specified host as the ID for commands
+    // This ensures the device is reached directly by IP/hostname
+    // rather than by rediscovering it (which may fail across subnets)
+    const device = {
+      id: host,
+      ip: host,
+      name: deviceId ? `HDHomeRun ${deviceId} (${model})` : `HDHomeRun ${model} (${host})`,
+      tunerCount: discovered ? discovered.tunerCount : null,
+      baseUrl: discovered ? discovered.baseUrl : null,
+      online: true
+    };
+
+    // Cache the result
+    this.deviceNameCache.set(host, { device, timestamp: Date.now() });
+    log(`Cached device info for ${host}`);
+
+    return device;
+  }
 
-        // Try to get the device ID for display purposes
-        exec(`hdhomerun_config discover ${host}`, { timeout: 5000 }, (discoverErr, discoverOut) => {
-          const match = discoverOut && discoverOut.match(/hdhomerun device ([A-F0-9-]+) found at ([0-9.]+)/);
-          const deviceId = match ? match[1] : null;
+  // Model, tuner count and the details shown on the device page: firmware,
+  // supported standards from /sys/features, and discover.json/lineup_status.json
+  // from the device's HTTP API (null fields when that isn't reachable). Cached per
+  // device for cacheTTL, as the metrics, alert, MQTT and survey loops ask on every
+  // cycle and each read takes several control and two HTTP requests. `refresh`
+  // reads them again (details dialog, firmware checks) unless a read is under way.
+  getDeviceInfo(deviceId, refresh = false) {
+    const cached = this.deviceInfo.get(deviceId);
+    if (cached && (!refresh || cached.pending) && Date.now() - cached.timestamp < this.cacheTTL) {
+      return cached.info;
+    }
 
-          // Always use the user-specified host as the ID for commands
-          // This ensures hdhomerun_config can reach the device directly by IP/hostname
-          // rather than trying to rediscover it (which may fail across subnets)
-          const device = {
-            id: host,
-            ip: host,
-            name: deviceId ? `HDHomeRun ${deviceId} (${model})` : `HDHomeRun ${model} (${host})`,
-            online: true
-          };
+    const entry = { timestamp: Date.now(), pending: true };
+    entry.info = this.readDeviceInfo(deviceId).then(info => {
+      entry.pending = false;
+      // Placeholder values for a device that didn't answer aren't kept
+      if (info.model === 'Unknown' && this.deviceInfo.get(deviceId) === entry) this.deviceInfo.delete(deviceId);
+      return info;
+    }, error => {
+      if (this.deviceInfo.get(deviceId) === entry) this.deviceInfo.delete(deviceId);
+      throw error;
+    });
+    this.deviceInfo.set(deviceId, entry);
+    return entry.info;
+  }
 
-          // Cache the result
-          this.deviceNameCache.set(host, { device, timestamp: Date.now() });
-          console.log(`Cached device info for ${host}`);
+  async readDeviceInfo(deviceId) {
+    let model;
+    try {
+      model = await this.getVar(deviceId, '/sys/model');
+    } catch (error) {
+      return { model: 'Unknown', tuners: 2, atsc3Support: false };
+    }
 
-          resolve(device);
-        });
-      });
-    });
+    const known = this.devices.find(d => d.id === deviceId);
+    const baseUrl = (known && known.baseUrl) || `http://${urlHost(this.resolveHost(deviceId))}:80`;
+    const [hwmodel, version, featuresText, copyright, discovered, lineupStatus] = await Promise.all([
+      this.getVar(deviceId, '/sys/hwmodel').catch(() => null),
+      this.getVar(deviceId, '/sys/version').catch(() => null),
+      this.getVar(deviceId, '/sys/features').catch(() => null),
+      this.getVar(deviceId, '/sys/copyright').catch(() => null),
+      fetchJson(`${baseUrl}/discover.json`),
+      fetchJson(`${baseUrl}/lineup_status.json`)
+    ]);
+
+    const features = parseFeatures(featuresText);
+    const standards = detectStandards(features, hwmodel || model);
+    const firmwareVersion = version || (discovered && discovered.FirmwareVersion) || null;
+    const firmwareName = (discovered && discovered.FirmwareName) || null;
+    const firmwareHistory = firmwareVersion
+      ? await this.firmwareHistory.record(deviceId, firmwareVersion, firmwareName).catch(error => {
+        console.error('Failed to save firmware history:', error.message);
+        return this.firmwareHistory.get(deviceId);
+      })
+      : this.firmwareHistory.get(deviceId);
+
+    return {
+      model,
+      hwmodel,
+      tuners: await this.getTunerTotal(deviceId, model, known, discovered),
+      atsc3Support: standards.some(standard => standard.id === 'atsc3'),
+      deviceId: (discovered && discovered.DeviceID) || null,
+      friendlyName: (discovered && discovered.FriendlyName) || null,
+      modelNumber: (discovered && discovered.ModelNumber) || null,
+      firmwareName,
+      firmwareVersion,
+      firmwareHistory,
+      baseUrl: (discovered && discovered.BaseURL) || baseUrl,
+      lineupUrl: (discovered && discovered.LineupURL) || null,
+      // Legacy devices (older models) only offer part of the HTTP API; null when it couldn't be read
+      legacy: discovered ? discovered.Legacy === 1 : null,
+      lineupStatus,
+      standards,
+      features,
+      copyright
+    };
   }
 
-  async getDeviceInfo(deviceId) {
-    return new Promise((resolve, reject) => {
-      // Get both model and tuner count
-      exec(`hdhomerun_config ${deviceId} get /sys/model`, (error, stdout) => {
-        if (error) {
-          resolve({ model: 'Unknown', tuners: 2, atsc3Support: false });
-          return;
-        }
-        
-        const model = stdout.trim();
-        
-        // ATSC 3.0 support - will be auto-detected based on PLP data availability
-        const atsc3Support = true; // Auto-detect rather than model-based
-        
-        // Try to get actual tuner count by checking which tuners exist
-        this.getTunerCount(deviceId).then(tunerCount => {
-          resolve({ model, tuners: tunerCount, atsc3Support });
-        }).catch(() => {
-          // Fallback to model-based detection
-          let tuners = 2;
-          if (model.includes('PRIME')) tuners = 3;
-          else if (model.includes('QUATTRO') || model.includes('QUATRO')) tuners = 4;
-          else if (model.includes('DUO')) tuners = 2;
-          else if (model.includes('FLEX')) tuners = 2;
-          else if (model.includes('CONNECT')) tuners = 2;
-          
-          resolve({ model, tuners, atsc3Support });
-        });
-      });
-    });
+  // Prefer the tuner count the device reported in discovery, then probe the tuners
+  async getTunerTotal(deviceId, model, known, discovered) {
+    if (known && known.tunerCount) return known.tunerCount;
+    if (discovered && discovered.TunerCount) return discovered.TunerCount;
+
+    try {
+      return await this.getTunerCount(deviceId);
+    } catch (error) {
+      // Fallback to model-based detection
+      let tuners = 2;
+      if (model.includes('PRIME')) tuners = 3;
+      else if (model.includes('QUATTRO') || model.includes('QUATRO')) tuners = 4;
+      else if (model.includes('DUO')) tuners = 2;
+      else if (model.includes('FLEX')) tuners = 2;
+      else if (model.includes('CONNECT')) tuners = 2;
+      return tuners;
+    }
   }
 
   async getTunerCount(deviceId) {
     return new Promise((resolve, reject) => {
       // Check tuners 0-7 to see which ones exist
       const checkTuner = (tunerNum) => {
-        return new Promise((resolveCheck) => {
-          exec(`hdhomerun_config ${deviceId} get /tuner${tunerNum}/status`, (error, stdout) => {
-            // If no error, tuner exists (even if status is 'none')
-            resolveCheck(!error);
-          });
-        });
+        // If no error, tuner exists (even if status is 'none')
+        return this.getVar(deviceId, `/tuner${tunerNum}/status`).then(() => true, () => false);
       };
 
       Promise.all([
@@ -304,60 +523,49 @@ class HDHomeRunController {
     });
   }
 
-  async scanChannels(deviceId, tuner = 0, channelMap = 'us-bcast') {
-    return new Promise((resolve, reject) => {
-      const command = `hdhomerun_config ${deviceId} scan /tuner${tuner} ${channelMap}`;
-      
-      exec(command, { timeout: 60000 }, (error, stdout, stderr) => {
-        if (error) {
-          console.error('Scan error:', error);
-          resolve([]);
-          return;
-        }
+  // Start a scan on a tuner. Only one scan may run per tuner at a time.
+  startScan(deviceId, tuner = 0, channelMap = 'us-bcast') {
+    const key = `${deviceId}:${parseInt(tuner)}`;
+    if (this.scans.has(key)) {
+      const error = new Error(`A scan is already running on tuner ${tuner}`);
+      error.status = 409;
+      throw error;
+    }
+    if (!getChannelList(channelMap)) {
+      const error = new Error(`Unknown channel map: ${channelMap}`);
+      error.status = 400;
+      throw error;
+    }
 
-        const channels = [];
-        const lines = stdout.split('\n');
-        
-        lines.forEach(line => {
-          const scanMatch = line.match(/SCANNING: (\d+) \(([^)]+)\)/);
-          const lockMatch = line.match(/LOCK: (\w+) \(ss=(\d+) snq=(\d+) seq=(\d+)\)/);
-          const programMatch = line.match(/PROGRAM (\d+): ([\d.]+) (.+)/);
-          
-          if (scanMatch && lockMatch) {
-            const frequency = scanMatch[1];
-            const channel = scanMatch[2];
-            const modulation = lockMatch[1];
-            const signalStrength = parseInt(lockMatch[2]);
-            const snr = parseInt(lockMatch[3]);
-            const symbolQuality = parseInt(lockMatch[4]);
-            
-            channels.push({
-              frequency,
-              channel,
-              modulation,
-              signalStrength,
-              snr,
-              symbolQuality,
-              programs: []
-            });
-          }
-          
-          if (programMatch && channels.length > 0) {
-            const programNum = programMatch[1];
-            const virtualChannel = programMatch[2];
-            const name = programMatch[3];
-            
-            channels[channels.length - 1].programs.push({
-              programNum,
-              virtualChannel,
-              name
-            });
-          }
+    const scanner = new ChannelScanner(this, deviceId, tuner, channelMap);
+    this.scans.set(key, scanner);
+    scanner.promise = scanner.start().then(channels => {
+      if (!scanner.cancelled) {
+        const device = this.devices.find(d => d.id === deviceId);
+        this.scanResults.record(deviceId, device ? device.ip : deviceId, tuner, channelMap, channels).catch(error => {
+          console.error('Failed to save scan results:', error.message);
         });
-
-        resolve(channels);
-      });
+      }
+      return channels;
+    }).finally(() => {
+      this.scans.delete(key);
     });
+    return scanner;
+  }
+
+  getScan(deviceId, tuner) {
+    return this.scans.get(`${deviceId}:${parseInt(tuner)}`) || null;
+  }
+
+  cancelScan(deviceId, tuner) {
+    const scanner = this.getScan(deviceId, tuner);
+    if (scanner) scanner.cancel();
+    return !!scanner;
+  }
+
+  async scanChannels(deviceId, tuner = 0, channelMap = 'us-bcast') {
+    const scanner = this.startScan(deviceId, tuner, channelMap);
+    return scanner.promise;
   }
 
   async getTunerStatus(deviceId, tuner = 0) {
@@ -401,32 +609,17 @@ class HDHomeRunController {
           }
         });
 
+        status.modulation = status.lock || null; // e.g. 8vsb, qam256, none
         status.lock = status.lock !== undefined;
         
-        // Extract dB values from debug output with educated conversion
-        if (debugResult) {
-          const dbgMatch = debugResult.match(/dbg=(\d+)-(\d+)\/(-?\d+)/);
-          if (dbgMatch) {
-            const signalRaw = parseInt(dbgMatch[1]);
-            const snrRaw = parseInt(dbgMatch[2]);
-            
-            // Signal strength: map raw values to realistic ATSC dBm range
-            // Based on observed data: 9-86 raw maps to roughly -80 to -40 dBm
-            let estimatedSignalDbm;
-            if (signalRaw >= 80) estimatedSignalDbm = -40 - (100 - signalRaw) * 0.5;  // Strong: -40 to -50
-            else if (signalRaw >= 60) estimatedSignalDbm = -50 - (80 - signalRaw) * 0.5;   // Good: -50 to -60
-            else if (signalRaw >= 20) estimatedSignalDbm = -60 - (60 - signalRaw) * 0.5;   // Fair: -60 to -80
-            else estimatedSignalDbm = -80 - (20 - signalRaw) * 0.5;                       // Weak: -80+
-            
-            // SNR: more direct conversion (0-80 raw ≈ 0-25 dB)
-            const estimatedSnrDb = snrRaw * 0.31; // Rough linear conversion
-            
-            status.ssDb = Math.round(estimatedSignalDbm * 10) / 10;
-            status.snrDb = snrRaw > 0 ? Math.round(estimatedSnrDb * 10) / 10 : 0;
-            status.debugRaw = `${signalRaw}-${snrRaw}/${dbgMatch[3]}`;
-            
-            console.log(`dB estimate: ${status.ss}% signal = ${signalRaw} raw → ${status.ssDb}dBm, ${status.snq}% SNR = ${snrRaw} raw → ${status.snrDb}dB`);
-          }
+        // Convert the raw debug levels to dB with the calibration profile for this hardware
+        const levels = parseDebugLevels(debugResult);
+        if (levels) {
+          const hwmodel = await this.getHwModel(deviceId);
+          Object.assign(status, this.calibration.convert(levels, hwmodel, tunerTypeForModulation(status.modulation)));
+          status.signalRaw = levels.signalRaw;
+          status.snrRaw = levels.snrRaw;
+          status.debugRaw = `${levels.signalRaw}-${levels.snrRaw}/${levels.extra}`;
         }
         
         resolve(status);
@@ -436,16 +629,20 @@ class HDHomeRunController {
     });
   }
 
+  // True when the demodulator has actually locked. `status.lock` only says a
+  // lock= field was present, which is also the case for "lock=none".
+  // "(ntsc)" style values mean a signal was recognised but can't be demodulated.
+  isTunerLocked(status) {
+    const modulation = status && status.modulation;
+    return !!modulation && modulation !== 'none' && !modulation.startsWith('(');
+  }
+
   async getStatusCommand(deviceId, tuner, command) {
-    return new Promise((resolve) => {
-      exec(`hdhomerun_config ${deviceId} get /tuner${tuner}/${command}`, (error, stdout) => {
-        if (error) {
-          resolve(null);
-        } else {
-          resolve(stdout.trim());
-        }
-      });
-    });
+    try {
+      return await this.getVar(deviceId, `/tuner${tuner}/${command}`);
+    } catch (error) {
+      return null;
+    }
   }
 
   async getSignalDbValues(deviceId, tuner = 0) {
@@ -455,8 +652,10 @@ class HDHomeRunController {
         this.getDbValue(deviceId, tuner, 'debug'),
         this.getDbValue(deviceId, tuner, 'vstatus'),
         this.getDbValue(deviceId, tuner, 'streaminfo'),
-        this.getDbValue(deviceId, tuner, 'plotsample')
+        this.getDbValue(deviceId, tuner, 'plotsample'),
+        this.getHwModel(deviceId)
       ]).then(results => {
+        const hwmodel = results.pop();
         console.log(`dB query results for ${deviceId} tuner ${tuner}:`, results);
         
         const dbData = {};
@@ -466,22 +665,14 @@ class HDHomeRunController {
           if (result) {
             console.log(`Command ${index} output:`, result);
             
-            // Look for HDHomeRun debug format: dbg=65-19/-1817
-            const dbgMatch = result.match(/dbg=(\d+)-(\d+)\/(-?\d+)/);
-            if (dbgMatch) {
-              // Format appears to be: signal-snr/something
-              const signalRaw = parseInt(dbgMatch[1]);
-              const snrRaw = parseInt(dbgMatch[2]);
-              const thirdValue = parseInt(dbgMatch[3]);
-              
-              // Convert to actual dB values 
-              // Different conversion for ATSC 1.0 vs 3.0 - try simpler mapping
-              // For 71% signal, expect around -50 to -60 dBm
-              dbData.ssDb = -100 + (signalRaw * 0.5); // Linear scaling attempt
-              dbData.snrDb = snrRaw;
-              dbData.debugRaw = `${signalRaw}-${snrRaw}/${thirdValue}`;
-              
-              console.log(`Converted dB values: signal=${signalRaw} -> ${dbData.ssDb}dBm, snr=${snrRaw} -> ${dbData.snrDb}dB`);
+            // Look for HDHomeRun debug format: dbg=65-19/-1817, converted the same
+            // way as in getTunerStatus()
+            const levels = parseDebugLevels(result);
+            if (levels) {
+              Object.assign(dbData, this.calibration.convert(levels, hwmodel, tunerTypeForModulation(levels.modulation)));
+              dbData.debugRaw = `${levels.signalRaw}-${levels.snrRaw}/${levels.extra}`;
+
+              console.log(`Converted dB values: signal=${levels.signalRaw} -> ${dbData.ssDb}dBm, snr=${levels.snrRaw} -> ${dbData.snrDb}dB`);
             }
             
             // Look for standard dB patterns as fallback
@@ -505,360 +696,851 @@ class HDHomeRunController {
   }
 
   async getDbValue(deviceId, tuner, command) {
-    return new Promise((resolve) => {
-      exec(`hdhomerun_config ${deviceId} get /tuner${tuner}/${command}`, (error, stdout) => {
-        if (error) {
-          resolve(null);
-        } else {
-          resolve(stdout.trim());
-        }
-      });
+    try {
+      return await this.getVar(deviceId, `/tuner${tuner}/${command}`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Record a reference meter reading for the channel a tuner is locked to. The
+  // raw levels are averaged over a few samples so one noisy read doesn't skew the fit.
+  async addCalibrationReference(deviceId, tuner, { ssDb, snrDb }) {
+    const status = await this.getTunerStatus(deviceId, tuner);
+    if (!this.isTunerLocked(status)) {
+      const error = new Error('Tune the tuner to a locked channel before adding a reference');
+      error.status = 409;
+      throw error;
+    }
+
+    const samples = [];
+    for (let i = 0; i < 5; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, 500));
+      const levels = parseDebugLevels(await this.getStatusCommand(deviceId, tuner, 'debug'));
+      if (levels) samples.push(levels);
+    }
+    if (samples.length === 0) {
+      const error = new Error('The tuner did not report debug levels');
+      error.status = 502;
+      throw error;
+    }
+
+    const average = key => Math.round(samples.reduce((sum, levels) => sum + levels[key], 0) / samples.length * 10) / 10;
+    return this.calibration.addReference({
+      hwmodel: await this.getHwModel(deviceId),
+      tunerType: tunerTypeForModulation(status.modulation),
+      deviceId,
+      tuner: parseInt(tuner),
+      channel: status.channel,
+      signalRaw: average('signalRaw'),
+      snrRaw: average('snrRaw'),
+      ssDb,
+      snrDb
     });
   }
 
   async getCurrentProgram(deviceId, tuner = 0) {
-    return new Promise((resolve, reject) => {
-      exec(`hdhomerun_config ${deviceId} get /tuner${tuner}/program`, (error, stdout) => {
-        if (error) {
-          resolve(null);
-          return;
-        }
+    try {
+      const program = await this.getVar(deviceId, `/tuner${tuner}/program`);
+      return program && program !== 'none' ? program : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-        const program = stdout.trim();
-        if (program && program !== 'none') {
-          resolve(program);
-        } else {
-          resolve(null);
-        }
-      });
-    });
+  // "35.1 KAAA" for the program a tuner is streaming, the program number if it
+  // isn't in the stream info, or null when no program is selected
+  async describeCurrentProgram(deviceId, tuner = 0) {
+    const programNum = await this.getCurrentProgram(deviceId, tuner);
+    if (!programNum) return null;
+    const programs = await this.getVar(deviceId, `/tuner${tuner}/streaminfo`)
+      .then(streaminfo => this.parseStreamInfo(streaminfo))
+      .catch(() => []);
+    const match = programs.find(p => String(p.programNum) === String(programNum));
+    return match ? `${match.virtualChannel} ${match.name}`.trim() : programNum;
   }
 
   async getCurrentChannelPrograms(deviceId, tuner = 0, maxRetries = 3) {
-    return new Promise(async (resolve, reject) => {
-      // First check if tuner is locked
-      const status = await this.getTunerStatus(deviceId, tuner);
-      if (!status || !status.lock || status.channel === 'none') {
-        resolve([]);
-        return;
+    // First check if tuner is locked
+    const status = await this.getTunerStatus(deviceId, tuner);
+    if (!status || !status.lock || status.channel === 'none') {
+      return [];
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let stdout;
+      try {
+        stdout = await this.getVar(deviceId, `/tuner${tuner}/streaminfo`);
+      } catch (error) {
+        if (attempt < maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, 1500)); // Wait 1.5s between retries
+          continue;
+        }
+        return [];
       }
 
-      let attempt = 0;
-      const tryGetPrograms = () => {
-        exec(`hdhomerun_config ${deviceId} get /tuner${tuner}/streaminfo`, (error, stdout) => {
-          if (error) {
-            if (attempt < maxRetries) {
-              attempt++;
-              setTimeout(tryGetPrograms, 1500); // Wait 1.5s between retries
-              return;
-            }
-            resolve([]);
-            return;
-          }
+      const programs = this.parseStreamInfo(stdout);
 
-          const programs = [];
-          const lines = stdout.split('\n').filter(line => line.trim());
-          
-          lines.forEach(line => {
-            // Enhanced parsing for both ATSC 1.0 and 3.0 formats
-            // ATSC 1.0: tsid=0x0001 program=1: 12.1 WHYY (encrypted)
-            // ATSC 3.0: service=1: 12.1 WHYY (atsc3) or program=1: 12.1 WHYY
-            const programMatch = line.match(/(?:program|service)=(\d+):\s*([\d.]+)\s+(.+?)(?:\s+\(([^)]+)\))?$/);
-            if (programMatch) {
-              const programNum = programMatch[1];
-              const virtualChannel = programMatch[2];
-              const name = programMatch[3].trim();
-              const status = programMatch[4] || '';
-              
-              programs.push({
-                programNum,
-                virtualChannel,
-                name,
-                callsign: name,
-                status,
-                encrypted: status.includes('encrypted'),
-                atsc3: status.includes('atsc3')
-              });
-            } else {
-              // Try alternative format parsing
-              const altMatch = line.match(/(\d+):\s*([\d.]+)\s+(.+?)(?:\s+\(([^)]+)\))?$/);
-              if (altMatch) {
-                programs.push({
-                  programNum: altMatch[1],
-                  virtualChannel: altMatch[2],
-                  name: altMatch[3].trim(),
-                  callsign: altMatch[3].trim(),
-                  status: altMatch[4] || '',
-                  encrypted: (altMatch[4] || '').includes('encrypted'),
-                  atsc3: (altMatch[4] || '').includes('atsc3')
-                });
-              }
-            }
-          });
+      // If no programs found and we have retries left, try again
+      if (programs.length === 0 && attempt < maxRetries) {
+        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait longer for ATSC 3.0
+        continue;
+      }
 
-          // If no programs found and we have retries left, try again
-          if (programs.length === 0 && attempt < maxRetries) {
-            attempt++;
-            setTimeout(tryGetPrograms, 2000); // Wait longer for ATSC 3.0
-            return;
-          }
+      return programs;
+    }
+  }
 
-          resolve(programs);
+  parseStreamInfo(stdout) {
+    const programs = [];
+    const lines = stdout.split('\n').filter(line => line.trim());
+
+    lines.forEach(line => {
+      // Enhanced parsing for both ATSC 1.0 and 3.0 formats
+      // ATSC 1.0: tsid=0x0001 program=1: 12.1 WHYY (encrypted)
+      // ATSC 3.0: service=1: 12.1 WHYY (atsc3) or program=1: 12.1 WHYY
+      const programMatch = line.match(/(?:program|service)=(\d+):\s*([\d.]+)\s+(.+?)(?:\s+\(([^)]+)\))?$/);
+      if (programMatch) {
+        const programNum = programMatch[1];
+        const virtualChannel = programMatch[2];
+        const name = programMatch[3].trim();
+        const status = programMatch[4] || '';
+
+        programs.push({
+          programNum,
+          virtualChannel,
+          name,
+          callsign: name,
+          status,
+          encrypted: status.includes('encrypted'),
+          atsc3: status.includes('atsc3')
         });
-      };
-
-      tryGetPrograms();
+      } else {
+        // Try alternative format parsing
+        const altMatch = line.match(/(\d+):\s*([\d.]+)\s+(.+?)(?:\s+\(([^)]+)\))?$/);
+        if (altMatch) {
+          programs.push({
+            programNum: altMatch[1],
+            virtualChannel: altMatch[2],
+            name: altMatch[3].trim(),
+            callsign: altMatch[3].trim(),
+            status: altMatch[4] || '',
+            encrypted: (altMatch[4] || '').includes('encrypted'),
+            atsc3: (altMatch[4] || '').includes('atsc3')
+          });
+        }
+      }
     });
+
+    return programs;
   }
 
   async setChannel(deviceId, tuner, channel) {
-    return new Promise((resolve, reject) => {
-      // Handle ATSC 3.0 format: atsc3:27:0+1+2 or regular format: 27
-      let command;
-      if (channel.includes('atsc3:')) {
-        command = `hdhomerun_config ${deviceId} set /tuner${tuner}/channel ${channel}`;
-      } else {
-        // For regular channels, check if we should use ATSC 3.0 format
-        // This could be enhanced to auto-detect based on device capabilities
-        command = `hdhomerun_config ${deviceId} set /tuner${tuner}/channel ${channel}`;
-      }
-      
-      exec(command, (error, stdout) => {
-        if (error) {
-          reject(error);
-          return;
-        }
-        resolve(stdout.trim());
-      });
-    });
+    // Handle ATSC 3.0 format: atsc3:27:0+1+2 or regular format: 27
+    // Both are passed to the device unchanged; this could be enhanced to
+    // auto-detect ATSC 3.0 based on device capabilities
+    return this.setVar(deviceId, `/tuner${tuner}/channel`, channel);
   }
 
   async setAtsc3Channel(deviceId, tuner, channel, plps = []) {
-    return new Promise((resolve, reject) => {
-      let channelStr = `atsc3:${channel}`;
-      if (plps.length > 0) {
-        channelStr += `:${plps.join('+')}`;
-      }
-      
-      exec(`hdhomerun_config ${deviceId} set /tuner${tuner}/channel ${channelStr}`, (error, stdout) => {
-        if (error) {
-          reject(error);
-          return;
-        }
-        resolve(stdout.trim());
-      });
-    });
+    let channelStr = `atsc3:${channel}`;
+    if (plps.length > 0) {
+      channelStr += `:${plps.join('+')}`;
+    }
+
+    return this.setVar(deviceId, `/tuner${tuner}/channel`, channelStr);
   }
 
   async incrementChannel(deviceId, tuner) {
-    return new Promise((resolve, reject) => {
-      exec(`hdhomerun_config ${deviceId} set /tuner${tuner}/channel +`, (error, stdout) => {
-        if (error) {
-          reject(error);
-          return;
-        }
-        resolve(stdout.trim());
-      });
-    });
+    return this.setVar(deviceId, `/tuner${tuner}/channel`, '+');
   }
 
   async decrementChannel(deviceId, tuner) {
-    return new Promise((resolve, reject) => {
-      exec(`hdhomerun_config ${deviceId} set /tuner${tuner}/channel -`, (error, stdout) => {
-        if (error) {
-          reject(error);
-          return;
-        }
-        resolve(stdout.trim());
-      });
-    });
+    return this.setVar(deviceId, `/tuner${tuner}/channel`, '-');
   }
 
   async clearTuner(deviceId, tuner) {
-    return new Promise((resolve, reject) => {
-      exec(`hdhomerun_config ${deviceId} set /tuner${tuner}/channel none`, (error, stdout) => {
-        if (error) {
-          reject(error);
-          return;
-        }
-        resolve(stdout.trim());
-      });
-    });
+    return this.setVar(deviceId, `/tuner${tuner}/channel`, 'none');
   }
 
   async getPlpInfo(deviceId, tuner = 0) {
-    return new Promise((resolve, reject) => {
-      exec(`hdhomerun_config ${deviceId} get /tuner${tuner}/plpinfo`, (error, stdout) => {
-        console.log(`PLP Info for ${deviceId} tuner ${tuner}:`, error ? 'ERROR: ' + error.message : stdout);
-        
-        if (error) {
-          resolve(null);
-          return;
-        }
-
-        const plpData = {};
-        const lines = stdout.split('\n').filter(line => line.trim());
-        
-        lines.forEach(line => {
-          // Parse PLP info output
-          // Actual format: "0: sfi=0 mod=qam256 cod=10/15 layer=core ti=cti lls=1 lock=1"
-          const plpMatch = line.match(/^(\d+):/);
-          if (plpMatch) {
-            const plpId = plpMatch[1];
-            plpData[plpId] = {};
-            
-            // Extract all key=value pairs
-            const sfiMatch = line.match(/sfi=(\w+)/);
-            const modMatch = line.match(/mod=(\w+)/);
-            const codMatch = line.match(/cod=([0-9/]+)/);
-            const layerMatch = line.match(/layer=(\w+)/);
-            const tiMatch = line.match(/ti=(\w+)/);
-            const llsMatch = line.match(/lls=(\d+)/);
-            const lockMatch = line.match(/lock=(\d+)/);
-            
-            if (sfiMatch) plpData[plpId].sfi = sfiMatch[1];
-            if (modMatch) plpData[plpId].modulation = modMatch[1];
-            if (codMatch) plpData[plpId].coderate = codMatch[1];
-            if (layerMatch) plpData[plpId].layer = layerMatch[1];
-            if (tiMatch) plpData[plpId].timeInterleaving = tiMatch[1];
-            if (llsMatch) plpData[plpId].lls = llsMatch[1] === '1';
-            if (lockMatch) plpData[plpId].lock = lockMatch[1] === '1';
-          }
-        });
+    let stdout;
+    try {
+      stdout = await this.getVar(deviceId, `/tuner${tuner}/plpinfo`);
+      console.log(`PLP Info for ${deviceId} tuner ${tuner}:`, stdout);
+    } catch (error) {
+      console.log(`PLP Info for ${deviceId} tuner ${tuner}:`, 'ERROR: ' + error.message);
+      return null;
+    }
 
-        console.log('Parsed PLP data:', plpData);
-        resolve(Object.keys(plpData).length > 0 ? plpData : null);
-      });
+    const plpData = {};
+    const lines = stdout.split('\n').filter(line => line.trim());
+
+    lines.forEach(line => {
+      // Parse PLP info output
+      // Actual format: "0: sfi=0 mod=qam256 cod=10/15 layer=core ti=cti lls=1 lock=1"
+      const plpMatch = line.match(/^(\d+):/);
+      if (plpMatch) {
+        const plpId = plpMatch[1];
+        plpData[plpId] = {};
+
+        // Extract all key=value pairs
+        const sfiMatch = line.match(/sfi=(\w+)/);
+        const modMatch = line.match(/mod=(\w+)/);
+        const codMatch = line.match(/cod=([0-9/]+)/);
+        const layerMatch = line.match(/layer=(\w+)/);
+        const tiMatch = line.match(/ti=(\w+)/);
+        const llsMatch = line.match(/lls=(\d+)/);
+        const lockMatch = line.match(/lock=(\d+)/);
+
+        if (sfiMatch) plpData[plpId].sfi = sfiMatch[1];
+        if (modMatch) plpData[plpId].modulation = modMatch[1];
+        if (codMatch) plpData[plpId].coderate = codMatch[1];
+        if (layerMatch) plpData[plpId].layer = layerMatch[1];
+        if (tiMatch) plpData[plpId].timeInterleaving = tiMatch[1];
+        if (llsMatch) plpData[plpId].lls = llsMatch[1] === '1';
+        if (lockMatch) plpData[plpId].lock = lockMatch[1] === '1';
+      }
     });
+
+    console.log('Parsed PLP data:', plpData);
+    return Object.keys(plpData).length > 0 ? plpData : null;
   }
 
   async getL1Info(deviceId, tuner = 0) {
-    return new Promise((resolve, reject) => {
-      exec(`hdhomerun_config ${deviceId} get /tuner${tuner}/l1info`, (error, stdout) => {
-        if (error) {
-          resolve(null);
-          return;
-        }
+    let stdout;
+    try {
+      stdout = await this.getVar(deviceId, `/tuner${tuner}/l1info`);
+    } catch (error) {
+      return null;
+    }
 
-        const l1Data = {};
-        const lines = stdout.split('\n').filter(line => line.trim());
-        
-        lines.forEach(line => {
-          // Parse L1 info output
-          // Format examples: l1_basic_mode=1 l1_detail_mode=2 fft_size=8192
-          const keyValueMatch = line.match(/(\w+)=([^\s]+)/g);
-          if (keyValueMatch) {
-            keyValueMatch.forEach(match => {
-              const [key, value] = match.split('=');
-              l1Data[key] = value;
-            });
-          }
+    const l1Data = {};
+    const lines = stdout.split('\n').filter(line => line.trim());
+
+    lines.forEach(line => {
+      // Parse L1 info output
+      // Format examples: l1_basic_mode=1 l1_detail_mode=2 fft_size=8192
+      const keyValueMatch = line.match(/(\w+)=([^\s]+)/g);
+      if (keyValueMatch) {
+        keyValueMatch.forEach(match => {
+          const [key, value] = match.split('=');
+          l1Data[key] = value;
         });
-
-        resolve(Object.keys(l1Data).length > 0 ? l1Data : null);
-      });
+      }
     });
-  }
 
-  startMonitoring(socket, deviceId, tuner) {
-    this.stopMonitoring(socket);
+    return Object.keys(l1Data).length > 0 ? l1Data : null;
+  }
 
-    const intervalId = setInterval(async () => {
-      try {
-        const status = await this.getTunerStatus(deviceId, tuner);
-        const currentProgram = await this.getCurrentProgram(deviceId, tuner);
-
-        // Get ATSC 3.0 info if channel is tuned and device supports it
-        let plpInfo = null;
-        let l1Info = null;
-        if (status && status.channel && status.channel !== 'none') {
-          // Try to get ATSC 3.0 info - will return null if not ATSC 3.0
-          plpInfo = await this.getPlpInfo(deviceId, tuner);
-          l1Info = await this.getL1Info(deviceId, tuner);
-        }
+  // Full status for one tuner, as sent in the 'tuner-status' event
+  async getMonitoringStatus(deviceId, tuner) {
+    const status = await this.sampleTunerStatus(deviceId, tuner);
+    const currentProgram = await this.getCurrentProgram(deviceId, tuner);
+
+    // Get ATSC 3.0 info if channel is tuned and device supports it
+    let plpInfo = null;
+    let l1Info = null;
+    if (status && status.channel && status.channel !== 'none') {
+      // Try to get ATSC 3.0 info - will return null if not ATSC 3.0
+      plpInfo = await this.getPlpInfo(deviceId, tuner);
+      l1Info = await this.getL1Info(deviceId, tuner);
+    }
 
-        socket.emit('tuner-status', {
-          ...status,
-          currentProgram,
-          plpInfo,
-          l1Info
-        });
-      } catch (error) {
-        console.error('Monitoring error:', error);
-      }
-    }, 1000);
+    return {
+      ...status,
+      deviceId,
+      tuner: parseInt(tuner),
+      currentProgram,
+      plpInfo,
+      l1Info
+    };
+  }
 
-    this.monitoringIntervals.set(socket.id, intervalId);
+  // HTTP stream URL for a program on an RF channel (frequency or channel number),
+  // or for the whole transport stream without a program.
+  // Streams are always served on port 5004, whatever port control uses.
+  getStreamUrl(deviceId, ch, program) {
+    const device = this.devices.find(d => d.id === deviceId);
+    return device ? streamUrl(device.ip, ch, program) : null;
   }
 
-  startAntennaMode(socket, deviceId, tunerCount) {
-    this.stopMonitoring(socket);
+  // Programs from the last completed scan of every device, with stream URLs.
+  // Devices that haven't been discovered since use the address saved with the scan.
+  getLineup() {
+    return buildLineup(this.scanResults.getAll()).map(entry => ({
+      ...entry,
+      url: this.getStreamUrl(entry.deviceId, entry.frequency, entry.programNum) ||
+        streamUrl(entry.ip, entry.frequency, entry.programNum)
+    }));
+  }
 
-    console.log(`Starting antenna mode for device ${deviceId} with ${tunerCount} tuners`);
+  // Frequency of a tuner channel string: "auto:599000000" as-is, "us-bcast:35"
+  // through its channel plan. Null when the plan isn't known (e.g. "auto:35").
+  getTunerFrequency(channel) {
+    const [map, value] = (channel || '').split(':');
+    if (!value) return null;
+    if (/^\d{8,}$/.test(value)) return value;
+    const frequency = channelToFrequency(value, map);
+    return frequency ? String(frequency) : null;
+  }
 
-    const intervalId = setInterval(async () => {
-      try {
-        // Monitor all tuners simultaneously
-        const allTunersData = await Promise.all(
-          Array.from({ length: tunerCount }, (_, i) =>
-            this.getTunerStatus(deviceId, i)
-              .then(status => ({ tuner: i, status }))
-              .catch(error => {
-                console.error(`Error monitoring tuner ${i}:`, error);
-                return { tuner: i, status: null };
-              })
-          )
-        );
+  // Now/next events per program from the PSIP/EIT tables of the tuned channel.
+  // The full transport stream is read on a free tuner until every program's
+  // events are in; the result is cached per frequency.
+  async getGuide(deviceId, tuner, ch) {
+    const status = await this.getTunerStatus(deviceId, tuner);
+    if (!this.isTunerLocked(status)) {
+      const error = new Error('Tuner is not locked to a channel');
+      error.status = 409;
+      throw error;
+    }
+    const frequency = ch || this.getTunerFrequency(status.channel);
+    if (!frequency) {
+      const error = new Error(`Unknown frequency for channel ${status.channel}; pass ch=<frequency>`);
+      error.status = 400;
+      throw error;
+    }
+    const url = this.getStreamUrl(deviceId, frequency);
+    if (!url) {
+      const error = new Error('Device not found');
+      error.status = 404;
+      throw error;
+    }
 
-        socket.emit('antenna-mode-status', allTunersData);
-      } catch (error) {
-        console.error('Antenna mode monitoring error:', error);
-      }
-    }, 1000);
+    const key = `${deviceId}:${frequency}`;
+    this.guides.forEach((entry, entryKey) => {
+      if (Date.now() - entry.timestamp > GUIDE_CACHE_MS) this.guides.delete(entryKey);
+    });
+    let entry = this.guides.get(key);
+    if (!entry) {
+      entry = { timestamp: Date.now(), collector: captureGuide(url, { timeout: GUIDE_CAPTURE_MS }) };
+      this.guides.set(key, entry);
+      entry.collector.catch(() => {
+        if (this.guides.get(key) === entry) this.guides.delete(key);
+      });
+    }
+
+    const collector = await entry.collector;
+    const now = Date.now();
+    return {
+      deviceId,
+      tuner: parseInt(tuner),
+      channel: status.channel,
+      frequency,
+      standard: collector.standard,
+      complete: collector.isComplete(now),
+      capturedAt: entry.timestamp,
+      programs: collector.guide(now)
+    };
+  }
+
+  // Capture a program's stream for `duration` seconds and check its health. The
+  // device picks a free tuner for it, so only one analysis runs per device.
+  async analyzeStream(deviceId, ch, program, duration) {
+    const url = this.getStreamUrl(deviceId, ch, program);
+    if (!url) {
+      const error = new Error('Device not found');
+      error.status = 404;
+      throw error;
+    }
+    if (this.streamAnalyses.has(deviceId)) {
+      const error = new Error('A stream analysis is already running on this device');
+      error.status = 409;
+      throw error;
+    }
+
+    this.streamAnalyses.add(deviceId);
+    try {
+      const report = await analyzeStream(url, { duration: duration * 1000 });
+      return { ch, program, url, timestamp: Date.now(), ...report };
+    } finally {
+      this.streamAnalyses.delete(deviceId);
+    }
+  }
+
+  // Start relaying a program as HLS for in-browser playback, or join the relay
+  // already running for it. Each relay holds a tuner until its last viewer
+  // leaves or no player has fetched from it for a while.
+  async startHls(deviceId, ch, program) {
+    const url = this.getStreamUrl(deviceId, ch, program);
+    if (!url) {
+      const error = new Error('Device not found');
+      error.status = 404;
+      throw error;
+    }
+
+    let session = Array.from(this.hlsSessions.values()).find(s => s.url === url && s.status !== 'ended');
+    if (!session) {
+      session = new HlsSession(url);
+      this.hlsSessions.set(session.id, session);
+      session.on('close', () => this.hlsSessions.delete(session.id));
+      session.start().catch(() => {}); // Reported through `ready` below
+    }
+    session.viewers++;
+    session.touch();
+    try {
+      await session.ready;
+    } catch (error) {
+      session.viewers--;
+      throw error;
+    }
+    return session.info();
+  }
+
+  getHlsSession(id) {
+    const session = this.hlsSessions.get(id);
+    if (!session) {
+      const error = new Error('Playback session not found');
+      error.status = 404;
+      throw error;
+    }
+    session.touch();
+    return session;
+  }
+
+  // A viewer left; the relay stops with its last viewer
+  stopHls(id) {
+    const session = this.getHlsSession(id);
+    session.viewers = Math.max(0, session.viewers - 1);
+    if (session.viewers === 0) session.stop();
+  }
+
+  // Check a firmware file against the device and start installing it. Progress
+  // is emitted as 'firmware-upgrade' events; resolves once the upload has started.
+  async startUpgrade(deviceId, fileName, firmware) {
+    const previous = this.upgrades.get(deviceId);
+    if (previous && previous.running) {
+      const error = new Error('A firmware upgrade is already running on this device');
+      error.status = 409;
+      throw error;
+    }
+
+    // Recorded (status 'checking') before the check, which takes a few seconds,
+    // so a second request in the meantime is refused instead of uploading too
+    const upgrade = new FirmwareUpgrade(this, deviceId, fileName, firmware);
+    this.upgrades.set(deviceId, upgrade);
+    try {
+      await upgrade.check();
+    } catch (error) {
+      if (previous) this.upgrades.set(deviceId, previous);
+      else this.upgrades.delete(deviceId);
+      throw error;
+    }
+    upgrade.on('progress', info => {
+      if (!upgrade.running) this.deviceInfo.delete(deviceId); // New firmware version
+      this.emit('firmware-upgrade', info);
+    });
+    upgrade.start().catch(error => upgrade.fail(error.message));
+    console.log(`Upgrading ${deviceId} from ${upgrade.device.version} with ${fileName}`);
+    return upgrade.info();
+  }
+
+  getUpgrade(deviceId) {
+    const upgrade = this.upgrades.get(deviceId);
+    if (!upgrade) {
+      const error = new Error('No firmware upgrade for this device');
+      error.status = 404;
+      throw error;
+    }
+    return upgrade.info();
+  }
+
+  // I/Q samples and their analysis for one tuner, as sent in the 'constellation' event
+  async getConstellation(deviceId, tuner) {
+    const [status, plotsample] = await Promise.all([
+      this.sampleTunerStatus(deviceId, tuner),
+      this.getStatusCommand(deviceId, tuner, 'plotsample')
+    ]);
+    const locked = this.isTunerLocked(status);
+    const samples = locked ? parsePlotsample(plotsample) : [];
+
+    return {
+      deviceId,
+      tuner: parseInt(tuner),
+      channel: status ? status.channel : null,
+      modulation: status ? status.modulation : null,
+      lock: locked,
+      samples,
+      analysis: analyzeConstellation(samples, status && status.modulation),
+      timestamp: Date.now()
+    };
+  }
+
+  // Every tuner of a device with its current program, as sent in the 'overview-status' event
+  async getOverviewStatus(deviceId) {
+    const known = this.devices.find(d => d.id === deviceId);
+    const tunerCount = this.tunerCounts.get(deviceId) || (known && known.tunerCount) || await this.getTunerCount(deviceId);
+
+    const tuners = await Promise.all(
+      Array.from({ length: tunerCount }, async (_, tuner) => {
+        const status = await this.sampleTunerStatus(deviceId, tuner).catch(() => null);
+        const program = this.isTunerLocked(status) ? await this.describeCurrentProgram(deviceId, tuner) : null;
+        return { tuner, status, program };
+      })
+    );
+    const online = tuners.some(({ status }) => status !== null);
+    // Only trust a probed count once the device has answered
+    if (online) this.tunerCounts.set(deviceId, tunerCount);
+    return {
+      deviceId,
+      name: known ? known.name : deviceId,
+      online,
+      tuners,
+      timestamp: Date.now()
+    };
+  }
+
+  // Signal summary of every tuner on a device, as sent in the 'antenna-mode-status' event
+  async getAntennaModeStatus(deviceId, tunerCount) {
+    // Monitor all tuners simultaneously
+    return Promise.all(
+      Array.from({ length: tunerCount }, (_, i) =>
+        this.sampleTunerStatus(deviceId, i)
+          .then(status => ({ tuner: i, status }))
+          .catch(error => {
+            console.error(`Error monitoring tuner ${i}:`, error);
+            return { tuner: i, status: null };
+          })
+      )
+    );
+  }
+
+  // Tuner status for the pollers. The tuner, antenna, overview and constellation
+  // pollers can all watch the same tuner, each on its own timer; they share a
+  // read started within the last 3/4 of a poll interval, so the tuner is read
+  // and its sample recorded about once per interval however many watch it.
+  sampleTunerStatus(deviceId, tuner) {
+    const key = `${deviceId}:${parseInt(tuner)}`;
+    const recent = this.samples.get(key);
+    if (recent && Date.now() - recent.startedAt < this.subscriptions.interval * 0.75) return recent.status;
+
+    const status = this.getTunerStatus(deviceId, tuner).then(result => {
+      this.emitSample(deviceId, tuner, result);
+      return result;
+    });
+    // A failed read is not shared with the next poll
+    status.catch(() => {
+      if (this.samples.get(key) && this.samples.get(key).status === status) this.samples.delete(key);
+    });
+    this.samples.set(key, { status, startedAt: Date.now() });
+    return status;
+  }
+
+  emitSample(deviceId, tuner, status) {
+    if (!status) return;
+    this.emit('tuner-sample', {
+      deviceId,
+      tuner: parseInt(tuner),
+      status,
+      locked: this.isTunerLocked(status),
+      timestamp: Date.now()
+    });
+  }
+
+  startMonitoring(socket, deviceId, tuner) {
+    this.stopMonitoring(socket);
 
-    this.monitoringIntervals.set(socket.id, intervalId);
+    const tunerNum = parseInt(tuner);
+    this.subscriptions.subscribe(
+      socket,
+      `tuner:${deviceId}:${tunerNum}`,
+      'tuner-status',
+      () => this.getMonitoringStatus(deviceId, tunerNum)
+    );
+  }
+
+  startAntennaMode(socket, deviceId, tunerCount) {
+    this.stopMonitoring(socket);
+
+    console.log(`Starting antenna mode for device ${deviceId} with ${tunerCount} tuners`);
+
+    const count = parseInt(tunerCount) || 2;
+    this.subscriptions.subscribe(
+      socket,
+      `antenna:${deviceId}:${count}`,
+      'antenna-mode-status',
+      () => this.getAntennaModeStatus(deviceId, count)
+    );
+  }
+
+  // The constellation stream runs alongside normal monitoring rather than replacing it
+  startConstellation(socket, deviceId, tuner) {
+    this.stopConstellation(socket);
+
+    const tunerNum = parseInt(tuner);
+    this.subscriptions.subscribe(
+      socket,
+      `constellation:${deviceId}:${tunerNum}`,
+      'constellation',
+      () => this.getConstellation(deviceId, tunerNum)
+    );
+  }
+
+  // One poller per device, shared by everyone watching the overview
+  startOverview(socket, deviceIds) {
+    this.stopOverview(socket);
+    deviceIds.forEach(deviceId => {
+      this.subscriptions.subscribe(socket, `overview:${deviceId}`, 'overview-status', () => this.getOverviewStatus(deviceId));
+    });
   }
 
   stopMonitoring(socket) {
-    const socketId = socket?.id;
-    if (socketId && this.monitoringIntervals.has(socketId)) {
-      clearInterval(this.monitoringIntervals.get(socketId));
-      this.monitoringIntervals.delete(socketId);
+    if (socket) {
+      this.subscriptions.unsubscribeAll(socket, key => !key.startsWith('constellation:') && !key.startsWith('overview:'));
     }
   }
+
+  stopOverview(socket) {
+    if (socket) this.subscriptions.unsubscribeAll(socket, key => key.startsWith('overview:'));
+  }
+
+  stopConstellation(socket) {
+    if (socket) this.subscriptions.unsubscribeAll(socket, key => key.startsWith('constellation:'));
+  }
+}
+
+// HDHOMERUN_SIMULATOR=true runs against virtual devices, for demos and end-to-end tests
+const simulator = process.env.HDHOMERUN_SIMULATOR === 'true'
+  ? new DeviceSimulator({ configFile: process.env.HDHOMERUN_SIMULATOR_CONFIG })
+  : null;
+const hdhrController = new HDHomeRunController(io, settings, simulator);
+hdhrController.on('firmware-upgrade', info => io.emit('firmware-upgrade', info));
+
+// Signal history is recorded unless explicitly disabled
+let historyStore = null;
+if (process.env.HDHOMERUN_HISTORY !== 'false') {
+  historyStore = new HistoryStore({
+    dataDir: DATA_DIR,
+    retentionDays: parseInt(process.env.HDHOMERUN_HISTORY_DAYS) || 30
+  });
+  hdhrController.on('tuner-sample', ({ deviceId, tuner, status, locked, timestamp }) => {
+    historyStore.record(deviceId, tuner, status, locked, timestamp);
+  });
 }
 
-const hdhrController = new HDHomeRunController();
+// Prometheus metrics are served unless explicitly disabled
+const metricsCollector = process.env.HDHOMERUN_METRICS === 'false'
+  ? null
+  : new MetricsCollector(hdhrController, {
+    interval: (parseInt(process.env.HDHOMERUN_METRICS_INTERVAL) || 15) * 1000
+  });
+
+// Publish tuner status to MQTT (with Home Assistant discovery) when a broker is configured
+let mqttPublisher = null;
+if (process.env.HDHOMERUN_MQTT_URL) {
+  mqttPublisher = new MqttPublisher(hdhrController, {
+    url: process.env.HDHOMERUN_MQTT_URL,
+    username: process.env.HDHOMERUN_MQTT_USERNAME,
+    password: process.env.HDHOMERUN_MQTT_PASSWORD,
+    prefix: process.env.HDHOMERUN_MQTT_TOPIC_PREFIX,
+    discoveryPrefix: process.env.HDHOMERUN_MQTT_DISCOVERY_PREFIX,
+    interval: (parseInt(process.env.HDHOMERUN_MQTT_INTERVAL) || 30) * 1000
+  });
+  mqttPublisher.start();
+}
+
+// Background discovery keeps the device list, with offline devices, current for every browser
+const devicePresence = new DevicePresence(hdhrController, {
+  dataDir: DATA_DIR,
+  interval: settings.get('presenceInterval') * 1000,
+  retentionDays: parseInt(process.env.HDHOMERUN_HISTORY_DAYS) || 30
+});
+devicePresence.on('changed', devices => io.emit('devices-changed', devices));
+devicePresence.start();
+
+// Alert rules are evaluated in the background; with no rules nothing is polled
+const alertManager = new AlertManager(hdhrController, {
+  dataDir: DATA_DIR,
+  presence: devicePresence,
+  interval: (parseInt(process.env.HDHOMERUN_ALERT_INTERVAL) || 10) * 1000
+});
+alertManager.on('alert', event => io.emit('alert', event));
+alertManager.on('changed', () => io.emit('alerts-changed', { active: alertManager.getActive() }));
+alertManager.start();
+
+// New settings apply without a restart
+const DISCOVERY_SETTINGS = ['manualDevices', 'disableDiscovery', 'discoverySubnets', 'disableCloudDiscovery'];
+settings.on('changed', ({ changed }) => {
+  console.log(`Settings changed: ${changed.join(', ')}`);
+  if (changed.includes('pollInterval')) hdhrController.subscriptions.setPollInterval(settings.get('pollInterval') * 1000);
+  if (changed.includes('presenceInterval')) devicePresence.setCheckInterval(settings.get('presenceInterval') * 1000);
+  if (changed.some(name => DISCOVERY_SETTINGS.includes(name))) devicePresence.check(true);
+  io.emit('settings-changed', settings.describe());
+});
+
+apiV2.use(createApiV2({ controller: hdhrController, presence: devicePresence, settings, auth }));
+
+// Scheduled channel surveys run on idle tuners
+const surveyScheduler = new SurveyScheduler(hdhrController, {
+  dataDir: DATA_DIR,
+  retentionDays: parseInt(process.env.HDHOMERUN_HISTORY_DAYS) || 30
+});
+surveyScheduler.on('changed', () => io.emit('surveys-changed'));
+surveyScheduler.on('progress', progress => io.emit('survey-progress', progress));
+surveyScheduler.start();
+
+// Accept epoch milliseconds or anything Date can parse (e.g. ISO 8601)
+function parseTime(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+// Tuner numbers become part of device variable names
+app.param('tuner', (req, res, next, tuner) => {
+  if (!/^\d+$/.test(tuner)) {
+    res.status(400).json({ error: 'Invalid tuner' });
+    return;
+  }
+  next();
+});
 
 // API Routes
+app.get('/api/auth/session', (req, res) => {
+  res.json({ enabled: auth.enabled, user: req.user });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const session = auth.login(username, password, req.ip);
+    res.setHeader('Set-Cookie', auth.cookie(session.token, session.expires, req.secure));
+    res.json(session);
+  } catch (error) {
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.sessionToken) auth.logout(req.sessionToken);
+  res.setHeader('Set-Cookie', auth.cookie('', 0, req.secure));
+  res.json({ success: true });
+});
+
+app.get('/api/users', auth.require('admin'), (req, res) => {
+  res.json(auth.users.list());
+});
+
+app.post('/api/users', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await auth.users.create(req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/users/:username', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await auth.users.update(req.params.username, req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:username', auth.require('admin'), async (req, res) => {
+  try {
+    await auth.users.remove(req.params.username);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/settings', (req, res) => {
+  res.json(settings.describe());
+});
+
+app.put('/api/settings', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await settings.update(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 app.get('/api/devices', async (req, res) => {
   try {
+    // The background check keeps the list current; only wait for one on refresh or before the first
     const forceRefresh = req.query.force === 'true';
-    const devices = await hdhrController.discoverDevices(forceRefresh);
+    const devices = forceRefresh || !devicePresence.checkedAt
+      ? await devicePresence.check(forceRefresh)
+      : devicePresence.list();
     res.json(devices);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+app.get('/api/devices/:id/presence', (req, res) => {
+  const presence = devicePresence.getDevice(req.params.id);
+  if (!presence) {
+    res.status(404).json({ error: 'Device not found' });
+    return;
+  }
+  res.json(presence);
+});
+
+app.delete('/api/devices/:id/presence', auth.require('admin'), async (req, res) => {
+  try {
+    await devicePresence.forget(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 app.get('/api/devices/:id/info', async (req, res) => {
   try {
-    const info = await hdhrController.getDeviceInfo(req.params.id);
+    const info = await hdhrController.getDeviceInfo(req.params.id, true);
     res.json(info);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/devices/:id/scan/:tuner', async (req, res) => {
+// Firmware upgrade: the request body is the firmware file itself
+app.post('/api/devices/:id/upgrade', auth.require('admin'), express.raw({ type: 'application/octet-stream', limit: '64mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.query.filename) {
+      res.status(400).json({ error: 'Send the firmware file as application/octet-stream with ?filename=' });
+      return;
+    }
+    res.status(202).json(await hdhrController.startUpgrade(req.params.id, String(req.query.filename), req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/devices/:id/upgrade', (req, res) => {
+  try {
+    res.json(hdhrController.getUpgrade(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/devices/:id/scan/:tuner', auth.require('operator'), async (req, res) => {
   try {
     const { id, tuner } = req.params;
     const { channelMap = 'us-bcast' } = req.query;
     const channels = await hdhrController.scanChannels(id, tuner, channelMap);
     res.json(channels);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cancel a running scan (started over REST or Socket.IO)
+app.post('/api/devices/:id/scan/:tuner/cancel', auth.require('operator'), (req, res) => {
+  const { id, tuner } = req.params;
+  const cancelled = hdhrController.cancelScan(id, tuner);
+  if (!cancelled) {
+    res.status(404).json({ error: 'No scan running on this tuner' });
+    return;
   }
+  res.json({ success: true });
 });
 
 app.get('/api/devices/:id/tuner/:tuner/status', async (req, res) => {
@@ -881,7 +1563,7 @@ app.get('/api/devices/:id/tuner/:tuner/programs', async (req, res) => {
   }
 });
 
-app.post('/api/devices/:id/tuner/:tuner/channel', async (req, res) => {
+app.post('/api/devices/:id/tuner/:tuner/channel', auth.require('operator'), async (req, res) => {
   try {
     const { id, tuner } = req.params;
     const { channel } = req.body;
@@ -892,7 +1574,7 @@ app.post('/api/devices/:id/tuner/:tuner/channel', async (req, res) => {
   }
 });
 
-app.post('/api/devices/:id/tuner/:tuner/channel/up', async (req, res) => {
+app.post('/api/devices/:id/tuner/:tuner/channel/up', auth.require('operator'), async (req, res) => {
   try {
     const { id, tuner } = req.params;
     const result = await hdhrController.incrementChannel(id, tuner);
@@ -902,7 +1584,7 @@ app.post('/api/devices/:id/tuner/:tuner/channel/up', async (req, res) => {
   }
 });
 
-app.post('/api/devices/:id/tuner/:tuner/channel/down', async (req, res) => {
+app.post('/api/devices/:id/tuner/:tuner/channel/down', auth.require('operator'), async (req, res) => {
   try {
     const { id, tuner } = req.params;
     const result = await hdhrController.decrementChannel(id, tuner);
@@ -912,7 +1594,7 @@ app.post('/api/devices/:id/tuner/:tuner/channel/down', async (req, res) => {
   }
 });
 
-app.post('/api/devices/:id/tuner/:tuner/clear', async (req, res) => {
+app.post('/api/devices/:id/tuner/:tuner/clear', auth.require('operator'), async (req, res) => {
   try {
     const { id, tuner } = req.params;
     const result = await hdhrController.clearTuner(id, tuner);
@@ -942,7 +1624,25 @@ app.get('/api/devices/:id/tuner/:tuner/l1info', async (req, res) => {
   }
 });
 
-app.post('/api/devices/:id/tuner/:tuner/atsc3', async (req, res) => {
+app.get('/api/devices/:id/tuner/:tuner/constellation', async (req, res) => {
+  try {
+    res.json(await hdhrController.getConstellation(req.params.id, req.params.tuner));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Now/next program guide from the over-the-air PSIP/EIT tables of the tuned channel
+app.get('/api/devices/:id/tuner/:tuner/guide', async (req, res) => {
+  try {
+    const { id, tuner } = req.params;
+    res.json(await hdhrController.getGuide(id, tuner, req.query.ch));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/devices/:id/tuner/:tuner/atsc3', auth.require('operator'), async (req, res) => {
   try {
     const { id, tuner } = req.params;
     const { channel, plps } = req.body;
@@ -953,6 +1653,225 @@ app.post('/api/devices/:id/tuner/:tuner/atsc3', async (req, res) => {
   }
 });
 
+// Signal history, downsampled into buckets of `resolution` seconds
+app.get('/api/history', async (req, res) => {
+  try {
+    if (!historyStore) {
+      res.status(404).json({ error: 'Signal history is disabled' });
+      return;
+    }
+
+    const { device, tuner = '0', channel } = req.query;
+    if (!device) {
+      res.status(400).json({ error: 'Missing device query parameter' });
+      return;
+    }
+
+    const to = parseTime(req.query.to, Date.now());
+    const from = parseTime(req.query.from, to - 24 * 60 * 60 * 1000);
+    const resolution = req.query.resolution ? parseInt(req.query.resolution) : null;
+    if (from === null || to === null || from > to || isNaN(parseInt(tuner)) ||
+        (resolution !== null && !(resolution > 0))) {
+      res.status(400).json({ error: 'Invalid from, to, tuner or resolution query parameter' });
+      return;
+    }
+
+    const history = await historyStore.query({ device, tuner, channel, from, to, resolution });
+    res.json(history);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Channel plans (frequency tables) shared with the frontend
+app.get('/api/channel-plans', (req, res) => {
+  res.json(getChannelPlans());
+});
+
+// dB calibration profiles; user profiles are fitted from reference meter readings
+app.get('/api/calibration', (req, res) => {
+  res.json({
+    builtin: hdhrController.calibration.getBuiltinProfiles(),
+    profiles: hdhrController.calibration.getProfiles(),
+    tunerTypes: TUNER_TYPES
+  });
+});
+
+app.post('/api/devices/:id/tuner/:tuner/calibration/reference', auth.require('operator'), async (req, res) => {
+  try {
+    const { ssDb, snrDb } = req.body || {};
+    res.status(201).json(await hdhrController.addCalibrationReference(req.params.id, req.params.tuner, { ssDb, snrDb }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/calibration/profiles/:id', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await hdhrController.calibration.updateProfile(req.params.id, req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/calibration/profiles/:id', auth.require('admin'), async (req, res) => {
+  try {
+    await hdhrController.calibration.deleteProfile(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/calibration/profiles/:id/references/:referenceId', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await hdhrController.calibration.deleteReference(req.params.id, req.params.referenceId));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Channel survey jobs and their results
+app.get('/api/surveys', (req, res) => {
+  res.json(surveyScheduler.getJobs());
+});
+
+app.post('/api/surveys', auth.require('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await surveyScheduler.addJob(req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/surveys/:id', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await surveyScheduler.updateJob(req.params.id, req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/surveys/:id', auth.require('admin'), async (req, res) => {
+  try {
+    await surveyScheduler.deleteJob(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/surveys/:id/run', auth.require('operator'), (req, res) => {
+  try {
+    // Runs take minutes; progress is pushed over the socket
+    surveyScheduler.runJob(req.params.id).catch(error => {
+      console.error('Survey run failed:', error.message);
+    });
+    res.status(202).json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/surveys/:id/cancel', auth.require('operator'), (req, res) => {
+  if (surveyScheduler.cancelJob(req.params.id)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'This survey is not running' });
+  }
+});
+
+app.get('/api/surveys/:id/results', async (req, res) => {
+  try {
+    const to = parseTime(req.query.to, Date.now());
+    const from = parseTime(req.query.from, to - 7 * 24 * 60 * 60 * 1000);
+    if (from === null || to === null || from > to) {
+      res.status(400).json({ error: 'Invalid from or to query parameter' });
+      return;
+    }
+    res.json(await surveyScheduler.getResults(req.params.id, { from, to }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Alert rules, webhooks and firing history
+app.get('/api/alerts', (req, res) => {
+  res.json({
+    rules: alertManager.getRules(),
+    webhooks: alertManager.getWebhooks(),
+    active: alertManager.getActive(),
+    metrics: ALERT_METRICS,
+    operators: ALERT_OPERATORS,
+    formats: WEBHOOK_FORMATS
+  });
+});
+
+app.get('/api/alerts/history', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  res.json(alertManager.getHistory(limit));
+});
+
+app.post('/api/alerts/rules', auth.require('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await alertManager.addRule(req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/alerts/rules/:id', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await alertManager.updateRule(req.params.id, req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/alerts/rules/:id', auth.require('admin'), async (req, res) => {
+  try {
+    await alertManager.deleteRule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/alerts/webhooks', auth.require('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await alertManager.addWebhook(req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/alerts/webhooks/:id', auth.require('admin'), async (req, res) => {
+  try {
+    res.json(await alertManager.updateWebhook(req.params.id, req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/alerts/webhooks/:id', auth.require('admin'), async (req, res) => {
+  try {
+    await alertManager.deleteWebhook(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/alerts/webhooks/:id/test', auth.require('admin'), async (req, res) => {
+  try {
+    await alertManager.testWebhook(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    // Delivery failures are reported as a bad gateway rather than our own error
+    res.status(error.status || 502).json({ error: error.message });
+  }
+});
+
 // Get stream URL only (for copying to clipboard)
 // Uses RF channel + program number to avoid virtual channel ambiguity
 app.get('/api/devices/:id/stream/url', async (req, res) => {
@@ -965,19 +1884,103 @@ app.get('/api/devices/:id/stream/url', async (req, res) => {
       return;
     }
 
-    const device = hdhrController.devices.find(d => d.id === id);
-    if (!device) {
+    const streamUrl = hdhrController.getStreamUrl(id, ch, program);
+    if (!streamUrl) {
       res.status(404).json({ error: 'Device not found' });
       return;
     }
 
-    const streamUrl = `http://${device.ip}:5004/auto/ch${ch}-${program}`;
     res.json({ url: streamUrl });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Transport stream health check (TR 101 290 style) of a program's stream
+app.post('/api/devices/:id/stream/analyze', auth.require('operator'), async (req, res) => {
+  try {
+    const { ch, program } = req.body || {};
+    if (!ch || !program) {
+      res.status(400).json({ error: 'Missing ch or program' });
+      return;
+    }
+    const duration = Math.min(120, Math.max(2, parseInt(req.body.duration) || 10));
+
+    res.json(await hdhrController.analyzeStream(req.params.id, String(ch), String(program), duration));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// In-browser playback: HLS relay of a program's stream
+app.post('/api/devices/:id/stream/hls', auth.require('operator'), async (req, res) => {
+  try {
+    const { ch, program } = req.body || {};
+    if (!ch || !program) {
+      res.status(400).json({ error: 'Missing ch or program' });
+      return;
+    }
+    res.json(await hdhrController.startHls(req.params.id, String(ch), String(program)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/hls/:session/index.m3u8', (req, res) => {
+  try {
+    const session = hdhrController.getHlsSession(req.params.session);
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(session.playlist());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/hls/:session/segment:sequence.ts', (req, res) => {
+  try {
+    const data = hdhrController.getHlsSession(req.params.session).segment(parseInt(req.params.sequence));
+    if (!data) {
+      res.status(404).json({ error: 'Segment not available' });
+      return;
+    }
+    res.setHeader('Content-Type', 'video/mp2t');
+    res.send(data);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/hls/:session', auth.require('operator'), (req, res) => {
+  try {
+    hdhrController.stopHls(req.params.session);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Whole lineup from the last scan of every device, for Jellyfin/Kodi/VLC
+app.get('/api/lineup.m3u', (req, res) => {
+  try {
+    const guideUrl = `${req.protocol}://${req.get('host')}/api/lineup.xml`;
+    res.setHeader('Content-Type', 'audio/x-mpegurl');
+    res.setHeader('Content-Disposition', 'inline; filename="lineup.m3u"');
+    res.send(toM3u(hdhrController.getLineup(), guideUrl));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/lineup.xml', (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'application/xml');
+    res.send(toXmltv(hdhrController.getLineup()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // M3U playlist endpoint for streaming
 // Uses RF channel + program number instead of virtual channel
 app.get('/api/devices/:id/stream/play.m3u', async (req, res) => {
@@ -992,15 +1995,14 @@ app.get('/api/devices/:id/stream/play.m3u', async (req, res) => {
 
     const channelName = name || `Ch${ch} Program ${program}`;
 
-    const device = hdhrController.devices.find(d => d.id === id);
-    if (!device) {
+    // Tune by RF channel + program number so no channel scan is needed
+    // and virtual channel collisions (e.g. two stations on 2.1) are avoided
+    const streamUrl = hdhrController.getStreamUrl(id, ch, program);
+    if (!streamUrl) {
       res.status(404).json({ error: 'Device not found' });
       return;
     }
 
-    // Tune by RF channel + program number so no channel scan is needed
-    // and virtual channel collisions (e.g. two stations on 2.1) are avoided
-    const streamUrl = `http://${device.ip}:5004/auto/ch${ch}-${program}`;
     const m3uContent = `#EXTM3U
 #EXTINF:-1,${channelName}
 ${streamUrl}
@@ -1015,9 +2017,20 @@ ${streamUrl}
   }
 });
 
+// { deviceId, tuner } from a socket event payload, or null if either is missing or
+// malformed. The payload is whatever the client sent, so it gets the same check
+// as the tuner path parameter (app.param('tuner')) before anything uses it.
+function socketTarget(payload) {
+  const { deviceId, tuner } = payload || {};
+  if (typeof deviceId !== 'string' || deviceId === '') return null;
+  if (!/^\d+$/.test(String(tuner))) return null;
+  return { deviceId, tuner: parseInt(tuner) };
+}
+
 // Socket.IO for real-time updates
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
+  socket.emit('alerts-changed', { active: alertManager.getActive() });
 
   socket.on('start-monitoring', ({ deviceId, tuner }) => {
     console.log(`Starting monitoring for device ${deviceId}, tuner ${tuner}`);
@@ -1029,6 +2042,86 @@ io.on('connection', (socket) => {
     hdhrController.startAntennaMode(socket, deviceId, tunerCount);
   });
 
+  // Channel scans stream their progress to a per-tuner room, so a second client
+  // starting a scan on a busy tuner just joins the one already running
+  const startedScans = new Set();
+
+  socket.on('start-scan', payload => {
+    const target = socketTarget(payload);
+    if (!target) {
+      socket.emit('scan-error', { error: 'Invalid device or tuner' });
+      return;
+    }
+    const { deviceId, tuner: tunerNum } = target;
+    const { channelMap } = payload;
+    const room = `scan:${deviceId}:${tunerNum}`;
+    if (!auth.can(socket.data.user, 'operator')) {
+      socket.emit('scan-error', { deviceId, tuner: tunerNum, error: 'Requires the operator role' });
+      return;
+    }
+    let scanner = hdhrController.getScan(deviceId, tunerNum);
+
+    if (!scanner) {
+      try {
+        scanner = hdhrController.startScan(deviceId, tunerNum, channelMap);
+      } catch (error) {
+        socket.emit('scan-error', { deviceId, tuner: tunerNum, error: error.message });
+        return;
+      }
+      console.log(`Starting ${channelMap} scan on device ${deviceId}, tuner ${tunerNum}`);
+
+      ['scanning', 'lock', 'program'].forEach(type => {
+        scanner.on(type, data => io.to(room).emit('scan-progress', { deviceId, tuner: tunerNum, type, ...data }));
+      });
+      scanner.on('complete', data => io.to(room).emit('scan-complete', { deviceId, tuner: tunerNum, ...data }));
+      scanner.promise.catch(error => io.to(room).emit('scan-error', { deviceId, tuner: tunerNum, error: error.message }));
+      scanner.promise.finally(() => startedScans.delete(scanner)).catch(() => {});
+      scanner.room = room;
+      startedScans.add(scanner);
+    }
+
+    socket.join(room);
+    socket.emit('scan-started', {
+      deviceId,
+      tuner: tunerNum,
+      channelMap: scanner.channelMap,
+      channels: scanner.channels
+    });
+  });
+
+  socket.on('cancel-scan', payload => {
+    const target = socketTarget(payload);
+    if (!target || !auth.can(socket.data.user, 'operator')) return;
+    console.log(`Cancelling scan on device ${target.deviceId}, tuner ${target.tuner}`);
+    hdhrController.cancelScan(target.deviceId, target.tuner);
+  });
+
+  socket.on('start-constellation', payload => {
+    const target = socketTarget(payload);
+    if (!target) return;
+    console.log(`Starting constellation for device ${target.deviceId}, tuner ${target.tuner}`);
+    hdhrController.startConstellation(socket, target.deviceId, target.tuner);
+  });
+
+  socket.on('stop-constellation', () => {
+    hdhrController.stopConstellation(socket);
+  });
+
+  socket.on('start-overview', payload => {
+    const { deviceIds } = payload || {};
+    // Every ID gets its own poller, so only devices discovery or presence tracking knows about
+    const known = new Set([...hdhrController.devices, ...devicePresence.list()].map(device => device.id));
+    const ids = Array.isArray(deviceIds)
+      ? Array.from(new Set(deviceIds)).filter(id => known.has(id)).slice(0, MAX_OVERVIEW_DEVICES)
+      : [];
+    console.log(`Starting overview of ${ids.length} devices for ${socket.id}`);
+    hdhrController.startOverview(socket, ids);
+  });
+
+  socket.on('stop-overview', () => {
+    hdhrController.stopOverview(socket);
+  });
+
   socket.on('stop-monitoring', () => {
     console.log('Stopping monitoring for:', socket.id);
     hdhrController.stopMonitoring(socket);
@@ -1037,9 +2130,32 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
     hdhrController.stopMonitoring(socket);
+    hdhrController.stopConstellation(socket);
+    hdhrController.stopOverview(socket);
+    // Don't leave a tuner scanning once nobody is watching it any more
+    startedScans.forEach(scanner => {
+      const watchers = io.sockets.adapter.rooms.get(scanner.room);
+      if (!watchers || watchers.size === 0) scanner.cancel();
+    });
   });
 });
 
+// Prometheus exporter
+app.get('/metrics', async (req, res) => {
+  if (!metricsCollector) {
+    res.status(404).json({ error: 'Metrics are disabled' });
+    return;
+  }
+
+  try {
+    const body = await metricsCollector.scrape();
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Version endpoint for update checking
 app.get('/api/version', (req, res) => {
   try {
@@ -1063,6 +2179,24 @@ app.get('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 3000;
+auth.bootstrap(process.env.HDHOMERUN_ADMIN_PASSWORD).catch(error => {
+  console.error('Failed to create the admin user:', error.message);
+});
+
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`HDHomeRun Signal server running on port ${PORT}`);
-});
\ No newline at end of file
+  if (simulator) console.log(`Simulator mode: ${simulator.devices.length} virtual device(s), no network access to real devices`);
+  if (!auth.enabled) console.log('User accounts are disabled (HDHOMERUN_AUTH); anyone who can reach the server can tune');
+});
+
+// Flush buffered history before the process (or container) stops
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    if (historyStore) await historyStore.close();
+    if (mqttPublisher) await mqttPublisher.stop().catch(() => {});
+    await devicePresence.stop();
+    settings.unwatch();
+    surveyScheduler.stop();
+    process.exit(0);
+  });
+});
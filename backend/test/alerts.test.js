@@ -0,0 +1,127 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlertManager } = require('../lib/alerts');
+
+const T0 = Date.UTC(2026, 0, 1);
+const SECOND = 1000;
+
+// Just what AlertManager asks of HDHomeRunController
+function stubController(options = {}) {
+  return {
+    devices: options.devices || [],
+    online: new Set(options.online || []),
+    discoverDevices: async () => [],
+    getVar: async function (deviceId) {
+      if (!this.online.has(deviceId)) throw new Error('HDHomeRun request timed out');
+      return 'hdhomerun5_atsc';
+    },
+    getTunerStatus: async () => ({ channel: 'none', lock: true, modulation: 'none' }),
+    getDeviceInfo: async () => ({ tuners: 2 }),
+    isTunerLocked: status => !!status.modulation && status.modulation !== 'none'
+  };
+}
+
+function tuned(seq) {
+  return { channel: 'auto:57000000', lock: true, modulation: '8vsb', ss: 80, snq: 90, seq };
+}
+
+describe('AlertManager', () => {
+  let dataDir;
+  let manager;
+  let events;
+
+  function create(controller, options = {}) {
+    manager = new AlertManager(controller, { dataDir, ...options });
+    manager.on('alert', event => events.push(event));
+    return manager;
+  }
+
+  // Feeds one symbol quality sample for tuner 0 at T0 + `seconds`
+  function sample(rule, seq, seconds) {
+    manager.evaluateTuner(rule, '10A0B0C1', 0, tuned(seq), T0 + seconds * SECOND);
+  }
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdhr-alerts-test-'));
+    events = [];
+    manager = null;
+  });
+
+  afterEach(async () => {
+    // Wait for the history writes queued by notify()
+    if (manager) await manager.saveHistory();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('fires once the rule has been breached for its duration', async () => {
+    create(stubController());
+    const rule = await manager.addRule({ metric: 'seq', operator: '<', threshold: 90, hysteresis: 5, duration: 30 });
+
+    sample(rule, 80, 0);
+    sample(rule, 70, 20);
+    assert.deepEqual(events, []);
+    sample(rule, 80, 30);
+
+    assert.deepEqual(events.map(event => [event.state, event.device, event.tuner, event.value]), [['firing', '10A0B0C1', 0, 80]]);
+    assert.deepEqual(manager.getActive().map(alert => alert.since), [T0 + 30 * SECOND]);
+    sample(rule, 80, 40);
+    assert.equal(events.length, 1);
+  });
+
+  test('restarts the duration when a value inside the hysteresis band interrupts a breach', async () => {
+    create(stubController());
+    const rule = await manager.addRule({ metric: 'seq', operator: '<', threshold: 90, hysteresis: 5, duration: 30 });
+
+    sample(rule, 80, 0);
+    sample(rule, 92, 20); // Not breached, not recovered either
+    sample(rule, 80, 30);
+    sample(rule, 80, 50);
+    assert.deepEqual(events, []);
+    sample(rule, 80, 60);
+    assert.deepEqual(events.map(event => event.state), ['firing']);
+  });
+
+  test('resolves only after values past the hysteresis for the duration', async () => {
+    create(stubController());
+    const rule = await manager.addRule({ metric: 'seq', operator: '<', threshold: 90, hysteresis: 5, duration: 30 });
+    sample(rule, 80, 0);
+    sample(rule, 80, 30);
+
+    sample(rule, 93, 40); // Above the threshold but inside the band: still firing
+    sample(rule, 93, 100);
+    sample(rule, 95, 110);
+    sample(rule, 92, 130); // Back in the band, so the recovery starts over
+    sample(rule, 96, 140);
+    sample(rule, 96, 160);
+    assert.deepEqual(events.map(event => event.state), ['firing']);
+    sample(rule, 96, 170);
+
+    assert.deepEqual(events.map(event => event.state), ['firing', 'resolved']);
+    assert.deepEqual(manager.getActive(), []);
+  });
+
+  test('fires offline rules for devices presence remembers after discovery dropped them', async () => {
+    const controller = stubController({ devices: [], online: ['10A0B0C2'] });
+    const presence = {
+      checkedAt: T0,
+      check: async () => { throw new Error('presence was already checked'); },
+      list: () => [
+        { id: '10A0B0C2', online: true },
+        { id: '10A0B0C1', online: false }
+      ]
+    };
+    create(controller, { presence });
+    await manager.addRule({ metric: 'offline' });
+
+    await manager.runEvaluation();
+    assert.deepEqual(events.map(event => [event.state, event.device, event.tuner]), [['firing', '10A0B0C1', null]]);
+    assert.equal(events[0].message, 'Device 10A0B0C1 is not responding');
+
+    controller.online.add('10A0B0C1');
+    await manager.runEvaluation();
+    assert.deepEqual(events.map(event => event.state), ['firing', 'resolved']);
+  });
+});
@@ -0,0 +1,74 @@
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Auth } = require('../lib/auth');
+
+describe('Auth login', () => {
+  const realNow = Date.now;
+  let dataDir;
+  let auth;
+  let now;
+
+  function failLogin(username, address) {
+    assert.throws(() => auth.login(username, 'wrong password', address), { status: 401 });
+  }
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdhr-auth-test-'));
+    auth = new Auth({ enabled: true, dataDir });
+    await auth.bootstrap('correct horse');
+    await auth.users.create({ username: 'viewer', password: 'battery staple', role: 'viewer' });
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    auth.loginFailures.clear();
+    now = realNow();
+    Date.now = () => now;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  test('logs in with the right password only', () => {
+    const session = auth.login('admin', 'correct horse', '10.0.0.1');
+    assert.equal(session.user.username, 'admin');
+    assert.equal(auth.userFor(session.token).role, 'admin');
+    failLogin('admin', '10.0.0.1');
+    failLogin('nobody', '10.0.0.1');
+  });
+
+  test('backs off a username after repeated failures, from any address', () => {
+    for (let i = 0; i < 5; i++) failLogin('admin', `10.0.0.${i}`);
+    assert.throws(() => auth.login('admin', 'correct horse', '10.0.0.9'), { status: 429, retryAfter: 1 });
+    // Other users are not affected
+    assert.equal(auth.login('viewer', 'battery staple', '10.0.0.9').user.username, 'viewer');
+
+    now += 1000;
+    failLogin('admin', '10.0.0.9');
+    assert.throws(() => auth.login('admin', 'correct horse', '10.0.0.9'), { status: 429, retryAfter: 2 });
+    now += 2000;
+    assert.equal(auth.login('admin', 'correct horse', '10.0.0.9').user.username, 'admin');
+    // A successful login starts the count over
+    failLogin('admin', '10.0.0.9');
+    failLogin('admin', '10.0.0.9');
+  });
+
+  test('backs off an address that guesses many usernames', () => {
+    for (let i = 0; i < 5; i++) failLogin(`user${i}`, '10.0.0.1');
+    assert.throws(() => auth.login('viewer', 'battery staple', '10.0.0.1'), { status: 429 });
+    assert.equal(auth.login('viewer', 'battery staple', '10.0.0.2').user.username, 'viewer');
+  });
+
+  test('forgets failures after an hour without one', () => {
+    for (let i = 0; i < 5; i++) failLogin('admin', '10.0.0.1');
+    now += 60 * 60 * 1000;
+    // Counted as the first failure again, so no wait
+    failLogin('admin', '10.0.0.1');
+    assert.equal(auth.login('admin', 'correct horse', '10.0.0.1').user.username, 'admin');
+  });
+});
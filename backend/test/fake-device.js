@@ -0,0 +1,143 @@
+// Fake HDHomeRun device for tests: a TCP server on the loopback interface that
+// speaks the control protocol (port 65001 by default, as real devices do).
+//
+// It keeps its variables in a plain object, answers getset requests with
+// their value or an ERROR_MESSAGE, and records every request it decoded.
+// Packets are built and checked here with their own TLV and CRC code, so the
+// tests don't only check the client against itself. Knobs for the awkward cases:
+//   silent          names that never get a reply (timeouts)
+//   byteByByte      replies are written one byte at a time
+//   trailingPacket  a Buffer written in the same chunk right after each reply
+//   locks           name -> lockkey; a set with any other lockkey is refused
+
+const net = require('net');
+
+const GETSET_REQ = 0x0004;
+const GETSET_RPY = 0x0005;
+const TAG_NAME = 0x03;
+const TAG_VALUE = 0x04;
+const TAG_ERROR = 0x05;
+const TAG_LOCKKEY = 0x15;
+
+// Bit-at-a-time CRC-32, independent of the client's table-driven one
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function tlv(tag, text) {
+  const data = Buffer.concat([Buffer.from(text, 'utf8'), Buffer.from([0])]);
+  const length = data.length <= 127 ? [data.length] : [(data.length & 0x7F) | 0x80, data.length >> 7];
+  return Buffer.concat([Buffer.from([tag, ...length]), data]);
+}
+
+function packet(type, tlvs) {
+  const payload = Buffer.concat(tlvs);
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(payload.length, 2);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32LE(crc32(Buffer.concat([header, payload])), 0);
+  return Buffer.concat([header, payload, crc]);
+}
+
+// { name, value, lockkey } from a GETSET_REQ payload
+function parseRequest(payload) {
+  const request = {};
+  let pos = 0;
+  while (pos < payload.length) {
+    const tag = payload[pos++];
+    let length = payload[pos++];
+    if (length & 0x80) length = (length & 0x7F) | (payload[pos++] << 7);
+    const value = payload.subarray(pos, pos + length);
+    pos += length;
+    if (tag === TAG_NAME) request.name = value.toString('utf8').replace(/\0$/, '');
+    if (tag === TAG_VALUE) request.value = value.toString('utf8').replace(/\0$/, '');
+    if (tag === TAG_LOCKKEY) request.lockkey = value.readUInt32BE(0);
+  }
+  return request;
+}
+
+class FakeDevice {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 65001;
+    this.vars = { '/sys/model': 'hdhomerun5_atsc', '/tuner0/channel': 'none', ...options.vars };
+    this.silent = new Set(options.silent || []);
+    this.locks = { ...options.locks };
+    this.byteByByte = false;
+    this.trailingPacket = null;
+    this.requests = [];
+    this.badPackets = 0;
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => resolve(this));
+    });
+  }
+
+  stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  accept(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 4) {
+        const total = 8 + buffer.readUInt16BE(2);
+        if (buffer.length < total) break;
+        const body = buffer.subarray(0, total - 4);
+        const valid = buffer.readUInt32LE(total - 4) === crc32(body) && buffer.readUInt16BE(0) === GETSET_REQ;
+        buffer = buffer.subarray(total);
+        if (!valid) {
+          this.badPackets++;
+          continue;
+        }
+        this.reply(socket, parseRequest(body.subarray(4)));
+      }
+    });
+  }
+
+  reply(socket, request) {
+    this.requests.push(request);
+    if (this.silent.has(request.name)) return;
+
+    const tlvs = [tlv(TAG_NAME, request.name)];
+    const lock = this.locks[request.name];
+    if (!(request.name in this.vars)) {
+      tlvs.push(tlv(TAG_ERROR, 'ERROR: unknown getset variable'));
+    } else if (request.value !== undefined && lock !== undefined && lock !== request.lockkey) {
+      tlvs.push(tlv(TAG_ERROR, 'ERROR: resource locked'));
+    } else {
+      if (request.value !== undefined) this.vars[request.name] = request.value;
+      tlvs.push(tlv(TAG_VALUE, this.vars[request.name]));
+    }
+
+    const data = Buffer.concat([packet(GETSET_RPY, tlvs), this.trailingPacket || Buffer.alloc(0)]);
+    if (!this.byteByByte) {
+      socket.write(data);
+      return;
+    }
+    let pos = 0;
+    const next = () => {
+      if (pos >= data.length || socket.destroyed) return;
+      socket.write(data.subarray(pos, ++pos), () => setImmediate(next));
+    };
+    next();
+  }
+}
+
+module.exports = { FakeDevice, packet, tlv, GETSET_RPY, TAG_NAME, TAG_VALUE };
@@ -0,0 +1,148 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const {
+  PACKET_TYPE,
+  TAG,
+  encodePacket,
+  decodePacket,
+  tlvString,
+  ControlConnection,
+  HDHomeRunDeviceError
+} = require('../lib/hdhomerun-protocol');
+const { FakeDevice, packet, tlv, GETSET_RPY, TAG_NAME, TAG_VALUE } = require('./fake-device');
+
+describe('packet encoding', () => {
+  test('encodes a get request as libhdhomerun does', () => {
+    // Header, NUL-terminated name TLV and CRC-32 (little-endian), worked out independently
+    const encoded = encodePacket(PACKET_TYPE.GETSET_REQ, [[TAG.GETSET_NAME, '/sys/model']]);
+    assert.equal(encoded.toString('hex'), '0004000d030b2f7379732f6d6f64656c008f5b54b5');
+  });
+
+  test('uses two-byte lengths for values over 127 bytes', () => {
+    const encoded = encodePacket(PACKET_TYPE.GETSET_REQ, [[TAG.GETSET_VALUE, 'x'.repeat(200)]]);
+    assert.equal(encoded.subarray(4, 7).toString('hex'), '04c901');
+    const { packet: decoded } = decodePacket(encoded);
+    assert.equal(tlvString(decoded.tlvs[0].value), 'x'.repeat(200));
+  });
+
+  test('decodes packets built by the fake device', () => {
+    const reply = packet(GETSET_RPY, [tlv(TAG_NAME, '/sys/model'), tlv(TAG_VALUE, 'y'.repeat(300))]);
+    const { packet: decoded, bytesUsed } = decodePacket(Buffer.concat([reply, Buffer.from([0, 5])]));
+    assert.equal(bytesUsed, reply.length);
+    assert.equal(decoded.type, PACKET_TYPE.GETSET_RPY);
+    assert.equal(tlvString(decoded.tlvs[1].value), 'y'.repeat(300));
+  });
+
+  test('waits for the rest of a partial packet', () => {
+    const encoded = encodePacket(PACKET_TYPE.GETSET_REQ, [[TAG.GETSET_NAME, '/sys/model']]);
+    assert.equal(decodePacket(encoded.subarray(0, 3)), null);
+    assert.equal(decodePacket(encoded.subarray(0, encoded.length - 1)), null);
+  });
+
+  test('rejects a bad CRC', () => {
+    const encoded = encodePacket(PACKET_TYPE.GETSET_REQ, [[TAG.GETSET_NAME, '/sys/model']]);
+    encoded[encoded.length - 1] ^= 0xFF;
+    assert.throws(() => decodePacket(encoded), /CRC mismatch/);
+  });
+});
+
+describe('ControlConnection against a fake device', () => {
+  let device;
+  let connection;
+
+  before(async () => {
+    device = await new FakeDevice({
+      vars: { '/tuner1/channel': 'none', '/tuner0/streaminfo': 'program=3: 35.1 KAAA\n'.repeat(12) },
+      silent: ['/tuner0/plotsample'],
+      locks: { '/tuner1/channel': 0x1234 }
+    }).start();
+  });
+
+  after(() => device.stop());
+
+  beforeEach(() => {
+    device.byteByByte = false;
+    device.trailingPacket = null;
+    device.requests = [];
+    // The fake listens on the standard control port, which the host name alone implies
+    connection = new ControlConnection('127.0.0.1', { timeout: 500 });
+  });
+
+  test('gets a variable', async () => {
+    assert.equal(await connection.get('/sys/model'), 'hdhomerun5_atsc');
+    assert.deepEqual(device.requests, [{ name: '/sys/model' }]);
+    connection.close();
+  });
+
+  test('sets a variable and answers with the new value', async () => {
+    assert.equal(await connection.set('/tuner0/channel', 'auto:599000000'), 'auto:599000000');
+    assert.equal(await connection.get('/tuner0/channel'), 'auto:599000000');
+    assert.equal(device.badPackets, 0);
+    connection.close();
+  });
+
+  test('reads values longer than 127 bytes', async () => {
+    assert.equal(await connection.get('/tuner0/streaminfo'), 'program=3: 35.1 KAAA\n'.repeat(12));
+    connection.close();
+  });
+
+  test('sends the lockkey with a set', async () => {
+    await assert.rejects(connection.set('/tuner1/channel', 'auto:599000000'), /resource locked/);
+    assert.equal(await connection.set('/tuner1/channel', 'auto:599000000', 0x1234), 'auto:599000000');
+    assert.equal(device.requests[1].lockkey, 0x1234);
+    connection.close();
+  });
+
+  test('reports device errors as HDHomeRunDeviceError and keeps the connection', async () => {
+    await assert.rejects(connection.get('/tuner9/status'), error => {
+      assert.ok(error instanceof HDHomeRunDeviceError);
+      assert.equal(error.message, 'ERROR: unknown getset variable');
+      return true;
+    });
+    assert.equal(await connection.get('/sys/model'), 'hdhomerun5_atsc');
+    assert.equal(device.sockets.size, 1);
+    connection.close();
+  });
+
+  test('answers queued requests in order', async () => {
+    const results = await Promise.all([
+      connection.get('/sys/model'),
+      connection.set('/tuner0/channel', 'none'),
+      connection.get('/tuner0/channel')
+    ]);
+    assert.deepEqual(results, ['hdhomerun5_atsc', 'none', 'none']);
+    connection.close();
+  });
+
+  test('reassembles replies that arrive a byte at a time', async () => {
+    device.byteByByte = true;
+    assert.equal(await connection.get('/sys/model'), 'hdhomerun5_atsc');
+    connection.close();
+  });
+
+  test('decodes every packet in a chunk instead of leaving one buffered', async () => {
+    // A stray reply right behind the real one must not be taken as the answer to the next request
+    device.trailingPacket = packet(GETSET_RPY, [tlv(TAG_NAME, '/sys/model'), tlv(TAG_VALUE, 'stale')]);
+    assert.equal(await connection.get('/sys/model'), 'hdhomerun5_atsc');
+    device.trailingPacket = null;
+    assert.equal(await connection.get('/tuner0/channel'), 'none');
+    connection.close();
+  });
+
+  test('times out when the device does not answer, then reconnects', async () => {
+    await assert.rejects(connection.get('/tuner0/plotsample'), /HDHomeRun request timed out: 127\.0\.0\.1/);
+    assert.equal(await connection.get('/sys/model'), 'hdhomerun5_atsc');
+    connection.close();
+  });
+
+  test('fails requests with the connection error when nothing listens', async () => {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+
+    const closed = new ControlConnection(`127.0.0.1:${port}`, { timeout: 500 });
+    await assert.rejects(closed.get('/sys/model'), { code: 'ECONNREFUSED' });
+  });
+});
@@ -0,0 +1,85 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../lib/history-store');
+
+const FROM = Date.UTC(2026, 0, 1, 23, 59, 30);
+
+// What getTunerStatus() makes of "ch=auto:57000000 lock=8vsb ss=80 snq=90 seq=100" and of an idle tuner
+const LOCKED = { channel: 'auto:57000000', lock: true, modulation: '8vsb', ss: 80, snq: 90, seq: 100, ssDb: -50 };
+const UNLOCKED = { channel: 'auto:57000000', lock: true, modulation: 'none', ss: 20, snq: 0, seq: 0 };
+
+describe('HistoryStore', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdhr-history-test-'));
+    store = new HistoryStore({ dataDir });
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('stores lock=none samples as unlocked', async () => {
+    store.record('10A0B0C1', 0, LOCKED, true, FROM + 1000);
+    store.record('10A0B0C1', 0, UNLOCKED, false, FROM + 2000);
+    store.record('10A0B0C1', 0, UNLOCKED, false, FROM + 3000);
+    store.record('10A0B0C1', 0, UNLOCKED, false, FROM + 4000);
+
+    const { points } = await store.query({ device: '10A0B0C1', tuner: 0, from: FROM, to: FROM + 10000, resolution: 10 });
+    assert.equal(points.length, 1);
+    assert.equal(points[0].samples, 4);
+    assert.equal(points[0].lock, 0.25);
+  });
+
+  test('averages samples into buckets of `resolution` seconds from the start of the range', async () => {
+    store.record('10A0B0C1', 0, { ...LOCKED, ss: 80 }, true, FROM + 1000);
+    store.record('10A0B0C1', 0, { ...LOCKED, ss: 71 }, true, FROM + 9999);
+    store.record('10A0B0C1', 0, { ...LOCKED, channel: 'auto:63000000', ss: 60 }, true, FROM + 10000);
+    // Past midnight, so in the next day's file
+    store.record('10A0B0C1', 0, { ...UNLOCKED, channel: 'none' }, false, FROM + 45000);
+    store.record('10A0B0C1', 0, LOCKED, true, FROM + 45500);
+    store.record('10A0B0C1', 1, LOCKED, true, FROM + 2000); // Another tuner
+    store.record('10A0B0C1', 0, LOCKED, true, FROM + 90000); // Outside the range
+
+    const result = await store.query({ device: '10A0B0C1', tuner: '0', from: FROM, to: FROM + 60000, resolution: 10 });
+    assert.equal(result.tuner, 0);
+    assert.equal(result.resolution, 10);
+    assert.deepEqual(result.points.map(point => [point.t - FROM, point.samples, point.ss, point.lock]), [
+      [0, 2, 75.5, 1],
+      [10000, 1, 60, 1],
+      [40000, 2, 50, 0.5]
+    ]);
+    assert.equal(result.points[1].channel, 'auto:63000000');
+    assert.equal(result.points[0].ssDb, -50);
+    assert.equal(result.points[2].snq, 45);
+    assert.ok(fs.existsSync(path.join(dataDir, 'history', '10A0B0C1', 'tuner0', '2026-01-02.ndjson')));
+  });
+
+  test('filters by channel', async () => {
+    store.record('10A0B0C1', 0, LOCKED, true, FROM + 1000);
+    store.record('10A0B0C1', 0, { ...LOCKED, channel: 'auto:63000000', ss: 40 }, true, FROM + 2000);
+
+    const { points } = await store.query({ device: '10A0B0C1', tuner: 0, channel: 'auto:63000000', from: FROM, to: FROM + 10000, resolution: 60 });
+    assert.deepEqual(points.map(point => [point.samples, point.ss]), [[1, 40]]);
+  });
+
+  test('picks a resolution of at most ~500 points when none is given', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const result = await store.query({ device: '10A0B0C1', tuner: 0, from: FROM, to: FROM + day });
+    assert.equal(result.resolution, 173);
+    assert.deepEqual(result.points, []);
+  });
+
+  test('rejects a resolution that yields too many points', async () => {
+    await assert.rejects(
+      store.query({ device: '10A0B0C1', tuner: 0, from: FROM, to: FROM + 3 * 60 * 60 * 1000, resolution: 1 }),
+      { status: 400, message: /max 2000 points/ }
+    );
+  });
+});
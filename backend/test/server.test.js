@@ -0,0 +1,267 @@
+// End-to-end tests of the REST routes and Socket.IO events: the server runs as
+// it does in production, in a child process, with HDHOMERUN_SIMULATOR devices.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+
+const EVENT_TIMEOUT_MS = 10000;
+
+// RF 2 is the first channel of us-bcast, so a scan locks straight away
+const SIMULATOR_CONFIG = {
+  devices: [
+    {
+      id: '10A0B0C1',
+      model: 'HDHR5-2US',
+      lineup: [
+        { channel: 2, modulation: '8vsb', tsid: '0x0101', programs: [[3, '2.1', 'KTST'], [4, '2.2', 'KTST-2']], signal: { dbm: -50, snr: 30 } }
+      ]
+    },
+    { id: '10A0B0C2', model: 'HDFX-4K', lineup: 'us' }
+  ]
+};
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves with the first `event` whose payload passes `accept`
+function waitForEvent(socket, event, accept = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`No ${event} event within ${EVENT_TIMEOUT_MS} ms`));
+    }, EVENT_TIMEOUT_MS);
+    function listener(payload) {
+      if (!accept(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+    socket.on(event, listener);
+  });
+}
+
+describe('server with simulated devices', () => {
+  let dataDir;
+  let server;
+  let output = '';
+  let baseUrl;
+  let socket;
+
+  async function request(method, urlPath, body) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdhr-signal-test-'));
+    const configFile = path.join(dataDir, 'simulator.json');
+    fs.writeFileSync(configFile, JSON.stringify(SIMULATOR_CONFIG));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        HDHOMERUN_SIMULATOR: 'true',
+        HDHOMERUN_SIMULATOR_CONFIG: configFile,
+        HDHOMERUN_DATA_DIR: dataDir,
+        HDHOMERUN_AUTH: 'false'
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), EVENT_TIMEOUT_MS);
+      const onOutput = chunk => {
+        output += chunk;
+        if (output.includes('server running on port')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+      server.stdout.on('data', onOutput);
+      server.stderr.on('data', onOutput);
+      server.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`Server exited with ${code}:\n${output}`));
+      });
+    });
+
+    socket = io(baseUrl, { transports: ['websocket'], reconnection: false });
+    await waitForEvent(socket, 'connect');
+  });
+
+  after(async () => {
+    if (socket) socket.close();
+    if (server && server.exitCode === null) {
+      const exited = new Promise(resolve => server.once('exit', resolve));
+      server.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('GET /api/devices lists the simulated devices', async () => {
+    const { status, body } = await request('GET', '/api/devices');
+    assert.equal(status, 200);
+    const devices = Object.fromEntries(body.map(device => [device.id, device]));
+    assert.deepEqual(Object.keys(devices).sort(), ['10A0B0C1', '10A0B0C2']);
+    assert.equal(devices['10A0B0C1'].online, true);
+    assert.equal(devices['10A0B0C1'].tunerCount, 2);
+    assert.equal(devices['10A0B0C2'].name, 'HDHomeRun 10A0B0C2 (HDFX-4K)');
+  });
+
+  test('tunes a tuner and reads back its status and programs', async () => {
+    const tuned = await request('POST', '/api/devices/10A0B0C1/tuner/0/channel', { channel: 'auto:57000000' });
+    assert.equal(tuned.status, 200);
+
+    const { body: status } = await request('GET', '/api/devices/10A0B0C1/tuner/0/status');
+    assert.equal(status.channel, 'auto:57000000');
+    assert.equal(status.modulation, '8vsb');
+    assert.equal(status.seq, 100);
+    // The simulator's dbg= values follow the generic calibration, so the estimate is the configured level
+    assert.ok(Math.abs(status.ssDb - -50) <= 1, `ssDb ${status.ssDb}`);
+
+    const { body: programs } = await request('GET', '/api/devices/10A0B0C1/tuner/0/programs');
+    assert.deepEqual(programs.map(p => `${p.virtualChannel} ${p.name}`), ['2.1 KTST', '2.2 KTST-2']);
+
+    const cleared = await request('POST', '/api/devices/10A0B0C1/tuner/0/clear');
+    assert.equal(cleared.status, 200);
+    const { body: idle } = await request('GET', '/api/devices/10A0B0C1/tuner/0/status');
+    assert.equal(idle.channel, 'none');
+  });
+
+  test('API v2 tunes by channel number and reports errors with codes', async () => {
+    const tuned = await request('PUT', '/api/v2/devices/10A0B0C2/tuners/1/channel', { channel: '22', channelMap: 'us-bcast' });
+    assert.equal(tuned.status, 200);
+    assert.deepEqual(tuned.body.data, { deviceId: '10A0B0C2', tuner: 1, channel: 'auto:521000000' });
+
+    const status = await request('GET', '/api/v2/devices/10A0B0C2/tuners/1');
+    assert.equal(status.body.data.modulation, '8vsb');
+
+    const badTuner = await request('GET', '/api/v2/devices/10A0B0C1/tuners/5');
+    assert.equal(badTuner.status, 400);
+    assert.equal(badTuner.body.error.code, 'invalid-tuner');
+
+    const unknown = await request('GET', '/api/v2/devices/FFFF0000');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error.code, 'not-found');
+
+    const badChannel = await request('PUT', '/api/v2/devices/10A0B0C2/tuners/1/channel', { channel: '99', channelMap: 'us-bcast' });
+    assert.equal(badChannel.body.error.code, 'invalid-channel');
+  });
+
+  test('streams tuner-status events while monitoring, with ATSC 3.0 PLP details', async () => {
+    await request('POST', '/api/devices/10A0B0C2/tuner/2/channel', { channel: 'auto:593000000' });
+
+    socket.emit('start-monitoring', { deviceId: '10A0B0C2', tuner: 2 });
+    const status = await waitForEvent(socket, 'tuner-status', s => s.deviceId === '10A0B0C2' && s.tuner === 2);
+    socket.emit('stop-monitoring');
+
+    assert.equal(status.channel, 'auto:593000000');
+    assert.equal(status.modulation, 'atsc3');
+    assert.deepEqual(Object.keys(status.plpInfo).sort(), ['0', '1']);
+    assert.equal(status.plpInfo[0].modulation, 'qpsk');
+  });
+
+  test('ignores scan events with a missing or malformed payload', async () => {
+    const errors = [];
+    const onError = event => errors.push(event);
+    socket.on('scan-error', onError);
+    socket.emit('cancel-scan');
+    socket.emit('cancel-scan', null);
+    socket.emit('start-scan', { deviceId: '10A0B0C1', tuner: 'x' });
+    socket.emit('start-scan', { deviceId: 42, tuner: 0 });
+    // Events from one socket are handled in order, so this one comes back last
+    const last = waitForEvent(socket, 'scan-error', () => errors.length === 3);
+    socket.emit('start-scan');
+    await last;
+    socket.off('scan-error', onError);
+
+    assert.deepEqual(errors.map(event => event.error), Array(3).fill('Invalid device or tuner'));
+    const { status } = await request('GET', '/api/devices');
+    assert.equal(status, 200);
+    assert.equal(server.exitCode, null);
+  });
+
+  test('ignores constellation requests without a valid tuner', async () => {
+    socket.emit('start-constellation');
+    socket.emit('start-constellation', { deviceId: '10A0B0C1', tuner: 'abc' });
+    const constellation = waitForEvent(socket, 'constellation', event => event.deviceId === '10A0B0C1');
+    socket.emit('start-constellation', { deviceId: '10A0B0C1', tuner: 0 });
+    assert.equal((await constellation).tuner, 0);
+    socket.emit('stop-constellation');
+    assert.equal(server.exitCode, null);
+  });
+
+  test('starts overview pollers only for known devices', async () => {
+    socket.emit('start-overview');
+    socket.emit('start-overview', { deviceIds: 'nope' });
+    const statuses = [];
+    const onStatus = status => statuses.push(status.deviceId);
+    socket.on('overview-status', onStatus);
+    socket.emit('start-overview', { deviceIds: ['FFFF0000', '10A0B0C2', '10A0B0C2', { id: 1 }] });
+    await waitForEvent(socket, 'overview-status');
+    // Wait for a second round, which would include any poller for the unknown ID
+    await waitForEvent(socket, 'overview-status');
+    socket.emit('stop-overview');
+    socket.off('overview-status', onStatus);
+
+    assert.deepEqual(Array.from(new Set(statuses)), ['10A0B0C2']);
+    assert.match(output, /Starting overview of 1 devices/);
+    assert.equal(server.exitCode, null);
+  });
+
+  test('scans with progress events and can be cancelled', async () => {
+    const ours = event => event.deviceId === '10A0B0C1' && event.tuner === 1;
+    const progress = [];
+    const onProgress = event => {
+      if (ours(event)) progress.push(event);
+    };
+    socket.on('scan-progress', onProgress);
+
+    const started = waitForEvent(socket, 'scan-started', ours);
+    const secondProgram = waitForEvent(socket, 'scan-progress', event => ours(event) && event.type === 'program' &&
+      event.program.virtualChannel === '2.2');
+    socket.emit('start-scan', { deviceId: '10A0B0C1', tuner: 1, channelMap: 'us-bcast' });
+    assert.equal((await started).channelMap, 'us-bcast');
+    await secondProgram;
+
+    const complete = waitForEvent(socket, 'scan-complete', ours);
+    socket.emit('cancel-scan', { deviceId: '10A0B0C1', tuner: 1 });
+    const result = await complete;
+    socket.off('scan-progress', onProgress);
+
+    assert.equal(result.cancelled, true);
+    assert.equal(result.channels.length, 1);
+    assert.equal(result.channels[0].channel, 'us-bcast:2');
+    assert.equal(result.channels[0].modulation, '8vsb');
+    assert.deepEqual(result.channels[0].programs.map(p => p.virtualChannel), ['2.1', '2.2']);
+
+    assert.deepEqual(progress.slice(0, 2).map(event => event.type), ['scanning', 'lock']);
+    assert.equal(progress[0].channel, 'us-bcast:2');
+    assert.ok(Math.abs(progress[1].signalStrength - 80) <= 2, `signal ${progress[1].signalStrength}%`); // -50 dBm, with jitter
+
+    // The tuner goes back to where it was (idle) once the scan stops
+    const { body: status } = await request('GET', '/api/devices/10A0B0C1/tuner/1/status');
+    assert.equal(status.channel, 'none');
+  });
+});
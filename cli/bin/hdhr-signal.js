@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// hdhr-signal: command-line client for the HDHomeRun Signal backend, for
+// scripts and SSH sessions. Run with --help for the commands.
+
+const { parseArgs } = require('util');
+const { SignalClient, clientError } = require('../lib/client');
+const {
+  formatDevices,
+  formatPrograms,
+  formatStatus,
+  formatScanProgress,
+  formatScanResult
+} = require('../lib/format');
+
+const STATUS_TIMEOUT_MS = 15000;
+
+const USAGE = `Usage: hdhr-signal <command> [options]
+
+Commands:
+  devices                          List devices (--refresh runs discovery first)
+  status <device> <tuner>          Tuner status, once
+  watch <device> <tuner>           Live signal meter; Ctrl-C to stop
+  tune <device> <tuner> <channel>  Tune to an RF channel of --map, or to "auto:<Hz>"
+  tune <device> <tuner> --frequency <Hz>
+  clear <device> <tuner>           Stop tuning
+  programs <device> <tuner>        Programs on the tuned channel
+  scan <device> <tuner>            Scan every channel of --map; Ctrl-C cancels
+
+Options:
+  --server <url>     Backend URL (default $HDHR_SIGNAL_SERVER or http://localhost:3000)
+  --token <token>    Login token when user accounts are enabled (default $HDHR_SIGNAL_TOKEN)
+  --map <id>         Channel map, e.g. us-bcast (default: the server's default channel map)
+  --json             Print JSON (one object per line for watch) instead of text
+  -h, --help         Show this help
+`;
+
+function usageError(message) {
+  return clientError('usage', message);
+}
+
+// The same payload the web UI gets: one 'tuner-status' event
+function firstStatus(client, deviceId, tuner) {
+  return client.connect(socket => socket.emit('start-monitoring', { deviceId, tuner })).then(socket => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.close();
+      reject(clientError('timeout', 'No status from the server'));
+    }, STATUS_TIMEOUT_MS);
+    socket.once('tuner-status', status => {
+      clearTimeout(timer);
+      socket.emit('stop-monitoring');
+      socket.close();
+      resolve(status);
+    });
+  }));
+}
+
+async function watch(client, deviceId, tuner, options) {
+  const interactive = process.stdout.isTTY && !options.json;
+  let lines = 0;
+  const socket = await client.connect(s => s.emit('start-monitoring', { deviceId, tuner }));
+
+  socket.on('tuner-status', status => {
+    if (options.json) {
+      process.stdout.write(JSON.stringify(status) + '\n');
+    } else if (interactive) {
+      // Redraw the meter in place
+      const text = `${formatStatus(status, { color: true })}\n\nUpdated ${new Date().toLocaleTimeString()} - Ctrl-C to stop`;
+      process.stdout.write((lines ? `\x1b[${lines}A\x1b[0J` : '') + text + '\n');
+      lines = text.split('\n').length;
+    } else {
+      process.stdout.write(`${new Date().toISOString()} ${status.channel || 'no-response'} ${status.modulation || 'none'} ss=${status.ss || 0} snq=${status.snq || 0} seq=${status.seq || 0} bps=${status.bps || 0}\n`);
+    }
+  });
+  socket.on('disconnect', () => {
+    if (interactive) process.stderr.write('Connection lost, reconnecting...\n');
+  });
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  socket.emit('stop-monitoring');
+  socket.close();
+}
+
+async function scan(client, deviceId, tuner, channelMap, options) {
+  // Progress stays visible on stderr while --json output is piped
+  const progress = options.json ? process.stderr : process.stdout;
+  const socket = await client.connect();
+
+  const result = await new Promise((resolve, reject) => {
+    const ours = event => event.deviceId === deviceId && event.tuner === tuner;
+    let cancelling = false;
+    process.on('SIGINT', () => {
+      if (cancelling) process.exit(130);
+      cancelling = true;
+      progress.write('Cancelling scan (Ctrl-C again to quit)...\n');
+      socket.emit('cancel-scan', { deviceId, tuner });
+    });
+
+    socket.on('scan-started', event => {
+      if (ours(event)) progress.write(`Scanning ${event.channelMap} on ${deviceId} tuner ${tuner}\n`);
+    });
+    socket.on('scan-progress', event => {
+      const line = ours(event) && formatScanProgress(event);
+      if (line) progress.write(line + '\n');
+    });
+    socket.on('scan-complete', event => {
+      if (ours(event)) resolve(event);
+    });
+    socket.on('scan-error', event => {
+      if (ours(event)) reject(clientError('scan-failed', event.error));
+    });
+    socket.emit('start-scan', { deviceId, tuner, channelMap });
+  }).finally(() => socket.close());
+
+  const { channels, cancelled } = result;
+  return options.json ? { channels, cancelled } : formatScanResult(result);
+}
+
+async function run(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      server: { type: 'string', default: process.env.HDHR_SIGNAL_SERVER || 'http://localhost:3000' },
+      token: { type: 'string', default: process.env.HDHR_SIGNAL_TOKEN },
+      map: { type: 'string' },
+      frequency: { type: 'string' },
+      refresh: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, deviceId, tunerArg, channel] = positionals;
+  if (options.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const client = new SignalClient({ server: options.server, token: options.token });
+  const print = (data, text) => process.stdout.write((options.json ? JSON.stringify(data, null, 2) : text(data)) + '\n');
+
+  if (command === 'devices') {
+    print(await client.devices(options.refresh), formatDevices);
+    return;
+  }
+
+  const commands = ['status', 'watch', 'tune', 'clear', 'programs', 'scan'];
+  if (!commands.includes(command)) throw usageError(`Unknown command ${command}`);
+  if (deviceId === undefined || tunerArg === undefined) throw usageError(`Usage: hdhr-signal ${command} <device> <tuner>`);
+  if (!/^\d+$/.test(tunerArg)) throw usageError(`Tuner must be a number, not ${tunerArg}`);
+  const tuner = Number(tunerArg);
+
+  switch (command) {
+    case 'status':
+      // Checked over the API first for a clear error when the device or tuner doesn't exist
+      await client.tunerStatus(deviceId, tuner);
+      print(await firstStatus(client, deviceId, tuner), status => formatStatus(status, { color: process.stdout.isTTY }));
+      return;
+    case 'watch':
+      await client.tunerStatus(deviceId, tuner);
+      await watch(client, deviceId, tuner, options);
+      return;
+    case 'tune': {
+      if ((channel === undefined) === (options.frequency === undefined)) {
+        throw usageError('Usage: hdhr-signal tune <device> <tuner> <channel> [--map <id>], or --frequency <Hz> instead of a channel');
+      }
+      const body = channel !== undefined
+        ? { channel, ...(options.map ? { channelMap: options.map } : {}) }
+        : { frequency: Number(options.frequency) };
+      print(await client.tune(deviceId, tuner, body), result => `Tuner ${result.tuner} of ${result.deviceId} tuned to ${result.channel}`);
+      return;
+    }
+    case 'clear':
+      print(await client.clear(deviceId, tuner), result => `Tuner ${result.tuner} of ${result.deviceId} cleared`);
+      return;
+    case 'programs':
+      print(await client.programs(deviceId, tuner), formatPrograms);
+      return;
+    case 'scan': {
+      await client.tunerStatus(deviceId, tuner);
+      const channelMap = options.map || (await client.request('GET', '/settings')).settings.defaultChannelMap;
+      const result = await scan(client, deviceId, tuner, channelMap, options);
+      process.stdout.write((options.json ? JSON.stringify(result, null, 2) : result) + '\n');
+      return;
+    }
+  }
+}
+
+// The reader went away (e.g. piped into head)
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(0);
+});
+
+run(process.argv.slice(2)).then(() => {
+  process.exit(0);
+}, error => {
+  // parseArgs reports unknown options with ERR_PARSE_ARGS_* codes
+  const usage = error.code === 'usage' || String(error.code).startsWith('ERR_PARSE_ARGS');
+  process.stderr.write(`hdhr-signal: ${error.message}${error.code && !usage ? ` (${error.code})` : ''}\n`);
+  if (usage) process.stderr.write('Run hdhr-signal --help for usage\n');
+  process.exit(usage ? 2 : 1);
+});
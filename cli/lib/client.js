@@ -0,0 +1,99 @@
+// Client for the HDHomeRun Signal backend.
+//
+// Requests go to /api/v2, whose { data } / { error: { code, message } } shape
+// lets every failure be reported with its error code. Live tuner status and
+// channel scans use the same Socket.IO events as the web UI, so the fields the
+// CLI prints are exactly those of the 'tuner-status' event.
+
+const { io } = require('socket.io-client');
+
+function clientError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class SignalClient {
+  constructor({ server, token }) {
+    this.server = server.replace(/\/+$/, '');
+    this.token = token || null;
+  }
+
+  async request(method, path, body) {
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    let response;
+    try {
+      response = await fetch(`${this.server}/api/v2${path}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw clientError('server-unreachable', `Cannot reach ${this.server}: ${(error.cause || error).message}`);
+    }
+
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || !payload || !('data' in payload)) {
+      const { code = 'internal', message = `HTTP ${response.status} from ${this.server}` } = (payload && payload.error) || {};
+      throw clientError(code, message);
+    }
+    return payload.data;
+  }
+
+  devices(refresh = false) {
+    return this.request('GET', `/devices${refresh ? '?refresh=true' : ''}`);
+  }
+
+  tunerPath(deviceId, tuner) {
+    return `/devices/${encodeURIComponent(deviceId)}/tuners/${encodeURIComponent(tuner)}`;
+  }
+
+  tunerStatus(deviceId, tuner) {
+    return this.request('GET', this.tunerPath(deviceId, tuner));
+  }
+
+  programs(deviceId, tuner) {
+    return this.request('GET', `${this.tunerPath(deviceId, tuner)}/programs`);
+  }
+
+  // `channel` is { channel, channelMap } or { frequency }
+  tune(deviceId, tuner, channel) {
+    return this.request('PUT', `${this.tunerPath(deviceId, tuner)}/channel`, channel);
+  }
+
+  clear(deviceId, tuner) {
+    return this.request('DELETE', `${this.tunerPath(deviceId, tuner)}/channel`);
+  }
+
+  // Resolves with a connected socket; `onConnect` also runs after every
+  // reconnect, because the server forgets subscriptions when a connection drops
+  connect(onConnect) {
+    return new Promise((resolve, reject) => {
+      const socket = io(this.server, {
+        auth: this.token ? { token: this.token } : undefined,
+        reconnection: true,
+        reconnectionDelay: 1000,
+        reconnectionDelayMax: 5000,
+        timeout: 10000
+      });
+      let connected = false;
+      socket.on('connect', () => {
+        if (onConnect) onConnect(socket);
+        if (!connected) {
+          connected = true;
+          resolve(socket);
+        }
+      });
+      socket.on('connect_error', error => {
+        if (connected) return; // Reconnection keeps trying
+        socket.close();
+        reject(clientError('server-unreachable', `Cannot connect to ${this.server}: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = { SignalClient, clientError };
@@ -0,0 +1,121 @@
+// Terminal output for the CLI: tables, the signal meter and scan progress.
+//
+// Colours follow the web UI (green from 80%, orange from 60%, red below) and
+// are only used when writing to a terminal.
+
+const BAR_WIDTH = 30;
+
+const COLORS = { green: 32, orange: 33, red: 31, dim: 2, bold: 1 };
+
+function paint(text, color, enabled) {
+  return enabled ? `\x1b[${COLORS[color]}m${text}\x1b[0m` : text;
+}
+
+function signalColor(value) {
+  if (value >= 80) return 'green';
+  if (value >= 60) return 'orange';
+  return 'red';
+}
+
+function formatDataRate(bps) {
+  if (!bps) return '0.000 Mbps';
+  return (bps / 1000000).toFixed(3) + ' Mbps';
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'never';
+}
+
+// Plain text table; `columns` is [{ title, value: row => string }]
+function table(rows, columns) {
+  const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '')));
+  const widths = columns.map((column, i) => Math.max(column.title.length, ...cells.map(row => row[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns.map(column => column.title)), ...cells.map(line)].join('\n');
+}
+
+function formatDevices(devices) {
+  if (devices.length === 0) return 'No HDHomeRun devices found';
+  return table(devices, [
+    { title: 'ID', value: d => d.id },
+    { title: 'NAME', value: d => d.name },
+    { title: 'ADDRESS', value: d => d.ip },
+    { title: 'TUNERS', value: d => d.tunerCount || '?' },
+    { title: 'STATUS', value: d => (d.online ? 'online' : `offline, last seen ${formatTime(d.lastSeen)}`) }
+  ]);
+}
+
+function formatPrograms(programs) {
+  if (programs.length === 0) return 'No programs (the tuner is not locked to a channel)';
+  return table(programs, [
+    { title: 'PROGRAM', value: p => p.programNum },
+    { title: 'CHANNEL', value: p => p.virtualChannel },
+    { title: 'NAME', value: p => p.name },
+    { title: 'FLAGS', value: p => [p.encrypted && 'encrypted', p.atsc3 && 'atsc3'].filter(Boolean).join(' ') }
+  ]);
+}
+
+function bar(value, color) {
+  const percent = Math.max(0, Math.min(100, value || 0));
+  const filled = Math.round((percent / 100) * BAR_WIDTH);
+  return paint('█'.repeat(filled), signalColor(percent), color) + paint('░'.repeat(BAR_WIDTH - filled), 'dim', color);
+}
+
+// A 'tuner-status' event as the signal meter: channel, lock and a bar per level
+function formatStatus(status, { color = false } = {}) {
+  const heading = paint(`Device ${status.deviceId} tuner ${status.tuner}`, 'bold', color);
+  if (!status.channel) return `${heading}\nNo response from the device`;
+  if (status.channel === 'none') return `${heading}\nNot tuned`;
+
+  const locked = !!status.modulation && status.modulation !== 'none' && !status.modulation.startsWith('(');
+  const db = (value, unit) => (value !== undefined ? `${value.toFixed(1)} ${unit}` : '');
+  const level = (label, value, extra = '') =>
+    `${label.padEnd(12)}${bar(value, color)} ${String(value || 0).padStart(3)}%  ${extra}`.trimEnd();
+
+  const lines = [
+    heading,
+    `${'Channel'.padEnd(12)}${status.channel}`,
+    `${'Lock'.padEnd(12)}${locked ? status.modulation : paint(status.modulation || 'none', 'red', color)}`,
+    `${'Program'.padEnd(12)}${status.currentProgram || 'none'}`,
+    level('Signal', status.ss, db(status.ssDb, 'dBm')),
+    level('SNR quality', status.snq, db(status.snrDb, 'dB')),
+    level('Symbol qual', status.seq),
+    `${'Bitrate'.padEnd(12)}${formatDataRate(status.bps)}`
+  ];
+  Object.entries(status.plpInfo || {}).forEach(([id, plp]) => {
+    const details = [plp.modulation, plp.coderate, plp.lock === false && 'no lock'].filter(Boolean).join(' ');
+    lines.push(`${`PLP ${id}`.padEnd(12)}${details}`);
+  });
+  return lines.join('\n');
+}
+
+// One line per 'scan-progress' event
+function formatScanProgress(event) {
+  const position = `[${String(event.index + 1).padStart(3)}/${event.total}]`;
+  switch (event.type) {
+    case 'scanning':
+      return `${position} ${event.channel} (${(event.frequency / 1000000).toFixed(1)} MHz)`;
+    case 'lock':
+      return `${position} ${event.channel} locked ${event.modulation}, signal ${event.signalStrength}%, SNR ${event.snr}%, symbol ${event.symbolQuality}%`;
+    case 'program':
+      return `          ${event.program.virtualChannel} ${event.program.name}${event.program.encrypted ? ' (encrypted)' : ''}`;
+    default:
+      return null;
+  }
+}
+
+function formatScanResult({ channels, cancelled }) {
+  const programs = channels.reduce((sum, channel) => sum + channel.programs.length, 0);
+  const summary = `${cancelled ? 'Scan cancelled' : 'Scan complete'}: ${channels.length} channel(s), ${programs} program(s)`;
+  if (channels.length === 0) return summary;
+  return `${summary}\n\n${table(channels, [
+    { title: 'CHANNEL', value: c => c.channel },
+    { title: 'FREQUENCY', value: c => c.frequency },
+    { title: 'MODULATION', value: c => c.modulation },
+    { title: 'SIGNAL', value: c => `${c.signalStrength}%` },
+    { title: 'SNR', value: c => `${c.snr}%` },
+    { title: 'PROGRAMS', value: c => c.programs.map(p => `${p.virtualChannel} ${p.name}`).join(', ') }
+  ])}`;
+}
+
+module.exports = { formatDevices, formatPrograms, formatStatus, formatScanProgress, formatScanResult };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   ThemeProvider,
   createTheme,
@@ -7,10 +7,22 @@ import {
   AppBar,
   Toolbar,
   Typography,
-  Box
+  Box,
+  IconButton
 } from '@mui/material';
+import {
+  Dashboard as OverviewIcon,
+  Logout as LogoutIcon,
+  People as UsersIcon,
+  SignalCellularAlt as MeterIcon
+} from '@mui/icons-material';
+import axios from 'axios';
 import SignalMeter from './components/SignalMeter';
+import Overview from './components/Overview';
 import UpdatePrompt from './components/UpdatePrompt';
+import LoginPage from './components/LoginPage';
+import UsersDialog from './components/UsersDialog';
+import { AuthContext, hasRole } from './auth';
 import { BUILD_HASH } from './buildVersion';
 
 const darkTheme = createTheme({
@@ -43,6 +55,42 @@ const VERSION_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
 function App() {
   const [showUpdatePrompt, setShowUpdatePrompt] = useState(false);
   const [dismissedUntil, setDismissedUntil] = useState(0);
+  const [session, setSession] = useState(null); // { enabled, user } once known
+  const [usersOpen, setUsersOpen] = useState(false);
+  const [view, setView] = useState(() => localStorage.getItem('hdhr-view') || 'meter');
+  const [meterTarget, setMeterTarget] = useState(null); // { deviceId, tuner } picked on the overview
+
+  useEffect(() => {
+    localStorage.setItem('hdhr-view', view);
+  }, [view]);
+
+  const openTuner = useCallback((deviceId, tuner) => {
+    setMeterTarget({ deviceId, tuner });
+    setView('meter');
+  }, []);
+
+  useEffect(() => {
+    axios.get('/api/auth/session')
+      .then((response) => setSession(response.data))
+      .catch(() => setSession({ enabled: false, user: null }));
+
+    // An expired or revoked session shows the login page again
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401 && !(error.config?.url || '').startsWith('/api/auth/')) {
+        setSession((current) => (current?.enabled ? { ...current, user: null } : current));
+      }
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const logout = useCallback(async () => {
+    await axios.post('/api/auth/logout').catch(() => {});
+    setSession((current) => ({ ...current, user: null }));
+  }, []);
+
+  const auth = useMemo(() => ({ enabled: false, user: null, ...session, logout }), [session, logout]);
+  const loginRequired = session?.enabled && !session.user;
 
   const checkVersion = useCallback(async () => {
     // Skip if dev version or currently dismissed
@@ -87,11 +135,47 @@ function App() {
             <Typography variant="h6" component="div" sx={{ flexGrow: 1, fontSize: '1.1rem' }}>
               HDHomeRun Signal
             </Typography>
+            {session && !loginRequired && (
+              <IconButton
+                size="small"
+                color="inherit"
+                title={view === 'overview' ? 'Signal meter' : 'All devices'}
+                onClick={() => setView(view === 'overview' ? 'meter' : 'overview')}
+              >
+                {view === 'overview' ? <MeterIcon fontSize="small" /> : <OverviewIcon fontSize="small" />}
+              </IconButton>
+            )}
+            {auth.user && (
+              <>
+                <Typography variant="body2" color="text.secondary" sx={{ mr: 0.5 }}>
+                  {auth.user.username} ({auth.user.role})
+                </Typography>
+                {hasRole(auth, 'admin') && (
+                  <IconButton size="small" color="inherit" onClick={() => setUsersOpen(true)}>
+                    <UsersIcon fontSize="small" />
+                  </IconButton>
+                )}
+                <IconButton size="small" color="inherit" onClick={logout}>
+                  <LogoutIcon fontSize="small" />
+                </IconButton>
+              </>
+            )}
           </Toolbar>
         </AppBar>
-        <Container maxWidth="md" sx={{ mt: 1, px: 1 }}>
-          <SignalMeter />
-        </Container>
+        <AuthContext.Provider value={auth}>
+          {loginRequired && <LoginPage onLogin={(user) => setSession({ ...session, user })} />}
+          {session && !loginRequired && (
+            <Container maxWidth={view === 'overview' ? 'lg' : 'md'} sx={{ mt: 1, px: 1 }}>
+              {/* Remounted per user, so the socket reconnects with the new session */}
+              {view === 'overview' ? (
+                <Overview key={auth.user ? auth.user.username : ''} onSelectTuner={openTuner} />
+              ) : (
+                <SignalMeter key={auth.user ? auth.user.username : ''} initialTarget={meterTarget} />
+              )}
+            </Container>
+          )}
+          {auth.user && <UsersDialog open={usersOpen} onClose={() => setUsersOpen(false)} />}
+        </AuthContext.Provider>
       </Box>
     </ThemeProvider>
   );
@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+
+// Roles from least to most privileged; each includes the ones before it
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// { enabled, user: { username, role } | null, logout } from /api/auth/session
+export const AuthContext = createContext({ enabled: false, user: null, logout: () => {} });
+
+export function hasRole(auth, role) {
+  if (!auth.enabled) return true;
+  return !!auth.user && ROLES.indexOf(auth.user.role) >= ROLES.indexOf(role);
+}
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+// Whether the logged-in user may do what `role` allows; always true without accounts
+export function useCan(role) {
+  return hasRole(useContext(AuthContext), role);
+}
@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Channel plans are defined once on the backend (backend/lib/channel-plans.js)
+// and fetched from /api/channel-plans; these helpers only look things up in
+// the expanded { channel, frequency } lists.
+
+let plansPromise = null;
+
+function loadChannelPlans() {
+  if (!plansPromise) {
+    plansPromise = axios.get('/api/channel-plans')
+      .then(response => response.data)
+      .catch(error => {
+        plansPromise = null; // Try again next time
+        throw error;
+      });
+  }
+  return plansPromise;
+}
+
+// { regions: [{ id, label, defaultPlan }], plans: { [id]: { id, label, region, channels } } },
+// or null until loaded
+export function useChannelPlans() {
+  const [channelPlans, setChannelPlans] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    loadChannelPlans()
+      .then(data => {
+        if (active) setChannelPlans(data);
+      })
+      .catch(error => console.error('Failed to load channel plans:', error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return channelPlans;
+}
+
+function findChannel(channel, plan) {
+  if (!plan || channel === undefined || channel === null) return null;
+  const wanted = String(channel).trim().toUpperCase();
+  return plan.channels.find(entry => String(entry.channel) === wanted) || null;
+}
+
+// Centre frequency (Hz) of a channel, or null if the plan doesn't have it
+export function channelToFrequency(channel, plan) {
+  const entry = findChannel(channel, plan);
+  return entry ? entry.frequency : null;
+}
+
+// Nearest channel within 3 MHz of the frequency, or null
+export function frequencyToChannel(freqHz, plan) {
+  if (!plan) return null;
+  let best = null;
+  plan.channels.forEach(entry => {
+    const distance = Math.abs(entry.frequency - freqHz);
+    if (distance <= 3000000 && (!best || distance < best.distance)) {
+      best = { channel: entry.channel, distance };
+    }
+  });
+  return best ? best.channel : null;
+}
+
+// The channel `step` places away from `channel` in plan order (channel number
+// order, which for cable plans isn't frequency order), clamped to the ends of
+// the plan. Unknown channels start from the bottom of the plan.
+export function adjacentChannel(channel, plan, step) {
+  if (!plan || plan.channels.length === 0) return null;
+  const index = plan.channels.indexOf(findChannel(channel, plan));
+  if (index === -1) return plan.channels[0].channel;
+  return plan.channels[Math.max(0, Math.min(plan.channels.length - 1, index + step))].channel;
+}
+
+// Channel number for a tuner channel string such as "auto:599000000",
+// "auto6t:605028615", "auto:35" or "35"
+export function channelFromTunerString(channelStr, plan) {
+  if (!channelStr || channelStr === 'none') return null;
+
+  const freqMatch = channelStr.match(/:(\d{8,})/);
+  if (freqMatch) {
+    return frequencyToChannel(parseInt(freqMatch[1]), plan);
+  }
+
+  const channelMatch = channelStr.match(/(?:auto:)?(\d+[A-Z]?)/i);
+  return channelMatch ? channelMatch[1] : null;
+}
@@ -0,0 +1,421 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Send as SendIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const EMPTY_RULE = {
+  name: '',
+  metric: 'seq',
+  operator: '<',
+  threshold: 100,
+  hysteresis: 0,
+  duration: 30,
+  device: '*',
+  tuner: '*',
+  webhooks: []
+};
+
+const EMPTY_WEBHOOK = { name: '', url: '', format: 'json' };
+
+const FORMAT_LABELS = {
+  json: 'JSON',
+  discord: 'Discord',
+  slack: 'Slack',
+  ntfy: 'ntfy'
+};
+
+const cellSx = { '& .MuiTableCell-root': { py: 0.5, fontSize: '0.8rem' } };
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function isNumericMetric(metric) {
+  return metric !== 'lock' && metric !== 'offline';
+}
+
+function RuleForm({ config, devices, onSave, onCancel }) {
+  const [rule, setRule] = useState(EMPTY_RULE);
+  const [error, setError] = useState(null);
+  const update = (field) => (e) => setRule({ ...rule, [field]: e.target.value });
+
+  const save = async () => {
+    try {
+      setError(null);
+      await onSave(rule);
+      setRule(EMPTY_RULE);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+      <TextField size="small" label="Name (optional)" value={rule.name} onChange={update('name')} sx={{ flex: '1 1 100%' }} />
+      <FormControl size="small" sx={{ minWidth: 160 }}>
+        <InputLabel>Metric</InputLabel>
+        <Select value={rule.metric} label="Metric" onChange={update('metric')}>
+          {Object.entries(config.metrics).map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {isNumericMetric(rule.metric) && (
+        <>
+          <FormControl size="small" sx={{ minWidth: 70 }}>
+            <InputLabel>Is</InputLabel>
+            <Select value={rule.operator} label="Is" onChange={update('operator')}>
+              {config.operators.map((op) => (
+                <MenuItem key={op} value={op}>{op === '<' ? 'below' : 'above'}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField size="small" type="number" label="Threshold" value={rule.threshold} onChange={update('threshold')} sx={{ width: 100 }} />
+          <TextField size="small" type="number" label="Hysteresis" value={rule.hysteresis} onChange={update('hysteresis')} sx={{ width: 100 }} />
+        </>
+      )}
+      <TextField size="small" type="number" label="For (seconds)" value={rule.duration} onChange={update('duration')} sx={{ width: 110 }} />
+      <FormControl size="small" sx={{ minWidth: 160, flex: 1 }}>
+        <InputLabel>Device</InputLabel>
+        <Select value={rule.device} label="Device" onChange={update('device')}>
+          <MenuItem value="*">Any device</MenuItem>
+          {devices.map((device) => (
+            <MenuItem key={device.id} value={device.id}>{device.name || device.id}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {rule.metric !== 'offline' && (
+        <FormControl size="small" sx={{ minWidth: 110 }}>
+          <InputLabel>Tuner</InputLabel>
+          <Select value={rule.tuner} label="Tuner" onChange={update('tuner')}>
+            <MenuItem value="*">Any tuner</MenuItem>
+            {[0, 1, 2, 3, 4, 5, 6, 7].map((t) => (
+              <MenuItem key={t} value={t}>Tuner {t}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+      {config.webhooks.length > 0 && (
+        <FormControl size="small" sx={{ minWidth: 200, flex: 1 }}>
+          <InputLabel>Notify</InputLabel>
+          <Select
+            multiple
+            value={rule.webhooks}
+            label="Notify"
+            onChange={update('webhooks')}
+            renderValue={(ids) => ids.length === 0
+              ? 'All webhooks'
+              : ids.map((id) => config.webhooks.find((w) => w.id === id)?.name || id).join(', ')}
+            displayEmpty
+          >
+            {config.webhooks.map((webhook) => (
+              <MenuItem key={webhook.id} value={webhook.id}>{webhook.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+      {error && (
+        <Typography variant="body2" sx={{ flex: '1 1 100%', color: 'error.main', fontSize: '0.8rem' }}>{error}</Typography>
+      )}
+      <Box sx={{ flex: '1 1 100%', display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        <Button size="small" onClick={onCancel}>Cancel</Button>
+        <Button size="small" variant="contained" onClick={save}>Add Rule</Button>
+      </Box>
+    </Box>
+  );
+}
+
+function WebhookForm({ config, onSave, onCancel }) {
+  const [webhook, setWebhook] = useState(EMPTY_WEBHOOK);
+  const [error, setError] = useState(null);
+  const update = (field) => (e) => setWebhook({ ...webhook, [field]: e.target.value });
+
+  const save = async () => {
+    try {
+      setError(null);
+      await onSave(webhook);
+      setWebhook(EMPTY_WEBHOOK);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+      <TextField size="small" label="Name (optional)" value={webhook.name} onChange={update('name')} sx={{ flex: 1, minWidth: 140 }} />
+      <FormControl size="small" sx={{ minWidth: 120 }}>
+        <InputLabel>Format</InputLabel>
+        <Select value={webhook.format} label="Format" onChange={update('format')}>
+          {config.formats.map((format) => (
+            <MenuItem key={format} value={format}>{FORMAT_LABELS[format] || format}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <TextField
+        size="small"
+        label="URL"
+        placeholder={webhook.format === 'ntfy' ? 'https://ntfy.sh/my-topic' : 'https://...'}
+        value={webhook.url}
+        onChange={update('url')}
+        sx={{ flex: '1 1 100%' }}
+      />
+      {error && (
+        <Typography variant="body2" sx={{ flex: '1 1 100%', color: 'error.main', fontSize: '0.8rem' }}>{error}</Typography>
+      )}
+      <Box sx={{ flex: '1 1 100%', display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        <Button size="small" onClick={onCancel}>Cancel</Button>
+        <Button size="small" variant="contained" onClick={save}>Add Webhook</Button>
+      </Box>
+    </Box>
+  );
+}
+
+function AlertsDialog({ open, onClose, socket, devices }) {
+  const [tab, setTab] = useState(0);
+  const [config, setConfig] = useState(null); // { rules, webhooks, active, metrics, operators, formats }
+  const [history, setHistory] = useState([]);
+  const [adding, setAdding] = useState(false);
+  const [testResult, setTestResult] = useState(null); // { id, ok, message }
+
+  const load = useCallback(async () => {
+    try {
+      const [alertsRes, historyRes] = await Promise.all([
+        axios.get('/api/alerts'),
+        axios.get('/api/alerts/history')
+      ]);
+      setConfig(alertsRes.data);
+      setHistory(historyRes.data);
+    } catch (error) {
+      console.error('Failed to load alerts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  // Keep the open dialog current as alerts fire and resolve
+  useEffect(() => {
+    if (!socket || !open) return;
+    socket.on('alert', load);
+    return () => socket.off('alert', load);
+  }, [socket, open, load]);
+
+  useEffect(() => {
+    setAdding(false);
+  }, [tab]);
+
+  const addRule = async (rule) => {
+    await axios.post('/api/alerts/rules', rule);
+    setAdding(false);
+    load();
+  };
+
+  const toggleRule = async (rule) => {
+    await axios.put(`/api/alerts/rules/${rule.id}`, { enabled: !rule.enabled });
+    load();
+  };
+
+  const deleteRule = async (rule) => {
+    await axios.delete(`/api/alerts/rules/${rule.id}`);
+    load();
+  };
+
+  const addWebhook = async (webhook) => {
+    await axios.post('/api/alerts/webhooks', webhook);
+    setAdding(false);
+    load();
+  };
+
+  const toggleWebhook = async (webhook) => {
+    await axios.put(`/api/alerts/webhooks/${webhook.id}`, { enabled: !webhook.enabled });
+    load();
+  };
+
+  const deleteWebhook = async (webhook) => {
+    await axios.delete(`/api/alerts/webhooks/${webhook.id}`);
+    load();
+  };
+
+  const testWebhook = async (webhook) => {
+    setTestResult({ id: webhook.id, ok: null, message: 'Sending...' });
+    try {
+      await axios.post(`/api/alerts/webhooks/${webhook.id}/test`);
+      setTestResult({ id: webhook.id, ok: true, message: 'Sent' });
+    } catch (error) {
+      setTestResult({ id: webhook.id, ok: false, message: error.response?.data?.error || error.message });
+    }
+  };
+
+  const isFiring = (rule) => config.active.some((a) => a.ruleId === rule.id);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle sx={{ pb: 0 }}>Alerts</DialogTitle>
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ px: 2 }}>
+        <Tab label={`Rules${config ? ` (${config.rules.length})` : ''}`} />
+        <Tab label={`Webhooks${config ? ` (${config.webhooks.length})` : ''}`} />
+        <Tab label="History" />
+      </Tabs>
+      <DialogContent dividers sx={{ minHeight: 300 }}>
+        {!config ? (
+          <Typography variant="body2" color="text.secondary">Loading...</Typography>
+        ) : tab === 0 ? (
+          <>
+            {config.rules.length === 0 && !adding && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                No alert rules yet. Rules are checked on the server every few seconds, even when no browser is open.
+              </Typography>
+            )}
+            {config.rules.length > 0 && (
+              <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none' }}>
+                <Table size="small" sx={cellSx}>
+                  <TableBody>
+                    {config.rules.map((rule) => (
+                      <TableRow key={rule.id}>
+                        <TableCell>
+                          {rule.name}
+                          {isFiring(rule) && (
+                            <Chip label="FIRING" color="error" size="small" sx={{ ml: 1, height: 18, fontSize: '0.65rem' }} />
+                          )}
+                        </TableCell>
+                        <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                          <Switch size="small" checked={rule.enabled} onChange={() => toggleRule(rule)} />
+                          <IconButton size="small" onClick={() => deleteRule(rule)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+            {adding ? (
+              <RuleForm config={config} devices={devices} onSave={addRule} onCancel={() => setAdding(false)} />
+            ) : (
+              <Button size="small" startIcon={<AddIcon />} onClick={() => setAdding(true)} sx={{ mt: 1 }}>
+                Add Rule
+              </Button>
+            )}
+          </>
+        ) : tab === 1 ? (
+          <>
+            {config.webhooks.length === 0 && !adding && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                No webhooks yet. Alerts are still listed in the history.
+              </Typography>
+            )}
+            {config.webhooks.length > 0 && (
+              <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none' }}>
+                <Table size="small" sx={cellSx}>
+                  <TableBody>
+                    {config.webhooks.map((webhook) => (
+                      <TableRow key={webhook.id}>
+                        <TableCell>
+                          {webhook.name}
+                          <Chip label={FORMAT_LABELS[webhook.format] || webhook.format} size="small" variant="outlined" sx={{ ml: 1, height: 18, fontSize: '0.65rem' }} />
+                          {testResult?.id === webhook.id && (
+                            <Typography
+                              component="span"
+                              sx={{ ml: 1, fontSize: '0.75rem', color: testResult.ok === false ? 'error.main' : 'text.secondary' }}
+                            >
+                              {testResult.message}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                          <IconButton size="small" onClick={() => testWebhook(webhook)} title="Send test notification">
+                            <SendIcon fontSize="small" />
+                          </IconButton>
+                          <Switch size="small" checked={webhook.enabled} onChange={() => toggleWebhook(webhook)} />
+                          <IconButton size="small" onClick={() => deleteWebhook(webhook)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+            {adding ? (
+              <WebhookForm config={config} onSave={addWebhook} onCancel={() => setAdding(false)} />
+            ) : (
+              <Button size="small" startIcon={<AddIcon />} onClick={() => setAdding(true)} sx={{ mt: 1 }}>
+                Add Webhook
+              </Button>
+            )}
+          </>
+        ) : history.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">No alerts have fired yet.</Typography>
+        ) : (
+          <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none' }}>
+            <Table size="small" sx={cellSx}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 600 }}>Time</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>State</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Alert</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {history.map((event) => (
+                  <TableRow key={event.id}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatTime(event.timestamp)}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={event.state === 'firing' ? 'FIRING' : 'RESOLVED'}
+                        color={event.state === 'firing' ? 'error' : 'success'}
+                        size="small"
+                        sx={{ height: 18, fontSize: '0.65rem' }}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Typography sx={{ fontSize: '0.8rem' }}>{event.ruleName}</Typography>
+                      <Typography sx={{ fontSize: '0.75rem', color: 'text.secondary' }}>{event.message}</Typography>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AlertsDialog;
@@ -8,6 +8,8 @@ import {
   Grid,
   Paper
 } from '@mui/material';
+import axios from 'axios';
+import { channelFromTunerString } from '../channelPlans';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -35,72 +37,61 @@ ChartJS.register(
 
 const MAX_DATA_POINTS = 60; // Keep 60 seconds of data
 
-// Convert frequency (in Hz) to broadcast channel number
-function frequencyToChannel(freqHz) {
-  const freqMhz = freqHz / 1000000;
-
-  // VHF Low (channels 2-6): 54-88 MHz
-  if (freqMhz >= 54 && freqMhz <= 88) {
-    const vhfLowChannels = [
-      { ch: 2, freq: 57 }, { ch: 3, freq: 63 }, { ch: 4, freq: 69 },
-      { ch: 5, freq: 79 }, { ch: 6, freq: 85 }
-    ];
-    let closest = vhfLowChannels[0];
-    let minDiff = Math.abs(freqMhz - closest.freq);
-    for (const ch of vhfLowChannels) {
-      const diff = Math.abs(freqMhz - ch.freq);
-      if (diff < minDiff) {
-        minDiff = diff;
-        closest = ch;
-      }
-    }
-    return closest.ch;
-  }
-
-  // VHF High (channels 7-13): 174-216 MHz
-  if (freqMhz >= 174 && freqMhz <= 216) {
-    const channel = Math.round((freqMhz - 177) / 6) + 7;
-    return Math.max(7, Math.min(13, channel));
-  }
-
-  // UHF (channels 14-36): 470-608 MHz (post-repack)
-  if (freqMhz >= 470 && freqMhz <= 608) {
-    const channel = Math.round((freqMhz - 473) / 6) + 14;
-    return Math.max(14, Math.min(36, channel));
-  }
-
-  return null; // Unknown frequency range
-}
-
-// Format channel display - convert frequency format to channel number
-function formatChannelDisplay(channelStr) {
+// Format channel display - convert frequency format to a channel number in the selected plan
+function formatChannelDisplay(channelStr, channelPlan) {
   if (!channelStr || channelStr === 'none') {
     return 'Not tuned';
   }
 
-  // Check for frequency format (e.g., "auto6t:605028615")
-  const freqMatch = channelStr.match(/:(\d{8,})/);
-  if (freqMatch) {
-    const freqHz = parseInt(freqMatch[1]);
-    const channel = frequencyToChannel(freqHz);
-    if (channel) {
-      return `Channel ${channel}`;
-    }
-  }
-
-  // Standard format (e.g., "auto:4" -> "Channel 4")
-  const channelMatch = channelStr.match(/(?:auto:)?(\d+)/);
-  if (channelMatch) {
-    return `Channel ${channelMatch[1]}`;
-  }
-
-  return channelStr; // Fallback to raw format
+  const channel = channelFromTunerString(channelStr, channelPlan);
+  return channel ? `Channel ${channel}` : channelStr; // Fallback to raw format
 }
 
-function AntennaMode({ allTunersData }) {
+function AntennaMode({ allTunersData, deviceId, tunerCount, channelPlan }) {
   const [historyData, setHistoryData] = useState({});
   const lastChannelRef = useRef({}); // Track last-seen channel per tuner
 
+  // Seed the graphs with the last minute recorded by the backend so they survive a reload
+  useEffect(() => {
+    if (!deviceId || !tunerCount) return;
+
+    let cancelled = false;
+    const from = Date.now() - MAX_DATA_POINTS * 1000;
+
+    Promise.all(
+      Array.from({ length: tunerCount }, (_, tuner) =>
+        axios.get('/api/history', { params: { device: deviceId, tuner, from, resolution: 1 } })
+          .then(response => ({ tuner, points: response.data.points || [] }))
+          .catch(() => ({ tuner, points: [] }))
+      )
+    ).then(results => {
+      if (cancelled) return;
+
+      setHistoryData(prev => {
+        const seeded = { ...prev };
+        results.forEach(({ tuner, points }) => {
+          // Live data already arrived for this tuner - don't overwrite it
+          if (points.length === 0 || seeded[tuner]?.signal.length) return;
+
+          // Only keep the samples from the channel the tuner is on now
+          const currentChannel = points[points.length - 1].channel;
+          const recent = points.filter(p => p.channel === currentChannel).slice(-MAX_DATA_POINTS);
+          lastChannelRef.current[tuner] = currentChannel;
+          seeded[tuner] = {
+            signal: recent.map(p => p.ss || 0),
+            snr: recent.map(p => p.snq || 0),
+            timestamps: recent.map(p => new Date(p.t).toLocaleTimeString())
+          };
+        });
+        return seeded;
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId, tunerCount]);
+
   // Update history data when new tuner data arrives
   useEffect(() => {
     if (!allTunersData || allTunersData.length === 0) return;
@@ -252,7 +243,7 @@ function AntennaMode({ allTunersData }) {
 
                 {status?.channel && status.channel !== 'none' && (
                   <Typography variant="body2" sx={{ fontSize: '0.8rem', mb: 1, color: 'text.secondary' }}>
-                    {formatChannelDisplay(status.channel)}
+                    {formatChannelDisplay(status.channel, channelPlan)}
                   </Typography>
                 )}
 
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  Switch,
+  TextField,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const cellSx = { '& .MuiTableCell-root': { py: 0.5, fontSize: '0.8rem' } };
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function formatResidual(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value} dB`;
+}
+
+// "-61.2 dBm ±6" style reading with its uncertainty band
+export function formatCalibrated(value, uncertainty, unit) {
+  if (value === null || value === undefined) return '';
+  return uncertainty ? `${value}${unit} ±${uncertainty}` : `${value}${unit}`;
+}
+
+function ProfileCard({ profile, tunerTypes, onToggle, onDelete, onDeleteReference }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 1.5, mb: 2, backgroundColor: 'transparent' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>{profile.name}</Typography>
+        <Chip size="small" label={profile.hwmodel} />
+        <Chip size="small" label={tunerTypes[profile.tunerType] || profile.tunerType} />
+        <Switch size="small" checked={profile.enabled} onChange={() => onToggle(profile)} />
+        <IconButton size="small" onClick={() => onDelete(profile)}>
+          <DeleteIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Signal: {profile.signal ? `±${profile.signal.uncertainty} dB` : 'built-in'}
+        {' · '}SNR: {profile.snr ? `±${profile.snr.uncertainty} dB` : 'built-in'}
+        {' · '}{profile.references.length} reference{profile.references.length === 1 ? '' : 's'}, based on {profile.base}
+      </Typography>
+      {profile.references.length > 0 && (
+        <TableContainer sx={cellSx}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Taken</TableCell>
+                <TableCell>Channel</TableCell>
+                <TableCell>Raw</TableCell>
+                <TableCell>Meter</TableCell>
+                <TableCell>Fit error</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {profile.references.map((reference) => (
+                <TableRow key={reference.id}>
+                  <TableCell>{formatTime(reference.timestamp)}</TableCell>
+                  <TableCell>{reference.channel}</TableCell>
+                  <TableCell>{reference.signalRaw}-{reference.snrRaw}</TableCell>
+                  <TableCell>
+                    {reference.ssDb} dBm{reference.snrDb !== null && ` / ${reference.snrDb} dB`}
+                  </TableCell>
+                  <TableCell>
+                    {formatResidual(reference.ssDbResidual)}
+                    {reference.snrDbResidual !== null && ` / ${formatResidual(reference.snrDbResidual)}`}
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => onDeleteReference(profile, reference)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Paper>
+  );
+}
+
+function CalibrationDialog({ open, onClose, selectedDevice, selectedTuner, tunerStatus }) {
+  const [config, setConfig] = useState(null); // { builtin, profiles, tunerTypes }
+  const [reference, setReference] = useState({ ssDb: '', snrDb: '' });
+  const [sampling, setSampling] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/calibration');
+      setConfig(response.data);
+    } catch (err) {
+      console.error('Failed to load calibration profiles:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const addReference = async () => {
+    setSampling(true);
+    setError(null);
+    try {
+      await axios.post(`/api/devices/${selectedDevice}/tuner/${selectedTuner}/calibration/reference`, {
+        ssDb: reference.ssDb,
+        snrDb: reference.snrDb
+      });
+      setReference({ ssDb: '', snrDb: '' });
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSampling(false);
+    }
+  };
+
+  const toggleProfile = async (profile) => {
+    await axios.put(`/api/calibration/profiles/${profile.id}`, { enabled: !profile.enabled });
+    load();
+  };
+
+  const deleteProfile = async (profile) => {
+    await axios.delete(`/api/calibration/profiles/${profile.id}`);
+    load();
+  };
+
+  const deleteReference = async (profile, ref) => {
+    await axios.delete(`/api/calibration/profiles/${profile.id}/references/${ref.id}`);
+    load();
+  };
+
+  const calibration = tunerStatus?.calibration;
+  const locked = !!tunerStatus?.lock && !!tunerStatus?.modulation && tunerStatus.modulation !== 'none';
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>dB Calibration</DialogTitle>
+      <DialogContent dividers sx={{ minHeight: 300 }}>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The tuner only reports raw levels, so dBm and dB values are estimated with a calibration profile. The
+          built-in profiles are generic curves per tuner type, not measured on any particular hardware model. With a
+          reference signal meter on the same feed, tune a few channels of different strengths and enter what the
+          meter reads for each; a curve is fitted for this model.
+        </Typography>
+
+        <Paper variant="outlined" sx={{ p: 1.5, mb: 2, backgroundColor: 'transparent' }}>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>Current reading (tuner {selectedTuner})</Typography>
+          {calibration ? (
+            <Typography variant="body2" sx={{ mb: 1.5 }}>
+              {tunerStatus.channel} · raw {tunerStatus.signalRaw}-{tunerStatus.snrRaw} ·{' '}
+              {formatCalibrated(tunerStatus.ssDb, calibration.uncertainty.ssDb, ' dBm')} ·{' '}
+              SNR {formatCalibrated(tunerStatus.snrDb, calibration.uncertainty.snrDb, ' dB')}
+              <br />
+              <Typography component="span" variant="caption" color="text.secondary">
+                Profile: {calibration.label}{' '}
+                {calibration.measured
+                  ? `(measured${calibration.hwmodel ? `, ${calibration.hwmodel}` : ''})`
+                  : `(built-in, no measured curve${calibration.hwmodel ? ` for ${calibration.hwmodel}` : ''})`}
+              </Typography>
+            </Typography>
+          ) : (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+              Tune a channel to take a reference reading.
+            </Typography>
+          )}
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+            <TextField
+              label="Meter level (dBm)"
+              size="small"
+              type="number"
+              value={reference.ssDb}
+              onChange={(e) => setReference({ ...reference, ssDb: e.target.value })}
+              sx={{ width: 160 }}
+            />
+            <TextField
+              label="Meter SNR (dB, optional)"
+              size="small"
+              type="number"
+              value={reference.snrDb}
+              onChange={(e) => setReference({ ...reference, snrDb: e.target.value })}
+              sx={{ width: 200 }}
+            />
+            <Button
+              variant="contained"
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={addReference}
+              disabled={!selectedDevice || !locked || reference.ssDb === '' || sampling}
+            >
+              {sampling ? 'Sampling...' : 'Add reference'}
+            </Button>
+          </Box>
+          {error && (
+            <Typography variant="body2" color="error" sx={{ mt: 1 }}>{error}</Typography>
+          )}
+        </Paper>
+
+        {!config ? (
+          <Typography variant="body2" color="text.secondary">Loading...</Typography>
+        ) : (
+          <>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Measured profiles</Typography>
+            {config.profiles.length === 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                No measured profiles yet. One reference corrects the offset of the built-in curve; two or more
+                fit a new curve, and three or more also estimate its uncertainty.
+              </Typography>
+            )}
+            {config.profiles.map((profile) => (
+              <ProfileCard
+                key={profile.id}
+                profile={profile}
+                tunerTypes={config.tunerTypes}
+                onToggle={toggleProfile}
+                onDelete={deleteProfile}
+                onDeleteReference={deleteReference}
+              />
+            ))}
+
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Built-in profiles</Typography>
+            <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none', ...cellSx }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Profile</TableCell>
+                    <TableCell>Models</TableCell>
+                    <TableCell>Tuner types</TableCell>
+                    <TableCell>Uncertainty</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {config.builtin.map((profile) => (
+                    <TableRow key={profile.id}>
+                      <TableCell>{profile.label}</TableCell>
+                      <TableCell>{profile.models.map((model) => (model === '*' ? 'Any' : model)).join(', ')}</TableCell>
+                      <TableCell>
+                        {profile.tunerTypes.map((type) => config.tunerTypes[type] || 'Any').join(', ')}
+                      </TableCell>
+                      <TableCell>±{profile.uncertainty.ssDb} dB / ±{profile.uncertainty.snrDb} dB</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CalibrationDialog;
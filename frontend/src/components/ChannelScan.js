@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Chip,
+  LinearProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  Search as ScanIcon,
+  Stop as StopIcon,
+  Radio as TuneIcon,
+  FileDownload as ExportIcon
+} from '@mui/icons-material';
+
+// "us-bcast:35" -> "35"
+function channelNumber(channel) {
+  return channel ? channel.split(':').pop() : '';
+}
+
+function formatFrequency(frequency) {
+  return (parseInt(frequency) / 1000000).toFixed(3) + ' MHz';
+}
+
+// `readOnly` (viewers) shows scan results but can't start scans or tune
+function ChannelScan({ socket, deviceId, tuner, channelMap, onTune, readOnly }) {
+  const [scanning, setScanning] = useState(false);
+  const [progress, setProgress] = useState(null); // { index, total, channel }
+  const [channels, setChannels] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    // Only react to events for the tuner this panel is showing
+    const isOurs = (data) => data.deviceId === deviceId && data.tuner === tuner;
+
+    const handleStarted = (data) => {
+      if (!isOurs(data)) return;
+      setScanning(true);
+      setError(null);
+      setChannels(data.channels || []);
+    };
+
+    const handleProgress = (data) => {
+      if (!isOurs(data)) return;
+      setScanning(true);
+
+      if (data.type === 'scanning') {
+        setProgress({ index: data.index, total: data.total, channel: data.channel });
+      } else if (data.type === 'lock') {
+        setChannels(prev => [...prev, {
+          frequency: data.frequency,
+          channel: data.channel,
+          modulation: data.modulation,
+          signalStrength: data.signalStrength,
+          snr: data.snr,
+          symbolQuality: data.symbolQuality,
+          programs: []
+        }]);
+      } else if (data.type === 'program') {
+        setChannels(prev => prev.map(ch => (
+          ch.frequency === data.frequency ? { ...ch, programs: [...ch.programs, data.program] } : ch
+        )));
+      }
+    };
+
+    const handleComplete = (data) => {
+      if (!isOurs(data)) return;
+      setScanning(false);
+      setProgress(null);
+      setChannels(data.channels);
+    };
+
+    const handleError = (data) => {
+      if (!isOurs(data)) return;
+      setScanning(false);
+      setProgress(null);
+      setError(data.error);
+    };
+
+    socket.on('scan-started', handleStarted);
+    socket.on('scan-progress', handleProgress);
+    socket.on('scan-complete', handleComplete);
+    socket.on('scan-error', handleError);
+
+    return () => {
+      socket.off('scan-started', handleStarted);
+      socket.off('scan-progress', handleProgress);
+      socket.off('scan-complete', handleComplete);
+      socket.off('scan-error', handleError);
+    };
+  }, [socket, deviceId, tuner]);
+
+  // Results belong to one device/tuner - clear them when switching
+  useEffect(() => {
+    setScanning(false);
+    setProgress(null);
+    setChannels([]);
+    setError(null);
+  }, [deviceId, tuner]);
+
+  const startScan = () => {
+    if (!socket || !deviceId) return;
+    setChannels([]);
+    setError(null);
+    setProgress(null);
+    socket.emit('start-scan', { deviceId, tuner, channelMap });
+  };
+
+  const cancelScan = () => {
+    if (!socket) return;
+    socket.emit('cancel-scan', { deviceId, tuner });
+  };
+
+  return (
+    <Card>
+      <CardContent sx={{ py: 1, '&:last-child': { pb: 1 } }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1, mb: scanning || channels.length > 0 || error ? 1 : 0 }}>
+          <Typography variant="body1" sx={{ fontSize: '0.9rem', fontWeight: 500 }}>
+            Channel Scan{channels.length > 0 ? ` (${channels.length} found)` : ''}
+          </Typography>
+          {scanning ? (
+            <Button variant="contained" color="error" size="small" onClick={cancelScan} startIcon={<StopIcon />}>
+              Cancel
+            </Button>
+          ) : (
+            <Box sx={{ display: 'flex', gap: 0.5 }}>
+              {/* The lineup covers the last completed scan of every device */}
+              {channels.length > 0 && (
+                <>
+                  <Button size="small" href="/api/lineup.m3u" startIcon={<ExportIcon />}>M3U</Button>
+                  <Button size="small" href="/api/lineup.xml" startIcon={<ExportIcon />}>XMLTV</Button>
+                </>
+              )}
+              <Button variant="outlined" size="small" onClick={startScan} disabled={!deviceId || readOnly} startIcon={<ScanIcon />}>
+                Scan
+              </Button>
+            </Box>
+          )}
+        </Box>
+
+        {scanning && (
+          <Box sx={{ mb: 1 }}>
+            <Typography variant="body2" sx={{ fontSize: '0.75rem', mb: 0.5, color: 'text.secondary' }}>
+              {progress
+                ? `Scanning channel ${channelNumber(progress.channel)} (${progress.index + 1} of ${progress.total})`
+                : 'Starting scan...'}
+            </Typography>
+            <LinearProgress
+              variant={progress ? 'determinate' : 'indeterminate'}
+              value={progress ? ((progress.index + 1) / progress.total) * 100 : 0}
+              sx={{ height: 6, borderRadius: 3 }}
+            />
+          </Box>
+        )}
+
+        {error && (
+          <Typography variant="body2" sx={{ fontSize: '0.8rem', color: 'error.main', mb: 1 }}>
+            {error}
+          </Typography>
+        )}
+
+        {channels.length > 0 && (
+          <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none' }}>
+            <Table size="small" sx={{ '& .MuiTableCell-root': { py: 0.5, fontSize: '0.8rem' } }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 600 }}>CH</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Frequency</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Lock</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>SS / SNQ / SEQ</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Programs</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Tune</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {channels.map((ch) => (
+                  <TableRow key={ch.frequency}>
+                    <TableCell>{channelNumber(ch.channel)}</TableCell>
+                    <TableCell>{formatFrequency(ch.frequency)}</TableCell>
+                    <TableCell>{ch.modulation}</TableCell>
+                    <TableCell>{ch.signalStrength}% / {ch.snr}% / {ch.symbolQuality}%</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {ch.programs.map((program) => (
+                          <Chip
+                            key={program.programNum}
+                            label={`${program.virtualChannel} ${program.name}`}
+                            size="small"
+                            color="primary"
+                            variant="outlined"
+                            sx={{ height: 20, fontSize: '0.7rem' }}
+                          />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      <Button
+                        size="small"
+                        variant="contained"
+                        onClick={() => onTune(`auto:${ch.frequency}`)}
+                        disabled={scanning || readOnly}
+                        sx={{ minWidth: 'auto', px: 1, py: 0.25 }}
+                      >
+                        <TuneIcon sx={{ fontSize: '1rem' }} />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ChannelScan;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Chip
+} from '@mui/material';
+import {
+  ScatterPlot as ConstellationIcon,
+  Stop as StopIcon
+} from '@mui/icons-material';
+import { Scatter } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement
+} from 'chart.js';
+
+ChartJS.register(LinearScale, PointElement);
+
+const MAX_SAMPLES = 3000; // Samples kept on screen, so the clusters build up over a few polls
+
+const DIAGNOSES = {
+  good: {
+    label: 'Clean',
+    color: 'success',
+    text: 'Tight clusters with plenty of margin.'
+  },
+  noise: {
+    label: 'Noise',
+    color: 'warning',
+    text: 'Round, fuzzy clusters: the signal is weak relative to the noise. A better antenna, aim or a low-noise preamp helps.'
+  },
+  multipath: {
+    label: 'Multipath',
+    color: 'warning',
+    text: 'Clusters split into smaller sub-clusters: echoes from reflections. Re-aim or move the antenna; more gain will not help.'
+  },
+  phase: {
+    label: 'Phase noise',
+    color: 'warning',
+    text: 'Points smeared around the centre rather than outwards: phase noise or frequency instability, e.g. from a faulty amplifier.'
+  },
+  overload: {
+    label: 'Overload',
+    color: 'error',
+    text: 'Outer points squashed inwards or samples clipping: the signal is too strong. Remove a preamp or add an attenuator.'
+  }
+};
+
+function ConstellationPanel({ socket, deviceId, tuner }) {
+  const [running, setRunning] = useState(false);
+  const [samples, setSamples] = useState([]);
+  const [latest, setLatest] = useState(null); // last 'constellation' event
+  const channelRef = useRef(null);
+
+  useEffect(() => {
+    if (!socket || !running) return;
+
+    const handleConstellation = (data) => {
+      if (data.deviceId !== deviceId || data.tuner !== tuner) return;
+      // Start over when the tuner moves to another channel
+      if (channelRef.current !== data.channel) {
+        setSamples(data.samples);
+      } else {
+        setSamples(prev => [...prev, ...data.samples].slice(-MAX_SAMPLES));
+      }
+      channelRef.current = data.channel;
+      setLatest(data);
+    };
+
+    socket.on('constellation', handleConstellation);
+    socket.emit('start-constellation', { deviceId, tuner });
+
+    return () => {
+      socket.off('constellation', handleConstellation);
+      socket.emit('stop-constellation');
+    };
+  }, [socket, running, deviceId, tuner]);
+
+  // Samples belong to one device/tuner - clear them when switching
+  useEffect(() => {
+    setSamples([]);
+    setLatest(null);
+    channelRef.current = null;
+  }, [deviceId, tuner]);
+
+  const toggle = () => {
+    if (running) {
+      setRunning(false);
+    } else {
+      setSamples([]);
+      setLatest(null);
+      channelRef.current = null;
+      setRunning(true);
+    }
+  };
+
+  const analysis = latest?.analysis;
+  const diagnosis = analysis?.diagnosis ? DIAGNOSES[analysis.diagnosis] : null;
+  const range = Math.max(256, ...samples.map(([i, q]) => Math.max(Math.abs(i), Math.abs(q)))) * 1.1;
+
+  const chartData = {
+    datasets: [
+      {
+        data: samples.map(([i, q]) => ({ x: i, y: q })),
+        backgroundColor: 'rgba(33, 150, 243, 0.35)',
+        pointRadius: 1.2,
+        pointHoverRadius: 1.2
+      }
+    ]
+  };
+
+  const axis = {
+    min: -range,
+    max: range,
+    ticks: { display: false },
+    grid: { color: 'rgba(255, 255, 255, 0.1)' }
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: true,
+    aspectRatio: 1,
+    animation: false,
+    scales: { x: axis, y: axis },
+    plugins: {
+      legend: { display: false },
+      tooltip: { enabled: false }
+    }
+  };
+
+  return (
+    <Card>
+      <CardContent sx={{ py: 1, '&:last-child': { pb: 1 } }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: running ? 1 : 0 }}>
+          <Typography variant="body1" sx={{ fontSize: '0.9rem', fontWeight: 500, flexGrow: 1 }}>
+            Constellation
+          </Typography>
+          <Button
+            variant={running ? 'contained' : 'outlined'}
+            color={running ? 'error' : 'primary'}
+            size="small"
+            startIcon={running ? <StopIcon /> : <ConstellationIcon />}
+            onClick={toggle}
+            disabled={!socket}
+          >
+            {running ? 'Stop' : 'Show'}
+          </Button>
+        </Box>
+
+        {running && (
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+            <Box sx={{ width: 280, maxWidth: '100%' }}>
+              {samples.length > 0 ? (
+                <Scatter data={chartData} options={chartOptions} />
+              ) : (
+                <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+                  {latest && !latest.lock ? 'Tuner is not locked' : 'Waiting for samples...'}
+                </Typography>
+              )}
+            </Box>
+
+            {analysis && (
+              <Box sx={{ flex: '1 1 200px' }}>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1, flexWrap: 'wrap' }}>
+                  {analysis.mer !== null ? (
+                    <Typography variant="h6" sx={{ fontSize: '1.1rem' }}>
+                      MER {analysis.mer} dB
+                    </Typography>
+                  ) : (
+                    <Typography variant="body2" color="text.secondary">
+                      No MER estimate for {latest.modulation || 'this modulation'}
+                    </Typography>
+                  )}
+                  {analysis.margin !== null && (
+                    <Chip
+                      size="small"
+                      label={`${analysis.margin > 0 ? '+' : ''}${analysis.margin} dB margin`}
+                      color={analysis.margin > 3 ? 'success' : analysis.margin > 0 ? 'warning' : 'error'}
+                      variant="outlined"
+                    />
+                  )}
+                  {diagnosis && <Chip size="small" label={diagnosis.label} color={diagnosis.color} />}
+                </Box>
+                {diagnosis && (
+                  <Typography variant="body2" sx={{ fontSize: '0.8rem', mb: 1 }}>
+                    {diagnosis.text}
+                  </Typography>
+                )}
+                <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }}>
+                  {latest.modulation && `${latest.modulation} · `}
+                  {analysis.count} samples
+                  {analysis.compression !== null && ` · outer/inner gain ${analysis.compression}`}
+                  {analysis.phaseRatio !== null && ` · phase/radial error ${analysis.phaseRatio}`}
+                  {analysis.kurtosis !== null && ` · kurtosis ${analysis.kurtosis}`}
+                  {analysis.clipped > 0 && ` · ${analysis.clipped}% clipped`}
+                </Typography>
+              </Box>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ConstellationPanel;
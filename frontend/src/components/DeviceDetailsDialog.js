@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  LinearProgress,
+  Link,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { SystemUpdateAlt as UpgradeIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { useCan } from '../auth';
+
+const cellSx = { '& .MuiTableCell-root': { py: 0.5, fontSize: '0.8rem' } };
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} days`;
+}
+
+const PRESENCE_EVENTS = {
+  online: 'Came online',
+  offline: 'Went offline',
+  'ip-changed': 'Address changed'
+};
+
+function legacyLabel(legacy) {
+  if (legacy === null || legacy === undefined) return 'Unknown (HTTP API not reachable)';
+  return legacy ? 'Legacy' : 'Non-legacy';
+}
+
+function lineupStatusLabel(status) {
+  if (!status) return null;
+  if (status.ScanInProgress) return `Scanning (${status.Progress ?? 0}%, ${status.Found ?? 0} found)`;
+  return [status.Source, status.ScanPossible ? 'scan possible' : 'scan not possible'].filter(Boolean).join(', ');
+}
+
+const UPGRADE_STEPS = {
+  checking: 'Checking the file',
+  uploading: 'Uploading',
+  installing: 'Installing (the device checks and writes the image)',
+  rebooting: 'Waiting for the device to restart',
+  complete: 'Upgrade complete',
+  failed: 'Upgrade failed'
+};
+
+// Uploads a SiliconDust firmware file to the device; progress arrives as 'firmware-upgrade' events
+function FirmwareUpgradePanel({ deviceId, socket, onComplete }) {
+  const [file, setFile] = useState(null);
+  const [upgrade, setUpgrade] = useState(null);
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    setFile(null);
+    setError(null);
+    setUpgrade(null);
+    // Pick up an upgrade started earlier, e.g. from another browser
+    axios.get(`/api/devices/${deviceId}/upgrade`)
+      .then((response) => setUpgrade(response.data))
+      .catch(() => {});
+  }, [deviceId]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onProgress = (info) => {
+      if (info.deviceId !== deviceId) return;
+      setUpgrade(info);
+      if (info.status === 'complete') onComplete();
+    };
+    socket.on('firmware-upgrade', onProgress);
+    return () => socket.off('firmware-upgrade', onProgress);
+  }, [socket, deviceId, onComplete]);
+
+  const start = async () => {
+    setSending(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/api/devices/${deviceId}/upgrade`, file, {
+        params: { filename: file.name },
+        headers: { 'Content-Type': 'application/octet-stream' }
+      });
+      setUpgrade(response.data);
+      setFile(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const running = upgrade && !['complete', 'failed'].includes(upgrade.status);
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>Firmware upgrade</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Install a firmware file from SiliconDust (e.g. <code>hdhomerun5_atsc_firmware_20250623.bin</code>). All
+        tuners must be idle; the device restarts and is unavailable for a minute or two.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Button variant="outlined" size="small" component="label" disabled={running || sending}>
+          Choose file
+          <input type="file" accept=".bin" hidden onChange={(e) => setFile(e.target.files[0] || null)} />
+        </Button>
+        <Typography variant="body2" sx={{ flexGrow: 1, minWidth: 0 }} noWrap>
+          {file ? file.name : ''}
+        </Typography>
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={<UpgradeIcon />}
+          onClick={start}
+          disabled={!file || running || sending}
+        >
+          {sending ? 'Sending...' : 'Upgrade'}
+        </Button>
+      </Box>
+      {error && <Typography variant="body2" color="error" sx={{ mt: 1 }}>{error}</Typography>}
+      {upgrade && (
+        <Box sx={{ mt: 1 }}>
+          <Typography
+            variant="body2"
+            color={upgrade.status === 'failed' ? 'error' : upgrade.status === 'complete' ? 'success.main' : 'text.primary'}
+          >
+            {UPGRADE_STEPS[upgrade.status] || upgrade.status}
+            {upgrade.status === 'uploading' && ` ${upgrade.progress}%`}
+            {upgrade.status === 'complete' && `: ${upgrade.fromVersion} → ${upgrade.newVersion}`}
+            {upgrade.error && `: ${upgrade.error}`}
+          </Typography>
+          {running && (
+            <LinearProgress
+              variant={upgrade.status === 'uploading' ? 'determinate' : 'indeterminate'}
+              value={upgrade.progress}
+              sx={{ mt: 0.5 }}
+            />
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+function DetailRow({ label, children }) {
+  return (
+    <TableRow>
+      <TableCell sx={{ color: 'text.secondary', width: 160 }}>{label}</TableCell>
+      <TableCell>{children ?? '-'}</TableCell>
+    </TableRow>
+  );
+}
+
+// Firmware, supported standards and HTTP API details of a device, from its info endpoint
+function DeviceDetailsDialog({ open, onClose, deviceId, socket }) {
+  const [info, setInfo] = useState(null);
+  const [presence, setPresence] = useState(null);
+  const [error, setError] = useState(null);
+  const canUpgrade = useCan('admin');
+
+  const load = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/devices/${deviceId}/info`);
+      setInfo(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+    // Not known yet if the background discovery hasn't seen the device
+    axios.get(`/api/devices/${deviceId}/presence`)
+      .then((response) => setPresence(response.data))
+      .catch(() => setPresence(null));
+  }, [deviceId]);
+
+  useEffect(() => {
+    if (!open || !deviceId) return;
+    setInfo(null);
+    setPresence(null);
+    setError(null);
+    load();
+  }, [open, deviceId, load]);
+
+  const history = info?.firmwareHistory || [];
+  const presenceEvents = (presence?.timeline || []).slice(0, 10);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{info?.friendlyName || 'Device Details'}</DialogTitle>
+      <DialogContent dividers sx={{ minHeight: 300 }}>
+        {error && <Typography variant="body2" color="error">{error}</Typography>}
+        {!info && !error && <Typography variant="body2" color="text.secondary">Loading...</Typography>}
+        {info && (
+          <>
+            <TableContainer sx={{ mb: 2, ...cellSx }}>
+              <Table size="small">
+                <TableBody>
+                  <DetailRow label="Device ID">{info.deviceId || deviceId}</DetailRow>
+                  <DetailRow label="Model">
+                    {[info.modelNumber || info.hwmodel, info.model].filter(Boolean).join(' · ')}
+                  </DetailRow>
+                  <DetailRow label="Firmware">
+                    {[info.firmwareVersion, info.firmwareName].filter(Boolean).join(' · ') || null}
+                  </DetailRow>
+                  <DetailRow label="Tuners">{info.tuners}</DetailRow>
+                  <DetailRow label="Base URL">
+                    {info.baseUrl && (
+                      <Link href={info.baseUrl} target="_blank" rel="noopener noreferrer">{info.baseUrl}</Link>
+                    )}
+                  </DetailRow>
+                  <DetailRow label="Status">{legacyLabel(info.legacy)}</DetailRow>
+                  <DetailRow label="Lineup">{lineupStatusLabel(info.lineupStatus)}</DetailRow>
+                  <DetailRow label="Copyright">{info.copyright}</DetailRow>
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Supported standards</Typography>
+            <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 2 }}>
+              {(info.standards || []).length === 0 && (
+                <Typography variant="body2" color="text.secondary">Not reported by the device</Typography>
+              )}
+              {(info.standards || []).map((standard) => (
+                <Chip key={standard.id} size="small" label={standard.label} color="primary" variant="outlined" />
+              ))}
+            </Box>
+
+            {Object.keys(info.features || {}).length > 0 && (
+              <>
+                <Typography variant="subtitle2" sx={{ mb: 1 }}>Features</Typography>
+                <TableContainer sx={{ mb: 2, ...cellSx }}>
+                  <Table size="small">
+                    <TableBody>
+                      {Object.entries(info.features || {}).map(([key, values]) => (
+                        <DetailRow key={key} label={key}>{values.join(', ')}</DetailRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </>
+            )}
+
+            {presence && (
+              <>
+                <Typography variant="subtitle2" sx={{ mb: 1 }}>Presence</Typography>
+                <TableContainer sx={{ mb: 2, ...cellSx }}>
+                  <Table size="small">
+                    <TableBody>
+                      <DetailRow label="Online for">
+                        {presence.onlineSince ? formatDuration(Date.now() - presence.onlineSince) : null}
+                      </DetailRow>
+                      <DetailRow label="Available (24 h)">
+                        {presence.availability24h !== null ? `${(presence.availability24h * 100).toFixed(1)}%` : null}
+                      </DetailRow>
+                      <DetailRow label="First seen">{presence.firstSeen ? formatTime(presence.firstSeen) : null}</DetailRow>
+                      {presenceEvents.map((event) => (
+                        <DetailRow key={`${event.type}-${event.timestamp}`} label={formatTime(event.timestamp)}>
+                          {PRESENCE_EVENTS[event.type] || event.type}
+                          {event.type === 'ip-changed' ? ` from ${event.previousIp} to ${event.ip}` : ''}
+                        </DetailRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </>
+            )}
+
+            {canUpgrade && <FirmwareUpgradePanel deviceId={deviceId} socket={socket} onComplete={load} />}
+
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Firmware history</Typography>
+            {history.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">No firmware versions recorded yet</Typography>
+            ) : (
+              <TableContainer sx={cellSx}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Version</TableCell>
+                      <TableCell>First seen</TableCell>
+                      <TableCell>Last seen</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {[...history].reverse().map((entry) => (
+                      <TableRow key={`${entry.version}-${entry.firstSeen}`}>
+                        <TableCell>{entry.version}{entry.name ? ` (${entry.name})` : ''}</TableCell>
+                        <TableCell>{formatTime(entry.firstSeen)}</TableCell>
+                        <TableCell>{formatTime(entry.lastSeen)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default DeviceDetailsDialog;
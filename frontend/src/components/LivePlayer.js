@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  IconButton,
+  LinearProgress
+} from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import Hls from 'hls.js';
+import axios from 'axios';
+
+// MSE types for the codecs the relay reports; anything else (MPEG-2 video) can't be played
+const MSE_TYPES = {
+  avc: 'video/mp4; codecs="avc1.640028"',
+  hevc: 'video/mp4; codecs="hvc1.1.6.L120.90"',
+  aac: 'audio/mp4; codecs="mp4a.40.2"',
+  mp3: 'audio/mpeg',
+  ac3: 'audio/mp4; codecs="ac-3"',
+  ec3: 'audio/mp4; codecs="ec-3"'
+};
+
+function canDecode(codec) {
+  if (!MSE_TYPES[codec]) return false;
+  const MediaSource = window.MediaSource || window.ManagedMediaSource;
+  // Without MSE the browser plays HLS natively (Safari on iOS) and we can't ask
+  return MediaSource ? MediaSource.isTypeSupported(MSE_TYPES[codec]) : true;
+}
+
+// Plays a program in the page through the backend's HLS relay
+function LivePlayer({ deviceId, target, onClose }) {
+  const videoRef = useRef(null);
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let hls = null;
+    let sessionId = null;
+    setSession(null);
+    setError(null);
+
+    const start = async () => {
+      try {
+        const response = await axios.post(`/api/devices/${deviceId}/stream/hls`, {
+          ch: target.ch,
+          program: target.program
+        });
+        sessionId = response.data.id;
+        if (cancelled) {
+          axios.delete(`/api/hls/${sessionId}`).catch(() => {});
+          return;
+        }
+        setSession(response.data);
+
+        const video = videoRef.current;
+        if (Hls.isSupported()) {
+          hls = new Hls({ liveSyncDurationCount: 2 });
+          hls.on(Hls.Events.ERROR, (event, data) => {
+            if (data.fatal) setError(`Playback failed: ${data.details}`);
+          });
+          hls.loadSource(response.data.playlist);
+          hls.attachMedia(video);
+        } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+          video.src = response.data.playlist;
+        } else {
+          setError('This browser cannot play HLS streams');
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      }
+    };
+
+    start();
+    return () => {
+      cancelled = true;
+      if (hls) hls.destroy();
+      // Lets the relay stop and free the tuner when nobody else is watching
+      if (sessionId) axios.delete(`/api/hls/${sessionId}`).catch(() => {});
+    };
+  }, [deviceId, target]);
+
+  const undecodable = (session?.streams || []).filter((stream) => stream.codec && !canDecode(stream.codec));
+
+  return (
+    <Card>
+      <CardContent sx={{ py: 1, '&:last-child': { pb: 1 } }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <Typography variant="body1" sx={{ fontSize: '0.9rem', fontWeight: 500, flexGrow: 1 }}>
+            Live: {target.name}
+          </Typography>
+          {(session?.streams || []).map((stream) => (
+            <Chip
+              key={stream.pid}
+              size="small"
+              label={stream.type}
+              color={stream.codec && canDecode(stream.codec) ? 'default' : 'warning'}
+              variant="outlined"
+              sx={{ height: 20, fontSize: '0.7rem' }}
+            />
+          ))}
+          <IconButton size="small" onClick={onClose}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+
+        {!session && !error && (
+          <Box sx={{ mb: 1 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8rem', mb: 0.5 }}>
+              Starting the stream (uses a free tuner)...
+            </Typography>
+            <LinearProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Typography variant="body2" color="error" sx={{ mb: 1 }}>{error}</Typography>
+        )}
+
+        {undecodable.length > 0 && (
+          <Typography variant="body2" color="warning.main" sx={{ fontSize: '0.8rem', mb: 1 }}>
+            This browser can't decode {undecodable.map((stream) => stream.type).join(' or ')}
+            {undecodable.length < session.streams.length ? ', so only part of the program will play' : ''}.
+            Use Watch to open the stream in a media player instead.
+          </Typography>
+        )}
+
+        <Box sx={{ display: session ? 'block' : 'none' }}>
+          <video
+            ref={videoRef}
+            controls
+            autoPlay
+            muted
+            playsInline
+            style={{ width: '100%', maxHeight: '60vh', backgroundColor: '#000' }}
+          />
+        </Box>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default LivePlayer;
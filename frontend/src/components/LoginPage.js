@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Box, Button, Card, CardContent, TextField, Typography } from '@mui/material';
+import axios from 'axios';
+
+// Shown instead of the app while user accounts are enabled and nobody is logged in
+function LoginPage({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post('/api/auth/login', { username, password });
+      onLogin(response.data.user);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 6, px: 1 }}>
+      <Card sx={{ width: '100%', maxWidth: 360 }}>
+        <CardContent>
+          <Typography variant="h6" sx={{ mb: 2 }}>Log in</Typography>
+          <Box component="form" onSubmit={submit} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              label="Username"
+              size="small"
+              autoComplete="username"
+              autoFocus
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+            <TextField
+              label="Password"
+              size="small"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            {error && <Typography variant="body2" color="error">{error}</Typography>}
+            <Button type="submit" variant="contained" disabled={!username || !password || submitting}>
+              {submitting ? 'Logging in...' : 'Log in'}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
+
+export default LoginPage;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Box, Tooltip, Typography } from '@mui/material';
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function EventLine({ label, event, primary }) {
+  if (!event) return null;
+  const times = event.start !== null ? `${formatClock(event.start)}–${formatClock(event.end)} ` : '';
+  return (
+    <Tooltip title={event.description || ''} placement="top-start" disableHoverListener={!event.description}>
+      <Typography
+        variant="body2"
+        noWrap
+        color={primary ? 'text.primary' : 'text.secondary'}
+        sx={{ fontSize: primary ? '0.75rem' : '0.7rem', fontWeight: primary ? 500 : 400, maxWidth: 260 }}
+      >
+        {label}: {times}{event.title || 'Untitled'}
+      </Typography>
+    </Tooltip>
+  );
+}
+
+// Current and next show of a program, from the broadcast guide; descriptions show on hover
+function NowNext({ entry }) {
+  if (!entry || (!entry.now && !entry.next)) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.7rem' }}>
+        {entry ? 'No guide data' : ''}
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <EventLine label="Now" event={entry.now} primary />
+      <EventLine label="Next" event={entry.next} />
+    </Box>
+  );
+}
+
+export default NowNext;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Card,
+  CardActionArea,
+  CardContent,
+  Chip,
+  Grid,
+  Typography
+} from '@mui/material';
+import axios from 'axios';
+import io from 'socket.io-client';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement
+} from 'chart.js';
+import { useChannelPlans, channelFromTunerString } from '../channelPlans';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement);
+
+const MAX_DATA_POINTS = 60; // Keep 60 seconds of data
+
+const SERIES = [
+  { key: 'ss', label: 'SS', color: 'rgba(76, 175, 80, 1)' },
+  { key: 'snq', label: 'SNQ', color: 'rgba(255, 152, 0, 1)' },
+  { key: 'seq', label: 'SEQ', color: 'rgba(33, 150, 243, 1)' }
+];
+
+const sparklineOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  scales: {
+    y: { min: 0, max: 100, display: false },
+    x: { display: false }
+  },
+  plugins: {
+    legend: { display: false },
+    tooltip: { enabled: false }
+  }
+};
+
+function formatDataRate(bps) {
+  if (!bps) return '0.000 Mbps';
+  return (bps / 1000000).toFixed(3) + ' Mbps';
+}
+
+function isTuned(status) {
+  return !!status?.channel && status.channel !== 'none';
+}
+
+function lockLabel(status) {
+  if (!status) return { label: 'No response', color: 'default' };
+  if (!isTuned(status)) return { label: 'Idle', color: 'default' };
+  if (!status.modulation || status.modulation === 'none' || status.modulation.startsWith('(')) {
+    return { label: 'No lock', color: 'error' };
+  }
+  return { label: status.modulation, color: status.seq === 100 ? 'success' : 'warning' };
+}
+
+function TunerCard({ tuner, status, program, history, channelPlan, onSelect }) {
+  const lock = lockLabel(status);
+  const channel = isTuned(status) ? channelFromTunerString(status.channel, channelPlan) : null;
+
+  const chartData = {
+    labels: (history?.ss || []).map((_, i) => i),
+    datasets: SERIES.map(({ key, color }) => ({
+      data: history?.[key] || [],
+      borderColor: color,
+      borderWidth: 1.5,
+      tension: 0.4,
+      pointRadius: 0
+    }))
+  };
+
+  return (
+    <Card sx={{ height: '100%' }}>
+      <CardActionArea onClick={onSelect} sx={{ height: '100%' }}>
+        <CardContent sx={{ py: 1, '&:last-child': { pb: 1 } }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>Tuner {tuner}</Typography>
+            <Chip label={lock.label} color={lock.color} size="small" sx={{ height: 20, fontSize: '0.7rem' }} />
+          </Box>
+          <Typography variant="body2" sx={{ fontSize: '0.8rem' }} noWrap>
+            {isTuned(status) ? (channel ? `Channel ${channel}` : status.channel) : 'Not tuned'}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem' }} noWrap>
+            {program || (isTuned(status) ? 'No program selected' : ' ')}
+          </Typography>
+          <Box sx={{ height: 40, my: 0.5 }}>
+            {history && <Line data={chartData} options={sparklineOptions} />}
+          </Box>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 1 }}>
+            {SERIES.map(({ key, label, color }) => (
+              <Typography key={key} variant="caption" sx={{ fontSize: '0.7rem', color }}>
+                {label} {status?.[key] ?? 0}%
+              </Typography>
+            ))}
+            <Typography variant="caption" color="text.secondary" sx={{ fontSize: '0.7rem' }}>
+              {formatDataRate(status?.bps)}
+            </Typography>
+          </Box>
+        </CardContent>
+      </CardActionArea>
+    </Card>
+  );
+}
+
+// Every discovered device with a live card per tuner; clicking a card opens that tuner in the meter
+function Overview({ onSelectTuner }) {
+  const [devices, setDevices] = useState(null); // null until /api/devices answers
+  const [statuses, setStatuses] = useState({}); // deviceId -> last 'overview-status'
+  const [histories, setHistories] = useState({}); // "deviceId:tuner" -> { channel, ss, snq, seq }
+  const [error, setError] = useState(null);
+  const [defaultChannelMap, setDefaultChannelMap] = useState('us-bcast'); // The server's, until one is picked in the meter
+  const devicesRef = useRef([]);
+
+  const channelPlans = useChannelPlans();
+  const channelMap = localStorage.getItem('hdhr-channel-map') || defaultChannelMap;
+  const channelPlan = channelPlans?.plans[channelMap] || null;
+
+  useEffect(() => {
+    const socket = io({
+      reconnection: true,
+      reconnectionAttempts: Infinity,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      timeout: 20000
+    });
+
+    const start = () => {
+      const online = devicesRef.current.filter(d => d.online !== false);
+      if (online.length > 0) {
+        socket.emit('start-overview', { deviceIds: online.map(d => d.id) });
+      }
+    };
+
+    axios.get('/api/settings')
+      .then((response) => setDefaultChannelMap(response.data.settings.defaultChannelMap))
+      .catch(() => {});
+
+    axios.get('/api/devices')
+      .then((response) => {
+        devicesRef.current = response.data;
+        setDevices(response.data);
+        start();
+      })
+      .catch((err) => setError(err.response?.data?.error || err.message));
+
+    // The server forgets subscriptions when the connection drops
+    socket.on('connect', start);
+
+    socket.on('devices-changed', (list) => {
+      devicesRef.current = list;
+      setDevices(list);
+      start();
+    });
+
+    socket.on('overview-status', (data) => {
+      setStatuses(prev => ({ ...prev, [data.deviceId]: data }));
+      setHistories(prev => {
+        const next = { ...prev };
+        data.tuners.forEach(({ tuner, status }) => {
+          const key = `${data.deviceId}:${tuner}`;
+          const channel = status?.channel || 'none';
+          // Start over when the tuner moves to another channel
+          const history = next[key] && next[key].channel === channel
+            ? next[key]
+            : { channel, ss: [], snq: [], seq: [] };
+          next[key] = {
+            channel,
+            ...Object.fromEntries(SERIES.map(({ key: series }) => [
+              series,
+              [...history[series], status?.[series] || 0].slice(-MAX_DATA_POINTS)
+            ]))
+          };
+        });
+        return next;
+      });
+    });
+
+    return () => {
+      socket.emit('stop-overview');
+      socket.close();
+    };
+  }, []);
+
+  if (error) {
+    return <Typography variant="body2" color="error" sx={{ mt: 2 }}>{error}</Typography>;
+  }
+
+  if (!devices || devices.length === 0) {
+    return (
+      <Box sx={{ textAlign: 'center', py: 4 }}>
+        <Typography variant="body1" color="text.secondary">
+          {devices ? 'No HDHomeRun devices found' : 'Looking for devices...'}
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {devices.map((device) => {
+        const overview = statuses[device.id];
+        const online = overview ? overview.online : device.online !== false;
+        return (
+          <Box key={device.id} sx={{ mb: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600, fontSize: '0.95rem' }}>{device.name}</Typography>
+              <Chip
+                label={online ? 'Online' : 'Offline'}
+                color={online ? 'success' : 'default'}
+                size="small"
+                variant="outlined"
+                sx={{ height: 20, fontSize: '0.7rem' }}
+              />
+            </Box>
+            {device.online === false ? (
+              <Typography variant="body2" color="text.secondary">
+                Not responding{device.lastSeen ? `, last seen ${new Date(device.lastSeen).toLocaleString()}` : ''}
+              </Typography>
+            ) : !overview ? (
+              <Typography variant="body2" color="text.secondary">Waiting for tuner status...</Typography>
+            ) : (
+              <Grid container spacing={1}>
+                {overview.tuners.map(({ tuner, status, program }) => (
+                  <Grid item xs={12} sm={6} md={3} key={tuner}>
+                    <TunerCard
+                      tuner={tuner}
+                      status={status}
+                      program={program}
+                      history={histories[`${device.id}:${tuner}`]}
+                      channelPlan={channelPlan}
+                      onSelect={() => onSelectTuner(device.id, tuner)}
+                    />
+                  </Grid>
+                ))}
+              </Grid>
+            )}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default Overview;
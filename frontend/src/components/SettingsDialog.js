@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import axios from 'axios';
+import { useChannelPlans } from '../channelPlans';
+
+// Lists are edited as comma-separated text
+function toForm(settings) {
+  return {
+    ...settings,
+    manualDevices: settings.manualDevices.join(', '),
+    discoverySubnets: settings.discoverySubnets.join(', ')
+  };
+}
+
+function fromForm(form) {
+  const list = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+  return {
+    ...form,
+    manualDevices: list(form.manualDevices),
+    discoverySubnets: list(form.discoverySubnets),
+    pollInterval: Number(form.pollInterval),
+    presenceInterval: Number(form.presenceInterval)
+  };
+}
+
+// Server settings from /api/settings; they apply straight away, without a restart
+function SettingsDialog({ open, onClose }) {
+  const [data, setData] = useState(null); // { settings, defaults, overridden }
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const channelPlans = useChannelPlans();
+
+  useEffect(() => {
+    if (!open) return;
+    setError(null);
+    axios.get('/api/settings')
+      .then((response) => {
+        setData(response.data);
+        setForm(toForm(response.data.settings));
+      })
+      .catch((err) => setError(err.response?.data?.error || err.message));
+  }, [open]);
+
+  const update = (name) => (e) => setForm({ ...form, [name]: e.target.value });
+
+  const updateRegion = (e) => {
+    const regionInfo = channelPlans?.regions.find((r) => r.id === e.target.value);
+    setForm({ ...form, defaultRegion: e.target.value, defaultChannelMap: regionInfo ? regionInfo.defaultPlan : '' });
+  };
+
+  const save = async (changes) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await axios.put('/api/settings', changes);
+      setData(response.data);
+      setForm(toForm(response.data.settings));
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Only send what was changed, so untouched settings keep following their environment variables
+  const saveChanges = () => {
+    const values = fromForm(form);
+    const changes = {};
+    Object.keys(values).forEach((name) => {
+      if (JSON.stringify(values[name]) !== JSON.stringify(data.settings[name])) changes[name] = values[name];
+    });
+    if (changes.defaultRegion) changes.defaultChannelMap = values.defaultChannelMap;
+    save(changes);
+  };
+
+  const resetAll = () => {
+    save(Object.fromEntries(data.overridden.map((name) => [name, null])));
+  };
+
+  // "Default: ..." under a field that differs from its environment/built-in value
+  const defaultHint = (name) => {
+    if (!data || !data.overridden.includes(name)) return ' ';
+    const value = data.defaults[name];
+    return `Default: ${Array.isArray(value) ? value.join(', ') || 'none' : value}`;
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Settings</DialogTitle>
+      <DialogContent dividers sx={{ minHeight: 300 }}>
+        {!form && !error && <Typography variant="body2" color="text.secondary">Loading...</Typography>}
+        {form && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+            <Typography variant="subtitle2">Devices</Typography>
+            <TextField
+              label="Manual devices"
+              size="small"
+              placeholder="192.168.1.100, hdhomerun.local:65001"
+              value={form.manualDevices}
+              onChange={update('manualDevices')}
+              helperText={defaultHint('manualDevices')}
+            />
+            <FormControlLabel
+              control={<Switch checked={!form.disableDiscovery} onChange={(e) => setForm({ ...form, disableDiscovery: !e.target.checked })} />}
+              label="Find devices on the local network"
+            />
+            <TextField
+              label="Extra discovery subnets"
+              size="small"
+              placeholder="192.168.20.0/24"
+              value={form.discoverySubnets}
+              onChange={update('discoverySubnets')}
+              disabled={form.disableDiscovery}
+              helperText={defaultHint('discoverySubnets')}
+            />
+            <FormControlLabel
+              control={<Switch checked={!form.disableCloudDiscovery} onChange={(e) => setForm({ ...form, disableCloudDiscovery: !e.target.checked })} />}
+              label="Ask SiliconDust's discovery service when none are found"
+            />
+
+            <Typography variant="subtitle2" sx={{ mt: 1 }}>Polling</Typography>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              <TextField
+                label="Signal updates (seconds)"
+                size="small"
+                type="number"
+                inputProps={{ min: 0.5, max: 60, step: 0.5 }}
+                value={form.pollInterval}
+                onChange={update('pollInterval')}
+                helperText={defaultHint('pollInterval')}
+                sx={{ flex: 1, minWidth: 180 }}
+              />
+              <TextField
+                label="Device checks (seconds)"
+                size="small"
+                type="number"
+                inputProps={{ min: 5, max: 3600, step: 5 }}
+                value={form.presenceInterval}
+                onChange={update('presenceInterval')}
+                helperText={defaultHint('presenceInterval')}
+                sx={{ flex: 1, minWidth: 180 }}
+              />
+            </Box>
+
+            <Typography variant="subtitle2" sx={{ mt: 1 }}>Defaults for new browsers</Typography>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              <FormControl size="small" sx={{ flex: 1, minWidth: 180 }}>
+                <InputLabel>Region</InputLabel>
+                <Select value={channelPlans ? form.defaultRegion : ''} label="Region" onChange={updateRegion}>
+                  {(channelPlans?.regions || []).map((r) => (
+                    <MenuItem key={r.id} value={r.id}>{r.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ flex: 1, minWidth: 180 }}>
+                <InputLabel>Channel Map</InputLabel>
+                <Select
+                  value={channelPlans ? form.defaultChannelMap : ''}
+                  label="Channel Map"
+                  onChange={update('defaultChannelMap')}
+                >
+                  {Object.values(channelPlans?.plans || {}).filter((plan) => plan.region === form.defaultRegion).map((plan) => (
+                    <MenuItem key={plan.id} value={plan.id}>{plan.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              Browsers where a region or channel map was picked keep their own choice.
+            </Typography>
+          </Box>
+        )}
+        {error && <Typography variant="body2" color="error" sx={{ mt: 1 }}>{error}</Typography>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={resetAll} disabled={!data || data.overridden.length === 0 || saving} sx={{ mr: 'auto' }}>
+          Reset to defaults
+        </Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={saveChanges} disabled={!form || saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SettingsDialog;
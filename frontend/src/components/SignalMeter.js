@@ -54,135 +54,56 @@ import {
   GetApp as InstallIcon,
   Satellite as AntennaIcon,
   PlayArrow as PlayIcon,
-  ContentCopy as CopyIcon
+  ContentCopy as CopyIcon,
+  NotificationsActive as AlertsIcon,
+  GridOn as SurveyIcon,
+  Straighten as CalibrationIcon,
+  Analytics as AnalyzeIcon,
+  OndemandVideo as LiveIcon,
+  InfoOutlined as InfoIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 import io from 'socket.io-client';
 import AntennaMode from './AntennaMode';
-
-const REGIONS = [
-  { value: 'us', label: 'United States' },
-  { value: 'eu', label: 'United Kingdom / EU' }
-];
-
-const CHANNEL_MAPS = {
-  us: [
-    { value: 'us-bcast', label: 'US Broadcast' },
-    { value: 'us-cable', label: 'US Cable' },
-    { value: 'us-hrc', label: 'US HRC' },
-    { value: 'us-irc', label: 'US IRC' }
-  ],
-  eu: [
-    { value: 'eu-bcast', label: 'UK/EU Broadcast' },
-    { value: 'eu-cable', label: 'UK/EU Cable' }
-  ]
-};
-
-// Convert frequency (in Hz) to broadcast channel number
-function frequencyToChannel(freqHz, region = 'us') {
-  const freqMhz = freqHz / 1000000;
-
-  if (region === 'eu') {
-    // UK/EU DVB-T/T2 frequencies
-    // Band III (VHF): 174-230 MHz → channels 5-12
-    if (freqMhz >= 174 && freqMhz <= 230) {
-      // Channel 5: 177.5 MHz center, then +7 MHz for each channel
-      const channel = Math.round((freqMhz - 177.5) / 7) + 5;
-      return Math.max(5, Math.min(12, channel));
-    }
-
-    // Band IV/V (UHF): 470-790 MHz → channels 21-60
-    // Note: Post-700MHz clearance, many regions only use 21-48
-    if (freqMhz >= 470 && freqMhz <= 790) {
-      // Channel 21: 474 MHz center, then +8 MHz for each channel
-      const channel = Math.round((freqMhz - 474) / 8) + 21;
-      return Math.max(21, Math.min(60, channel));
-    }
-
-    return null; // Unknown frequency range
-  }
-
-  // US ATSC frequencies
-  // VHF Low (channels 2-6): 54-88 MHz
-  if (freqMhz >= 54 && freqMhz <= 88) {
-    // Channel 2: 57 MHz center, Channel 3: 63, Channel 4: 69, Channel 5: 79, Channel 6: 85
-    const vhfLowChannels = [
-      { ch: 2, freq: 57 }, { ch: 3, freq: 63 }, { ch: 4, freq: 69 },
-      { ch: 5, freq: 79 }, { ch: 6, freq: 85 }
-    ];
-    let closest = vhfLowChannels[0];
-    let minDiff = Math.abs(freqMhz - closest.freq);
-    for (const ch of vhfLowChannels) {
-      const diff = Math.abs(freqMhz - ch.freq);
-      if (diff < minDiff) {
-        minDiff = diff;
-        closest = ch;
-      }
-    }
-    return closest.ch;
-  }
-
-  // VHF High (channels 7-13): 174-216 MHz
-  if (freqMhz >= 174 && freqMhz <= 216) {
-    // Channel 7: 177 MHz center, then +6 MHz for each channel
-    const channel = Math.round((freqMhz - 177) / 6) + 7;
-    return Math.max(7, Math.min(13, channel));
-  }
-
-  // UHF (channels 14-36): 470-608 MHz (post-repack)
-  if (freqMhz >= 470 && freqMhz <= 608) {
-    // Channel 14: 473 MHz center, then +6 MHz for each channel
-    const channel = Math.round((freqMhz - 473) / 6) + 14;
-    return Math.max(14, Math.min(36, channel));
-  }
-
-  return null; // Unknown frequency range
-}
-
-// Convert broadcast channel number to center frequency (in Hz)
-function channelToFrequency(channel, region = 'us') {
-  const ch = parseInt(channel, 10);
-  if (isNaN(ch)) return null;
-
-  if (region === 'eu') {
-    // Band III (VHF): channels 5-12
-    if (ch >= 5 && ch <= 12) {
-      return ((ch - 5) * 7 + 177.5) * 1000000;
-    }
-    // Band IV/V (UHF): channels 21-60
-    if (ch >= 21 && ch <= 60) {
-      return ((ch - 21) * 8 + 474) * 1000000;
-    }
-    return null;
-  }
-
-  // US ATSC frequencies
-  // VHF Low (channels 2-6)
-  const vhfLow = { 2: 57, 3: 63, 4: 69, 5: 79, 6: 85 };
-  if (vhfLow[ch]) return vhfLow[ch] * 1000000;
-
-  // VHF High (channels 7-13): 177 MHz + 6 MHz per channel
-  if (ch >= 7 && ch <= 13) {
-    return ((ch - 7) * 6 + 177) * 1000000;
-  }
-
-  // UHF (channels 14-36): 473 MHz + 6 MHz per channel
-  if (ch >= 14 && ch <= 36) {
-    return ((ch - 14) * 6 + 473) * 1000000;
-  }
-
-  return null;
+import ChannelScan from './ChannelScan';
+import ConstellationPanel from './ConstellationPanel';
+import StreamAnalysis from './StreamAnalysis';
+import LivePlayer from './LivePlayer';
+import NowNext from './NowNext';
+import AlertsDialog from './AlertsDialog';
+import SurveyDialog from './SurveyDialog';
+import SettingsDialog from './SettingsDialog';
+import CalibrationDialog, { formatCalibrated } from './CalibrationDialog';
+import DeviceDetailsDialog from './DeviceDetailsDialog';
+import { useCan } from '../auth';
+import {
+  useChannelPlans,
+  channelToFrequency,
+  adjacentChannel,
+  channelFromTunerString
+} from '../channelPlans';
+
+// ", last seen 5 min ago" for an offline device in the device list
+function formatLastSeen(timestamp) {
+  if (!timestamp) return '';
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return ', last seen just now';
+  if (minutes < 60) return `, last seen ${minutes} min ago`;
+  if (minutes < 48 * 60) return `, last seen ${Math.floor(minutes / 60)} h ago`;
+  return `, last seen ${new Date(timestamp).toLocaleDateString()}`;
 }
 
-// Get channel range for region
-function getChannelRange(region) {
-  return region === 'eu'
-    ? { min: 5, max: 60 }  // EU: VHF 5-12, UHF 21-60
-    : { min: 2, max: 36 }; // US: VHF 2-13, UHF 14-36
+// Frequency in Hz of a tuner channel string ("auto:599000000" or "us-bcast:35"), for stream URLs
+function streamFrequency(tunerChannel, channelPlan) {
+  const rawChannel = tunerChannel?.split(':')[1];
+  if (!rawChannel) return null;
+  // If it's already a frequency (8+ digits), use as-is; otherwise convert RF channel to frequency
+  return /^\d{8,}$/.test(rawChannel) ? rawChannel : channelToFrequency(rawChannel, channelPlan);
 }
 
-function SignalMeter() {
-  // Load region from localStorage, default to 'us'
+// `initialTarget` ({ deviceId, tuner }) opens a tuner picked on the overview
+function SignalMeter({ initialTarget }) {
+  // Load region from localStorage; without one the server's default applies once it's loaded
   const [region, setRegion] = useState(() => {
     return localStorage.getItem('hdhr-region') || 'us';
   });
@@ -190,10 +111,10 @@ function SignalMeter() {
   const [devices, setDevices] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState('');
   const [deviceInfo, setDeviceInfo] = useState(null);
-  const [selectedTuner, setSelectedTuner] = useState(0);
+  const [selectedTuner, setSelectedTuner] = useState(initialTarget ? initialTarget.tuner : 0);
   const [channelMap, setChannelMap] = useState(() => {
-    // Set default channel map based on region
-    return region === 'eu' ? 'eu-bcast' : 'us-bcast';
+    // Every region's default plan is its broadcast plan
+    return localStorage.getItem('hdhr-channel-map') || `${region}-bcast`;
   });
   const [selectedChannel, setSelectedChannel] = useState('');
   const [tunerStatus, setTunerStatus] = useState(null);
@@ -209,6 +130,17 @@ function SignalMeter() {
   const [antennaMode, setAntennaMode] = useState(false);
   const [allTunersData, setAllTunersData] = useState([]);
   const [contextMenu, setContextMenu] = useState(null); // { mouseX, mouseY, program }
+  const [alertsOpen, setAlertsOpen] = useState(false);
+  const [activeAlerts, setActiveAlerts] = useState([]);
+  const [surveysOpen, setSurveysOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [calibrationOpen, setCalibrationOpen] = useState(false);
+  const [detailsOpen, setDetailsOpen] = useState(false);
+  const canOperate = useCan('operator'); // Viewers can monitor but not tune
+  const canConfigure = useCan('admin');
+  const [analysisTarget, setAnalysisTarget] = useState(null); // { ch, program, name } of the program being analyzed
+  const [playerTarget, setPlayerTarget] = useState(null); // { ch, program, name } of the program playing in the page
+  const [guide, setGuide] = useState({}); // programNum -> { now, next } from the broadcast guide
 
   // Refs to track current device/tuner/mode for reconnection
   const selectedDeviceRef = React.useRef(selectedDevice);
@@ -217,10 +149,22 @@ function SignalMeter() {
   const deviceInfoRef = React.useRef(deviceInfo);
   const pendingProgramFetchRef = React.useRef(null);
 
-  // Save region preference to localStorage
+  const channelPlans = useChannelPlans();
+  const channelPlan = channelPlans?.plans[channelMap] || null;
+
+  // Only a region or channel map picked here is saved, so the server's defaults apply until then
+  const chooseChannelMap = (newRegion, newChannelMap) => {
+    setRegion(newRegion);
+    setChannelMap(newChannelMap);
+    localStorage.setItem('hdhr-region', newRegion);
+    localStorage.setItem('hdhr-channel-map', newChannelMap);
+  };
+
+  // A stream analysis or live player belongs to the device it was started on
   useEffect(() => {
-    localStorage.setItem('hdhr-region', region);
-  }, [region]);
+    setAnalysisTarget(null);
+    setPlayerTarget(null);
+  }, [selectedDevice]);
 
   // Keep refs in sync with state
   React.useEffect(() => {
@@ -241,6 +185,15 @@ function SignalMeter() {
 
   useEffect(() => {
     discoverDevices();
+
+    const applyServerDefaults = ({ settings }) => {
+      if (localStorage.getItem('hdhr-region')) return;
+      setRegion(settings.defaultRegion);
+      setChannelMap(settings.defaultChannelMap);
+    };
+    axios.get('/api/settings')
+      .then((response) => applyServerDefaults(response.data))
+      .catch((error) => console.error('Failed to load settings:', error));
     const newSocket = io({
       reconnection: true,
       reconnectionAttempts: Infinity,
@@ -251,6 +204,12 @@ function SignalMeter() {
     setSocket(newSocket);
 
     newSocket.on('tuner-status', (status) => {
+      // Ignore updates still in flight for a device/tuner we just switched away from
+      if (status.deviceId !== undefined &&
+          (status.deviceId !== selectedDeviceRef.current || status.tuner !== selectedTunerRef.current)) {
+        return;
+      }
+
       setTunerStatus(status);
 
       // Auto-detect ATSC 3.0 based on presence of PLP data
@@ -274,6 +233,22 @@ function SignalMeter() {
       setAllTunersData(data);
     });
 
+    newSocket.on('alerts-changed', ({ active }) => {
+      setActiveAlerts(active);
+    });
+
+    newSocket.on('settings-changed', applyServerDefaults);
+
+    // Pushed by the server's background discovery when a device appears, goes offline or comes back
+    newSocket.on('devices-changed', (list) => {
+      setDevices(list);
+      const firstOnlineDevice = list.find(d => d.online !== false);
+      if (!selectedDeviceRef.current && firstOnlineDevice) {
+        setSelectedDevice(firstOnlineDevice.id);
+        getDeviceInfo(firstOnlineDevice.id);
+      }
+    });
+
     // Handle socket connection/reconnection
     let hasConnectedOnce = false;
 
@@ -383,26 +358,15 @@ function SignalMeter() {
         setDirectChannel('');
         setCurrentChannelPrograms([]);
       } else {
-        // Check if format includes frequency (e.g., "auto6t:605028615")
-        const freqMatch = tunerStatus.channel.match(/:(\d{8,})/);
-        if (freqMatch) {
-          // Has frequency - convert to channel number
-          const freqHz = parseInt(freqMatch[1]);
-          const channel = frequencyToChannel(freqHz, region);
-          if (channel) {
-            console.log(`Converted frequency ${freqHz} Hz to channel ${channel}`);
-            setDirectChannel(channel.toString());
-          }
-        } else {
-          // Standard format (e.g., "auto:4" -> "4", "13" -> "13")
-          const channelMatch = tunerStatus.channel.match(/(?:auto:)?(\d+)/);
-          if (channelMatch) {
-            setDirectChannel(channelMatch[1]);
-          }
+        // Frequency formats (e.g. "auto6t:605028615") are looked up in the channel plan;
+        // "auto:4" or "13" are already channel numbers
+        const channel = channelFromTunerString(tunerStatus.channel, channelPlan);
+        if (channel) {
+          setDirectChannel(channel.toString());
         }
       }
     }
-  }, [tunerStatus?.channel]);
+  }, [tunerStatus?.channel, channelPlan]);
 
   // Auto-fetch programs when channel is already tuned on initial load or after tuner change
   useEffect(() => {
@@ -417,6 +381,35 @@ function SignalMeter() {
     }
   }, [tunerStatus?.lock, tunerStatus?.channel, selectedDevice, selectedTuner]);
 
+  // Now/next shows from the broadcast guide tables, refreshed every minute so
+  // "now" moves on as shows end (the backend caches the tables themselves)
+  useEffect(() => {
+    setGuide({});
+    if (!selectedDevice || currentChannelPrograms.length === 0) return;
+
+    const frequency = streamFrequency(tunerStatus?.channel, channelPlan);
+    let cancelled = false;
+    const fetchGuide = async () => {
+      try {
+        const response = await axios.get(`/api/devices/${selectedDevice}/tuner/${selectedTuner}/guide`, {
+          params: frequency ? { ch: frequency } : {}
+        });
+        if (!cancelled) {
+          setGuide(Object.fromEntries(response.data.programs.map((entry) => [entry.programNum, entry])));
+        }
+      } catch (error) {
+        console.error('Failed to load program guide:', error);
+      }
+    };
+
+    fetchGuide();
+    const interval = setInterval(fetchGuide, 60000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [selectedDevice, selectedTuner, currentChannelPrograms, tunerStatus?.channel, channelPlan]);
+
   // Clear all data when tuner changes
   useEffect(() => {
     console.log('Tuner changed to:', selectedTuner, '- clearing old channel data');
@@ -457,8 +450,9 @@ function SignalMeter() {
       const url = force ? '/api/devices?force=true' : '/api/devices';
       const response = await axios.get(url);
       setDevices(response.data);
-      // Auto-select first online device
-      const firstOnlineDevice = response.data.find(d => d.online !== false);
+      // Auto-select the device picked on the overview, else the first online device
+      const onlineDevices = response.data.filter(d => d.online !== false);
+      const firstOnlineDevice = (initialTarget && onlineDevices.find(d => d.id === initialTarget.deviceId)) || onlineDevices[0];
       if (firstOnlineDevice) {
         setSelectedDevice(firstOnlineDevice.id);
         await getDeviceInfo(firstOnlineDevice.id);
@@ -503,9 +497,12 @@ function SignalMeter() {
       setL1Info(null);
       setIsAtsc3Channel(false);
 
-      // Use regular tuning - let backend auto-detect ATSC 3.0
+      // Channels in the selected plan are tuned by frequency so plans the device
+      // doesn't know (e.g. Japan, pre-repack US) work; anything else (atsc3:...,
+      // auto:<freq>) goes to the device unchanged. The backend auto-detects ATSC 3.0.
+      const frequency = channelToFrequency(channel, channelPlan);
       await axios.post(`/api/devices/${selectedDevice}/tuner/${selectedTuner}/channel`, {
-        channel
+        channel: frequency ? `auto:${frequency}` : channel
       });
 
       setSelectedChannel(channel);
@@ -557,8 +554,8 @@ function SignalMeter() {
     }
   };
 
-  const incrementChannel = async () => {
-    if (!selectedDevice) return;
+  const stepChannel = async (step) => {
+    if (!selectedDevice || !channelPlan) return;
 
     // Clear old data immediately
     setCurrentChannelPrograms([]);
@@ -566,68 +563,19 @@ function SignalMeter() {
     setL1Info(null);
     setIsAtsc3Channel(false);
 
-    const channelRange = getChannelRange(region);
-
     // Use the tracked directChannel state or extract from tuner status as fallback
-    let currentChannelNum = parseInt(directChannel) || channelRange.min;
-
-    // If directChannel is empty or invalid, try to extract from tuner status
-    if (!currentChannelNum && tunerStatus?.channel) {
-      // Check for frequency format first
-      const freqMatch = tunerStatus.channel.match(/:(\d{8,})/);
-      if (freqMatch) {
-        const freqHz = parseInt(freqMatch[1]);
-        currentChannelNum = frequencyToChannel(freqHz, region) || channelRange.min;
-      } else {
-        const channelMatch = tunerStatus.channel.match(/(?:auto:)?(\d+)/);
-        currentChannelNum = channelMatch ? parseInt(channelMatch[1]) : channelRange.min;
-      }
-    }
-
-    const nextChannel = Math.min(channelRange.max, currentChannelNum + 1);
+    const currentChannel = directChannel || channelFromTunerString(tunerStatus?.channel, channelPlan);
+    const nextChannel = adjacentChannel(currentChannel, channelPlan, step);
 
     try {
       await tuneToDirectChannel(nextChannel.toString());
     } catch (error) {
-      console.error('Failed to increment channel:', error);
+      console.error('Failed to change channel:', error);
     }
   };
 
-  const decrementChannel = async () => {
-    if (!selectedDevice) return;
-
-    // Clear old data immediately
-    setCurrentChannelPrograms([]);
-    setPlpInfo(null);
-    setL1Info(null);
-    setIsAtsc3Channel(false);
-
-    const channelRange = getChannelRange(region);
-
-    // Use the tracked directChannel state or extract from tuner status as fallback
-    let currentChannelNum = parseInt(directChannel) || channelRange.min;
-
-    // If directChannel is empty or invalid, try to extract from tuner status
-    if (!currentChannelNum && tunerStatus?.channel) {
-      // Check for frequency format first
-      const freqMatch = tunerStatus.channel.match(/:(\d{8,})/);
-      if (freqMatch) {
-        const freqHz = parseInt(freqMatch[1]);
-        currentChannelNum = frequencyToChannel(freqHz, region) || channelRange.min;
-      } else {
-        const channelMatch = tunerStatus.channel.match(/(?:auto:)?(\d+)/);
-        currentChannelNum = channelMatch ? parseInt(channelMatch[1]) : channelRange.min;
-      }
-    }
-
-    const prevChannel = Math.max(channelRange.min, currentChannelNum - 1);
-
-    try {
-      await tuneToDirectChannel(prevChannel.toString());
-    } catch (error) {
-      console.error('Failed to decrement channel:', error);
-    }
-  };
+  const incrementChannel = () => stepChannel(1);
+  const decrementChannel = () => stepChannel(-1);
 
   const clearTuner = async () => {
     if (!selectedDevice) return;
@@ -667,6 +615,14 @@ function SignalMeter() {
     return (bps / 1000000).toFixed(3) + ' Mbps';
   };
 
+  // RF frequency of the tuned channel, as used in stream URLs
+  const getStreamFrequency = () => streamFrequency(tunerStatus?.channel, channelPlan);
+
+  // Which calibration profile the dB estimates came from, shown on hover
+  const calibrationTitle = tunerStatus?.calibration
+    ? `Estimated with ${tunerStatus.calibration.label}${tunerStatus.calibration.measured ? '' : ' (not measured on this model)'}`
+    : undefined;
+
   return (
     <Box>
       <Grid container spacing={1}>
@@ -678,17 +634,17 @@ function SignalMeter() {
                 <FormControl sx={{ minWidth: 140 }} size="small">
                   <InputLabel>Region</InputLabel>
                   <Select
-                    value={region}
+                    value={channelPlans ? region : ''}
                     label="Region"
                     onChange={(e) => {
                       const newRegion = e.target.value;
-                      setRegion(newRegion);
                       // Reset channel map to default for new region
-                      setChannelMap(newRegion === 'eu' ? 'eu-bcast' : 'us-bcast');
+                      const regionInfo = channelPlans.regions.find((r) => r.id === newRegion);
+                      chooseChannelMap(newRegion, regionInfo ? regionInfo.defaultPlan : `${newRegion}-bcast`);
                     }}
                   >
-                    {REGIONS.map((r) => (
-                      <MenuItem key={r.value} value={r.value}>
+                    {(channelPlans?.regions || []).map((r) => (
+                      <MenuItem key={r.id} value={r.id}>
                         {r.label}
                       </MenuItem>
                     ))}
@@ -725,7 +681,7 @@ function SignalMeter() {
                         disabled={device.online === false}
                         sx={device.online === false ? { color: 'text.disabled', fontStyle: 'italic' } : {}}
                       >
-                        {device.name || device.id}{device.online === false ? ' (offline)' : ''}
+                        {device.name || device.id}{device.online === false ? ` (offline${formatLastSeen(device.lastSeen)})` : ''}
                       </MenuItem>
                     ))}
                   </Select>
@@ -739,6 +695,17 @@ function SignalMeter() {
                 >
                   <RefreshIcon />
                 </Button>
+                {deviceInfo && (
+                  <Button
+                    variant="outlined"
+                    onClick={() => setDetailsOpen(true)}
+                    sx={{ minWidth: 'auto', px: 1 }}
+                    size="small"
+                    color="inherit"
+                  >
+                    <InfoIcon />
+                  </Button>
+                )}
                 {deviceInfo && (
                   <Button
                     variant={antennaMode ? "contained" : "outlined"}
@@ -750,6 +717,46 @@ function SignalMeter() {
                     <AntennaIcon />
                   </Button>
                 )}
+                <Button
+                  variant="outlined"
+                  onClick={() => setSurveysOpen(true)}
+                  sx={{ minWidth: 'auto', px: 1 }}
+                  size="small"
+                  color="inherit"
+                >
+                  <SurveyIcon />
+                </Button>
+                <Button
+                  variant="outlined"
+                  onClick={() => setCalibrationOpen(true)}
+                  sx={{ minWidth: 'auto', px: 1 }}
+                  size="small"
+                  color="inherit"
+                >
+                  <CalibrationIcon />
+                </Button>
+                <Button
+                  variant="outlined"
+                  onClick={() => setAlertsOpen(true)}
+                  sx={{ minWidth: 'auto', px: 1 }}
+                  size="small"
+                  color={activeAlerts.length > 0 ? "error" : "inherit"}
+                >
+                  <Badge badgeContent={activeAlerts.length} color="error">
+                    <AlertsIcon />
+                  </Badge>
+                </Button>
+                {canConfigure && (
+                  <Button
+                    variant="outlined"
+                    onClick={() => setSettingsOpen(true)}
+                    sx={{ minWidth: 'auto', px: 1 }}
+                    size="small"
+                    color="inherit"
+                  >
+                    <SettingsIcon />
+                  </Button>
+                )}
                 {showInstallButton && (
                   <Button
                     variant="contained"
@@ -769,7 +776,12 @@ function SignalMeter() {
         {/* Antenna Tuning Mode */}
         {antennaMode && selectedDevice && (
           <Grid item xs={12}>
-            <AntennaMode allTunersData={allTunersData} />
+            <AntennaMode
+              allTunersData={allTunersData}
+              deviceId={selectedDevice}
+              tunerCount={deviceInfo?.tuners}
+              channelPlan={channelPlan}
+            />
           </Grid>
         )}
 
@@ -796,7 +808,7 @@ function SignalMeter() {
                           tuneToDirectChannel(directChannel);
                         }
                       }}
-                      placeholder={region === 'eu' ? '60' : '36'}
+                      placeholder={channelPlan ? String(channelPlan.channels[channelPlan.channels.length - 1].channel) : ''}
                       sx={{
                         width: 60,
                         '& .MuiOutlinedInput-root': {
@@ -809,19 +821,19 @@ function SignalMeter() {
                           fontSize: '14px'
                         }
                       }}
-                      disabled={!selectedDevice}
-                      inputProps={{ maxLength: 2 }}
+                      disabled={!selectedDevice || !canOperate}
+                      inputProps={{ maxLength: 3 }}
                     />
-                    <Button variant="contained" onClick={() => tuneToDirectChannel(directChannel)} disabled={!selectedDevice || !directChannel} size="small" sx={{ minWidth: 'auto', px: 1 }}>
+                    <Button variant="contained" onClick={() => tuneToDirectChannel(directChannel)} disabled={!selectedDevice || !directChannel || !canOperate} size="small" sx={{ minWidth: 'auto', px: 1 }}>
                       <TuneIcon />
                     </Button>
-                    <Button variant="outlined" onClick={decrementChannel} disabled={!selectedDevice} size="small" sx={{ minWidth: 'auto', px: 1 }}>
+                    <Button variant="outlined" onClick={decrementChannel} disabled={!selectedDevice || !canOperate} size="small" sx={{ minWidth: 'auto', px: 1 }}>
                       <SkipPrevious />
                     </Button>
-                    <Button variant="outlined" onClick={incrementChannel} disabled={!selectedDevice} size="small" sx={{ minWidth: 'auto', px: 1 }}>
+                    <Button variant="outlined" onClick={incrementChannel} disabled={!selectedDevice || !canOperate} size="small" sx={{ minWidth: 'auto', px: 1 }}>
                       <SkipNext />
                     </Button>
-                    <Button variant="contained" color="error" onClick={clearTuner} disabled={!selectedDevice || tunerStatus?.channel === 'none'} size="small" sx={{ minWidth: 'auto', px: 1 }}>
+                    <Button variant="contained" color="error" onClick={clearTuner} disabled={!selectedDevice || tunerStatus?.channel === 'none' || !canOperate} size="small" sx={{ minWidth: 'auto', px: 1 }}>
                       <StopIcon />
                     </Button>
                   </Box>
@@ -833,14 +845,14 @@ function SignalMeter() {
                     <Box sx={{ flex: '1 1 120px', minWidth: 120 }}>
                       <Typography variant="body2" sx={{ fontSize: '0.75rem', mb: 0.5 }}>
                         Signal: {tunerStatus.ss || 0}%
-                        {tunerStatus.ssDb && <span style={{ fontSize: '0.65rem', opacity: 0.8 }}> (~{tunerStatus.ssDb}dBm)</span>}
+                        {tunerStatus.ssDb && <span style={{ fontSize: '0.65rem', opacity: 0.8 }} title={calibrationTitle}> ({formatCalibrated(tunerStatus.ssDb, tunerStatus.calibration?.uncertainty.ssDb, 'dBm')})</span>}
                       </Typography>
                       <LinearProgress variant="determinate" value={tunerStatus.ss || 0} sx={{ height: 8, borderRadius: 4, backgroundColor: 'rgba(255,255,255,0.1)', '& .MuiLinearProgress-bar': { backgroundColor: getSignalColor(tunerStatus.ss || 0) } }} />
                     </Box>
                     <Box sx={{ flex: '1 1 120px', minWidth: 120 }}>
                       <Typography variant="body2" sx={{ fontSize: '0.75rem', mb: 0.5 }}>
                         SNR: {tunerStatus.snq || 0}%
-                        {tunerStatus.snrDb && tunerStatus.snrDb > 0 && <span style={{ fontSize: '0.65rem', opacity: 0.8 }}> (~{tunerStatus.snrDb}dB)</span>}
+                        {tunerStatus.snrDb && tunerStatus.snrDb > 0 && <span style={{ fontSize: '0.65rem', opacity: 0.8 }} title={calibrationTitle}> ({formatCalibrated(tunerStatus.snrDb, tunerStatus.calibration?.uncertainty.snrDb, 'dB')})</span>}
                       </Typography>
                       <LinearProgress variant="determinate" value={tunerStatus.snq || 0} sx={{ height: 8, borderRadius: 4, backgroundColor: 'rgba(255,255,255,0.1)', '& .MuiLinearProgress-bar': { backgroundColor: getSignalColor(tunerStatus.snq || 0) } }} />
                     </Box>
@@ -872,13 +884,13 @@ function SignalMeter() {
                   <FormControl sx={{ minWidth: 140, flex: 1 }} size="small">
                     <InputLabel>Channel Map</InputLabel>
                     <Select
-                      value={channelMap}
+                      value={channelPlan ? channelMap : ''}
                       label="Channel Map"
-                      onChange={(e) => setChannelMap(e.target.value)}
+                      onChange={(e) => chooseChannelMap(region, e.target.value)}
                     >
-                      {CHANNEL_MAPS[region].map((map) => (
-                        <MenuItem key={map.value} value={map.value}>
-                          {map.label}
+                      {Object.values(channelPlans?.plans || {}).filter((plan) => plan.region === region).map((plan) => (
+                        <MenuItem key={plan.id} value={plan.id}>
+                          {plan.label}
                         </MenuItem>
                       ))}
                     </Select>
@@ -906,6 +918,31 @@ function SignalMeter() {
           </Grid>
         )}
 
+        {/* Channel Scan */}
+        {!antennaMode && selectedDevice && (
+          <Grid item xs={12}>
+            <ChannelScan
+              socket={socket}
+              deviceId={selectedDevice}
+              tuner={selectedTuner}
+              channelMap={channelMap}
+              onTune={tuneToDirectChannel}
+              readOnly={!canOperate}
+            />
+          </Grid>
+        )}
+
+        {/* Constellation */}
+        {!antennaMode && selectedDevice && (
+          <Grid item xs={12}>
+            <ConstellationPanel
+              socket={socket}
+              deviceId={selectedDevice}
+              tuner={selectedTuner}
+            />
+          </Grid>
+        )}
+
         {/* ATSC 3.0 Status Indicator */}
         {!antennaMode && selectedDevice && isAtsc3Channel && (
           <Grid item xs={12}>
@@ -1032,6 +1069,7 @@ function SignalMeter() {
                         <TableCell sx={{ fontWeight: 600 }}>Virtual</TableCell>
                         <TableCell sx={{ fontWeight: 600 }}>Call Sign</TableCell>
                         <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
+                        <TableCell sx={{ fontWeight: 600 }}>Now / Next</TableCell>
                         <TableCell sx={{ fontWeight: 600 }}>Watch</TableCell>
                       </TableRow>
                     </TableHead>
@@ -1057,16 +1095,16 @@ function SignalMeter() {
                               <Chip label={program.status} size="small" sx={{ height: 18, fontSize: '0.65rem' }} />
                             )}
                           </TableCell>
+                          <TableCell>
+                            <NowNext entry={guide[program.programNum]} />
+                          </TableCell>
                           <TableCell>
                             <Button
                               size="small"
                               variant="contained"
                               color="primary"
                               onClick={() => {
-                                const rawChannel = tunerStatus?.channel?.split(':')[1];
-                                if (!rawChannel) return;
-                                // If it's already a frequency (9+ digits), use as-is; otherwise convert RF channel to frequency
-                                const freq = rawChannel.length >= 9 ? rawChannel : channelToFrequency(rawChannel, region);
+                                const freq = getStreamFrequency();
                                 if (!freq) return;
                                 const channelName = `${program.callsign} ${program.virtualChannel}`;
                                 window.location.href = `/api/devices/${selectedDevice}/stream/play.m3u?ch=${freq}&program=${program.programNum}&name=${encodeURIComponent(channelName)}`;
@@ -1080,6 +1118,42 @@ function SignalMeter() {
                             >
                               Watch
                             </Button>
+                            <Button
+                              size="small"
+                              variant="outlined"
+                              onClick={() => {
+                                const freq = getStreamFrequency();
+                                if (!freq) return;
+                                setPlayerTarget({
+                                  ch: freq,
+                                  program: program.programNum,
+                                  name: `${program.callsign} ${program.virtualChannel}`
+                                });
+                              }}
+                              disabled={!canOperate}
+                              sx={{ minWidth: 'auto', px: 1, py: 0.25, ml: 0.5, fontSize: '0.7rem' }}
+                              startIcon={<LiveIcon sx={{ fontSize: '0.9rem !important' }} />}
+                            >
+                              Play
+                            </Button>
+                            <Button
+                              size="small"
+                              variant="outlined"
+                              onClick={() => {
+                                const freq = getStreamFrequency();
+                                if (!freq) return;
+                                setAnalysisTarget({
+                                  ch: freq,
+                                  program: program.programNum,
+                                  name: `${program.callsign} ${program.virtualChannel}`
+                                });
+                              }}
+                              disabled={!canOperate}
+                              sx={{ minWidth: 'auto', px: 1, py: 0.25, ml: 0.5, fontSize: '0.7rem' }}
+                              startIcon={<AnalyzeIcon sx={{ fontSize: '0.9rem !important' }} />}
+                            >
+                              Analyze
+                            </Button>
                           </TableCell>
                         </TableRow>
                       ))}
@@ -1090,6 +1164,28 @@ function SignalMeter() {
             </Card>
           </Grid>
         )}
+
+        {/* In-page playback, to check picture and sound while aligning the antenna */}
+        {!antennaMode && selectedDevice && playerTarget && (
+          <Grid item xs={12}>
+            <LivePlayer
+              deviceId={selectedDevice}
+              target={playerTarget}
+              onClose={() => setPlayerTarget(null)}
+            />
+          </Grid>
+        )}
+
+        {/* Stream health of a program, next to the programs list */}
+        {!antennaMode && selectedDevice && analysisTarget && (
+          <Grid item xs={12}>
+            <StreamAnalysis
+              deviceId={selectedDevice}
+              target={analysisTarget}
+              onClose={() => setAnalysisTarget(null)}
+            />
+          </Grid>
+        )}
       </Grid>
 
       {/* Context menu for copying stream URL */}
@@ -1107,9 +1203,7 @@ function SignalMeter() {
           onClick={async () => {
             if (contextMenu?.program) {
               try {
-                const rawChannel = tunerStatus?.channel?.split(':')[1];
-                if (!rawChannel) return;
-                const freq = rawChannel.length >= 9 ? rawChannel : channelToFrequency(rawChannel, region);
+                const freq = getStreamFrequency();
                 if (!freq) return;
                 const response = await axios.get(
                   `/api/devices/${selectedDevice}/stream/url?ch=${freq}&program=${contextMenu.program.programNum}`
@@ -1129,6 +1223,39 @@ function SignalMeter() {
         </MenuItem>
       </Menu>
 
+      <AlertsDialog
+        open={alertsOpen}
+        onClose={() => setAlertsOpen(false)}
+        socket={socket}
+        devices={devices}
+      />
+
+      <CalibrationDialog
+        open={calibrationOpen}
+        onClose={() => setCalibrationOpen(false)}
+        selectedDevice={selectedDevice}
+        selectedTuner={selectedTuner}
+        tunerStatus={tunerStatus}
+      />
+
+      <DeviceDetailsDialog
+        open={detailsOpen}
+        onClose={() => setDetailsOpen(false)}
+        deviceId={selectedDevice}
+        socket={socket}
+      />
+
+      <SurveyDialog
+        open={surveysOpen}
+        onClose={() => setSurveysOpen(false)}
+        socket={socket}
+        devices={devices}
+        selectedDevice={selectedDevice}
+        channelMap={channelMap}
+      />
+
+      {canConfigure && <SettingsDialog open={settingsOpen} onClose={() => setSettingsOpen(false)} />}
+
     </Box>
   );
 }
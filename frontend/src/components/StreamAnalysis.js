@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Chip,
+  FormControl,
+  IconButton,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const DURATIONS = [5, 10, 30, 60];
+
+const PRIORITY1_LABELS = {
+  syncLoss: 'Sync loss',
+  syncByte: 'Sync byte',
+  pat: 'PAT',
+  continuity: 'Continuity',
+  pmt: 'PMT',
+  pid: 'Missing PID'
+};
+
+const PRIORITY2_LABELS = {
+  transport: 'Transport error',
+  crc: 'CRC',
+  pcrRepetition: 'PCR repetition',
+  pcrDiscontinuity: 'PCR discontinuity'
+};
+
+function formatBitrate(bps) {
+  if (bps >= 1000000) return `${(bps / 1000000).toFixed(2)} Mbps`;
+  return `${(bps / 1000).toFixed(1)} kbps`;
+}
+
+function formatPid(pid) {
+  return `0x${pid.toString(16).padStart(4, '0')}`;
+}
+
+function ErrorChips({ counts, labels }) {
+  return (
+    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+      {Object.entries(labels).map(([key, label]) => (
+        <Chip
+          key={key}
+          size="small"
+          label={`${label}: ${counts[key]}`}
+          color={counts[key] > 0 ? 'error' : 'success'}
+          variant={counts[key] > 0 ? 'filled' : 'outlined'}
+          sx={{ height: 20, fontSize: '0.7rem' }}
+        />
+      ))}
+    </Box>
+  );
+}
+
+// Runs a transport stream health check on one program and shows the report
+function StreamAnalysis({ deviceId, target, onClose }) {
+  const [duration, setDuration] = useState(10);
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/api/devices/${deviceId}/stream/analyze`, {
+        ch: target.ch,
+        program: target.program,
+        duration
+      });
+      setReport(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setRunning(false);
+    }
+  }, [deviceId, target, duration]);
+
+  // Start straight away when a program is picked, and again when the capture length changes
+  useEffect(() => {
+    run();
+  }, [run]);
+
+  return (
+    <Card>
+      <CardContent sx={{ py: 1, '&:last-child': { pb: 1 } }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <Typography variant="body1" sx={{ fontSize: '0.9rem', fontWeight: 500, flexGrow: 1 }}>
+            Stream Health: {target.name}
+          </Typography>
+          <FormControl size="small" sx={{ minWidth: 90 }}>
+            <InputLabel>Capture</InputLabel>
+            <Select value={duration} label="Capture" onChange={(e) => setDuration(e.target.value)} disabled={running}>
+              {DURATIONS.map((seconds) => (
+                <MenuItem key={seconds} value={seconds}>{seconds}s</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button size="small" variant="outlined" startIcon={<RefreshIcon />} onClick={run} disabled={running}>
+            Run
+          </Button>
+          <IconButton size="small" onClick={onClose}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+
+        {running && (
+          <Box sx={{ mb: 1 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8rem', mb: 0.5 }}>
+              Capturing {duration}s of the stream (uses a free tuner)...
+            </Typography>
+            <LinearProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Typography variant="body2" color="error" sx={{ mb: 1 }}>{error}</Typography>
+        )}
+
+        {report && !running && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.75rem', mb: 1 }}>
+              {report.duration}s · {report.packets.toLocaleString()} packets · {formatBitrate(report.bitrate)}
+            </Typography>
+            <Typography variant="body2" sx={{ fontSize: '0.75rem', fontWeight: 500, mb: 0.5 }}>Priority 1</Typography>
+            <ErrorChips counts={report.priority1} labels={PRIORITY1_LABELS} />
+            <Typography variant="body2" sx={{ fontSize: '0.75rem', fontWeight: 500, mt: 1, mb: 0.5 }}>Priority 2</Typography>
+            <ErrorChips counts={report.priority2} labels={PRIORITY2_LABELS} />
+            {report.missingPids.length > 0 && (
+              <Typography variant="body2" color="error" sx={{ fontSize: '0.75rem', mt: 1 }}>
+                Referenced but missing: {report.missingPids.map(formatPid).join(', ')}
+              </Typography>
+            )}
+
+            <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none', mt: 1 }}>
+              <Table size="small" sx={{ '& .MuiTableCell-root': { py: 0.5, fontSize: '0.75rem' } }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>PID</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Type</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Bitrate</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>CC errors</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>TEI</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Repetition / PCR</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.pids.map((pid) => (
+                    <TableRow key={pid.pid}>
+                      <TableCell>{formatPid(pid.pid)}</TableCell>
+                      <TableCell>
+                        {pid.type}
+                        {pid.scrambled && (
+                          <Chip label="Scrambled" size="small" color="warning" sx={{ ml: 0.5, height: 18, fontSize: '0.65rem' }} />
+                        )}
+                      </TableCell>
+                      <TableCell>{formatBitrate(pid.bitrate)}</TableCell>
+                      <TableCell sx={{ color: pid.continuityErrors > 0 ? 'error.main' : undefined }}>{pid.continuityErrors}</TableCell>
+                      <TableCell sx={{ color: pid.transportErrors > 0 ? 'error.main' : undefined }}>{pid.transportErrors}</TableCell>
+                      <TableCell>
+                        {pid.table && `every ≤${pid.table.maxInterval}ms`}
+                        {pid.pcr && `PCR every ≤${pid.pcr.maxInterval}ms`}
+                        {pid.pcr?.jitter && `, jitter ${pid.pcr.jitter.rms}ms rms`}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.7rem', mt: 0.5 }}>
+              PCR jitter is measured against arrival time, so it includes network delivery jitter.
+            </Typography>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default StreamAnalysis;
@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  IconButton,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  PlayArrow as RunIcon,
+  Stop as StopIcon,
+  ArrowBack as BackIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useChannelPlans } from '../channelPlans';
+
+const MAX_RUN_COLUMNS = 48;
+
+const cellSx = { '& .MuiTableCell-root': { py: 0.5, fontSize: '0.8rem' } };
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+// Same colours as the antenna mode badges: green locked and clean, red
+// locked with errors, grey nothing
+function cellColor(measurement) {
+  if (!measurement) return 'transparent';
+  if (!measurement.lock) return 'rgba(158, 158, 158, 0.2)';
+  if (measurement.seq >= 100) return 'rgba(76, 175, 80, 0.6)';
+  return 'rgba(244, 67, 54, 0.6)';
+}
+
+function SurveyForm({ devices, defaultDevice, defaultChannelMap, onSave, onCancel }) {
+  const channelPlans = useChannelPlans();
+  const [job, setJob] = useState({
+    name: '',
+    device: defaultDevice || '',
+    channelMap: defaultChannelMap || 'us-bcast',
+    channels: '',
+    tuners: '',
+    dwell: 5,
+    interval: 60
+  });
+  const [error, setError] = useState(null);
+  const update = (field) => (e) => setJob({ ...job, [field]: e.target.value });
+
+  const save = async () => {
+    try {
+      setError(null);
+      await onSave({
+        ...job,
+        tuners: job.tuners.split(/[\s,]+/).filter((t) => t !== '')
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+      <TextField size="small" label="Name (optional)" value={job.name} onChange={update('name')} sx={{ flex: '1 1 100%' }} />
+      <FormControl size="small" sx={{ minWidth: 180, flex: 1 }}>
+        <InputLabel>Device</InputLabel>
+        <Select value={job.device} label="Device" onChange={update('device')}>
+          {devices.map((device) => (
+            <MenuItem key={device.id} value={device.id}>{device.name || device.id}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <FormControl size="small" sx={{ minWidth: 130 }}>
+        <InputLabel>Channel Map</InputLabel>
+        <Select value={channelPlans ? job.channelMap : ''} label="Channel Map" onChange={update('channelMap')}>
+          {Object.values(channelPlans?.plans || {}).map((plan) => (
+            <MenuItem key={plan.id} value={plan.id}>{plan.label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <TextField
+        size="small"
+        label="RF channels"
+        placeholder="All"
+        helperText="e.g. 7, 14, 27 (empty = whole map)"
+        value={job.channels}
+        onChange={update('channels')}
+        sx={{ flex: 1, minWidth: 180 }}
+      />
+      <TextField
+        size="small"
+        label="Tuners"
+        placeholder="Any idle"
+        helperText="e.g. 2, 3 (empty = any idle)"
+        value={job.tuners}
+        onChange={update('tuners')}
+        sx={{ width: 150 }}
+      />
+      <TextField size="small" type="number" label="Dwell (s)" value={job.dwell} onChange={update('dwell')} sx={{ width: 100 }} />
+      <TextField size="small" type="number" label="Every (min)" value={job.interval} onChange={update('interval')} sx={{ width: 110 }} />
+      {error && (
+        <Typography variant="body2" sx={{ flex: '1 1 100%', color: 'error.main', fontSize: '0.8rem' }}>{error}</Typography>
+      )}
+      <Box sx={{ flex: '1 1 100%', display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        <Button size="small" onClick={onCancel}>Cancel</Button>
+        <Button size="small" variant="contained" onClick={save} disabled={!job.device}>Add Survey</Button>
+      </Box>
+    </Box>
+  );
+}
+
+// Channel x run grid, newest run on the right
+function SurveyMatrix({ results }) {
+  const runs = results.runs.filter((run) => !run.skipped).slice(-MAX_RUN_COLUMNS);
+  const skipped = results.runs.filter((run) => run.skipped).length;
+
+  if (runs.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No completed runs in the last 7 days{skipped > 0 ? ` (${skipped} skipped because no tuner was idle)` : ''}.
+      </Typography>
+    );
+  }
+
+  return (
+    <>
+      <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none', maxHeight: 420 }}>
+        <Table size="small" stickyHeader sx={{ '& .MuiTableCell-root': { p: 0.25, fontSize: '0.7rem', borderBottom: 'none' } }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 600, pr: 1 }}>CH</TableCell>
+              {runs.map((run) => (
+                <TableCell key={run.id} align="center" sx={{ minWidth: 14 }}>
+                  <Tooltip title={formatTime(run.started)}>
+                    <span>{new Date(run.started).getHours()}</span>
+                  </Tooltip>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {results.channels.map(({ channel, frequency }) => (
+              <TableRow key={channel}>
+                <TableCell sx={{ pr: 1 }}>
+                  <Tooltip title={`${(frequency / 1000000).toFixed(3)} MHz`}>
+                    <span>{channel}</span>
+                  </Tooltip>
+                </TableCell>
+                {runs.map((run) => {
+                  const m = run.measurements.find((entry) => entry.channel === channel);
+                  const detail = m
+                    ? `${formatTime(m.t)} - ${m.lock ? m.modulation : 'no lock'}, SS ${m.ss}% / SNQ ${m.snq}% / SEQ ${m.seq}%` +
+                      (m.programs.length > 0 ? ` - ${m.programs.map((p) => `${p.virtualChannel} ${p.name}`).join(', ')}` : '')
+                    : `${formatTime(run.started)} - not measured`;
+                  return (
+                    <TableCell key={run.id} align="center">
+                      <Tooltip title={detail}>
+                        <Box sx={{ height: 16, minWidth: 14, borderRadius: 0.5, backgroundColor: cellColor(m) }} />
+                      </Tooltip>
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <Box sx={{ display: 'flex', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+        <Chip size="small" label="Locked, 100% symbol quality" sx={{ backgroundColor: cellColor({ lock: true, seq: 100 }) }} />
+        <Chip size="small" label="Locked with errors" sx={{ backgroundColor: cellColor({ lock: true, seq: 0 }) }} />
+        <Chip size="small" label="No lock" sx={{ backgroundColor: cellColor({ lock: false }) }} />
+        {skipped > 0 && (
+          <Typography variant="body2" sx={{ fontSize: '0.75rem', color: 'text.secondary', alignSelf: 'center' }}>
+            {skipped} run(s) skipped because no tuner was idle
+          </Typography>
+        )}
+      </Box>
+    </>
+  );
+}
+
+function SurveyDialog({ open, onClose, socket, devices, selectedDevice, channelMap }) {
+  const [jobs, setJobs] = useState([]);
+  const [adding, setAdding] = useState(false);
+  const [viewing, setViewing] = useState(null); // job id whose results are shown
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState({}); // job id -> { run, done, total }
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/surveys');
+      setJobs(response.data);
+    } catch (error) {
+      console.error('Failed to load surveys:', error);
+    }
+  }, []);
+
+  const loadResults = useCallback(async (id) => {
+    try {
+      const response = await axios.get(`/api/surveys/${id}/results`);
+      setResults(response.data);
+    } catch (error) {
+      console.error('Failed to load survey results:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) loadJobs();
+  }, [open, loadJobs]);
+
+  useEffect(() => {
+    setResults(null);
+    if (viewing) loadResults(viewing);
+  }, [viewing, loadResults]);
+
+  useEffect(() => {
+    if (!socket || !open) return;
+
+    const handleChanged = () => {
+      loadJobs();
+      if (viewing) loadResults(viewing);
+    };
+    const handleProgress = ({ jobId, run, done, total }) => {
+      setProgress((prev) => ({ ...prev, [jobId]: { run, done, total } }));
+    };
+
+    socket.on('surveys-changed', handleChanged);
+    socket.on('survey-progress', handleProgress);
+    return () => {
+      socket.off('surveys-changed', handleChanged);
+      socket.off('survey-progress', handleProgress);
+    };
+  }, [socket, open, viewing, loadJobs, loadResults]);
+
+  const addJob = async (job) => {
+    await axios.post('/api/surveys', job);
+    setAdding(false);
+    loadJobs();
+  };
+
+  const runJob = async (job) => {
+    try {
+      await axios.post(`/api/surveys/${job.id}/run`);
+    } catch (error) {
+      console.error('Failed to start survey:', error);
+    }
+    loadJobs();
+  };
+
+  const cancelJob = async (job) => {
+    await axios.post(`/api/surveys/${job.id}/cancel`).catch(() => {});
+    loadJobs();
+  };
+
+  const toggleJob = async (job) => {
+    await axios.put(`/api/surveys/${job.id}`, { enabled: !job.enabled });
+    loadJobs();
+  };
+
+  const deleteJob = async (job) => {
+    await axios.delete(`/api/surveys/${job.id}`);
+    loadJobs();
+  };
+
+  const viewedJob = jobs.find((job) => job.id === viewing);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        {viewedJob && (
+          <IconButton size="small" onClick={() => setViewing(null)}>
+            <BackIcon fontSize="small" />
+          </IconButton>
+        )}
+        {viewedJob ? viewedJob.name : 'Channel Surveys'}
+      </DialogTitle>
+      <DialogContent dividers sx={{ minHeight: 300 }}>
+        {viewedJob ? (
+          results ? <SurveyMatrix results={results} /> : <Typography variant="body2" color="text.secondary">Loading...</Typography>
+        ) : (
+          <>
+            {jobs.length === 0 && !adding && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                A survey steps idle tuners through a list of channels on a schedule and records what each channel
+                looked like, building up a reception history over days. Tuners in use by a DVR or another app are
+                left alone.
+              </Typography>
+            )}
+            {jobs.length > 0 && (
+              <TableContainer component={Paper} sx={{ backgroundColor: 'transparent', boxShadow: 'none' }}>
+                <Table size="small" sx={cellSx}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 600 }}>Survey</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Last Run</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Next Run</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {jobs.map((job) => {
+                      const live = progress[job.id];
+                      const jobProgress = live && job.running && live.run === job.running.id ? live : job.running;
+                      return (
+                        <TableRow key={job.id} hover sx={{ cursor: 'pointer' }} onClick={() => setViewing(job.id)}>
+                          <TableCell>
+                            {job.name}
+                            <Typography sx={{ fontSize: '0.7rem', color: 'text.secondary' }}>
+                              {job.channels.length > 0 ? `Channels ${job.channels.join(', ')}` : `All ${job.channelMap} channels`}
+                              {` · ${job.dwell}s dwell · every ${job.interval} min`}
+                            </Typography>
+                            {job.running && (
+                              <LinearProgress
+                                variant={jobProgress.total ? 'determinate' : 'indeterminate'}
+                                value={jobProgress.total ? (jobProgress.done / jobProgress.total) * 100 : 0}
+                                sx={{ mt: 0.5, height: 4, borderRadius: 2 }}
+                              />
+                            )}
+                          </TableCell>
+                          <TableCell>{formatTime(job.lastRun)}</TableCell>
+                          <TableCell>{job.enabled ? formatTime(job.nextRun) : 'Disabled'}</TableCell>
+                          <TableCell align="right" sx={{ whiteSpace: 'nowrap' }} onClick={(e) => e.stopPropagation()}>
+                            {job.running ? (
+                              <IconButton size="small" onClick={() => cancelJob(job)} title="Cancel run">
+                                <StopIcon fontSize="small" />
+                              </IconButton>
+                            ) : (
+                              <IconButton size="small" onClick={() => runJob(job)} title="Run now">
+                                <RunIcon fontSize="small" />
+                              </IconButton>
+                            )}
+                            <Switch size="small" checked={job.enabled} onChange={() => toggleJob(job)} />
+                            <IconButton size="small" onClick={() => deleteJob(job)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+            {adding ? (
+              <SurveyForm
+                devices={devices}
+                defaultDevice={selectedDevice}
+                defaultChannelMap={channelMap}
+                onSave={addJob}
+                onCancel={() => setAdding(false)}
+              />
+            ) : (
+              <Button size="small" startIcon={<AddIcon />} onClick={() => setAdding(true)} sx={{ mt: 1 }}>
+                Add Survey
+              </Button>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SurveyDialog;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Key as PasswordIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { ROLES, useAuth } from '../auth';
+
+const cellSx = { '& .MuiTableCell-root': { py: 0.5, fontSize: '0.8rem' } };
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Viewer: monitoring only',
+  operator: 'Operator: tune, scan and play',
+  admin: 'Admin: settings, firmware and users'
+};
+
+function UsersDialog({ open, onClose }) {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'viewer' });
+  const [passwordFor, setPasswordFor] = useState(null);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/users');
+      setUsers(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      setError(null);
+      load();
+    }
+  }, [open, load]);
+
+  // Runs a change and reloads, showing the server's error if it was refused
+  const run = async (request) => {
+    setError(null);
+    try {
+      await request();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      return false;
+    }
+  };
+
+  const addUser = async () => {
+    if (await run(() => axios.post('/api/users', newUser))) {
+      setNewUser({ username: '', password: '', role: 'viewer' });
+    }
+  };
+
+  const changePassword = async () => {
+    if (await run(() => axios.put(`/api/users/${encodeURIComponent(passwordFor)}`, { password }))) {
+      setPasswordFor(null);
+      setPassword('');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Users</DialogTitle>
+      <DialogContent dividers sx={{ minHeight: 300 }}>
+        <TableContainer sx={{ mb: 2, ...cellSx }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => (
+                <TableRow key={user.username}>
+                  <TableCell>
+                    {user.username}{currentUser && user.username === currentUser.username ? ' (you)' : ''}
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      value={user.role}
+                      onChange={(e) => run(() => axios.put(`/api/users/${encodeURIComponent(user.username)}`, { role: e.target.value }))}
+                      sx={{ fontSize: '0.8rem', '& .MuiSelect-select': { py: 0.5 } }}
+                    >
+                      {ROLES.map((role) => <MenuItem key={role} value={role}>{role}</MenuItem>)}
+                    </Select>
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => { setPasswordFor(user.username); setPassword(''); }}>
+                      <PasswordIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton
+                      size="small"
+                      onClick={() => run(() => axios.delete(`/api/users/${encodeURIComponent(user.username)}`))}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {passwordFor && (
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+            <TextField
+              label={`New password for ${passwordFor}`}
+              size="small"
+              type="password"
+              autoComplete="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              sx={{ flex: 1, minWidth: 200 }}
+            />
+            <Button variant="contained" size="small" onClick={changePassword} disabled={!password}>Set</Button>
+            <Button size="small" onClick={() => setPasswordFor(null)}>Cancel</Button>
+          </Box>
+        )}
+
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>Add user</Typography>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            label="Username"
+            size="small"
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+            sx={{ width: 140 }}
+          />
+          <TextField
+            label="Password"
+            size="small"
+            type="password"
+            autoComplete="new-password"
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            sx={{ width: 140 }}
+          />
+          <Select
+            size="small"
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+          >
+            {ROLES.map((role) => <MenuItem key={role} value={role}>{ROLE_DESCRIPTIONS[role]}</MenuItem>)}
+          </Select>
+          <Button
+            variant="contained"
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={addUser}
+            disabled={!newUser.username || !newUser.password}
+          >
+            Add
+          </Button>
+        </Box>
+        {error && <Typography variant="body2" color="error" sx={{ mt: 1 }}>{error}</Typography>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default UsersDialog;